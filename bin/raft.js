@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+/**
+ * RAFT command-line tool
+ *
+ * Renders and analyses datasets without a browser, reading the same files
+ * as the upload menu (a node sheet and an optional edge list in CSV, JSON
+ * or Excel):
+ *
+ *   raft render data.csv [links.csv] --out graph.svg   diagram as SVG or PNG
+ *   raft stats data.csv [links.csv] [--json]           network metrics report
+ *   raft validate data.csv [links.csv] [--json]        validation report
+ *
+ * Layouts are deterministic, so a dataset renders the same way every time
+ * for the same layout and seed. Branding comes from public/raft.config.json
+ * unless `--config` names another file. Exits with 1 when validation finds
+ * errors and 2 when the command cannot run.
+ */
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { basename, extname } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import { datasetFile, loadGraph } from '../src/graph/model.js';
+import { METRICS, analyzeNetwork, formatMetric, rankBy } from '../src/graph/metrics.js';
+import { detectCommunities } from '../src/graph/communities.js';
+import { summarizeLinks } from '../src/graph/edgeList.js';
+import { DEFAULT_SEED, LAYOUTS, computeLayout, fitLayout } from '../src/graph/layout.js';
+import { renderBriefing, renderGraph } from '../src/graph/render.js';
+import { summarizeSymbols } from '../src/graph/symbology.js';
+import { resolveConfig } from '../src/utils/config.js';
+
+const USAGE = `Usage: raft <command> <data file> [relationships file] [options]
+
+Commands:
+  render     Draw the network as an SVG or PNG briefing page
+  stats      Report network metrics
+  validate   Check the dataset and list its errors and warnings
+
+Options:
+  --out <file>             render: output file, .svg or .png (required)
+  --width <px>             render: width of the graph area (default 1600)
+  --height <px>            render: height of the graph area (default 900)
+  --scale <n>              render: PNG pixels per SVG pixel (default 2)
+  --layout <name>          render: ${LAYOUTS.map((layout) => layout.key).join(', ')} (default force)
+  --seed <n>               render: starting positions of the force layout (default ${DEFAULT_SEED})
+  --title <text>           render: title bar text
+  --subtitle <text>        render: title bar subtitle
+  --classification <text>  render: classification marking ("" for none)
+  --theme <name>           render: colour theme of the title bar and page
+  --config <file>          site configuration (default public/raft.config.json)
+  --by <metric>            stats: metric to rank actors by (default betweenness)
+  --top <n>                stats: number of actors to rank (default 10)
+  --weighted               stats: weigh links by their Strength
+  --json                   stats, validate: print JSON
+  -h, --help               show this help
+`;
+
+const OPTIONS = {
+  out: { type: 'string' },
+  width: { type: 'string', default: '1600' },
+  height: { type: 'string', default: '900' },
+  scale: { type: 'string', default: '2' },
+  layout: { type: 'string', default: 'force' },
+  seed: { type: 'string', default: String(DEFAULT_SEED) },
+  title: { type: 'string' },
+  subtitle: { type: 'string' },
+  classification: { type: 'string' },
+  theme: { type: 'string' },
+  config: { type: 'string' },
+  by: { type: 'string', default: 'betweenness' },
+  top: { type: 'string', default: '10' },
+  weighted: { type: 'boolean', default: false },
+  json: { type: 'boolean', default: false },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+const DEFAULT_CONFIG_FILE = fileURLToPath(new URL('../public/raft.config.json', import.meta.url));
+
+// Problems the user can fix by changing the command line or the files
+class UsageError extends Error {}
+
+const positiveNumber = (value, name) => {
+  const number = Number(value);
+  if (!(number > 0)) throw new UsageError(`--${name} must be a positive number, not "${value}".`);
+  return number;
+};
+
+const readConfig = (path) => {
+  const file = path || DEFAULT_CONFIG_FILE;
+  if (!path && !existsSync(file)) return resolveConfig({});
+  try {
+    return resolveConfig(JSON.parse(readFileSync(file, 'utf8')));
+  } catch (error) {
+    throw new UsageError(`Could not read ${file}: ${error.message}`);
+  }
+};
+
+const readDataset = (paths) => {
+  if (paths.length === 0) throw new UsageError('No data file given.');
+  if (paths.length > 2) throw new UsageError('Give at most a data file and a relationships file.');
+  const [nodeFile, edgeFile] = paths.map((path) => {
+    try {
+      return datasetFile(basename(path), readFileSync(path));
+    } catch (error) {
+      throw new UsageError(`Could not read ${path}: ${error.message}`);
+    }
+  });
+  return loadGraph(nodeFile, edgeFile || null).catch((error) => {
+    throw new UsageError(typeof DOMParser === 'undefined' && /DOMParser/.test(error.message)
+      ? 'GraphML files can only be read in the browser.'
+      : error.message);
+  });
+};
+
+// Rows with errors are left out of the graph, as when loading anyway in the app
+const warnSkipped = (report) => {
+  if (report.errorCount > 0) {
+    console.warn(`raft: skipped ${report.skipRows.size} ${report.skipRows.size === 1 ? 'row' : 'rows'} with errors; run "raft validate" for details`);
+  }
+};
+
+const formatIssue = (issue) => `${issue.file}:${issue.line}${issue.column ? ` [${issue.column}]` : ''}: ${issue.severity}: ${issue.message}`;
+
+const validate = async (paths, options) => {
+  const { report } = await readDataset(paths);
+  if (options.json) {
+    const { issues, errorCount, warningCount } = report;
+    console.log(JSON.stringify({ errorCount, warningCount, issues }, null, 2));
+  } else {
+    report.issues.forEach((issue) => console.log(formatIssue(issue)));
+    console.log(`${report.errorCount} ${report.errorCount === 1 ? 'error' : 'errors'}, ${report.warningCount} ${report.warningCount === 1 ? 'warning' : 'warnings'}`);
+  }
+  return report.errorCount > 0 ? 1 : 0;
+};
+
+const stats = async (paths, options) => {
+  const metric = METRICS.find((entry) => entry.key === options.by);
+  if (!metric) throw new UsageError(`Unknown metric "${options.by}". Choose one of ${METRICS.map((entry) => entry.key).join(', ')}.`);
+  const top = Math.floor(positiveNumber(options.top, 'top'));
+
+  const { report, nodes, edges } = await readDataset(paths);
+  warnSkipped(report);
+  const analysis = analyzeNetwork(nodes, edges, { weighted: options.weighted });
+  const communities = detectCommunities(nodes, edges, { weighted: options.weighted });
+  const names = new Map(nodes.map((node) => [node.id, node.name]));
+  const name = (id) => names.get(id) || `#${id}`;
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      actors: nodes.length,
+      links: edges.length,
+      density: analysis.density,
+      weighted: analysis.weighted,
+      pivots: analysis.pivots,
+      components: analysis.components.map((members) => members.map(name)),
+      articulationPoints: [...analysis.articulationPoints].map(name),
+      bridges: analysis.bridges.map((pair) => pair.map(name)),
+      modularity: communities.modularity,
+      communities: communities.communities.map(({ members }) => members.map(name)),
+      metrics: nodes.map((node) => ({
+        id: node.id,
+        name: node.name,
+        category: node.category || null,
+        affiliation: node.affiliation,
+        community: communities.membership.get(node.id) + 1,
+        ...analysis.metrics.get(node.id),
+      })),
+    }, null, 2));
+    return 0;
+  }
+
+  const row = (label, value) => console.log(`${label.padEnd(22)}${value}`);
+  row('Actors', nodes.length);
+  row('Links', edges.length);
+  row('Density', analysis.density.toFixed(3));
+  row('Components', `${analysis.components.length} (largest ${analysis.components.length > 0 ? analysis.components[0].length : 0})`);
+  row('Communities', `${communities.communities.length} (modularity ${communities.modularity.toFixed(3)})`);
+  row('Articulation points', [...analysis.articulationPoints].map(name).join(', ') || 'none');
+  row('Bridges', analysis.bridges.map(([a, b]) => `${name(a)} – ${name(b)}`).join(', ') || 'none');
+  if (analysis.pivots) {
+    row('Sampled paths', `${analysis.pivots} of ${nodes.length} actors (betweenness and closeness are estimates)`);
+  }
+  console.log('');
+  const estimated = analysis.pivots && ['betweenness', 'closeness'].includes(metric.key);
+  console.log(`Top ${top} by ${metric.label}${analysis.weighted ? ' (weighted)' : ''}${estimated ? ' (estimated)' : ''}`);
+  const ranking = rankBy(analysis, metric.key).slice(0, top);
+  const width = Math.max(0, ...ranking.map((entry) => name(entry.id).length));
+  ranking.forEach((entry) => {
+    console.log(`${String(entry.rank).padStart(4)}  ${name(entry.id).padEnd(width)}  ${formatMetric(metric.key, entry.value)}`);
+  });
+  return 0;
+};
+
+const render = async (paths, options) => {
+  if (!options.out) throw new UsageError('render needs --out <file>.');
+  const format = extname(options.out).slice(1).toLowerCase();
+  if (!['svg', 'png'].includes(format)) throw new UsageError(`Cannot write ${options.out}: use a .svg or .png file name.`);
+  const width = positiveNumber(options.width, 'width');
+  const graphHeight = positiveNumber(options.height, 'height');
+  if (!LAYOUTS.some((layout) => layout.key === options.layout)) {
+    throw new UsageError(`Unknown layout "${options.layout}". Choose one of ${LAYOUTS.map((layout) => layout.key).join(', ')}.`);
+  }
+  const seed = Number(options.seed);
+  if (!Number.isInteger(seed)) throw new UsageError(`--seed must be a whole number, not "${options.seed}".`);
+  const config = readConfig(options.config);
+  const themeName = options.theme || config.theme;
+  if (!config.themes[themeName]) throw new UsageError(`Unknown theme "${themeName}". Choose one of ${Object.keys(config.themes).join(', ')}.`);
+
+  const { report, nodes, edges } = await readDataset(paths);
+  warnSkipped(report);
+  const { positions, scale } = fitLayout(computeLayout(options.layout, nodes, edges, { seed }), { width, height: graphHeight });
+  const { svg, height } = renderBriefing({
+    width,
+    graphHeight,
+    title: options.title === undefined ? config.title : options.title,
+    subtitle: options.subtitle === undefined ? config.subtitle : options.subtitle,
+    classification: (options.classification === undefined ? config.classification : options.classification).trim(),
+    graph: renderGraph({
+      nodes: nodes.map((node) => ({
+        id: node.id,
+        ...positions.get(node.id),
+        radius: (node.size || 30) * scale,
+        label: node.label,
+        symbol: node.symbol,
+      })),
+      edges,
+      scale,
+    }),
+    symbols: summarizeSymbols(nodes),
+    links: summarizeLinks(edges),
+    colors: config.themes[themeName],
+  });
+
+  if (format === 'svg') {
+    writeFileSync(options.out, svg);
+  } else {
+    // The rasteriser is a native module, only loaded when a PNG is asked for
+    const { Resvg } = await import('@resvg/resvg-js');
+    const png = new Resvg(svg, {
+      fitTo: { mode: 'zoom', value: positiveNumber(options.scale, 'scale') },
+      font: { loadSystemFonts: true, defaultFontFamily: 'Arial' },
+    }).render().asPng();
+    writeFileSync(options.out, png);
+  }
+  console.log(`Wrote ${options.out} (${nodes.length} actors, ${edges.length} links, ${width}×${height})`);
+  return 0;
+};
+
+const COMMANDS = { render, stats, validate };
+
+const main = async (argv) => {
+  const { values: options, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  const [command, ...paths] = positionals;
+  if (options.help || !command) {
+    console.log(USAGE);
+    return options.help ? 0 : 2;
+  }
+  if (!COMMANDS[command]) throw new UsageError(`Unknown command "${command}".\n\n${USAGE}`);
+  return COMMANDS[command](paths, options);
+};
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((error) => {
+    console.error(`raft: ${error instanceof UsageError || error.code === 'ERR_PARSE_ARGS_UNKNOWN_OPTION' ? error.message : error.stack}`);
+    process.exitCode = 2;
+  });
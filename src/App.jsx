@@ -1,17 +1,65 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
 import NetworkGraph from './components/NetworkGraph.jsx';
+import { BANNER_HEIGHT, classificationColors } from './graph/render.js';
+import { loadConfig } from './utils/config.js';
+
+// Classification bar shown above and below the app
+const Banner = ({ marking }) => {
+  const colors = classificationColors(marking);
+  return (
+    <div style={{
+      height: `${BANNER_HEIGHT}px`,
+      lineHeight: `${BANNER_HEIGHT}px`,
+      flexShrink: 0,
+      background: colors.background,
+      color: colors.color,
+      fontFamily: 'Arial, sans-serif',
+      fontSize: '14px',
+      fontWeight: 'bold',
+      textAlign: 'center',
+      letterSpacing: '0.5px',
+    }}>
+      {marking}
+    </div>
+  );
+};
 
 /**
- * The top-level component for the network visualization app. It simply
- * renders the NetworkGraph component which takes care of loading the
- * relationship data and rendering the interactive graph.
+ * The top-level component for the network visualization app. It loads the
+ * site configuration (branding, theme and classification marking), then
+ * renders the NetworkGraph component, which takes care of loading the
+ * relationship data and rendering the interactive graph, between the
+ * classification banners.
  */
 function App() {
+  const [config, setConfig] = useState(null);
+
+  useEffect(() => {
+    loadConfig().then((loaded) => {
+      document.title = loaded.title;
+      setConfig(loaded);
+    });
+  }, []);
+
+  if (!config) return null;
+  const marking = config.classification.trim();
+
   return (
-    <div style={{ width: '100vw', height: '100vh' }}>
-      <NetworkGraph />
+    <div style={{
+      width: '100vw',
+      height: '100vh',
+      display: 'flex',
+      flexDirection: 'column',
+      // Height left for the app, for panels sized to the window
+      '--raft-viewport-height': marking ? `calc(100vh - ${2 * BANNER_HEIGHT}px)` : '100vh',
+    }}>
+      {marking && <Banner marking={marking} />}
+      <div style={{ flex: 1, minHeight: 0, position: 'relative' }}>
+        <NetworkGraph config={config} />
+      </div>
+      {marking && <Banner marking={marking} />}
     </div>
   );
 }
 
-export default App;
\ No newline at end of file
+export default App;
@@ -0,0 +1,208 @@
+import React, { useMemo, useState } from 'react';
+import { METRICS, rankBy, formatMetric } from '../graph/metrics.js';
+import { groupColor } from '../graph/communities.js';
+
+const TOP_ACTORS = 10;
+
+/**
+ * AnalysisPanel component
+ *
+ * Network analysis for the loaded graph: summary figures, a ranked table of
+ * the most influential actors by any metric, articulation points, bridges
+ * and detected communities. The node size and colour selectors and the
+ * grouping controls are handled by the parent through `onSizeBy(key)`,
+ * `onColorBy(key)`, `onGroupBy(mode)`, `onCollapseAll()` and
+ * `onExpandAll()`, and clicking an actor calls `onSelect(id)`. When the
+ * links carry a Strength (`canWeigh`), `onWeighted(flag)` switches the
+ * analysis between counting ties and weighing them. Communities are shown
+ * in the colours of `palette`.
+ */
+const AnalysisPanel = ({
+  analysis, nodeNames, sizeBy, colorBy, onSizeBy, onColorBy, weighted, canWeigh, onWeighted, onSelect,
+  communities, palette, groupBy, onGroupBy, onCollapseAll, onExpandAll, onClose,
+}) => {
+  const [rankKey, setRankKey] = useState('betweenness');
+  const metric = METRICS.find((entry) => entry.key === rankKey);
+  const ranking = useMemo(() => rankBy(analysis, rankKey).slice(0, TOP_ACTORS), [analysis, rankKey]);
+  const name = (id) => nodeNames.get(id) || `#${id}`;
+  const ties = useMemo(() => [...analysis.metrics.values()].reduce((acc, values) => acc + values.degree, 0) / 2, [analysis]);
+
+  const metricSelect = (value, onChange, withNone) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      style={{ fontSize: '12px', padding: '4px', flex: 1 }}
+    >
+      {withNone && <option value="none">None</option>}
+      {METRICS.map((entry) => (
+        <option key={entry.key} value={entry.key}>{entry.label}</option>
+      ))}
+    </select>
+  );
+
+  const actorLink = (id) => (
+    <span
+      key={id}
+      onClick={() => onSelect(id)}
+      style={{ color: 'var(--raft-heading)', cursor: 'pointer', textDecoration: 'underline' }}
+    >
+      {name(id)}
+    </span>
+  );
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '20px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      backgroundColor: 'var(--raft-panel)',
+      border: '2px solid var(--raft-accent)',
+      borderRadius: '10px',
+      padding: '16px',
+      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+      zIndex: 1000,
+      width: '520px',
+      maxWidth: 'calc(100vw - 40px)',
+      maxHeight: '45vh',
+      overflowY: 'auto',
+      fontSize: '13px',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', borderBottom: '2px solid var(--raft-accent)', paddingBottom: '8px', marginBottom: '10px' }}>
+        <h4 style={{ margin: 0, fontSize: '16px', color: 'var(--raft-heading)', fontWeight: '600' }}>
+          Network Analysis
+        </h4>
+        <button
+          onClick={onClose}
+          style={{ background: 'none', border: 'none', fontSize: '20px', cursor: 'pointer', padding: 0 }}
+        >
+          ×
+        </button>
+      </div>
+
+      <div style={{ color: 'var(--raft-muted)', marginBottom: '10px' }}>
+        {analysis.metrics.size} actors, {ties} ties, density {analysis.density.toFixed(3)},{' '}
+        {analysis.components.length} {analysis.components.length === 1 ? 'component' : 'components'}
+      </div>
+
+      {analysis.pivots && (
+        <div style={{ fontSize: '12px', color: 'var(--raft-muted)', marginBottom: '10px' }}>
+          Betweenness and closeness are estimates from the shortest paths of {analysis.pivots} of the {analysis.metrics.size} actors picked at random; exact figures would take minutes at this size.
+        </div>
+      )}
+
+      {canWeigh && (
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '10px', color: 'var(--raft-heading)' }}>
+          <input type="checkbox" checked={weighted} onChange={(e) => onWeighted(e.target.checked)} />
+          Weigh links by Strength
+          <span style={{ fontSize: '11px', color: 'var(--raft-muted)' }}>(betweenness, closeness, eigenvector, PageRank, communities)</span>
+        </label>
+      )}
+
+      <div style={{ display: 'flex', gap: '12px', marginBottom: '12px' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', flex: 1, fontWeight: '600', color: 'var(--raft-heading)' }}>
+          Size by {metricSelect(sizeBy, onSizeBy, true)}
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px', flex: 1, fontWeight: '600', color: 'var(--raft-heading)' }}>
+          Color by {metricSelect(colorBy, onColorBy, true)}
+        </label>
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '4px' }}>
+        <strong style={{ color: 'var(--raft-heading)' }}>Most influential by</strong>
+        {metricSelect(rankKey, setRankKey, false)}
+      </div>
+      <div style={{ fontSize: '11px', color: 'var(--raft-muted)', marginBottom: '6px' }}>{metric.description}</div>
+      <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px', marginBottom: '12px' }}>
+        <thead>
+          <tr style={{ background: 'var(--raft-subtle)', textAlign: 'left' }}>
+            <th style={{ padding: '4px 6px' }}>Rank</th>
+            <th style={{ padding: '4px 6px' }}>Actor</th>
+            <th style={{ padding: '4px 6px', textAlign: 'right' }}>{metric.label}</th>
+            <th style={{ padding: '4px 6px', textAlign: 'right' }}>Degree</th>
+          </tr>
+        </thead>
+        <tbody>
+          {ranking.map((entry) => (
+            <tr key={entry.id} style={{ borderTop: '1px solid var(--raft-rule)' }}>
+              <td style={{ padding: '4px 6px' }}>{entry.rank}</td>
+              <td style={{ padding: '4px 6px' }}>{actorLink(entry.id)}</td>
+              <td style={{ padding: '4px 6px', textAlign: 'right' }}>{formatMetric(rankKey, entry.value)}</td>
+              <td style={{ padding: '4px 6px', textAlign: 'right' }}>{analysis.metrics.get(entry.id).degree}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={{ marginBottom: '8px' }}>
+        <strong style={{ color: 'var(--raft-heading)' }}>Articulation points ({analysis.articulationPoints.size})</strong>
+        <div style={{ fontSize: '11px', color: 'var(--raft-muted)' }}>Actors whose removal splits the network</div>
+        <div style={{ marginTop: '4px', lineHeight: '1.6' }}>
+          {analysis.articulationPoints.size === 0
+            ? 'None'
+            : [...analysis.articulationPoints].flatMap((id, index) => (index > 0 ? [', ', actorLink(id)] : [actorLink(id)]))}
+        </div>
+      </div>
+
+      <div style={{ marginBottom: '12px' }}>
+        <strong style={{ color: 'var(--raft-heading)' }}>Bridges ({analysis.bridges.length})</strong>
+        <div style={{ fontSize: '11px', color: 'var(--raft-muted)' }}>Ties whose removal splits the network</div>
+        <div style={{ marginTop: '4px', lineHeight: '1.6' }}>
+          {analysis.bridges.length === 0
+            ? 'None'
+            : analysis.bridges.map(([from, to]) => (
+              <div key={`${from}-${to}`}>{actorLink(from)} — {actorLink(to)}</div>
+            ))}
+        </div>
+      </div>
+
+      {communities && (
+        <div style={{ borderTop: '1px solid var(--raft-rule)', paddingTop: '10px' }}>
+          <strong style={{ color: 'var(--raft-heading)' }}>Communities ({communities.communities.length})</strong>
+          <div style={{ fontSize: '11px', color: 'var(--raft-muted)' }}>
+            Detected with the Louvain method, modularity {communities.modularity.toFixed(3)}
+          </div>
+          <div style={{ margin: '6px 0 10px 0', lineHeight: '1.6' }}>
+            {communities.communities.map(({ index, members }) => (
+              <div key={index} style={{ display: 'flex', alignItems: 'baseline', gap: '6px' }}>
+                <span style={{ width: '10px', height: '10px', borderRadius: '50%', background: groupColor(index, palette), flexShrink: 0 }} />
+                <span style={{ whiteSpace: 'nowrap', fontWeight: '600' }}>Community {index + 1}</span>
+                <span style={{ color: 'var(--raft-muted)' }}>
+                  ({members.length}) {members.slice(0, 4).map(name).join(', ')}{members.length > 4 ? ', …' : ''}
+                </span>
+              </div>
+            ))}
+          </div>
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '6px', flex: 1, fontWeight: '600', color: 'var(--raft-heading)' }}>
+              Group by
+              <select
+                value={groupBy}
+                onChange={(e) => onGroupBy(e.target.value)}
+                style={{ fontSize: '12px', padding: '4px', flex: 1 }}
+              >
+                <option value="none">None</option>
+                <option value="community">Community</option>
+                <option value="category">Category</option>
+              </select>
+            </label>
+            <button onClick={onCollapseAll} disabled={groupBy === 'none'} style={{ fontSize: '12px', padding: '4px 8px', cursor: 'pointer' }}>
+              Collapse all
+            </button>
+            <button onClick={onExpandAll} disabled={groupBy === 'none'} style={{ fontSize: '12px', padding: '4px 8px', cursor: 'pointer' }}>
+              Expand all
+            </button>
+          </div>
+          {groupBy !== 'none' && (
+            <div style={{ fontSize: '11px', color: 'var(--raft-muted)', marginTop: '4px' }}>
+              Double-click an actor to collapse its group, or a cluster to expand it.
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AnalysisPanel;
@@ -0,0 +1,142 @@
+import React, { useMemo, useState } from 'react';
+import { CHANGE_KINDS, changeReport, summarizeChanges } from '../graph/compare.js';
+
+const KINDS = ['added', 'removed', 'changed'];
+
+/**
+ * ComparePanel component
+ *
+ * Change report of a compared graph (see graph/compare.js): the colour of
+ * each kind of change with how many actors and relationships it applies
+ * to, and a table of every added or removed actor and relationship and
+ * every changed field, which can be narrowed to one kind of change or
+ * item. `comparison` names the two versions as `{ before, after }`.
+ * Clicking a row calls `onSelect(id)` with its actor, or the
+ * relationship's first actor, and `onExport(rows)` downloads the rows
+ * shown.
+ */
+const ComparePanel = ({ nodes, edges, comparison, onSelect, onExport, onClose }) => {
+  const [kind, setKind] = useState('all');
+  const [item, setItem] = useState('all');
+
+  const summary = useMemo(() => summarizeChanges(nodes, edges), [nodes, edges]);
+  const report = useMemo(() => changeReport(nodes, edges), [nodes, edges]);
+  const rows = report
+    .filter((row) => (kind === 'all' || row.change === kind) && (item === 'all' || row.item === item));
+
+  const cell = { padding: '4px 6px', verticalAlign: 'top' };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '20px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      backgroundColor: 'var(--raft-panel)',
+      border: '2px solid var(--raft-accent)',
+      borderRadius: '10px',
+      padding: '16px',
+      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+      zIndex: 1000,
+      width: '720px',
+      maxWidth: 'calc(100vw - 40px)',
+      maxHeight: '45vh',
+      overflowY: 'auto',
+      fontSize: '13px',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', borderBottom: '2px solid var(--raft-accent)', paddingBottom: '8px', marginBottom: '10px' }}>
+        <h4 style={{ margin: 0, fontSize: '16px', color: 'var(--raft-heading)', fontWeight: '600' }}>
+          Changes
+        </h4>
+        <button
+          onClick={onClose}
+          style={{ background: 'none', border: 'none', fontSize: '20px', cursor: 'pointer', padding: 0 }}
+        >
+          ×
+        </button>
+      </div>
+
+      {comparison && (
+        <div style={{ color: 'var(--raft-muted)', marginBottom: '10px' }}>
+          <strong>{comparison.before}</strong> compared with <strong>{comparison.after}</strong>
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: '16px', flexWrap: 'wrap', marginBottom: '10px' }}>
+        {KINDS.map((key) => (
+          <div key={key} style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <span style={{
+              width: '14px',
+              height: '14px',
+              border: `3px ${key === 'removed' ? 'dashed' : 'solid'} ${CHANGE_KINDS[key].color}`,
+              borderRadius: '3px',
+              flexShrink: 0,
+            }} />
+            <strong style={{ color: CHANGE_KINDS[key].color }}>{CHANGE_KINDS[key].label}</strong>
+            <span style={{ color: 'var(--raft-muted)' }}>
+              {summary.actors[key]} {summary.actors[key] === 1 ? 'actor' : 'actors'}, {summary.links[key]} {summary.links[key] === 1 ? 'relationship' : 'relationships'}
+            </span>
+          </div>
+        ))}
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '8px' }}>
+        <strong style={{ color: 'var(--raft-heading)' }}>Show</strong>
+        <select value={kind} onChange={(e) => setKind(e.target.value)} style={{ fontSize: '12px', padding: '4px' }}>
+          <option value="all">All changes</option>
+          {KINDS.map((key) => <option key={key} value={key}>{CHANGE_KINDS[key].label}</option>)}
+        </select>
+        <select value={item} onChange={(e) => setItem(e.target.value)} style={{ fontSize: '12px', padding: '4px' }}>
+          <option value="all">Actors and relationships</option>
+          <option value="Actor">Actors</option>
+          <option value="Relationship">Relationships</option>
+        </select>
+        <span style={{ flex: 1 }} />
+        <button
+          onClick={() => onExport(rows)}
+          disabled={rows.length === 0}
+          style={{ fontSize: '12px', padding: '4px 8px', cursor: 'pointer' }}
+        >
+          Export Report (CSV)
+        </button>
+      </div>
+
+      {rows.length === 0 ? (
+        <div style={{ color: 'var(--raft-muted)' }}>No changes.</div>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+          <thead>
+            <tr style={{ background: 'var(--raft-subtle)', textAlign: 'left' }}>
+              <th style={cell}>Change</th>
+              <th style={cell}>Item</th>
+              <th style={cell}>Field</th>
+              <th style={cell}>Before</th>
+              <th style={cell}>After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, index) => (
+              <tr
+                key={index}
+                onClick={() => onSelect(row.id === null ? row.from : row.id)}
+                style={{ borderTop: '1px solid var(--raft-rule)', cursor: 'pointer' }}
+              >
+                <td style={{ ...cell, color: CHANGE_KINDS[row.change].color, fontWeight: '600', whiteSpace: 'nowrap' }}>
+                  {CHANGE_KINDS[row.change].label}
+                </td>
+                <td style={cell}>{row.name}</td>
+                <td style={cell}>{row.field || '—'}</td>
+                <td style={{ ...cell, color: 'var(--raft-muted)' }}>
+                  {row.before ? <span style={{ textDecoration: 'line-through' }}>{row.before}</span> : row.field && 'none'}
+                </td>
+                <td style={cell}>{row.after || (row.field && 'none')}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default ComparePanel;
@@ -0,0 +1,42 @@
+import React from 'react';
+
+/**
+ * EditableField component
+ *
+ * Labelled text input used by the panels in edit mode. The value is
+ * committed through `onCommit` when the field loses focus, so each edit is
+ * recorded once rather than per keystroke. The input is keyed on its value
+ * so that undo and redo show up in a field that is not being edited.
+ */
+const EditableField = ({ label, value, multiline, onCommit }) => {
+  const Input = multiline ? 'textarea' : 'input';
+  const current = value || '';
+
+  return (
+    <label style={{ display: 'block', fontSize: '12px', color: 'var(--raft-muted)', marginTop: '6px' }}>
+      {label}
+      <Input
+        key={current}
+        defaultValue={current}
+        rows={multiline ? 4 : undefined}
+        onBlur={(e) => {
+          if (e.target.value !== current) onCommit(e.target.value);
+        }}
+        style={{
+          display: 'block',
+          width: '100%',
+          boxSizing: 'border-box',
+          marginTop: '2px',
+          padding: '6px',
+          fontSize: '13px',
+          fontFamily: 'inherit',
+          border: '1px solid var(--raft-rule)',
+          borderRadius: '4px',
+          resize: 'vertical',
+        }}
+      />
+    </label>
+  );
+};
+
+export default EditableField;
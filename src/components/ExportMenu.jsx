@@ -0,0 +1,142 @@
+import React, { useState } from 'react';
+
+/**
+ * ExportMenu component
+ *
+ * Header dropdown for saving the current view as PNG, SVG or PDF. The
+ * actual rendering is done by the `onExport(format, options)` callback,
+ * which receives the classification marking (initially the configured
+ * `defaultClassification`) and whether the open Actor Profile and
+ * Relationships panels should be included. The data buttons call
+ * `onExportData(format)` to save the network itself for re-import.
+ */
+const ExportMenu = ({ onExport, onExportData, hasSelection, defaultClassification }) => {
+  const [open, setOpen] = useState(false);
+  const [classification, setClassification] = useState(defaultClassification || 'UNCLASSIFIED');
+  const [includePanels, setIncludePanels] = useState(true);
+  const [busy, setBusy] = useState(false);
+
+  const handleExport = (format) => {
+    setBusy(true);
+    Promise.resolve(onExport(format, { classification: classification.trim(), includePanels }))
+      .catch((error) => alert(`Export failed: ${error.message}`))
+      .finally(() => setBusy(false));
+  };
+
+  const formatButton = (format, label, onClick = () => handleExport(format)) => (
+    <button
+      key={format}
+      onClick={onClick}
+      disabled={busy}
+      style={{
+        flex: 1,
+        padding: '10px 12px',
+        fontSize: '14px',
+        fontWeight: '600',
+        cursor: busy ? 'wait' : 'pointer',
+        background: 'linear-gradient(135deg, var(--raft-primary) 0%, var(--raft-primary-dark) 100%)',
+        color: 'white',
+        border: 'none',
+        borderRadius: '6px',
+        boxShadow: '0 2px 6px rgba(15, 37, 55, 0.3)',
+        opacity: busy ? 0.6 : 1,
+      }}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button
+        onClick={() => setOpen(!open)}
+        style={{
+          padding: '12px 24px',
+          fontSize: '14px',
+          fontWeight: '600',
+          cursor: 'pointer',
+          background: 'linear-gradient(135deg, var(--raft-accent) 0%, var(--raft-accent-dark) 100%)',
+          color: 'var(--raft-on-accent)',
+          border: 'none',
+          borderRadius: '8px',
+          boxShadow: '0 3px 8px rgba(212, 175, 55, 0.4)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+        }}
+      >
+        <span style={{ fontSize: '16px' }}>🖼️</span>
+        <span>Export</span>
+        <span style={{ fontSize: '10px' }}>{open ? '▼' : '▶'}</span>
+      </button>
+
+      {open && (
+        <div style={{
+          position: 'absolute',
+          top: '60px',
+          right: '0',
+          backgroundColor: 'var(--raft-panel)',
+          border: '2px solid var(--raft-accent)',
+          borderRadius: '12px',
+          padding: '20px',
+          boxShadow: '0 8px 24px rgba(0, 0, 0, 0.25)',
+          zIndex: 1002,
+          minWidth: '340px',
+        }}>
+          <h3 style={{ margin: '0 0 12px 0', fontSize: '18px', color: 'var(--raft-heading)', fontWeight: '600' }}>
+            Export Current View
+          </h3>
+          <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: 'var(--raft-muted)', lineHeight: '1.5' }}>
+            Saves the graph exactly as shown, with the title, Legend and classification banner.
+          </p>
+
+          <label style={{ display: 'block', fontSize: '13px', color: 'var(--raft-heading)', fontWeight: '600', marginBottom: '4px' }}>
+            Classification banner
+          </label>
+          <input
+            type="text"
+            value={classification}
+            onChange={(e) => setClassification(e.target.value)}
+            placeholder="e.g. UNCLASSIFIED (leave empty for none)"
+            style={{ width: '100%', boxSizing: 'border-box', padding: '8px', fontSize: '13px', marginBottom: '12px' }}
+          />
+
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: hasSelection ? 'var(--raft-text)' : 'var(--raft-muted)', marginBottom: '16px' }}>
+            <input
+              type="checkbox"
+              checked={includePanels}
+              disabled={!hasSelection}
+              onChange={(e) => setIncludePanels(e.target.checked)}
+            />
+            Include Actor Profile and Relationships panels
+          </label>
+
+          <div style={{ display: 'flex', gap: '8px' }}>
+            {formatButton('png', 'PNG')}
+            {formatButton('svg', 'SVG')}
+            {formatButton('pdf', 'PDF')}
+          </div>
+
+          <h3 style={{ margin: '20px 0 8px 0', fontSize: '16px', color: 'var(--raft-heading)', fontWeight: '600', borderTop: '1px solid var(--raft-rule)', paddingTop: '16px' }}>
+            Export Data
+          </h3>
+          <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: 'var(--raft-muted)', lineHeight: '1.5' }}>
+            Saves the loaded network with one row per link and the current layout positions, ready to re-import.
+            JSON also carries the analyst notes.
+          </p>
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+            {formatButton('nodes', 'Nodes CSV', () => onExportData('nodes'))}
+            {formatButton('edges', 'Edge List CSV', () => onExportData('edges'))}
+            {formatButton('notes', 'Notes CSV', () => onExportData('notes'))}
+          </div>
+          <div style={{ display: 'flex', gap: '8px', marginTop: '8px' }}>
+            {formatButton('json', 'JSON', () => onExportData('json'))}
+            {formatButton('graphml', 'GraphML', () => onExportData('graphml'))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { AFFILIATIONS } from '../graph/affiliation.js';
+import { EMPTY_FILTERS, isFiltering } from '../graph/filters.js';
+
+/**
+ * FilterMenu component
+ *
+ * Header dropdown for showing or hiding actors by Category and affiliation,
+ * limiting links to relationship keywords, hiding links by Tensions, and
+ * focusing on the ego network of the selected actor. Every change is passed
+ * to `onChange(filters)` as a complete filters object (see
+ * graph/filters.js).
+ */
+const FilterMenu = ({ filters, onChange, categories, affiliations, selectedNode, visibleCount, totalCount }) => {
+  const [open, setOpen] = useState(false);
+  const active = isFiltering(filters);
+
+  const toggle = (field, value) => {
+    const current = filters[field];
+    onChange({
+      ...filters,
+      [field]: current.includes(value) ? current.filter((item) => item !== value) : [...current, value],
+    });
+  };
+
+  const sectionTitle = (text) => (
+    <div style={{ fontSize: '13px', fontWeight: '600', color: 'var(--raft-heading)', margin: '12px 0 6px 0' }}>{text}</div>
+  );
+
+  const checkbox = (field, value, label) => (
+    <label key={value} style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', color: 'var(--raft-text)' }}>
+      <input type="checkbox" checked={!filters[field].includes(value)} onChange={() => toggle(field, value)} />
+      {label}
+    </label>
+  );
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button
+        onClick={() => setOpen(!open)}
+        style={{
+          padding: '12px 24px',
+          fontSize: '14px',
+          fontWeight: '600',
+          cursor: 'pointer',
+          background: active ? 'var(--raft-panel)' : 'linear-gradient(135deg, var(--raft-accent) 0%, var(--raft-accent-dark) 100%)',
+          color: active ? 'var(--raft-heading)' : 'var(--raft-on-accent)',
+          border: active ? '2px solid var(--raft-accent)' : 'none',
+          borderRadius: '8px',
+          boxShadow: '0 3px 8px rgba(212, 175, 55, 0.4)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+        }}
+      >
+        <span style={{ fontSize: '16px' }}>🔎</span>
+        <span>{active ? `Filter (${visibleCount}/${totalCount})` : 'Filter'}</span>
+        <span style={{ fontSize: '10px' }}>{open ? '▼' : '▶'}</span>
+      </button>
+
+      {open && (
+        <div style={{
+          position: 'absolute',
+          top: '60px',
+          right: '0',
+          backgroundColor: 'var(--raft-panel)',
+          border: '2px solid var(--raft-accent)',
+          borderRadius: '12px',
+          padding: '20px',
+          boxShadow: '0 8px 24px rgba(0, 0, 0, 0.25)',
+          zIndex: 1002,
+          width: '380px',
+          maxHeight: 'calc(var(--raft-viewport-height, 100vh) - 140px)',
+          overflowY: 'auto',
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+            <h3 style={{ margin: 0, fontSize: '18px', color: 'var(--raft-heading)', fontWeight: '600' }}>
+              Filters
+            </h3>
+            <span style={{ fontSize: '12px', color: 'var(--raft-muted)' }}>Showing {visibleCount} of {totalCount} actors</span>
+          </div>
+
+          {sectionTitle('Category')}
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px 12px' }}>
+            {categories.map((category) => checkbox('hiddenCategories', category, category || 'Uncategorised'))}
+          </div>
+
+          {sectionTitle('Affiliation')}
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '4px 12px' }}>
+            {affiliations.map((key) => checkbox('hiddenAffiliations', key, AFFILIATIONS[key].label))}
+          </div>
+
+          {sectionTitle('Relationship type')}
+          <input
+            type="text"
+            value={filters.relationship}
+            onChange={(e) => onChange({ ...filters, relationship: e.target.value })}
+            placeholder="Only links mentioning, e.g. trade, security"
+            style={{ width: '100%', boxSizing: 'border-box', padding: '6px', fontSize: '13px' }}
+          />
+
+          {sectionTitle('Hide links whose Tensions mention')}
+          <input
+            type="text"
+            value={filters.hiddenTensions}
+            onChange={(e) => onChange({ ...filters, hiddenTensions: e.target.value })}
+            placeholder="e.g. sanctions, debt"
+            style={{ width: '100%', boxSizing: 'border-box', padding: '6px', fontSize: '13px' }}
+          />
+
+          {sectionTitle('Ego network')}
+          {filters.ego ? (
+            <div style={{ fontSize: '12px', color: 'var(--raft-text)' }}>
+              <div style={{ marginBottom: '6px' }}>
+                Showing #{filters.ego.nodeId} and its neighbours within{' '}
+                <select
+                  value={filters.ego.hops}
+                  onChange={(e) => onChange({ ...filters, ego: { ...filters.ego, hops: parseInt(e.target.value, 10) } })}
+                  style={{ fontSize: '12px' }}
+                >
+                  {[1, 2, 3, 4].map((hops) => <option key={hops} value={hops}>{hops}</option>)}
+                </select>{' '}
+                {filters.ego.hops === 1 ? 'hop' : 'hops'}.
+              </div>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <button
+                  onClick={() => onChange({ ...filters, ego: { ...filters.ego, nodeId: selectedNode.id } })}
+                  disabled={!selectedNode || selectedNode.id === filters.ego.nodeId}
+                  style={{ fontSize: '12px', padding: '4px 8px', cursor: 'pointer' }}
+                >
+                  Recentre on selected actor
+                </button>
+                <button
+                  onClick={() => onChange({ ...filters, ego: null })}
+                  style={{ fontSize: '12px', padding: '4px 8px', cursor: 'pointer' }}
+                >
+                  Show whole network
+                </button>
+              </div>
+            </div>
+          ) : (
+            <button
+              onClick={() => onChange({ ...filters, ego: { nodeId: selectedNode.id, hops: 1 } })}
+              disabled={!selectedNode}
+              style={{ fontSize: '12px', padding: '6px 10px', cursor: selectedNode ? 'pointer' : 'default' }}
+            >
+              {selectedNode ? `Show only ${selectedNode.name} and its neighbours` : 'Select an actor to focus on its neighbours'}
+            </button>
+          )}
+
+          <button
+            onClick={() => onChange(EMPTY_FILTERS)}
+            disabled={!active}
+            style={{
+              width: '100%',
+              marginTop: '16px',
+              padding: '8px 14px',
+              fontSize: '13px',
+              fontWeight: '600',
+              cursor: active ? 'pointer' : 'default',
+              background: active ? 'linear-gradient(135deg, #ff9800 0%, #f57c00 100%)' : '#e0e0e0',
+              color: active ? 'white' : 'var(--raft-muted)',
+              border: 'none',
+              borderRadius: '6px',
+            }}
+          >
+            Clear All Filters
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FilterMenu;
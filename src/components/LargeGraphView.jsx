@@ -0,0 +1,187 @@
+import React, { forwardRef, useEffect, useImperativeHandle, useRef, useState } from 'react';
+import ForceGraph2D from 'react-force-graph-2d';
+import { CHANGE_KINDS } from '../graph/compare.js';
+
+// Below this many pixels across an actor is drawn as a plain square, and its
+// label only once its text would be this many pixels tall
+const SYMBOL_MIN_PX = 10;
+const LABEL_MIN_PX = 9;
+const LABEL_SIZE = 14;
+
+// Symbol images decoded once and shared by every actor that uses them
+const symbolImages = new Map();
+const symbolImage = (url) => {
+  if (!symbolImages.has(url)) {
+    const image = new Image();
+    image.src = url;
+    symbolImages.set(url, image);
+  }
+  return symbolImages.get(url);
+};
+
+const radiusOf = (item) => item.size || 30;
+
+/**
+ * LargeGraphView component
+ *
+ * Draws networks too large for vis-network on a canvas with
+ * react-force-graph-2d. Positions come precomputed (see graph/tasks.js), so
+ * no physics runs here; dragged actors stay where they are dropped. Level
+ * of detail keeps it smooth: actors off screen are skipped, zoomed-out
+ * actors become plain squares in their affiliation colour, and labels are
+ * only drawn when they can be read. Actors of a compared graph are outlined
+ * in the colour of their change, as on the vis-network canvas.
+ * Arrows are only drawn on the selected actor's links.
+ *
+ * Shows the items of the given DataViews that are not hidden, following
+ * their changes. `onSelect(id)` is called with the clicked actor, or null
+ * for the background, and `onMove()` when an actor is dropped. The ref
+ * offers `getPositions()`, `focus(id)` and `fit()` for the parts of
+ * NetworkGraph that would otherwise ask vis-network.
+ */
+const LargeGraphView = forwardRef(({ nodesView, edgesView, adjacency, selectedId, onSelect, onMove }, ref) => {
+  const container = useRef(null);
+  const graph = useRef(null);
+  // Graph objects by node id, kept between rebuilds so that positions and
+  // drags survive filtering
+  const objects = useRef(new Map());
+  const [size, setSize] = useState({ width: 0, height: 0 });
+  const [data, setData] = useState({ nodes: [], links: [] });
+
+  useEffect(() => {
+    const observer = new ResizeObserver(([entry]) => {
+      setSize({ width: entry.contentRect.width, height: entry.contentRect.height });
+    });
+    observer.observe(container.current);
+    return () => observer.disconnect();
+  }, []);
+
+  const fitted = useRef(false);
+
+  // Rebuild the graph data at most once a frame while the views change
+  useEffect(() => {
+    objects.current = new Map();
+    fitted.current = false;
+    let frame = null;
+    const rebuild = () => {
+      frame = null;
+      const nodes = nodesView.get({ filter: (node) => !node.hidden }).map((item) => {
+        const object = objects.current.get(item.id) || { id: item.id, x: item.x || 0, y: item.y || 0 };
+        object.item = item;
+        objects.current.set(item.id, object);
+        return object;
+      });
+      const shown = new Set(nodes.map((node) => node.id));
+      const links = edgesView.get({ filter: (edge) => !edge.hidden && shown.has(edge.from) && shown.has(edge.to) })
+        .map((item) => ({ id: item.id, source: item.from, target: item.to, item }));
+      setData({ nodes, links });
+    };
+    const schedule = () => {
+      if (frame === null) frame = requestAnimationFrame(rebuild);
+    };
+    rebuild();
+    nodesView.on('*', schedule);
+    edgesView.on('*', schedule);
+    return () => {
+      if (frame !== null) cancelAnimationFrame(frame);
+      nodesView.off('*', schedule);
+      edgesView.off('*', schedule);
+    };
+  }, [nodesView, edgesView]);
+
+  // Fit the whole network once it is first shown
+  useEffect(() => {
+    if (fitted.current || data.nodes.length === 0 || size.width === 0) return;
+    fitted.current = true;
+    setTimeout(() => graph.current && graph.current.zoomToFit(0, 40));
+  }, [data, size]);
+
+  useImperativeHandle(ref, () => ({
+    getPositions: () => Object.fromEntries([...objects.current.values()].map(({ id, x, y }) => [id, { x, y }])),
+    focus: (id) => {
+      const object = objects.current.get(id);
+      if (!object || !graph.current) return;
+      graph.current.centerAt(object.x, object.y, 600);
+      graph.current.zoom(1.2, 600);
+    },
+    fit: () => graph.current && graph.current.zoomToFit(600, 40),
+  }), []);
+
+  const neighbours = selectedId === null || selectedId === undefined ? new Set() : adjacency.neighbours(selectedId);
+  const touchesSelection = (link) => link.item.from === selectedId || link.item.to === selectedId;
+
+  const drawNode = (node, ctx, globalScale) => {
+    const { item } = node;
+    const radius = radiusOf(item);
+    // Actors off screen are not drawn at all
+    const { a: scale, e: left, f: top } = ctx.getTransform();
+    const screenX = node.x * scale + left;
+    const screenY = node.y * scale + top;
+    const margin = (radius + 4 * LABEL_SIZE) * scale;
+    if (screenX < -margin || screenY < -margin || screenX > ctx.canvas.width + margin || screenY > ctx.canvas.height + margin) return;
+    const selected = node.id === selectedId;
+    ctx.globalAlpha = item.opacity === undefined ? 1 : item.opacity;
+    if (radius * 2 * globalScale < SYMBOL_MIN_PX) {
+      ctx.fillStyle = item.color ? item.color.background : '#999999';
+      ctx.fillRect(node.x - radius, node.y - radius, radius * 2, radius * 2);
+    } else {
+      const image = symbolImage(selected ? item.image.selected : item.image.unselected);
+      if (image.complete) ctx.drawImage(image, node.x - radius, node.y - radius, radius * 2, radius * 2);
+    }
+    if (item.change && item.change !== 'unchanged') {
+      ctx.strokeStyle = CHANGE_KINDS[item.change].color;
+      ctx.lineWidth = 5 / globalScale;
+      ctx.setLineDash(item.change === 'removed' ? [8 / globalScale, 6 / globalScale] : []);
+      ctx.strokeRect(node.x - radius - 6 / globalScale, node.y - radius - 6 / globalScale, radius * 2 + 12 / globalScale, radius * 2 + 12 / globalScale);
+      ctx.setLineDash([]);
+    }
+    if (selected || neighbours.has(node.id)) {
+      ctx.strokeStyle = '#FFD700';
+      ctx.lineWidth = (selected ? 4 : 2) / globalScale;
+      ctx.strokeRect(node.x - radius, node.y - radius, radius * 2, radius * 2);
+    }
+    if (LABEL_SIZE * globalScale >= LABEL_MIN_PX && item.label) {
+      ctx.font = `${LABEL_SIZE}px Arial`;
+      ctx.textAlign = 'center';
+      ctx.textBaseline = 'top';
+      ctx.lineWidth = 3;
+      ctx.strokeStyle = '#000000';
+      ctx.fillStyle = '#ffffff';
+      ctx.strokeText(item.label, node.x, node.y + radius + 4);
+      ctx.fillText(item.label, node.x, node.y + radius + 4);
+    }
+    ctx.globalAlpha = 1;
+  };
+
+  const paintPointerArea = (node, color, ctx) => {
+    const radius = radiusOf(node.item);
+    ctx.fillStyle = color;
+    ctx.fillRect(node.x - radius, node.y - radius, radius * 2, radius * 2);
+  };
+
+  return (
+    <div ref={container} style={{ width: '100%', height: '100%' }}>
+      {size.width > 0 && (
+        <ForceGraph2D
+          ref={graph}
+          width={size.width}
+          height={size.height}
+          graphData={data}
+          cooldownTicks={0}
+          nodeLabel={(node) => node.item.title || ''}
+          nodeCanvasObject={drawNode}
+          nodePointerAreaPaint={paintPointerArea}
+          linkColor={(link) => (touchesSelection(link) ? '#FFD700' : (link.item.color && link.item.color.color) || '#848484')}
+          linkWidth={(link) => (touchesSelection(link) ? 3 : Math.min(link.item.width || 1, 3) / 2)}
+          linkLineDash={(link) => (link.item.dashes ? [8, 6] : null)}
+          linkDirectionalArrowLength={(link) => (touchesSelection(link) && link.item.direction !== 'undirected' ? 12 : 0)}
+          onNodeClick={(node) => onSelect(node.id)}
+          onBackgroundClick={() => onSelect(null)}
+          onNodeDragEnd={onMove}
+        />
+      )}
+    </div>
+  );
+});
+
+export default LargeGraphView;
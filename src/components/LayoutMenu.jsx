@@ -0,0 +1,158 @@
+import React, { useEffect, useState } from 'react';
+
+/**
+ * LayoutMenu component
+ *
+ * Header dropdown for arranging the graph with one of the layouts of
+ * graph/layout.js. The force layout takes a seed, so the same dataset and
+ * seed always give the same picture. Freezing stops the physics so that
+ * nothing moves until the layout is applied again; in the force layout an
+ * actor dragged to a new place stays pinned there until it is unpinned.
+ * `onApply(key, seed)` is called when a layout is applied.
+ */
+const LayoutMenu = ({ layouts, layoutKey, seed, frozen, pinnedCount, disabled, onApply, onFreeze, onUnpinAll }) => {
+  const [open, setOpen] = useState(false);
+  const [choice, setChoice] = useState(layoutKey);
+  const [seedText, setSeedText] = useState(String(seed));
+
+  // Follow changes made elsewhere, such as opening a workspace
+  useEffect(() => setChoice(layoutKey), [layoutKey]);
+  useEffect(() => setSeedText(String(seed)), [seed]);
+
+  const current = layouts.find((layout) => layout.key === layoutKey);
+  const chosen = layouts.find((layout) => layout.key === choice);
+  const seedValue = Number(seedText);
+  const seedValid = seedText.trim() !== '' && Number.isInteger(seedValue);
+
+  const sectionTitle = (text) => (
+    <div style={{ fontSize: '13px', fontWeight: '600', color: 'var(--raft-heading)', margin: '12px 0 6px 0' }}>{text}</div>
+  );
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={disabled}
+        title={disabled ? 'Switch off the map layout to choose another layout' : undefined}
+        style={{
+          padding: '12px 24px',
+          fontSize: '14px',
+          fontWeight: '600',
+          cursor: disabled ? 'default' : 'pointer',
+          background: 'linear-gradient(135deg, var(--raft-accent) 0%, var(--raft-accent-dark) 100%)',
+          color: 'var(--raft-on-accent)',
+          border: 'none',
+          borderRadius: '8px',
+          boxShadow: '0 3px 8px rgba(212, 175, 55, 0.4)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          opacity: disabled ? 0.6 : 1,
+        }}
+      >
+        <span style={{ fontSize: '16px' }}>{frozen ? '🧊' : '🕸️'}</span>
+        <span>Layout</span>
+        <span style={{ fontSize: '10px' }}>{open && !disabled ? '▼' : '▶'}</span>
+      </button>
+
+      {open && !disabled && (
+        <div style={{
+          position: 'absolute',
+          top: '60px',
+          right: '0',
+          backgroundColor: 'var(--raft-panel)',
+          border: '2px solid var(--raft-accent)',
+          borderRadius: '12px',
+          padding: '20px',
+          boxShadow: '0 8px 24px rgba(0, 0, 0, 0.25)',
+          zIndex: 1002,
+          width: '340px',
+        }}>
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
+            <h3 style={{ margin: 0, fontSize: '18px', color: 'var(--raft-heading)', fontWeight: '600' }}>
+              Layout
+            </h3>
+            <span style={{ fontSize: '12px', color: 'var(--raft-muted)' }}>
+              {current ? current.label : layoutKey}{layoutKey === 'force' ? ` · seed ${seed}` : ''}
+            </span>
+          </div>
+
+          {sectionTitle('Arrangement')}
+          <select
+            value={choice}
+            onChange={(e) => setChoice(e.target.value)}
+            style={{ width: '100%', padding: '6px', fontSize: '13px' }}
+          >
+            {layouts.map((layout) => <option key={layout.key} value={layout.key}>{layout.label}</option>)}
+          </select>
+          {chosen && (
+            <div style={{ fontSize: '12px', color: 'var(--raft-muted)', marginTop: '6px' }}>{chosen.description}</div>
+          )}
+
+          {choice === 'force' && (
+            <>
+              {sectionTitle('Seed')}
+              <div style={{ display: 'flex', gap: '8px' }}>
+                <input
+                  type="number"
+                  step="1"
+                  value={seedText}
+                  onChange={(e) => setSeedText(e.target.value)}
+                  style={{ flex: 1, padding: '6px', fontSize: '13px' }}
+                />
+                <button
+                  onClick={() => setSeedText(String(Math.floor(Math.random() * 10000)))}
+                  title="Pick a random seed"
+                  style={{ fontSize: '12px', padding: '4px 8px', cursor: 'pointer' }}
+                >
+                  🎲
+                </button>
+              </div>
+            </>
+          )}
+
+          <button
+            onClick={() => onApply(choice, seedValid ? seedValue : seed)}
+            disabled={choice === 'force' && !seedValid}
+            style={{
+              width: '100%',
+              marginTop: '14px',
+              padding: '10px',
+              fontSize: '14px',
+              fontWeight: '600',
+              cursor: 'pointer',
+              background: 'linear-gradient(135deg, var(--raft-primary) 0%, var(--raft-primary-dark) 100%)',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+            }}
+          >
+            Apply Layout
+          </button>
+
+          {sectionTitle('Movement')}
+          <label style={{ display: 'flex', alignItems: 'center', gap: '6px', fontSize: '12px', color: 'var(--raft-text)' }}>
+            <input type="checkbox" checked={frozen} onChange={(e) => onFreeze(e.target.checked)} />
+            Freeze layout
+          </label>
+          {layoutKey === 'force' && (
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '8px' }}>
+              <span style={{ fontSize: '12px', color: 'var(--raft-muted)' }}>
+                {pinnedCount > 0 ? `${pinnedCount} pinned ${pinnedCount === 1 ? 'actor' : 'actors'}` : 'Drag an actor to pin it'}
+              </span>
+              <button
+                onClick={onUnpinAll}
+                disabled={pinnedCount === 0}
+                style={{ fontSize: '12px', padding: '4px 8px', cursor: pinnedCount > 0 ? 'pointer' : 'default' }}
+              >
+                Unpin All
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LayoutMenu;
@@ -0,0 +1,91 @@
+import React from 'react';
+import { symbolDataUrl } from '../graph/symbology.js';
+
+// A short sample of a link as it is drawn on the canvas
+const LinkSample = ({ color = '#848484', width = 2, dashes = false, arrows = '' }) => (
+  <svg width="32" height="12" viewBox="0 0 32 12" style={{ flexShrink: 0 }}>
+    <line
+      x1={arrows.includes('from') ? 7 : 1}
+      y1="6"
+      x2={arrows.includes('to') ? 25 : 31}
+      y2="6"
+      stroke={color}
+      strokeWidth={width}
+      strokeDasharray={dashes ? dashes.join(',') : undefined}
+    />
+    {arrows.includes('to') && <polygon points="31,6 24,2 24,10" fill={color} />}
+    {arrows.includes('from') && <polygon points="1,6 8,2 8,10" fill={color} />}
+  </svg>
+);
+
+const linkRow = (key, sample, label) => (
+  <div key={key} style={{ display: 'flex', alignItems: 'center', gap: '8px', marginTop: '6px', fontSize: '12px', color: 'var(--raft-text)' }}>
+    {sample}
+    <span>{label}</span>
+  </div>
+);
+
+/**
+ * Legend component
+ *
+ * Lists the APP-6 symbols that actually occur in the loaded dataset, with
+ * the rendered symbol, its description and the number of actors using it,
+ * followed by how links are drawn: width by Strength, colour and dashes by
+ * Sentiment, and one- or two-way arrows. Only the encodings the dataset
+ * uses are explained.
+ */
+const Legend = ({ symbols, links }) => (
+  <div style={{
+    position: 'absolute',
+    bottom: '20px',
+    left: '20px',
+    backgroundColor: 'var(--raft-panel)',
+    border: '2px solid var(--raft-accent)',
+    borderRadius: '10px',
+    padding: '16px',
+    boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+    zIndex: 1000,
+    minWidth: '250px',
+    maxHeight: '40vh',
+    overflowY: 'auto',
+  }}>
+    <h4 style={{ margin: '0 0 12px 0', fontSize: '16px', color: 'var(--raft-heading)', fontWeight: '600', borderBottom: '2px solid var(--raft-accent)', paddingBottom: '8px' }}>
+      Legend
+    </h4>
+
+    {symbols.map((entry, index) => (
+      <div
+        key={entry.key}
+        style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: index < symbols.length - 1 ? '8px' : 0 }}
+      >
+        <img src={symbolDataUrl(entry.symbol, { size: 32 })} alt={entry.label} width="32" height="32" />
+        <div>
+          <div style={{ fontSize: '13px', fontWeight: '600', color: 'var(--raft-heading)' }}>
+            {entry.label}
+          </div>
+          <div style={{ fontSize: '11px', color: 'var(--raft-muted)' }}>
+            {entry.count} {entry.count === 1 ? 'actor' : 'actors'}
+          </div>
+        </div>
+      </div>
+    ))}
+
+    {links && (links.strength || links.sentiments.length > 0 || links.twoWay || links.reciprocal) && (
+      <div style={{ borderTop: '1px solid var(--raft-rule)', marginTop: '12px', paddingTop: '8px' }}>
+        <div style={{ fontSize: '13px', fontWeight: '600', color: 'var(--raft-heading)' }}>Relationships</div>
+        {links.strength && linkRow('strength', (
+          <span style={{ display: 'flex', flexDirection: 'column', gap: '2px' }}>
+            <LinkSample width={1} />
+            <LinkSample width={8} />
+          </span>
+        ), `Width: Strength ${links.strength.min} to ${links.strength.max}`)}
+        {links.sentiments.map((style) => linkRow(style.key, <LinkSample color={style.color} dashes={style.dashes} />, style.label))}
+        {linkRow('oneway', <LinkSample arrows="to" />, 'One-way link')}
+        {links.twoWay && linkRow('twoway', <LinkSample arrows="to, from" />, 'Mutual link, drawn once')}
+        {links.reciprocal && linkRow('reciprocal', <span style={{ width: '32px', textAlign: 'center' }}>⇄</span>, 'Curved pair: a different link each way')}
+      </div>
+    )}
+  </div>
+);
+
+export default Legend;
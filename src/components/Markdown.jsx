@@ -0,0 +1,78 @@
+import React from 'react';
+import { parseMarkdown } from '../graph/markdown.js';
+
+const HEADING_SIZES = { 1: '16px', 2: '15px', 3: '14px' };
+
+const renderInline = (nodes) => nodes.map((node, index) => {
+  switch (node.type) {
+    case 'break':
+      return <br key={index} />;
+    case 'code':
+      return (
+        <code key={index} style={{ fontFamily: 'monospace', fontSize: '0.95em', background: 'var(--raft-subtle)', padding: '0 3px', borderRadius: '3px' }}>
+          {node.text}
+        </code>
+      );
+    case 'strong':
+      return <strong key={index}>{renderInline(node.children)}</strong>;
+    case 'em':
+      return <em key={index}>{renderInline(node.children)}</em>;
+    case 'link':
+      return (
+        <a key={index} href={node.href} target="_blank" rel="noopener noreferrer" style={{ color: 'var(--raft-heading)' }}>
+          {renderInline(node.children)}
+        </a>
+      );
+    default:
+      return <React.Fragment key={index}>{node.text}</React.Fragment>;
+  }
+});
+
+const renderBlock = (block, index) => {
+  switch (block.type) {
+    case 'heading': {
+      const Tag = `h${Math.min(block.level + 3, 6)}`;
+      return (
+        <Tag key={index} style={{ margin: '10px 0 4px 0', fontSize: HEADING_SIZES[block.level] || '13px', color: 'var(--raft-heading)' }}>
+          {renderInline(block.children)}
+        </Tag>
+      );
+    }
+    case 'list': {
+      const List = block.ordered ? 'ol' : 'ul';
+      return (
+        <List key={index} start={block.ordered ? block.start : undefined} style={{ margin: '4px 0 8px 0', paddingLeft: '20px' }}>
+          {block.items.map((item, itemIndex) => <li key={itemIndex}>{renderInline(item)}</li>)}
+        </List>
+      );
+    }
+    case 'quote':
+      return (
+        <blockquote key={index} style={{ margin: '4px 0 8px 0', padding: '0 0 0 10px', borderLeft: '3px solid var(--raft-accent)', color: 'var(--raft-muted)' }}>
+          {block.children.map(renderBlock)}
+        </blockquote>
+      );
+    case 'rule':
+      return <hr key={index} style={{ border: 'none', borderTop: '1px solid var(--raft-rule)', margin: '8px 0' }} />;
+    default:
+      return <p key={index} style={{ margin: '0 0 8px 0' }}>{renderInline(block.children)}</p>;
+  }
+};
+
+/**
+ * Markdown component
+ *
+ * Renders Markdown text from a dataset (see graph/markdown.js) as React
+ * elements, so any HTML in the text is shown rather than run. With
+ * `inline`, text that is a single paragraph is rendered inside a span so
+ * that it can follow a label on the same line.
+ */
+const Markdown = ({ text, inline, style }) => {
+  const blocks = parseMarkdown(text);
+  if (inline && blocks.length <= 1 && (!blocks[0] || blocks[0].type === 'paragraph')) {
+    return <span style={style}>{blocks[0] ? renderInline(blocks[0].children) : null}</span>;
+  }
+  return <div style={style}>{blocks.map(renderBlock)}</div>;
+};
+
+export default Markdown;
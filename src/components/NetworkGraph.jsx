@@ -1,7 +1,271 @@
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useEffect, useMemo, useState, useRef } from 'react';
 import { Network } from 'vis-network';
-import { DataSet } from 'vis-data';
-import Papa from 'papaparse';
+import { DataSet, DataView } from 'vis-data';
+import 'vis-network/styles/vis-network.css';
+import Legend from './Legend.jsx';
+import EditableField from './EditableField.jsx';
+import AnalysisPanel from './AnalysisPanel.jsx';
+import PathPanel from './PathPanel.jsx';
+import TimelinePanel from './TimelinePanel.jsx';
+import ComparePanel from './ComparePanel.jsx';
+import SearchBox from './SearchBox.jsx';
+import FilterMenu from './FilterMenu.jsx';
+import ValidationReport from './ValidationReport.jsx';
+import ExportMenu from './ExportMenu.jsx';
+import WorkspaceMenu from './WorkspaceMenu.jsx';
+import ShareMenu from './ShareMenu.jsx';
+import LayoutMenu from './LayoutMenu.jsx';
+import LargeGraphView from './LargeGraphView.jsx';
+import NotesSection from './NotesSection.jsx';
+import Markdown from './Markdown.jsx';
+import { ACCEPTED_EXTENSIONS } from '../graph/importers/index.js';
+import {
+  parseDataset, validateDataset, buildGraph, buildNode, buildEdge, nodeConnections, describeNode,
+} from '../graph/model.js';
+import { AFFILIATIONS } from '../graph/affiliation.js';
+import { renderBriefing, renderGraph } from '../graph/render.js';
+import { markdownToText } from '../graph/markdown.js';
+import { downloadBlob, svgToPdf, svgToPng } from '../utils/exportImage.js';
+import { themeVariables } from '../utils/theme.js';
+import { getThemeName, setThemeName } from '../utils/preferences.js';
+import {
+  createWorkspace, listWorkspaces, loadWorkspace, saveWorkspace, deleteWorkspace,
+  getLastWorkspaceId, setLastWorkspaceId,
+} from '../utils/workspaces.js';
+import {
+  BUNDLED_DATASET, MAX_EMBEDDED_LENGTH, datasetIdentity, packDataset, readLinkState, unpackDataset, writeLinkState,
+} from '../utils/deepLink.js';
+import {
+  toNodeCSV, toEdgeListCSV, toNodeLinkJSON, toGraphML, toNotesCSV, toChangeReportCSV,
+} from '../graph/exporters.js';
+import {
+  createAnnotation, nodeTarget, edgeTarget, notesOnNode, notesOnEdge, countNotesByNode, formatNote,
+} from '../graph/annotations.js';
+import { createEditHistory } from '../graph/history.js';
+import { metricColor } from '../graph/metrics.js';
+import { convexHull, groupColor } from '../graph/communities.js';
+import { createAdjacency } from '../graph/adjacency.js';
+import { ANALYSIS_EDGE_FIELDS, analysisInput } from '../graph/tasks.js';
+import { EMPTY_FILTERS, createVisibility, filterChanges } from '../graph/filters.js';
+import { locate, mapPosition, mapBounds } from '../graph/geo.js';
+import { DEFAULT_SEED, LAYOUTS, computeLayout } from '../graph/layout.js';
+import { runLatestTask, runTask } from '../utils/graphWorker.js';
+import { dateFromName, parseDate, timelineDates, activeAt, edgeAt, mergeSnapshots } from '../graph/timeline.js';
+import { CHANGE_KINDS } from '../graph/compare.js';
+import { EDGE_LIST_COLUMNS, sentimentStyle, summarizeLinks } from '../graph/edgeList.js';
+import { describeSymbol, summarizeSymbols } from '../graph/symbology.js';
+
+// Rebuild a graph saved in a workspace, pinning each node at its saved
+// position so the layout comes back exactly as it was left
+const restoreGraph = ({ nodes, edges, positions }) => ({
+  rows: [],
+  nodes: nodes.map((node) => (positions[node.id] ? { ...node, ...positions[node.id], physics: false } : node)),
+  edges,
+});
+
+// Group nodes by detected community or by Category, as a Map of group key
+// to { label, color, members }, or null when nothing is grouped
+const buildGroups = (groupBy, nodes, communities, palette) => {
+  if (groupBy === 'community' && communities) {
+    return new Map(communities.communities.map(({ index, members }) => [
+      `community-${index}`,
+      { label: `Community ${index + 1}`, color: groupColor(index, palette), members },
+    ]));
+  }
+  if (groupBy === 'category') {
+    const categoryOf = (node) => node.category || 'Uncategorised';
+    const categories = [...new Set(nodes.map(categoryOf))].sort();
+    return new Map(categories.map((category, index) => [
+      `category-${category}`,
+      { label: category, color: groupColor(index, palette), members: nodes.filter((node) => categoryOf(node) === category).map((node) => node.id) },
+    ]));
+  }
+  return null;
+};
+
+// The Americas map drawn under the geographic layout, loaded on first use
+let mapImage = null;
+const drawMap = (ctx, network) => {
+  if (!mapImage) {
+    mapImage = new Image();
+    mapImage.onload = () => network.redraw();
+    mapImage.src = new URL('../data/Americas.svg', import.meta.url).href;
+  }
+  if (!mapImage.complete) return;
+  const { x, y, width, height } = mapBounds();
+  ctx.save();
+  ctx.globalAlpha = 0.6;
+  ctx.drawImage(mapImage, x, y, width, height);
+  ctx.restore();
+};
+
+// Move nodes to new positions over LAYOUT_MS, then call `done`
+const LAYOUT_MS = 800;
+const animateNodes = (network, targets, done) => {
+  const positions = network.getPositions([...targets.keys()]);
+  const start = performance.now();
+  const step = (now) => {
+    const t = Math.min(1, (now - start) / LAYOUT_MS);
+    const eased = t < 0.5 ? 2 * t * t : 1 - ((2 - 2 * t) ** 2) / 2;
+    targets.forEach((to, id) => {
+      const from = positions[id];
+      if (from) network.moveNode(id, from.x + (to.x - from.x) * eased, from.y + (to.y - from.y) * eased);
+    });
+    if (t < 1) {
+      requestAnimationFrame(step);
+    } else {
+      done();
+    }
+  };
+  requestAnimationFrame(step);
+};
+
+// Mark actors that have notes with a badge counting them at the top right
+// of the symbol. `shown(id)` says whether the actor is drawn; actors in a
+// collapsed cluster are left out.
+const drawNoteMarkers = (ctx, network, counts, shown) => {
+  counts.forEach((count, id) => {
+    if (!shown(id) || network.findNode(id).length !== 1) return;
+    const box = network.getBoundingBox(id);
+    if (!box) return;
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(box.right, box.top, 9, 0, 2 * Math.PI);
+    ctx.fillStyle = '#f9a825';
+    ctx.strokeStyle = '#ffffff';
+    ctx.lineWidth = 2;
+    ctx.fill();
+    ctx.stroke();
+    ctx.fillStyle = '#0f2537';
+    ctx.font = 'bold 11px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(count > 9 ? '9+' : String(count), box.right, box.top + 0.5);
+    ctx.restore();
+  });
+};
+
+// Outline the actors of a compared graph in the colour of their change,
+// dashed for removed ones. `shown(id)` is as for drawNoteMarkers.
+const drawChangeMarkers = (ctx, network, nodes, shown) => {
+  nodes.forEach(({ id, change }) => {
+    if (!shown(id) || network.findNode(id).length !== 1) return;
+    const box = network.getBoundingBox(id);
+    if (!box) return;
+    ctx.save();
+    ctx.strokeStyle = CHANGE_KINDS[change].color;
+    ctx.lineWidth = 5;
+    if (change === 'removed') ctx.setLineDash([8, 6]);
+    ctx.strokeRect(box.left - 6, box.top - 6, box.right - box.left + 12, box.bottom - box.top + 12);
+    ctx.restore();
+  });
+};
+
+const HULL_PADDING = 50;
+
+// Draw each group as a translucent hull behind its nodes. Nodes collapsed
+// into a cluster are left out.
+const drawHulls = (ctx, network, groups) => {
+  if (!groups) return;
+  groups.forEach(({ label, color, members }) => {
+    const visible = members.filter((id) => network.findNode(id).length === 1);
+    if (visible.length === 0) return;
+    const positions = network.getPositions(visible);
+    const hull = convexHull(visible.map((id) => positions[id]).filter(Boolean));
+    if (hull.length === 0) return;
+
+    ctx.save();
+    ctx.globalAlpha = 0.18;
+    ctx.fillStyle = color;
+    ctx.strokeStyle = color;
+    ctx.beginPath();
+    if (hull.length === 1) {
+      ctx.arc(hull[0].x, hull[0].y, HULL_PADDING, 0, 2 * Math.PI);
+      ctx.fill();
+    } else if (hull.length === 2) {
+      ctx.lineWidth = 2 * HULL_PADDING;
+      ctx.lineCap = 'round';
+      ctx.moveTo(hull[0].x, hull[0].y);
+      ctx.lineTo(hull[1].x, hull[1].y);
+      ctx.stroke();
+    } else {
+      // Push each corner away from the centre and round the outline off by
+      // curving through the midpoints of its sides
+      const cx = hull.reduce((acc, p) => acc + p.x, 0) / hull.length;
+      const cy = hull.reduce((acc, p) => acc + p.y, 0) / hull.length;
+      const padded = hull.map((p) => {
+        const length = Math.hypot(p.x - cx, p.y - cy) || 1;
+        return { x: p.x + ((p.x - cx) / length) * HULL_PADDING, y: p.y + ((p.y - cy) / length) * HULL_PADDING };
+      });
+      const mid = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+      const start = mid(padded[padded.length - 1], padded[0]);
+      ctx.moveTo(start.x, start.y);
+      padded.forEach((p, i) => {
+        const end = mid(p, padded[(i + 1) % padded.length]);
+        ctx.quadraticCurveTo(p.x, p.y, end.x, end.y);
+      });
+      ctx.closePath();
+      ctx.fill();
+    }
+
+    const top = hull.reduce((best, p) => (p.y < best.y ? p : best), hull[0]);
+    ctx.globalAlpha = 0.9;
+    ctx.fillStyle = color;
+    ctx.font = 'bold 16px Arial';
+    ctx.textAlign = 'center';
+    ctx.fillText(label, top.x, top.y - HULL_PADDING - 6);
+    ctx.restore();
+  });
+};
+
+// Read an uploaded file as { name, buffer }. Rejects when the browser
+// cannot read it, e.g. after it was moved or deleted.
+const readFile = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (e) => resolve({ name: file.name, buffer: e.target.result });
+  reader.onerror = () => reject(new Error(`${file.name} could not be read${reader.error ? ` (${reader.error.message})` : ''}.`));
+  reader.onabort = () => reject(new Error(`Reading ${file.name} was cancelled.`));
+  reader.readAsArrayBuffer(file);
+});
+
+// Header buttons that switch a mode or panel on and off
+const toggleButtonStyle = (active) => ({
+  padding: '12px 24px',
+  fontSize: '14px',
+  fontWeight: '600',
+  cursor: 'pointer',
+  background: active ? 'var(--raft-panel)' : 'linear-gradient(135deg, var(--raft-accent) 0%, var(--raft-accent-dark) 100%)',
+  color: active ? 'var(--raft-heading)' : 'var(--raft-on-accent)',
+  border: active ? '2px solid var(--raft-accent)' : 'none',
+  borderRadius: '8px',
+  boxShadow: '0 3px 8px rgba(212, 175, 55, 0.4)',
+  display: 'flex',
+  alignItems: 'center',
+  gap: '8px',
+});
+
+// DataSet sender id for updates that only change how the graph looks
+// (metric sizing, path highlighting) and are not edits
+const RESTYLE = 'restyle';
+
+// Networks with more actors than this are drawn by LargeGraphView instead
+// of vis-network, without editing, clustering, the map or layouts
+const LARGE_GRAPH_ACTORS = 1500;
+
+// Duration of the timeline's fade between dates
+const FADE_MS = 600;
+
+// Header buttons shown next to Edit while editing
+const editButtonStyle = {
+  padding: '12px 16px',
+  fontSize: '14px',
+  fontWeight: '600',
+  cursor: 'pointer',
+  background: 'rgba(255, 255, 255, 0.15)',
+  color: 'var(--raft-header-text)',
+  border: '1px solid rgba(212, 175, 55, 0.6)',
+  borderRadius: '8px',
+};
 
 /**
  * NetworkGraph component
@@ -10,183 +274,520 @@ import Papa from 'papaparse';
  * network graph, and renders it using vis-network. The graph nodes 
  * correspond to the actors listed in the CSV and the links represent 
  * their interactions. Relationship types and tensions are displayed 
- * in the side panels when nodes are clicked.
+ * in the side panels when nodes are clicked. `config` is the site
+ * configuration (see utils/config.js) with the branding and themes.
  */
-const NetworkGraph = () => {
+const NetworkGraph = ({ config }) => {
   const networkContainer = useRef(null);
   const networkInstance = useRef(null);
   const [nodesDataSet, setNodesDataSet] = useState(null);
   const [edgesDataSet, setEdgesDataSet] = useState(null);
+  // The links of each actor (see graph/adjacency.js)
+  const adjacency = useRef(createAdjacency());
+  // Large networks: whether the graph is drawn by LargeGraphView, the
+  // DataViews it shows and its handle for positions and focusing
+  const [largeGraph, setLargeGraph] = useState(false);
+  const [largeViews, setLargeViews] = useState(null);
+  const largeView = useRef(null);
   const [selectedNode, setSelectedNode] = useState(null);
   const [nodeEdges, setNodeEdges] = useState([]);
-  const [uploadedFile, setUploadedFile] = useState(null);
+  // The loaded dataset: { nodeFile, edgeFile, sheets, skipRows, saved, series,
+  // comparison }, where the files are { name, buffer, isDefault }, `sheets`
+  // is their imported form, `saved` is a ready-made graph and view
+  // (restored from a workspace or merged from a snapshot series or a
+  // comparison), `series` lists the snapshot files as { name, date } and
+  // `comparison` names the compared versions as { before, after }
+  const [dataset, setDataset] = useState(null);
+  // A dataset awaiting confirmation in the validation report
+  const [validation, setValidation] = useState(null);
   const [showUploadMenu, setShowUploadMenu] = useState(false);
   const [rawData, setRawData] = useState([]);
-
-  // Function to determine if a node is friendly or adversary
-  const getNodeType = (id) => {
-    const nodeId = parseInt(id, 10);
-    if ((nodeId >= 1 && nodeId <= 17) || nodeId === 33) {
-      return 'friendly';
-    } else if (nodeId >= 18 && nodeId <= 32) {
-      return 'adversary';
-    }
-    return 'neutral';
-  };
-
-  // Generate color based on node type and ID
-  const getNodeColor = (id) => {
-    const nodeId = parseInt(id, 10);
-    const type = getNodeType(id);
-    
-    if (type === 'friendly') {
-      // Different shades of blue (17 friendly nodes + node 33)
-      const friendlyIds = [...Array(17).keys()].map(i => i + 1).concat([33]);
-      const index = friendlyIds.indexOf(nodeId);
-      const hue = 210; // Blue hue
-      const lightness = 30 + (index * 3); // Vary lightness from 30% to 75%
-      return `hsl(${hue}, 70%, ${lightness}%)`;
-    } else if (type === 'adversary') {
-      // Different shades of red (15 adversary nodes)
-      const index = nodeId - 18;
-      const hue = 0; // Red hue
-      const lightness = 30 + (index * 3); // Vary lightness from 30% to 75%
-      return `hsl(${hue}, 70%, ${lightness}%)`;
-    }
-    return '#888888';
+  const [symbols, setSymbols] = useState([]);
+  const [linkStyles, setLinkStyles] = useState(null);
+  // Edit mode and the undo/redo history of the loaded graph. `revision`
+  // counts changes to the DataSets so the panels and Legend follow edits;
+  // `structure` only counts those the analysis reads, so renaming an actor
+  // or editing a Tension does not analyse the network again.
+  const [editMode, setEditMode] = useState(false);
+  const [revision, setRevision] = useState(0);
+  const [structure, setStructure] = useState(0);
+  const history = useRef(null);
+  // The open workspace ({ id, name }) and the list of saved ones. The latest
+  // state is mirrored in a ref for the autosave timer and network events.
+  const [workspace, setWorkspace] = useState(null);
+  const [workspaces, setWorkspaces] = useState([]);
+  const savedView = useRef(null);
+  const saveTimer = useRef(null);
+  const latest = useRef({});
+  // State from a shared link, waiting for its dataset to load, and the
+  // state last written to the URL
+  const pendingLink = useRef(null);
+  const writtenLink = useRef(null);
+  const linkTimer = useRef(null);
+  // Network analysis of the current graph, whether it weighs links by their
+  // Strength, and the metrics nodes are sized and coloured by ('none' for
+  // the default look)
+  const [showAnalysis, setShowAnalysis] = useState(false);
+  const [analysis, setAnalysis] = useState(null);
+  const [weighted, setWeighted] = useState(false);
+  const [sizeBy, setSizeBy] = useState('none');
+  const [colorBy, setColorBy] = useState('none');
+  // Detected communities, and how nodes are grouped into hulls and
+  // collapsible clusters ('none', 'community' or 'category')
+  const [communities, setCommunities] = useState(null);
+  const [groupBy, setGroupBy] = useState('none');
+  const groups = useRef(null);
+  // Path finder, and the path highlighted on the canvas
+  const [showPaths, setShowPaths] = useState(false);
+  const [highlightedPath, setHighlightedPath] = useState(null);
+  // Search and filters. The network draws DataViews of the DataSets that
+  // keep the actors and links passing the filters (see graph/filters.js).
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [visibleCount, setVisibleCount] = useState(0);
+  const visibility = useRef(null);
+  const nodesView = useRef(null);
+  const edgesView = useRef(null);
+  // Timeline: the date shown (null for everything) and the actors and links
+  // shown at the last step, from which the next step fades in and out
+  const [showTimeline, setShowTimeline] = useState(false);
+  const [timelineDate, setTimelineDate] = useState(null);
+  const shownAtDate = useRef(null);
+  // Change report of a compared dataset (see graph/compare.js)
+  const [showCompare, setShowCompare] = useState(false);
+  // Geographic layout, and the force layout to return to when it is left:
+  // { positions, physics } with each moved node's physics setting
+  const [geoLayout, setGeoLayout] = useState(false);
+  const forceLayout = useRef(null);
+  // Arrangement of the graph (see graph/layout.js) and the seed of the force
+  // layout. Physics only runs in the force layout and not while frozen;
+  // actors dragged in the force layout are pinned with physics: false.
+  const [layoutKey, setLayoutKey] = useState('force');
+  const [seed, setSeed] = useState(DEFAULT_SEED);
+  const [frozen, setFrozen] = useState(false);
+  const [pinnedCount, setPinnedCount] = useState(0);
+  // Analyst notes on actors and links (see graph/annotations.js)
+  const [annotations, setAnnotations] = useState([]);
+  // The theme in use, remembered per browser
+  const [themeKey, setThemeKey] = useState(() => {
+    const saved = getThemeName();
+    return saved && config.themes[saved] ? saved : config.theme;
+  });
+  const theme = config.themes[themeKey];
+  latest.current = {
+    workspace, dataset, nodesDataSet, edgesDataSet, filters, timelineDate, geoLayout, selectedNode, annotations,
+    layoutKey, seed, frozen,
   };
 
-  useEffect(() => {
-    // Function to load and parse CSV data
-    const loadCSVData = (csvContent) => {
-      const { data } = Papa.parse(csvContent, {
-        header: true,
-        skipEmptyLines: true,
-        dynamicTyping: false,
-      });
+  // Copies of the actors and links for the panels, taken again only after
+  // an edit: copying tens of thousands of links on every render would
+  // freeze large networks
+  const graphItems = useMemo(() => ({
+    nodes: nodesDataSet ? nodesDataSet.get() : [],
+    edges: edgesDataSet ? edgesDataSet.get() : [],
+  }), [nodesDataSet, edgesDataSet, revision]);
+  const filterOptions = useMemo(() => ({
+    categories: [...new Set(graphItems.nodes.map((node) => node.category || ''))].sort(),
+    affiliations: Object.keys(AFFILIATIONS).filter((key) => graphItems.nodes.some((node) => node.affiliation === key)),
+  }), [graphItems]);
+  const nodeNames = useMemo(() => new Map(graphItems.nodes.map((node) => [node.id, node.name])), [graphItems]);
 
-      setRawData(data);
-
-      // Build nodes for vis-network
-      const nodes = data.map((row) => {
-        const nodeId = row['Serial'];
-        return {
-          id: parseInt(nodeId, 10),
-          label: row['Actor'],
-          title: row['Actor'], // Tooltip
-          color: {
-            background: getNodeColor(nodeId),
-            border: '#000000',
-            highlight: {
-              background: getNodeColor(nodeId),
-              border: '#FFD700',
-            }
-          },
-          font: {
-            color: '#ffffff',
-            size: 14,
-            face: 'Arial',
-            strokeWidth: 3,
-            strokeColor: '#000000'
-          },
-          size: 25,
-          // Store original data
-          name: row['Actor'],
-          category: row['Category'],
-          description: row['ActorDescription'],
-          relevance: row['Relevance'],
-        };
-      });
+  // The selected actor's profile narrative, from its own links in the
+  // adjacency index
+  const nodeDescription = useMemo(() => (selectedNode && edgesDataSet
+    ? describeNode(selectedNode, {
+      edges: edgesDataSet.get(adjacency.current.edgeIds(selectedNode.id)), connections: nodeEdges, analysis, communities,
+    })
+    : ''), [selectedNode, nodeEdges, edgesDataSet, analysis, communities]);
 
-      // Construct edges
-      const edges = [];
-      data.forEach((row) => {
-        const sourceId = parseInt(row['Serial'], 10);
-        let interacts = row['InteractsWithSerials'];
-        if (interacts) {
-          interacts = interacts.replace(/–/g, '-');
-          interacts.split(';').forEach((item) => {
-            const trimmed = item.trim();
-            if (!trimmed) return;
-            if (trimmed.includes('-')) {
-              const [startStr, endStr] = trimmed.split('-').map((s) => s.trim());
-              const startNum = parseInt(startStr, 10);
-              const endNum = parseInt(endStr, 10);
-              if (!isNaN(startNum) && !isNaN(endNum)) {
-                for (let i = startNum; i <= endNum; i++) {
-                  edges.push({
-                    from: sourceId,
-                    to: i,
-                    arrows: 'to',
-                    title: `${row['RelationshipType']}\n${row['Tensions']}`,
-                    relationship: row['RelationshipType'],
-                    tension: row['Tensions'],
-                    color: { color: '#848484', highlight: '#FFD700' },
-                    width: 2,
-                  });
-                }
-              }
+  // Reopen the workspace that was open last, or start a new one. A shared
+  // link opens the workspace holding its dataset, or a new workspace for a
+  // dataset embedded in the link.
+  useEffect(() => {
+    const link = readLinkState();
+    pendingLink.current = link;
+    if (link && link.ignored.length > 0) {
+      alert(`Parts of this link could not be read and were ignored: ${link.ignored.join(', ')}.`);
+    }
+    listWorkspaces()
+      .catch((error) => {
+        console.warn(`Workspaces are unavailable: ${error.message}`);
+        return [];
+      })
+      .then((list) => {
+        setWorkspaces(list);
+        const last = list.find((item) => item.id === getLastWorkspaceId()) || list[0];
+        const openDefault = () => {
+          if (last) {
+            openWorkspace(last.id);
+          } else {
+            startWorkspace(createWorkspace('Workspace 1'));
+          }
+        };
+        if (!link || (!link.dataset && !link.data)) {
+          openDefault();
+        } else if (link.data) {
+          openEmbeddedDataset(link).catch((error) => {
+            alert(`Could not open the dataset in this link: ${error.message}`);
+            pendingLink.current = null;
+            openDefault();
+          });
+        } else {
+          findWorkspace(list, link.dataset, last).then((match) => {
+            if (match) {
+              openWorkspace(match.id);
+            } else if (link.dataset === BUNDLED_DATASET) {
+              startWorkspace(createWorkspace('Shared link'));
             } else {
-              const targetId = parseInt(trimmed, 10);
-              edges.push({
-                from: sourceId,
-                to: targetId,
-                arrows: 'to',
-                title: `${row['RelationshipType']}\n${row['Tensions']}`,
-                relationship: row['RelationshipType'],
-                tension: row['Tensions'],
-                color: { color: '#848484', highlight: '#FFD700' },
-                width: 2,
-              });
+              alert(`This link is for the dataset "${link.dataset.split('~')[0]}", which is not in any of your workspaces. Upload it, then open the link again, or ask for a link with the dataset embedded.`);
+              pendingLink.current = null;
+              openDefault();
             }
           });
         }
       });
+  }, []);
 
-      // Remove duplicate edges
-      const uniqueEdges = [];
-      const edgeSet = new Set();
-      edges.forEach((edge) => {
-        const key = `${edge.from}->${edge.to}`;
-        if (!edgeSet.has(key)) {
-          edgeSet.add(key);
-          uniqueEdges.push(edge);
-        }
+  // Step through the selection history with the browser's back and
+  // forward buttons
+  useEffect(() => {
+    if (!nodesDataSet) return;
+    const handlePopState = () => {
+      const link = readLinkState();
+      const network = networkInstance.current;
+      const { dataset: data } = latest.current;
+      if (!link || !(network || largeView.current) || !data || (link.dataset && link.dataset !== datasetIdentity(data))) return;
+      writtenLink.current = { dataset: datasetIdentity(data), node: link.node };
+      if (link.node !== null && nodesDataSet.get(link.node)) {
+        if (network && nodesView.current.get(link.node)) network.selectNodes([link.node]);
+        selectNode(link.node);
+      } else {
+        if (network) network.unselectAll();
+        setSelectedNode(null);
+        setNodeEdges([]);
+      }
+      if (link.view && network) network.moveTo({ ...link.view, animation: true });
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [nodesDataSet, edgesDataSet]);
+
+  // Keep the URL in step with the selection, filters and dataset
+  useEffect(() => {
+    scheduleLinkUpdate();
+  }, [selectedNode, filters, dataset]);
+
+  // Load the bundled dataset whenever a workspace has no dataset loaded
+  useEffect(() => {
+    if (dataset || !workspace) return;
+    const name = 'relationships1_fixed.csv';
+    fetch(new URL('../data/relationships1_fixed.csv', import.meta.url))
+      .then((response) => {
+        if (!response.ok) throw new Error(`${name} could not be downloaded (${response.status}).`);
+        return response.arrayBuffer();
+      })
+      .then((buffer) => {
+        const nodeFile = { name, buffer, isDefault: true };
+        return parseDataset(nodeFile, null).then((sheets) => {
+          setDataset({ nodeFile, edgeFile: null, sheets, skipRows: new Set() });
+        });
+      })
+      .catch((error) => alert(`Could not load the default dataset: ${error.message}`));
+  }, [dataset, workspace]);
+
+  // Build the graph from the loaded dataset in the background, or restore
+  // the one saved in the workspace with every node pinned where it was
+  // left. A new graph starts from the seeded force layout, so it settles
+  // the same way each time it is loaded.
+  useEffect(() => {
+    if (!dataset) return;
+    let cancelled = false;
+    const built = dataset.saved
+      ? Promise.resolve(restoreGraph(dataset.saved))
+      : runTask('build', { sheets: dataset.sheets, skipRows: dataset.skipRows, seed });
+    built.then(({ rows, nodes, edges }) => {
+      if (cancelled) return;
+      savedView.current = dataset.saved ? dataset.saved.view : null;
+      setRawData(rows);
+      setSymbols(summarizeSymbols(nodes));
+      setLinkStyles(summarizeLinks(edges));
+      const nodeSet = new DataSet(nodes);
+      const edgeSet = new DataSet(edges);
+      history.current = createEditHistory({ nodes: nodeSet, edges: edgeSet });
+      shownAtDate.current = null;
+      // The last network's analysis is dropped until this one's arrives
+      setAnalysis(null);
+      setCommunities(null);
+      setLargeGraph(nodes.length > LARGE_GRAPH_ACTORS);
+      setNodesDataSet(nodeSet);
+      setEdgesDataSet(edgeSet);
+    }).catch((error) => {
+      if (!cancelled) alert(`Could not build the network: ${error.message}`);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [dataset]);
+
+  // Keep the adjacency index in step with the links
+  useEffect(() => {
+    if (!edgesDataSet) return;
+    adjacency.current = createAdjacency(edgesDataSet.get());
+    const handleChange = (event, params) => {
+      if (event === 'remove' || event === 'update') params.oldData.forEach(adjacency.current.remove);
+      if (event === 'add' || event === 'update') edgesDataSet.get(params.items).forEach(adjacency.current.add);
+    };
+    edgesDataSet.on('*', handleChange);
+    return () => edgesDataSet.off('*', handleChange);
+  }, [edgesDataSet]);
+
+  // Track edits to the graph
+  useEffect(() => {
+    if (!nodesDataSet || !edgesDataSet) return;
+    const handleChange = (event, params, senderId) => {
+      if (senderId !== RESTYLE) setRevision((count) => count + 1);
+    };
+    const handleEdgeChange = (event, params, senderId) => {
+      handleChange(event, params, senderId);
+      if (senderId === RESTYLE) return;
+      const restructured = event !== 'update' || params.oldData.some((old) => {
+        const edge = edgesDataSet.get(old.id);
+        return !edge || ANALYSIS_EDGE_FIELDS.some((field) => edge[field] !== old[field]);
       });
+      if (restructured) setStructure((count) => count + 1);
+    };
+    const handleNodeChange = (event, params, senderId) => {
+      handleChange(event, params, senderId);
+      if (senderId !== RESTYLE && event !== 'update') setStructure((count) => count + 1);
+    };
+    nodesDataSet.on('*', handleNodeChange);
+    edgesDataSet.on('*', handleEdgeChange);
+    return () => {
+      nodesDataSet.off('*', handleNodeChange);
+      edgesDataSet.off('*', handleEdgeChange);
+    };
+  }, [nodesDataSet, edgesDataSet]);
 
-      setNodesDataSet(new DataSet(nodes));
-      setEdgesDataSet(new DataSet(uniqueEdges));
+  // Count the pinned actors for the layout menu
+  useEffect(() => {
+    if (!nodesDataSet) return;
+    const count = () => setPinnedCount(nodesDataSet.get({ filter: (node) => node.physics === false }).length);
+    count();
+    nodesDataSet.on('*', count);
+    return () => nodesDataSet.off('*', count);
+  }, [nodesDataSet]);
+
+  // Analyse the graph in the background whenever it is loaded or edited.
+  // The analysis has a worker of its own, where a newer run stops the one
+  // before, so a slow analysis of a large network never holds up loading.
+  useEffect(() => {
+    if (!nodesDataSet || !edgesDataSet) return;
+    let stale = false;
+    runLatestTask('analyze', { ...analysisInput(nodesDataSet.get(), edgesDataSet.get()), weighted })
+      .then((result) => {
+        if (stale) return;
+        setAnalysis(result.analysis);
+        setCommunities(result.communities);
+      })
+      .catch((error) => {
+        if (error.name !== 'AbortError') console.warn(`Could not analyse the network: ${error.message}`);
+      });
+    return () => {
+      stale = true;
     };
+  }, [nodesDataSet, edgesDataSet, structure, weighted]);
+
+  // Regroup when the grouping or the graph changes. Clusters are opened
+  // first when switching between groupings.
+  const previousGroupBy = useRef(groupBy);
+  useEffect(() => {
+    if (!nodesDataSet) return;
+    if (previousGroupBy.current !== groupBy) {
+      expandAllGroups();
+      previousGroupBy.current = groupBy;
+    }
+    groups.current = buildGroups(groupBy, nodesDataSet.get(), communities, config.nodePalette);
+    if (networkInstance.current) networkInstance.current.redraw();
+  }, [groupBy, communities]);
+
+  // Redraw the note markers when notes are added or removed
+  useEffect(() => {
+    if (networkInstance.current) networkInstance.current.redraw();
+  }, [annotations]);
 
-    if (uploadedFile) {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        loadCSVData(e.target.result);
+  // Size and colour nodes by the chosen metrics, scaled between the lowest
+  // and highest value in the network
+  useEffect(() => {
+    if (!analysis || !nodesDataSet) return;
+    const scaled = (key) => {
+      const values = [...analysis.metrics.values()].map((values) => values[key]);
+      const min = Math.min(...values);
+      const range = Math.max(...values) - min || 1;
+      return (id) => (analysis.metrics.get(id)[key] - min) / range;
+    };
+    const size = sizeBy === 'none' ? () => null : scaled(sizeBy);
+    const color = colorBy === 'none' ? () => null : scaled(colorBy);
+    nodesDataSet.update(nodesDataSet.getIds().filter((id) => analysis.metrics.has(id)).map((id) => {
+      const s = size(id);
+      const c = color(id);
+      return {
+        id,
+        size: s === null ? 30 : 18 + 42 * s,
+        shadow: c === null
+          ? { enabled: false }
+          : { enabled: true, color: metricColor(c), size: 28, x: 0, y: 0 },
       };
-      reader.readAsText(uploadedFile);
-    } else {
-      const csvUrl = new URL('../data/relationships1_fixed.csv', import.meta.url);
-      fetch(csvUrl)
-        .then((response) => response.text())
-        .then((csv) => {
-          loadCSVData(csv);
-        });
+    }), RESTYLE);
+  }, [analysis, sizeBy, colorBy]);
+
+  // Highlight the chosen path: its links in gold, everything off the path
+  // faded. Without a path every link gets its normal style back.
+  useEffect(() => {
+    if (!nodesDataSet || !edgesDataSet) return;
+    const pathNodes = new Set(highlightedPath ? highlightedPath.nodes : []);
+    const pathEdges = new Set(highlightedPath ? highlightedPath.edges.map((edge) => edge.id) : []);
+    nodesDataSet.update(nodesDataSet.getIds().map((id) => ({
+      id,
+      opacity: !highlightedPath || pathNodes.has(id) ? 1 : 0.25,
+    })), RESTYLE);
+    edgesDataSet.update(edgesDataSet.get().map((edge) => {
+      const normal = buildEdge(edge);
+      if (!highlightedPath) return { id: edge.id, color: normal.color, width: normal.width };
+      return pathEdges.has(edge.id)
+        ? { id: edge.id, color: { color: '#FFD700', highlight: '#FFD700' }, width: 5 }
+        : { id: edge.id, color: { color: 'rgba(132, 132, 132, 0.2)', highlight: '#FFD700' }, width: normal.width };
+    }), RESTYLE);
+  }, [highlightedPath, nodesDataSet, edgesDataSet]);
+
+  // Fade actors and links in and out as the timeline moves. Those that do
+  // not exist on the date stay in the network, hidden, so the layout does
+  // not shift and they come back where they were.
+  useEffect(() => {
+    if (!nodesDataSet || !edgesDataSet) return;
+    const nodes = nodesDataSet.get();
+    const edges = edgesDataSet.get();
+    const next = timelineDate
+      ? activeAt(nodes, edges, timelineDate)
+      : { nodeIds: new Set(nodes.map((node) => node.id)), edgeIds: new Set(edges.map((edge) => edge.id)) };
+    const previous = shownAtDate.current || next;
+    shownAtDate.current = next;
+    if (selectedNode) selectNode(selectedNode.id);
+
+    const changes = (items, before, after) => items
+      .filter((item) => before.has(item.id) !== after.has(item.id))
+      .map((item) => ({ id: item.id, show: after.has(item.id) }));
+    const nodeChanges = changes(nodes, previous.nodeIds, next.nodeIds);
+    const edgeChanges = changes(edges, previous.edgeIds, next.edgeIds);
+    if (nodeChanges.length === 0 && edgeChanges.length === 0) return;
+
+    const style = (t) => {
+      nodesDataSet.update(nodeChanges.map(({ id, show }) => ({
+        id,
+        hidden: !show && t === 1,
+        opacity: show ? t : 1 - t,
+      })), RESTYLE);
+      edgesDataSet.update(edgeChanges.map(({ id, show }) => ({
+        id,
+        hidden: !show && t === 1,
+        color: { ...edgesDataSet.get(id).color, opacity: show ? t : 1 - t },
+      })), RESTYLE);
+    };
+    const start = performance.now();
+    let frame = null;
+    const step = (now) => {
+      const t = Math.min(1, (now - start) / FADE_MS);
+      style(t);
+      frame = t < 1 ? requestAnimationFrame(step) : null;
+    };
+    frame = requestAnimationFrame(step);
+    return () => {
+      if (frame !== null) {
+        cancelAnimationFrame(frame);
+        style(1);
+      }
+    };
+  }, [timelineDate, nodesDataSet, edgesDataSet, revision]);
+
+  // Refresh the Legend and the open panels after an edit
+  useEffect(() => {
+    if (!nodesDataSet || revision === 0) return;
+    scheduleSave();
+    setSymbols(summarizeSymbols(nodesDataSet.get()));
+    setLinkStyles(summarizeLinks(edgesDataSet.get()));
+    if (selectedNode) {
+      selectNode(selectedNode.id);
+    }
+  }, [revision]);
+
+  // Show or hide the vis-network editing toolbar
+  useEffect(() => {
+    if (networkInstance.current) {
+      networkInstance.current.setOptions({ manipulation: { enabled: editMode } });
     }
-  }, [uploadedFile]);
+  }, [editMode]);
 
-  // Initialize vis-network when data is ready
+  // Ctrl+Z / Ctrl+Shift+Z / Ctrl+Y in edit mode, except while typing
+  useEffect(() => {
+    if (!editMode) return;
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+      if (['INPUT', 'TEXTAREA'].includes(event.target.tagName)) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        handleUndo();
+      } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+        event.preventDefault();
+        handleRedo();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [editMode]);
+
+  // Initialize vis-network, or the view for large networks, when data is
+  // ready
   useEffect(() => {
     if (!nodesDataSet || !edgesDataSet || !networkContainer.current) return;
 
+    // A shared link waiting for this dataset sets the view, filters and
+    // selection
+    const link = pendingLink.current;
+    const linked = link && (!link.dataset || link.dataset === datasetIdentity(latest.current.dataset));
+    const linkFilters = linked && link.filters ? { ...EMPTY_FILTERS, ...link.filters } : null;
+    if (linked) {
+      pendingLink.current = null;
+      if (link.view) savedView.current = link.view;
+      if (linkFilters) setFilters(linkFilters);
+    }
+
+    visibility.current = createVisibility(linkFilters || filters, nodesDataSet.get(), edgesDataSet.get());
+    nodesView.current = new DataView(nodesDataSet, { filter: (node) => visibility.current.nodeVisible(node) });
+    edgesView.current = new DataView(edgesDataSet, { filter: (edge) => visibility.current.edgeVisible(edge) });
+    const disposeViews = () => {
+      nodesView.current.dispose();
+      edgesView.current.dispose();
+      nodesView.current = null;
+      edgesView.current = null;
+    };
+
+    if (largeGraph) {
+      setLargeViews({ nodes: nodesView.current, edges: edgesView.current });
+      if (linked && link.node !== null && nodesDataSet.get(link.node)) selectNode(link.node);
+      return () => {
+        setLargeViews(null);
+        disposeViews();
+      };
+    }
+
     const data = {
-      nodes: nodesDataSet,
-      edges: edgesDataSet,
+      nodes: nodesView.current,
+      edges: edgesView.current,
     };
 
     const options = {
       nodes: {
-        shape: 'dot',
-        size: 25,
+        shape: 'image',
+        size: 30,
         font: {
           size: 14,
           color: '#ffffff',
@@ -205,7 +806,7 @@ const NetworkGraph = () => {
         }
       },
       physics: {
-        enabled: true,
+        enabled: layoutKey === 'force' && !frozen,
         barnesHut: {
           gravitationalConstant: -8000,
           centralGravity: 0.3,
@@ -217,7 +818,8 @@ const NetworkGraph = () => {
         stabilization: {
           enabled: true,
           iterations: 200,
-          updateInterval: 25
+          updateInterval: 25,
+          fit: !savedView.current,
         }
       },
       interaction: {
@@ -227,41 +829,113 @@ const NetworkGraph = () => {
         dragView: true,
         navigationButtons: true,
       },
+      // Edits go through the edit history instead of vis-network's own
+      // data handling, so every callback cancels the default action
+      manipulation: {
+        enabled: editMode,
+        initiallyActive: true,
+        addNode: (data, callback) => {
+          callback(null);
+          const name = prompt('Name of the new actor:');
+          if (!name || !name.trim()) return;
+          const id = (nodesDataSet.max('id') || { id: 0 }).id + 1;
+          const node = buildNode({ Serial: String(id), Actor: name.trim(), X: String(data.x), Y: String(data.y) });
+          history.current.record(`add ${node.name}`, [{ set: 'nodes', id, item: node }]);
+        },
+        addEdge: (data, callback) => {
+          callback(null);
+          if (data.from === data.to) return;
+          const touching = edgesDataSet.get(adjacency.current.edgeIds(data.from));
+          if (touching.some((edge) => edge.from === data.from && edge.to === data.to)) {
+            alert(`#${data.from} is already linked to #${data.to}.`);
+            return;
+          }
+          // A link back the other way is drawn apart from the existing one
+          const reverse = touching.find((edge) => edge.from === data.to && edge.to === data.from);
+          const id = `${data.from}->${data.to}`;
+          const edge = { id, ...buildEdge({ from: data.from, to: data.to, strength: null, sentiment: null, direction: 'directed', reciprocal: Boolean(reverse) }) };
+          history.current.record('add relationship', [
+            { set: 'edges', id, item: edge },
+            ...(reverse ? [{ set: 'edges', id: reverse.id, item: { id: reverse.id, ...buildEdge({ ...reverse, reciprocal: true }) } }] : []),
+          ]);
+        },
+        deleteNode: (data, callback) => {
+          callback(null);
+          history.current.record(data.nodes.length === 1 ? `delete ${nodesDataSet.get(data.nodes[0]).name}` : 'delete actors', [
+            ...data.edges.map((id) => ({ set: 'edges', id, item: null })),
+            ...data.nodes.map((id) => ({ set: 'nodes', id, item: null })),
+          ]);
+        },
+        deleteEdge: (data, callback) => {
+          callback(null);
+          history.current.record('delete relationship', data.edges.map((id) => ({ set: 'edges', id, item: null })));
+        },
+        editEdge: false,
+      },
     };
 
     // Create network
     const network = new Network(networkContainer.current, data, options);
     networkInstance.current = network;
 
+    // Return to the saved viewport, and save the workspace whenever the
+    // layout settles or the view is moved
+    const view = savedView.current;
+    if (view) {
+      network.moveTo(view);
+      network.once('stabilizationIterationsDone', () => network.moveTo(view));
+    }
+    ['stabilized', 'dragEnd', 'zoom'].forEach((event) => network.on(event, scheduleSave));
+    ['stabilized', 'dragEnd', 'zoom', 'animationFinished'].forEach((event) => network.on(event, scheduleLinkUpdate));
+    if (linked && link.node !== null && nodesDataSet.get(link.node)) {
+      if (nodesView.current.get(link.node)) network.selectNodes([link.node]);
+      selectNode(link.node);
+    }
+
+    // Pin actors dropped in the force layout where they were left
+    network.on('dragEnd', (params) => {
+      const { layoutKey: key, geoLayout: geographic, selectedNode: selected } = latest.current;
+      const dragged = params.nodes.filter((id) => nodesDataSet.get(id));
+      if (key !== 'force' || geographic || dragged.length === 0) return;
+      nodesDataSet.update(dragged.map((id) => ({ id, physics: false })), RESTYLE);
+      if (selected && dragged.includes(selected.id)) selectNode(selected.id);
+    });
+
+    network.on('beforeDrawing', (ctx) => {
+      if (latest.current.geoLayout) drawMap(ctx, network);
+      drawHulls(ctx, network, groups.current);
+    });
+    const shown = (id) => {
+      const node = nodesView.current && nodesView.current.get(id);
+      return Boolean(node) && !node.hidden;
+    };
+    network.on('afterDrawing', (ctx) => {
+      if (latest.current.dataset && latest.current.dataset.comparison) {
+        drawChangeMarkers(ctx, network, nodesDataSet.get({
+          fields: ['id', 'change'],
+          filter: (node) => Boolean(node.change) && node.change !== 'unchanged',
+        }), shown);
+      }
+      drawNoteMarkers(ctx, network, countNotesByNode(latest.current.annotations), shown);
+    });
+
+    // Double-click collapses a node's group into a cluster, or expands a
+    // cluster again
+    network.on('doubleClick', (params) => {
+      if (params.nodes.length === 0) return;
+      const nodeId = params.nodes[0];
+      if (network.isCluster(nodeId)) {
+        network.openCluster(nodeId);
+      } else {
+        const key = groupKeyOf(nodeId);
+        if (key) collapseGroup(key);
+      }
+    });
+
     // Handle node click
     network.on('click', (params) => {
       if (params.nodes.length > 0) {
-        const nodeId = params.nodes[0];
-        const node = nodesDataSet.get(nodeId);
-        
-        // Find all edges connected to this node
-        const connectedEdges = edgesDataSet.get({
-          filter: (edge) => edge.from === nodeId || edge.to === nodeId
-        });
-        
-        // Format edge information
-        const edgeInfo = connectedEdges.map((edge) => {
-          const isSource = edge.from === nodeId;
-          const otherNodeId = isSource ? edge.to : edge.from;
-          const otherNode = nodesDataSet.get(otherNodeId);
-          
-          return {
-            direction: isSource ? 'to' : 'from',
-            otherNodeId: otherNodeId,
-            otherNodeName: otherNode.name,
-            otherNodeCategory: otherNode.category,
-            relationship: edge.relationship,
-            tension: edge.tension,
-          };
-        });
-        
-        setSelectedNode(node);
-        setNodeEdges(edgeInfo);
+        selectNode(params.nodes[0]);
       } else {
         // Clicked on background
         setSelectedNode(null);
@@ -275,11 +949,85 @@ const NetworkGraph = () => {
         networkInstance.current.destroy();
         networkInstance.current = null;
       }
+      disposeViews();
     };
   }, [nodesDataSet, edgesDataSet]);
 
-  const handleNodeClick = (node) => {
-    // This is now handled by vis-network click event
+  // Apply the filters, again after every edit. An ego network whose centre
+  // has been deleted falls back to the whole network.
+  useEffect(() => {
+    if (!nodesView.current || !edgesView.current) return;
+    if (filters.ego && !nodesDataSet.get(filters.ego.nodeId)) {
+      setFilters({ ...filters, ego: null });
+      return;
+    }
+    visibility.current = createVisibility(filters, nodesDataSet.get(), edgesDataSet.get());
+    nodesView.current.refresh();
+    edgesView.current.refresh();
+    setVisibleCount(visibility.current.visibleCount);
+  }, [filters, revision, nodesDataSet, edgesDataSet]);
+
+  const handleThemeChange = (key) => {
+    setThemeKey(key);
+    setThemeName(key);
+  };
+
+  const handleFiltersChange = (next) => {
+    setFilters(next);
+    scheduleSave();
+  };
+
+  // Add a note to an actor or link target, or delete one. Notes are not
+  // part of the edit history; they are saved with the workspace.
+  const handleAddNote = (target, note) => {
+    setAnnotations((current) => [...current, createAnnotation({ target, ...note })]);
+    scheduleSave();
+  };
+
+  const handleDeleteNote = (id) => {
+    setAnnotations((current) => current.filter((note) => note.id !== id));
+    scheduleSave();
+  };
+
+  // Show a node and its relationships in the side panels
+  const selectNode = (nodeId) => {
+    const node = nodesDataSet.get(nodeId);
+    if (!node) {
+      setSelectedNode(null);
+      setNodeEdges([]);
+      return;
+    }
+
+    // Find all edges connected to this node, as they were on the
+    // timeline's date
+    const { timelineDate: date } = latest.current;
+    const connectedEdges = edgesDataSet.get(adjacency.current.edgeIds(nodeId))
+      .map((link) => (date ? edgeAt(link, date) : link));
+    const neighbours = nodesDataSet.get(connectedEdges.map((edge) => (edge.from === nodeId ? edge.to : edge.from)));
+    const edgeInfo = nodeConnections(nodeId, neighbours, connectedEdges);
+
+    setSelectedNode(node);
+    setNodeEdges(edgeInfo);
+  };
+
+  // Edit a field of the selected actor, e.g. 'category' or 'description'
+  const updateNode = (field, label, value) => {
+    const node = nodesDataSet.get(selectedNode.id);
+    history.current.record(`edit ${label} of ${node.name}`, [{ set: 'nodes', id: node.id, item: { ...node, [field]: value } }]);
+  };
+
+  // Edit 'relationship' or 'tension' of a link, keeping its tooltip in step
+  const updateEdge = (edgeId, field, label, value) => {
+    const edge = edgesDataSet.get(edgeId);
+    history.current.record(`edit ${label}`, [{ set: 'edges', id: edgeId, item: { id: edgeId, ...buildEdge({ ...edge, [field]: value }) } }]);
+  };
+
+  const handleUndo = () => {
+    if (history.current) history.current.undo();
+  };
+
+  const handleRedo = () => {
+    if (history.current) history.current.redo();
   };
 
   const handleBackgroundClick = () => {
@@ -287,96 +1035,655 @@ const NetworkGraph = () => {
     setNodeEdges([]);
   };
 
-  // Generate enhanced actor description based on relationships
-  const generateEnhancedDescription = (node) => {
-    if (!node) return '';
-    
-    const outgoingEdges = nodeEdges.filter(e => e.direction === 'to');
-    const incomingEdges = nodeEdges.filter(e => e.direction === 'from');
-    
-    let enhanced = `${node.description || 'No description available.'}\n\n`;
-    
-    if (node.relevance) {
-      enhanced += `**Strategic Relevance:** ${node.relevance}\n\n`;
+  const toggleAnalysis = () => {
+    if (!showAnalysis) {
+      closeTimeline();
+      setShowCompare(false);
     }
-    
-    if (outgoingEdges.length > 0 || incomingEdges.length > 0) {
-      enhanced += `**Network Position:** `;
-      
-      if (outgoingEdges.length > 0 && incomingEdges.length > 0) {
-        enhanced += `${node.name} serves as a key intermediary node, actively engaging ${outgoingEdges.length} entities while being influenced by ${incomingEdges.length} actors. `;
-      } else if (outgoingEdges.length > 0) {
-        enhanced += `${node.name} projects influence toward ${outgoingEdges.length} entities. `;
-      } else {
-        enhanced += `${node.name} receives influence from ${incomingEdges.length} actors. `;
+    setShowAnalysis(!showAnalysis);
+  };
+
+  // The timeline opens on its first date, in place of the analysis panel
+  const toggleTimeline = () => {
+    if (showTimeline) {
+      closeTimeline();
+      return;
+    }
+    const dates = timelineDates(nodesDataSet.get(), edgesDataSet.get());
+    setTimelineDate(dates.length > 0 ? dates[0] : null);
+    setShowTimeline(true);
+    setShowAnalysis(false);
+    setShowCompare(false);
+  };
+
+  // The change report opens in place of the analysis panel and timeline
+  const toggleCompare = () => {
+    if (!showCompare) {
+      closeTimeline();
+      setShowAnalysis(false);
+    }
+    setShowCompare(!showCompare);
+  };
+
+  const closeTimeline = () => {
+    setShowTimeline(false);
+    setTimelineDate(null);
+  };
+
+  // Switch between the force layout and the map. Actors with a location
+  // glide to it and are pinned there while the others stay under physics;
+  // switching back returns them to where they were.
+  const toggleGeoLayout = () => {
+    const network = networkInstance.current;
+    if (!network) return;
+    const located = new Map();
+    nodesDataSet.get().forEach((node) => {
+      const position = mapPosition(locate(node));
+      if (position) located.set(node.id, { node, position });
+    });
+
+    if (!geoLayout) {
+      if (located.size === 0) {
+        alert('No actor has a Latitude and Longitude or a Country in the Americas to place it on the map.');
+        return;
       }
-      
-      // Categorize connections
-      const categories = {};
-      [...outgoingEdges, ...incomingEdges].forEach(edge => {
-        const cat = edge.otherNodeCategory || 'Other';
-        categories[cat] = (categories[cat] || 0) + 1;
+      forceLayout.current = {
+        positions: network.getPositions([...located.keys()]),
+        physics: new Map([...located.values()].map(({ node }) => [node.id, node.physics !== false])),
+      };
+      nodesDataSet.update([...located.keys()].map((id) => ({ id, physics: false })), RESTYLE);
+      // Actors hidden by the filters are placed too, for when they reappear
+      animateNodes(network, new Map([...located].map(([id, { position }]) => [id, position])), () => {
+        nodesDataSet.update([...located].map(([id, { position }]) => ({ id, ...position })), RESTYLE);
+        network.fit({ animation: true });
       });
-      
-      const catSummary = Object.entries(categories)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 3)
-        .map(([cat, count]) => `${count} ${cat}`)
-        .join(', ');
-      
-      if (catSummary) {
-        enhanced += `Primary connections include: ${catSummary}.`;
-      }
+    } else {
+      const saved = forceLayout.current;
+      const targets = new Map([...located.keys()]
+        .filter((id) => saved && saved.positions[id])
+        .map((id) => [id, saved.positions[id]]));
+      animateNodes(network, targets, () => {
+        nodesDataSet.update([...located.keys()].map((id) => ({
+          id,
+          ...targets.get(id),
+          physics: saved && saved.physics.has(id) ? saved.physics.get(id) : true,
+        })), RESTYLE);
+        network.fit({ animation: true });
+      });
+      forceLayout.current = null;
+    }
+    setGeoLayout(!geoLayout);
+    scheduleSave();
+  };
+
+  // Arrange every actor with one of the layouts of graph/layout.js. Saved
+  // X/Y positions and pins are let go; the actors glide to their places and
+  // physics resumes if the layout is the force layout and is not frozen.
+  const applyLayout = (key, nextSeed) => {
+    const network = networkInstance.current;
+    if (!network) return;
+    const nodes = nodesDataSet.get();
+    const positions = computeLayout(key, nodes.map(({ x, y, ...node }) => node), edgesDataSet.get(), { seed: nextSeed });
+    network.setOptions({ physics: { enabled: false } });
+    animateNodes(network, positions, () => {
+      nodesDataSet.update(nodes.map((node) => ({ id: node.id, ...positions.get(node.id), physics: true })), RESTYLE);
+      network.setOptions({ physics: { enabled: key === 'force' && !latest.current.frozen } });
+      network.fit({ animation: true });
+      if (latest.current.selectedNode) selectNode(latest.current.selectedNode.id);
+      scheduleSave();
+    });
+    setLayoutKey(key);
+    setSeed(nextSeed);
+  };
+
+  // Stop or restart the physics; nothing moves while the layout is frozen
+  const freezeLayout = (flag) => {
+    setFrozen(flag);
+    if (networkInstance.current) {
+      networkInstance.current.setOptions({ physics: { enabled: layoutKey === 'force' && !flag } });
     }
-    
-    return enhanced;
+    scheduleSave();
+  };
+
+  const unpinNodes = (ids) => {
+    nodesDataSet.update(ids.map((id) => ({ id, physics: true })), RESTYLE);
+    if (selectedNode && ids.includes(selectedNode.id)) selectNode(selectedNode.id);
+    scheduleSave();
+  };
+
+  const togglePaths = () => {
+    if (showPaths) setHighlightedPath(null);
+    setShowPaths(!showPaths);
+  };
+
+  const groupKeyOf = (nodeId) => {
+    if (!groups.current) return null;
+    const entry = [...groups.current.entries()].find(([, group]) => group.members.includes(nodeId));
+    return entry ? entry[0] : null;
+  };
+
+  // Collapse the visible members of a group into one cluster node
+  const collapseGroup = (key) => {
+    const network = networkInstance.current;
+    const group = groups.current && groups.current.get(key);
+    if (!network || !group) return;
+    const members = new Set(group.members.filter((id) => network.findNode(id).length === 1));
+    if (members.size < 2) return;
+    network.cluster({
+      joinCondition: (nodeOptions) => members.has(nodeOptions.id),
+      clusterNodeProperties: {
+        id: `cluster:${key}`,
+        label: `${group.label} (${members.size})`,
+        title: `${group.label}: ${members.size} actors. Double-click to expand.`,
+        shape: 'dot',
+        size: 20 + 6 * Math.sqrt(members.size),
+        color: { background: group.color, border: '#000000', highlight: { background: group.color, border: '#FFD700' } },
+        borderWidth: 2,
+      },
+    });
+  };
+
+  const collapseAllGroups = () => {
+    if (groups.current) [...groups.current.keys()].forEach(collapseGroup);
+  };
+
+  const expandAllGroups = () => {
+    const network = networkInstance.current;
+    if (!network || !groups.current) return;
+    [...groups.current.keys()].forEach((key) => {
+      if (network.isCluster(`cluster:${key}`)) network.openCluster(`cluster:${key}`);
+    });
+  };
+
+  // Select an actor from search or the analysis panel and bring it into
+  // view. Actors hidden by the filters are only shown in the side panels.
+  const focusNode = (nodeId) => {
+    if (networkInstance.current && nodesView.current.get(nodeId)) {
+      networkInstance.current.selectNodes([nodeId]);
+      networkInstance.current.focus(nodeId, { scale: 1.2, animation: true });
+    } else if (largeView.current) {
+      largeView.current.focus(nodeId);
+    }
+    selectNode(nodeId);
+  };
+
+  // Import and validate a candidate dataset. Clean datasets load straight
+  // away; anything with errors or warnings goes through the report first.
+  // Both steps run in the background.
+  const stageDataset = (nodeFile, edgeFile) => runTask('parse', { nodeFile, edgeFile })
+    .then(({ sheets, report }) => {
+      const candidate = { nodeFile, edgeFile, sheets, skipRows: report.skipRows };
+      if (report.issues.length > 0) {
+        setValidation({ dataset: candidate, report });
+      } else {
+        commitDataset(candidate);
+      }
+    })
+    .catch((error) => {
+      alert(`Could not import dataset: ${error.message}`);
+    });
+
+  // Notes imported with the dataset come along unless others are given
+  const commitDataset = (next, nextFilters = EMPTY_FILTERS, nextAnnotations = (next && next.sheets.annotations) || []) => {
+    setDataset(next);
+    setFilters(nextFilters);
+    setAnnotations(nextAnnotations);
+    setSelectedNode(null);
+    setNodeEdges([]);
+    setShowPaths(false);
+    setHighlightedPath(null);
+    closeTimeline();
+    setShowCompare(false);
+    setGeoLayout(false);
+    forceLayout.current = null;
+    setLayoutKey('force');
+    setFrozen(false);
   };
 
+  // The format is detected from the file's content and extension by the
+  // importers, so the browser-reported MIME type is not consulted
   const handleFileUpload = (event) => {
     const file = event.target.files[0];
-    if (file && file.type === 'text/csv') {
-      setUploadedFile(file);
-      setSelectedNode(null);
-      setNodeEdges([]);
-    } else {
-      alert('Please upload a valid CSV file');
+    if (file) {
+      readFile(file)
+        .then((nodeFile) => stageDataset(nodeFile, dataset.edgeFile))
+        .catch((error) => alert(`Could not import dataset: ${error.message}`));
+    }
+    event.target.value = '';
+  };
+
+  const handleEdgeListUpload = (event) => {
+    const file = event.target.files[0];
+    if (file) {
+      readFile(file)
+        .then((edgeFile) => stageDataset(dataset.nodeFile, edgeFile))
+        .catch((error) => alert(`Could not import dataset: ${error.message}`));
     }
+    event.target.value = '';
+  };
+
+  // Load several dated files as one network that changes over time. The
+  // date of each snapshot comes from its file name, or is asked for.
+  const handleSeriesUpload = (event) => {
+    const files = [...event.target.files];
+    event.target.value = '';
+    if (files.length === 0) return;
+    Promise.all(files.map((file) => readFile(file).then((snapshotFile) => parseDataset(snapshotFile, null)
+      .then((sheets) => ({ file: snapshotFile, sheets })))))
+      .then((imported) => {
+        const skipped = [];
+        const snapshots = imported.map(({ file, sheets }) => {
+          const date = dateFromName(file.name) || parseDate(prompt(`Date of the snapshot in ${file.name} (YYYY-MM-DD):`));
+          if (!date) throw new Error(`${file.name} has no date.`);
+          const report = validateDataset(sheets);
+          if (report.errorCount > 0) skipped.push(file.name);
+          return { date, file, sheets, ...buildGraph(sheets, report.skipRows) };
+        }).sort((a, b) => (a.date < b.date ? -1 : 1));
+        snapshots.forEach((snapshot, index) => {
+          if (index > 0 && snapshot.date === snapshots[index - 1].date) {
+            throw new Error(`${snapshots[index - 1].file.name} and ${snapshot.file.name} are both dated ${snapshot.date}.`);
+          }
+        });
+        if (skipped.length > 0) {
+          alert(`Rows with errors were skipped in ${skipped.join(', ')}. Upload a file on its own to see the report.`);
+        }
+        const last = snapshots[snapshots.length - 1];
+        commitDataset({
+          nodeFile: last.file,
+          edgeFile: null,
+          sheets: last.sheets,
+          skipRows: validateDataset(last.sheets).skipRows,
+          saved: { ...mergeSnapshots(snapshots), positions: {}, view: null },
+          series: snapshots.map(({ file, date }) => ({ name: file.name, date })),
+        });
+      })
+      .catch((error) => {
+        alert(`Could not load snapshot series: ${error.message}`);
+      });
+  };
+
+  // Compare the graph on screen, edits included, with a revised version of
+  // its main file, read with the same relationships file. The merged graph
+  // replaces it with every change colour-coded (see graph/compare.js);
+  // actors stay where they were and notes carry over.
+  const handleCompareUpload = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file || !nodesDataSet) return;
+    const network = networkInstance.current;
+    const positions = (network || largeView.current).getPositions();
+    const before = {
+      nodes: nodesDataSet.get().map(({ hidden, ...node }) => ({ ...node, ...positions[node.id] })),
+      edges: edgesDataSet.get(),
+    };
+    const beforeName = dataset.comparison ? dataset.comparison.after : dataset.nodeFile.name;
+    const view = network ? { scale: network.getScale(), position: network.getViewPosition() } : null;
+    readFile(file)
+      .then((nodeFile) => runTask('parse', { nodeFile, edgeFile: dataset.edgeFile })
+        .then(({ sheets, report }) => runTask('compare', { before, sheets, skipRows: report.skipRows, seed })
+          .then(({ rows, nodes, edges }) => {
+            if (rows.length === 0) {
+              throw new Error(report.errorCount > 0 ? report.issues.find((issue) => issue.severity === 'error').message : 'It has no actors.');
+            }
+            if (report.errorCount > 0) {
+              alert(`Rows with errors were skipped in ${file.name}. Upload it on its own to see the report.`);
+            }
+            commitDataset({
+              nodeFile,
+              edgeFile: dataset.edgeFile,
+              sheets,
+              skipRows: report.skipRows,
+              saved: { nodes, edges, positions: {}, view },
+              comparison: { before: beforeName, after: file.name },
+            }, EMPTY_FILTERS, annotations);
+            setShowAnalysis(false);
+            setShowCompare(true);
+            scheduleSave();
+          })))
+      .catch((error) => {
+        alert(`Could not compare with ${file.name}: ${error.message}`);
+      });
+  };
+
+  const handleCompareExport = (rows) => {
+    downloadCSV(toChangeReportCSV(rows), `raft-changes-${new Date().toISOString().slice(0, 10)}.csv`);
+  };
+
+  const handleLoadAnyway = () => {
+    commitDataset(validation.dataset);
+    setValidation(null);
   };
 
   const handleResetToDefault = () => {
-    setUploadedFile(null);
-    setSelectedNode(null);
-    setNodeEdges([]);
+    commitDataset(null);
+  };
+
+  // The open workspace as a record for the workspace store
+  const captureWorkspace = () => {
+    const {
+      workspace: current, dataset: data, nodesDataSet: nodes, edgesDataSet: edges, filters: currentFilters, geoLayout: geographic,
+      annotations: notes, layoutKey: key, seed: layoutSeed, frozen: still,
+    } = latest.current;
+    const network = networkInstance.current;
+    const large = largeView.current;
+    if (!current || !data || !nodes || !edges || !(network || large)) return null;
+    return {
+      id: current.id,
+      name: current.name,
+      nodeFile: data.nodeFile,
+      edgeFile: data.edgeFile,
+      nodes: nodes.get(),
+      edges: edges.get(),
+      positions: network ? network.getPositions() : large.getPositions(),
+      view: network ? { scale: network.getScale(), position: network.getViewPosition() } : null,
+      filters: currentFilters,
+      layout: geographic ? 'geographic' : key,
+      seed: layoutSeed,
+      frozen: still,
+      annotations: notes,
+      comparison: data.comparison || null,
+    };
+  };
+
+  const refreshWorkspaces = () => listWorkspaces().then(setWorkspaces);
+
+  const saveNow = () => {
+    clearTimeout(saveTimer.current);
+    saveTimer.current = null;
+    const record = captureWorkspace();
+    if (!record) return Promise.resolve();
+    return saveWorkspace(record)
+      .then(refreshWorkspaces)
+      .catch((error) => console.warn(`Could not save workspace: ${error.message}`));
+  };
+
+  // Save a second after the last change
+  const scheduleSave = () => {
+    clearTimeout(saveTimer.current);
+    saveTimer.current = setTimeout(saveNow, 1000);
+  };
+
+  // Switch to a new workspace that starts with the bundled dataset
+  const startWorkspace = (record) => {
+    setWorkspace(record);
+    setLastWorkspaceId(record.id);
+    commitDataset(null);
+  };
+
+  // Restore a stored workspace. Its files are imported again for the upload
+  // menu, but the graph itself comes back as it was saved.
+  const openWorkspace = (id) => loadWorkspace(id)
+    .then((record) => {
+      if (!record) throw new Error('The workspace no longer exists.');
+      const restored = record.nodes
+        ? runTask('parse', { nodeFile: record.nodeFile, edgeFile: record.edgeFile }).then(({ sheets, report }) => ({
+          nodeFile: record.nodeFile,
+          edgeFile: record.edgeFile,
+          sheets,
+          skipRows: report.skipRows,
+          saved: { nodes: record.nodes, edges: record.edges, positions: record.positions, view: record.view },
+          comparison: record.comparison || null,
+        }))
+        : Promise.resolve(null);
+      return restored.then((next) => {
+        setWorkspace({ id: record.id, name: record.name });
+        setLastWorkspaceId(record.id);
+        commitDataset(next, { ...EMPTY_FILTERS, ...record.filters }, record.annotations || []);
+        setGeoLayout(record.layout === 'geographic');
+        setLayoutKey(LAYOUTS.some((layout) => layout.key === record.layout) ? record.layout : 'force');
+        setSeed(Number.isInteger(record.seed) ? record.seed : DEFAULT_SEED);
+        setFrozen(Boolean(record.frozen));
+      });
+    })
+    .catch((error) => {
+      alert(`Could not open workspace: ${error.message}`);
+    });
+
+  // The stored workspace whose dataset has the given identity, trying the
+  // last one first. Workspaces without a saved graph hold the bundled one.
+  const findWorkspace = (list, identity, last) => {
+    const ordered = last ? [last, ...list.filter((item) => item.id !== last.id)] : list;
+    return Promise.all(ordered.map((item) => loadWorkspace(item.id).catch(() => null)))
+      .then((records) => records.find((record) => record
+        && (record.nodes ? datasetIdentity(record) : BUNDLED_DATASET) === identity) || null);
+  };
+
+  // Open the dataset embedded in a shared link in a new workspace
+  const openEmbeddedDataset = (link) => unpackDataset(link.data)
+    .then(({ nodeFile, edgeFile }) => parseDataset(nodeFile, edgeFile).then((sheets) => {
+      const record = createWorkspace(`Shared: ${nodeFile.name}`);
+      pendingLink.current = { ...link, dataset: datasetIdentity({ nodeFile, edgeFile }) };
+      setWorkspace(record);
+      setLastWorkspaceId(record.id);
+      commitDataset({ nodeFile, edgeFile, sheets, skipRows: validateDataset(sheets).skipRows });
+    }));
+
+  // The view as link state: dataset, selection, viewport and filters.
+  // Large networks have no vis-network viewport, so their links leave the
+  // zoom and pan out.
+  const currentLinkState = () => {
+    const { dataset: data, filters: current, selectedNode: node } = latest.current;
+    const network = networkInstance.current;
+    if (!data || !(network || largeView.current)) return null;
+    return {
+      dataset: datasetIdentity(data),
+      node: node ? node.id : null,
+      view: network ? { position: network.getViewPosition(), scale: network.getScale() } : null,
+      filters: filterChanges(current),
+    };
+  };
+
+  // Write the view to the URL. A new selection adds a browser history entry
+  // so back and forward step through selections; anything else replaces
+  // the current entry.
+  const updateLink = () => {
+    const state = pendingLink.current ? null : currentLinkState();
+    if (!state) return;
+    const hash = writeLinkState(state);
+    const previous = writtenLink.current;
+    writtenLink.current = { dataset: state.dataset, node: state.node };
+    if (hash === window.location.hash) return;
+    const select = previous && previous.dataset === state.dataset && previous.node !== state.node;
+    window.history[select ? 'pushState' : 'replaceState'](null, '', hash);
+  };
+
+  const scheduleLinkUpdate = () => {
+    clearTimeout(linkTimer.current);
+    linkTimer.current = setTimeout(updateLink, 300);
+  };
+
+  // A full link to the view for the Share menu, optionally with the
+  // dataset's files embedded
+  const handleCreateLink = (embed) => {
+    const state = currentLinkState();
+    if (!state) return Promise.reject(new Error('No dataset is loaded.'));
+    return (embed ? packDataset(dataset) : Promise.resolve(null)).then((data) => {
+      if (data && data.length > MAX_EMBEDDED_LENGTH) {
+        throw new Error(`The dataset is too large to embed (${Math.ceil(data.length / 1000)} KB compressed, the limit is ${MAX_EMBEDDED_LENGTH / 1000} KB). Send the file separately with a link without it.`);
+      }
+      const { origin, pathname, search } = window.location;
+      return `${origin}${pathname}${search}${writeLinkState({ ...state, data })}`;
+    });
+  };
+
+  const handleOpenWorkspace = (id) => {
+    saveNow().then(() => openWorkspace(id));
+  };
+
+  const handleNewWorkspace = () => {
+    const name = prompt('Name of the new workspace:', `Workspace ${workspaces.length + 1}`);
+    if (!name || !name.trim()) return;
+    saveNow().then(() => startWorkspace(createWorkspace(name.trim())));
+  };
+
+  const handleDuplicateWorkspace = () => {
+    const record = captureWorkspace();
+    if (!record) return;
+    const name = prompt('Name of the copy:', `${record.name} (copy)`);
+    if (!name || !name.trim()) return;
+    const copy = createWorkspace(name.trim());
+    saveNow()
+      .then(() => saveWorkspace({ ...record, ...copy }))
+      .then(() => {
+        setWorkspace(copy);
+        setLastWorkspaceId(copy.id);
+        return refreshWorkspaces();
+      })
+      .catch((error) => {
+        alert(`Could not duplicate workspace: ${error.message}`);
+      });
+  };
+
+  const handleDeleteWorkspace = () => {
+    if (!workspace || !window.confirm(`Delete the workspace "${workspace.name}"? This cannot be undone.`)) return;
+    clearTimeout(saveTimer.current);
+    setWorkspace(null);
+    deleteWorkspace(workspace.id)
+      .then(() => listWorkspaces())
+      .then((list) => {
+        setWorkspaces(list);
+        if (list.length > 0) {
+          openWorkspace(list[0].id);
+        } else {
+          startWorkspace(createWorkspace('Workspace 1'));
+        }
+      })
+      .catch((error) => {
+        alert(`Could not delete workspace: ${error.message}`);
+      });
+  };
+
+  const downloadCSV = (content, filename) => {
+    downloadBlob(new Blob([content], { type: 'text/csv' }), filename);
+  };
+
+  // Render the current view (positions, zoom and selection as shown) into a
+  // briefing page and save it in the requested format
+  const handleExport = (format, { classification, includePanels }) => {
+    const network = networkInstance.current;
+    const container = networkContainer.current;
+    if (largeGraph) {
+      alert('Images of networks this large are drawn with the command-line tool: raft render <data file> --out <file>.');
+      return Promise.resolve();
+    }
+    if (!network || !container) return Promise.resolve();
+
+    const width = container.clientWidth;
+    const graphHeight = container.clientHeight;
+    const scale = network.getScale();
+    const positions = network.getPositions();
+    const selectedNodeIds = new Set(network.getSelectedNodes());
+    const selectedEdgeIds = new Set(network.getSelectedEdges());
+
+    const nodes = nodesDataSet.get().filter((node) => positions[node.id]).map((node) => {
+      const point = network.canvasToDOM(positions[node.id]);
+      return {
+        id: node.id,
+        x: point.x,
+        y: point.y,
+        radius: (node.size || 30) * scale,
+        label: node.label,
+        symbol: node.symbol,
+        hidden: node.hidden,
+        selected: selectedNodeIds.has(node.id),
+      };
+    });
+    const edges = edgesView.current.get().map((edge) => ({ ...edge, selected: selectedEdgeIds.has(edge.id) }));
+
+    const panels = [];
+    if (includePanels && selectedNode) {
+      panels.push({
+        x: 20,
+        y: 20,
+        width: 450,
+        title: 'Actor Profile',
+        border: theme.accent,
+        blocks: [
+          { text: `#${selectedNode.id} - ${selectedNode.name}`, bold: true, size: 14 },
+          selectedNode.category && { text: `Category: ${selectedNode.category}`, color: theme.muted },
+          { text: `Symbol: ${describeSymbol(selectedNode.symbol)}`, color: theme.muted },
+          { text: markdownToText(nodeDescription), size: 13 },
+          ...notesOnNode(annotations, selectedNode.id).map((note) => ({ text: `Note: ${formatNote(note)}` })),
+        ].filter(Boolean),
+      });
+      panels.push({
+        x: width - 470,
+        y: 20,
+        width: 450,
+        title: 'Relationships & Tensions',
+        blocks: [
+          { text: `Connections: ${nodeEdges.length}`, bold: true, size: 14 },
+          ...nodeEdges.flatMap((edge) => [
+            { text: `${edge.mutual ? '↔' : edge.direction === 'to' ? '→' : '←'} #${edge.otherNodeId} - ${edge.otherNodeName}`, bold: true },
+            { text: `Relationship: ${edge.relationship || 'N/A'}\nTensions: ${markdownToText(edge.tension) || 'N/A'}` },
+            ...notesOnEdge(annotations, edge, edge.mutual).map((note) => ({ text: `Note: ${formatNote(note)}` })),
+          ]),
+        ],
+      });
+    }
+
+    const { svg, height } = renderBriefing({
+      width,
+      graphHeight,
+      title: config.title,
+      subtitle: config.subtitle,
+      classification,
+      graph: renderGraph({ nodes, edges, scale }),
+      symbols,
+      links: linkStyles,
+      panels,
+      colors: theme,
+    });
+
+    const basename = `raft-${new Date().toISOString().slice(0, 10)}`;
+    if (format === 'svg') {
+      downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${basename}.svg`);
+      return Promise.resolve();
+    }
+    if (format === 'pdf') {
+      return svgToPdf(svg, width, height).then((blob) => downloadBlob(blob, `${basename}.pdf`));
+    }
+    return svgToPng(svg, width, height).then((blob) => downloadBlob(blob, `${basename}.png`));
+  };
+
+  // Save the loaded network (not the view) in one of the import formats,
+  // with the current layout positions so a re-import looks the same
+  const handleDataExport = (format) => {
+    const nodes = nodesDataSet.get();
+    const edges = edgesDataSet.get();
+    const view = networkInstance.current || largeView.current;
+    const positions = view ? view.getPositions() : {};
+    const basename = `raft-${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'nodes') {
+      downloadCSV(toNodeCSV(nodes, edges, positions), `${basename}-nodes.csv`);
+    } else if (format === 'edges') {
+      downloadCSV(toEdgeListCSV(edges), `${basename}-edges.csv`);
+    } else if (format === 'notes') {
+      downloadCSV(toNotesCSV(annotations), `${basename}-notes.csv`);
+    } else if (format === 'json') {
+      downloadBlob(new Blob([toNodeLinkJSON(nodes, edges, positions, annotations)], { type: 'application/json' }), `${basename}.json`);
+    } else if (format === 'graphml') {
+      downloadBlob(new Blob([toGraphML(nodes, edges, positions)], { type: 'application/xml' }), `${basename}.graphml`);
+    }
   };
 
   const downloadTemplate = () => {
-    const templateContent = `Serial,Category,Actor,ActorDescription,InteractsWithSerials,RelationshipType,Tensions,Relevance
-1,Category1,Actor1,"Description of actor 1",2;3,"Type of relationship","Potential tensions","Why this actor matters"
-2,Category2,Actor2,"Description of actor 2",1;3,"Type of relationship","Potential tensions","Why this actor matters"
-3,Category3,Actor3,"Description of actor 3",1;2,"Type of relationship","Potential tensions","Why this actor matters"`;
-    
-    const blob = new Blob([templateContent], { type: 'text/csv' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'network_template.csv';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    window.URL.revokeObjectURL(url);
-  };
-
-  // Format markdown text to HTML
-  const formatMarkdown = (text) => {
-    if (!text) return '';
-    
-    // Convert **bold** to <strong>
-    let formatted = text.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-    
-    // Convert line breaks
-    formatted = formatted.replace(/\n/g, '<br/>');
-    
-    return formatted;
+    const templateContent = `Serial,Category,Actor,ActorDescription,InteractsWithSerials,RelationshipType,Tensions,Relevance,Affiliation
+1,Category1,Actor1,"Description of actor 1",2;3,"Type of relationship","Potential tensions","Why this actor matters",Friend
+2,Category2,Actor2,"Description of actor 2",1;3,"Type of relationship","Potential tensions","Why this actor matters",Hostile
+3,Category3,Actor3,"Description of actor 3",1;2,"Type of relationship","Potential tensions","Why this actor matters",Neutral`;
+
+    downloadCSV(templateContent, 'network_template.csv');
+  };
+
+  const downloadEdgeListTemplate = () => {
+    const templateContent = `${EDGE_LIST_COLUMNS.join(',')}
+1,2,"Relationship from actor 1 to actor 2","Tensions on this link",8,cooperative,directed
+2,3,"Relationship between actors 2 and 3","Tensions on this link",5,competitive,mutual
+Actor3,Actor1,"Endpoints may be serials or actor names","",2,-0.9,undirected`;
+
+    downloadCSV(templateContent, 'edge_list_template.csv');
   };
 
   return (
@@ -384,6 +1691,10 @@ const NetworkGraph = () => {
       position: 'relative', 
       width: '100%', 
       height: '100%',
+      overflow: 'hidden',
+      background: 'var(--raft-page)',
+      color: 'var(--raft-text)',
+      ...themeVariables(theme),
     }}>
       {/* Background map layer */}
       <div style={{
@@ -396,7 +1707,9 @@ const NetworkGraph = () => {
         backgroundSize: 'cover',
         backgroundPosition: 'center',
         backgroundRepeat: 'no-repeat',
-        opacity: 0.15,
+        // The geographic layout draws the map under the network instead
+        opacity: geoLayout ? 0 : 0.15,
+        transition: 'opacity 0.6s',
         pointerEvents: 'none',
         zIndex: 0,
       }} />
@@ -408,8 +1721,8 @@ const NetworkGraph = () => {
         left: '0',
         right: '0',
         height: '90px',
-        background: 'linear-gradient(135deg, #0f2537 0%, #1a4063 100%)',
-        borderBottom: '4px solid #d4af37',
+        background: 'linear-gradient(135deg, var(--raft-header-from) 0%, var(--raft-header-to) 100%)',
+        borderBottom: '4px solid var(--raft-accent)',
         boxShadow: '0 4px 12px rgba(0, 0, 0, 0.3)',
         zIndex: 1001,
         display: 'flex',
@@ -418,14 +1731,16 @@ const NetworkGraph = () => {
         padding: '0 32px',
       }}>
         <div style={{ display: 'flex', alignItems: 'center', gap: '24px' }}>
-          <img 
-            src={new URL('../data/whemcom.png', import.meta.url).href}
-            alt="WHEMCOM" 
-            style={{ height: '70px', filter: 'drop-shadow(0 2px 4px rgba(0, 0, 0, 0.3))' }}
-          />
+          {config.logo !== '' && (
+            <img 
+              src={config.logo || new URL('../data/whemcom.png', import.meta.url).href}
+              alt={config.logoAlt} 
+              style={{ height: '70px', filter: 'drop-shadow(0 2px 4px rgba(0, 0, 0, 0.3))' }}
+            />
+          )}
           <div style={{ 
-            borderLeft: '3px solid rgba(212, 175, 55, 0.5)', 
-            paddingLeft: '24px',
+            borderLeft: config.logo !== '' ? '3px solid var(--raft-accent)' : 'none', 
+            paddingLeft: config.logo !== '' ? '24px' : '0',
             height: '60px',
             display: 'flex',
             flexDirection: 'column',
@@ -434,151 +1749,360 @@ const NetworkGraph = () => {
             <h1 style={{ 
               margin: '0', 
               fontSize: '32px', 
-              color: '#ffffff', 
+              color: 'var(--raft-header-text)', 
               fontWeight: '700',
               letterSpacing: '1px',
               textShadow: '2px 2px 4px rgba(0, 0, 0, 0.4)'
             }}>
-              RAFT Visualization
+              {config.title}
             </h1>
             <p style={{ 
               margin: '6px 0 0 0', 
               fontSize: '14px', 
-              color: 'rgba(255, 255, 255, 0.85)',
+              color: 'var(--raft-header-text)',
+              opacity: 0.85,
               fontWeight: '400',
               letterSpacing: '0.5px'
             }}>
-              Relationship Analysis & Force Topology
+              {config.subtitle}
             </p>
           </div>
         </div>
         
-        {/* Upload CSV Dropdown */}
-        <div style={{ position: 'relative' }}>
-          <button
-            onClick={() => setShowUploadMenu(!showUploadMenu)}
-            style={{
-              padding: '12px 24px',
-              fontSize: '14px',
-              fontWeight: '600',
-              cursor: 'pointer',
-              background: 'linear-gradient(135deg, #d4af37 0%, #c4a137 100%)',
-              color: '#0f2537',
-              border: 'none',
-              borderRadius: '8px',
-              boxShadow: '0 3px 8px rgba(212, 175, 55, 0.4)',
-              transition: 'all 0.3s ease',
-              display: 'flex',
-              alignItems: 'center',
-              gap: '8px',
-            }}
-            onMouseEnter={(e) => {
-              e.target.style.transform = 'translateY(-2px)';
-              e.target.style.boxShadow = '0 5px 12px rgba(212, 175, 55, 0.6)';
-            }}
-            onMouseLeave={(e) => {
-              e.target.style.transform = 'translateY(0)';
-              e.target.style.boxShadow = '0 3px 8px rgba(212, 175, 55, 0.4)';
-            }}
-          >
-            <span style={{ fontSize: '16px' }}>📊</span>
-            <span>Upload Dataset</span>
-            <span style={{ fontSize: '10px' }}>{showUploadMenu ? '▼' : '▶'}</span>
-          </button>
-          
-          {showUploadMenu && (
-            <div style={{
-              position: 'absolute',
-              top: '60px',
-              right: '0',
-              backgroundColor: '#ffffff',
-              border: '2px solid #d4af37',
-              borderRadius: '12px',
-              padding: '20px',
-              boxShadow: '0 8px 24px rgba(0, 0, 0, 0.25)',
-              zIndex: 1002,
-              minWidth: '420px',
-            }}>
-              <div style={{ marginBottom: '16px' }}>
-                <h3 style={{ margin: '0 0 12px 0', fontSize: '18px', color: '#0f2537', fontWeight: '600' }}>
-                  Upload Custom Dataset
-                </h3>
-                <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: '#555', lineHeight: '1.5' }}>
-                  Upload a CSV file with the following columns:
-                </p>
-                <ul style={{ margin: '0 0 16px 0', paddingLeft: '20px', fontSize: '12px', color: '#444', lineHeight: '1.8' }}>
-                  <li><strong>Serial</strong> - Unique node ID (number)</li>
-                  <li><strong>Category</strong> - Node category/type</li>
-                  <li><strong>Actor</strong> - Node name/label</li>
-                  <li><strong>ActorDescription</strong> - Detailed description</li>
-                  <li><strong>InteractsWithSerials</strong> - Semicolon-separated IDs (e.g., "1;2;3" or "1;5;10")</li>
-                  <li><strong>RelationshipType</strong> - Type of relationship</li>
-                  <li><strong>Tensions</strong> - Relationship tensions/challenges</li>
-                  <li><strong>Relevance</strong> - Strategic relevance</li>
-                </ul>
-              </div>
-              
+        <div style={{ display: 'flex', alignItems: 'center', gap: '12px' }}>
+          {nodesDataSet && (
+            <SearchBox nodes={nodesView.current ? nodesView.current.get() : []} annotations={annotations} onSelect={focusNode} />
+          )}
+          {editMode && history.current && (
+            <>
               <button
-                onClick={downloadTemplate}
-                style={{
-                  width: '100%',
-                  padding: '10px 16px',
-                  marginBottom: '14px',
-                  fontSize: '14px',
-                  fontWeight: '600',
-                  cursor: 'pointer',
-                  background: 'linear-gradient(135deg, #2e7d32 0%, #1b5e20 100%)',
-                  color: 'white',
-                  border: 'none',
-                  borderRadius: '6px',
-                  boxShadow: '0 2px 6px rgba(46, 125, 50, 0.3)',
-                  transition: 'transform 0.2s',
-                }}
-                onMouseEnter={(e) => e.target.style.transform = 'translateY(-1px)'}
-                onMouseLeave={(e) => e.target.style.transform = 'translateY(0)'}
+                onClick={handleUndo}
+                disabled={!history.current.undoLabel()}
+                title={history.current.undoLabel() ? `Undo ${history.current.undoLabel()} (Ctrl+Z)` : 'Nothing to undo'}
+                style={{ ...editButtonStyle, opacity: history.current.undoLabel() ? 1 : 0.5 }}
               >
-                📥 Download CSV Template
+                ↶ Undo
               </button>
+              <button
+                onClick={handleRedo}
+                disabled={!history.current.redoLabel()}
+                title={history.current.redoLabel() ? `Redo ${history.current.redoLabel()} (Ctrl+Y)` : 'Nothing to redo'}
+                style={{ ...editButtonStyle, opacity: history.current.redoLabel() ? 1 : 0.5 }}
+              >
+                ↷ Redo
+              </button>
+            </>
+          )}
+          <button onClick={toggleAnalysis} style={toggleButtonStyle(showAnalysis)}>
+            <span style={{ fontSize: '16px' }}>📈</span>
+            <span>Analysis</span>
+          </button>
+          <button onClick={toggleTimeline} style={toggleButtonStyle(showTimeline)}>
+            <span style={{ fontSize: '16px' }}>🕒</span>
+            <span>Timeline</span>
+          </button>
+          {dataset && dataset.comparison && (
+            <button onClick={toggleCompare} style={toggleButtonStyle(showCompare)}>
+              <span style={{ fontSize: '16px' }}>⇄</span>
+              <span>Changes</span>
+            </button>
+          )}
+          {!largeGraph && (
+            <button onClick={toggleGeoLayout} style={toggleButtonStyle(geoLayout)}>
+              <span style={{ fontSize: '16px' }}>🌎</span>
+              <span>{geoLayout ? LAYOUTS.find((layout) => layout.key === layoutKey).label : 'Map'}</span>
+            </button>
+          )}
+          {!largeGraph && (
+            <LayoutMenu
+              layouts={LAYOUTS}
+              layoutKey={layoutKey}
+              seed={seed}
+              frozen={frozen}
+              pinnedCount={pinnedCount}
+              disabled={geoLayout || !nodesDataSet}
+              onApply={applyLayout}
+              onFreeze={freezeLayout}
+              onUnpinAll={() => unpinNodes(nodesDataSet.getIds({ filter: (node) => node.physics === false }))}
+            />
+          )}
+          <button onClick={togglePaths} style={toggleButtonStyle(showPaths)}>
+            <span style={{ fontSize: '16px' }}>🧭</span>
+            <span>Paths</span>
+          </button>
+          {nodesDataSet && (
+            <FilterMenu
+              filters={filters}
+              onChange={handleFiltersChange}
+              categories={filterOptions.categories}
+              affiliations={filterOptions.affiliations}
+              selectedNode={selectedNode}
+              visibleCount={visibleCount}
+              totalCount={nodesDataSet.length}
+            />
+          )}
+          <button onClick={() => setEditMode(!editMode)} style={toggleButtonStyle(editMode)}>
+            <span style={{ fontSize: '16px' }}>✏️</span>
+            <span>{editMode ? 'Done Editing' : 'Edit'}</span>
+          </button>
+
+          <WorkspaceMenu
+            workspace={workspace}
+            workspaces={workspaces}
+            onOpen={handleOpenWorkspace}
+            onNew={handleNewWorkspace}
+            onDuplicate={handleDuplicateWorkspace}
+            onDelete={handleDeleteWorkspace}
+          />
+          <ExportMenu
+            onExport={handleExport}
+            onExportData={handleDataExport}
+            hasSelection={Boolean(selectedNode)}
+            defaultClassification={config.classification}
+          />
+          <ShareMenu onCreateLink={handleCreateLink} canEmbed={Boolean(dataset && dataset.nodeFile && !dataset.nodeFile.isDefault && !dataset.series && !dataset.comparison)} />
+
+          <select
+            value={themeKey}
+            onChange={(e) => handleThemeChange(e.target.value)}
+            title="Theme"
+            style={{ ...editButtonStyle, padding: '11px 8px', colorScheme: 'dark' }}
+          >
+            {Object.entries(config.themes).map(([key, { label }]) => (
+              <option key={key} value={key}>◐ {label}</option>
+            ))}
+          </select>
+
+          {/* Upload CSV Dropdown */}
+          <div style={{ position: 'relative' }}>
+            <button
+              onClick={() => setShowUploadMenu(!showUploadMenu)}
+              style={{
+                padding: '12px 24px',
+                fontSize: '14px',
+                fontWeight: '600',
+                cursor: 'pointer',
+                background: 'linear-gradient(135deg, var(--raft-accent) 0%, var(--raft-accent-dark) 100%)',
+                color: 'var(--raft-on-accent)',
+                border: 'none',
+                borderRadius: '8px',
+                boxShadow: '0 3px 8px rgba(212, 175, 55, 0.4)',
+                transition: 'all 0.3s ease',
+                display: 'flex',
+                alignItems: 'center',
+                gap: '8px',
+              }}
+              onMouseEnter={(e) => {
+                e.target.style.transform = 'translateY(-2px)';
+                e.target.style.boxShadow = '0 5px 12px rgba(212, 175, 55, 0.6)';
+              }}
+              onMouseLeave={(e) => {
+                e.target.style.transform = 'translateY(0)';
+                e.target.style.boxShadow = '0 3px 8px rgba(212, 175, 55, 0.4)';
+              }}
+            >
+              <span style={{ fontSize: '16px' }}>📊</span>
+              <span>Upload Dataset</span>
+              <span style={{ fontSize: '10px' }}>{showUploadMenu ? '▼' : '▶'}</span>
+            </button>
+          
+            {showUploadMenu && (
+              <div style={{
+                position: 'absolute',
+                top: '60px',
+                right: '0',
+                backgroundColor: 'var(--raft-panel)',
+                border: '2px solid var(--raft-accent)',
+                borderRadius: '12px',
+                padding: '20px',
+                boxShadow: '0 8px 24px rgba(0, 0, 0, 0.25)',
+                zIndex: 1002,
+                minWidth: '420px',
+              }}>
+                <div style={{ marginBottom: '16px' }}>
+                  <h3 style={{ margin: '0 0 12px 0', fontSize: '18px', color: 'var(--raft-heading)', fontWeight: '600' }}>
+                    Upload Custom Dataset
+                  </h3>
+                  <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: 'var(--raft-muted)', lineHeight: '1.5' }}>
+                    Upload a CSV file, an Excel workbook (Nodes and Links sheets), node-link JSON or GraphML with the
+                    following columns or attributes:
+                  </p>
+                  <ul style={{ margin: '0 0 16px 0', paddingLeft: '20px', fontSize: '12px', color: 'var(--raft-muted)', lineHeight: '1.8' }}>
+                    <li><strong>Serial</strong> - Unique node ID (number)</li>
+                    <li><strong>Category</strong> - Node category/type</li>
+                    <li><strong>Actor</strong> - Node name/label</li>
+                    <li><strong>ActorDescription</strong> - Detailed description</li>
+                    <li><strong>InteractsWithSerials</strong> - Semicolon-separated IDs (e.g., "1;2;3" or "1;5;10")</li>
+                    <li><strong>RelationshipType</strong> - Type of relationship</li>
+                    <li><strong>Tensions</strong> - Relationship tensions/challenges</li>
+                    <li><strong>Relevance</strong> - Strategic relevance</li>
+                    <li><strong>Affiliation</strong> (optional) - Friend, Hostile, Neutral, Unknown, Pending, Assumed Friend, Suspect, Joker or Faker</li>
+                    <li><strong>SIDC</strong> (optional) - MIL-STD-2525C (15 characters) or 2525D/APP-6(D) (20 digits) symbol code</li>
+                    <li><strong>Dimension</strong>, <strong>Function</strong>, <strong>Echelon</strong> (optional) - Symbol fields, e.g. "Land", "Infantry", "Battalion"</li>
+                    <li><strong>ValidFrom</strong>, <strong>ValidTo</strong> (optional) - Period the actor existed, e.g. "2023-04" to "2024"</li>
+                    <li><strong>Latitude</strong>, <strong>Longitude</strong> or <strong>Country</strong> (optional) - Location for the map, e.g. "10.5", "-66.9" or "VEN"</li>
+                  </ul>
+                </div>
               
-              <input
-                type="file"
-                accept=".csv"
-                onChange={handleFileUpload}
-                style={{ marginBottom: '14px', fontSize: '13px', width: '100%', padding: '8px' }}
-              />
+                <button
+                  onClick={downloadTemplate}
+                  style={{
+                    width: '100%',
+                    padding: '10px 16px',
+                    marginBottom: '14px',
+                    fontSize: '14px',
+                    fontWeight: '600',
+                    cursor: 'pointer',
+                    background: 'linear-gradient(135deg, #2e7d32 0%, #1b5e20 100%)',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '6px',
+                    boxShadow: '0 2px 6px rgba(46, 125, 50, 0.3)',
+                    transition: 'transform 0.2s',
+                  }}
+                  onMouseEnter={(e) => e.target.style.transform = 'translateY(-1px)'}
+                  onMouseLeave={(e) => e.target.style.transform = 'translateY(0)'}
+                >
+                  📥 Download CSV Template
+                </button>
               
-              {uploadedFile && (
-                <div style={{ 
-                  padding: '12px', 
-                  background: 'linear-gradient(135deg, #e8f5e9 0%, #c8e6c9 100%)',
-                  border: '1px solid #81c784',
-                  borderRadius: '6px',
-                  marginBottom: '10px'
-                }}>
-                  <div style={{ fontSize: '13px', color: '#1b5e20', marginBottom: '10px', fontWeight: '500' }}>
-                    ✓ Current file: <strong>{uploadedFile.name}</strong>
-                  </div>
+                <input
+                  type="file"
+                  accept={ACCEPTED_EXTENSIONS}
+                  onChange={handleFileUpload}
+                  style={{ marginBottom: '14px', fontSize: '13px', width: '100%', padding: '8px' }}
+                />
+              
+                <div style={{ marginBottom: '14px', paddingTop: '14px', borderTop: '1px solid var(--raft-rule)' }}>
+                  <h4 style={{ margin: '0 0 8px 0', fontSize: '15px', color: 'var(--raft-heading)', fontWeight: '600' }}>
+                    Relationships (optional)
+                  </h4>
+                  <p style={{ margin: '0 0 8px 0', fontSize: '13px', color: 'var(--raft-muted)', lineHeight: '1.5' }}>
+                    An edge list with one row per link sets the details of each relationship. Upload it here alongside the
+                    dataset, or on its own above instead of a node sheet:
+                  </p>
+                  <ul style={{ margin: '0 0 12px 0', paddingLeft: '20px', fontSize: '12px', color: 'var(--raft-muted)', lineHeight: '1.8' }}>
+                    <li><strong>Source</strong>, <strong>Target</strong> - Serial or Actor name of each end</li>
+                    <li><strong>RelationshipType</strong>, <strong>Tensions</strong> - Details of this specific link</li>
+                    <li><strong>Strength</strong> (optional) - Numeric weight, drawn as the width of the link</li>
+                    <li><strong>Sentiment</strong> (optional) - cooperative, neutral, competitive or hostile, or -1 to +1</li>
+                    <li><strong>Direction</strong> (optional) - directed, reverse, mutual or undirected</li>
+                    <li><strong>ValidFrom</strong>, <strong>ValidTo</strong> (optional) - Period the link existed, e.g. "2023-04" to "2024"</li>
+                  </ul>
                   <button
-                    onClick={handleResetToDefault}
+                    onClick={downloadEdgeListTemplate}
                     style={{
                       width: '100%',
                       padding: '8px 14px',
+                      marginBottom: '10px',
                       fontSize: '13px',
                       fontWeight: '600',
                       cursor: 'pointer',
-                      background: 'linear-gradient(135deg, #ff9800 0%, #f57c00 100%)',
+                      background: 'linear-gradient(135deg, #2e7d32 0%, #1b5e20 100%)',
                       color: 'white',
                       border: 'none',
                       borderRadius: '6px',
-                      boxShadow: '0 2px 6px rgba(245, 124, 0, 0.3)',
+                      boxShadow: '0 2px 6px rgba(46, 125, 50, 0.3)',
                     }}
                   >
-                    Reset to Default Dataset
+                    📥 Download Edge List Template
                   </button>
+                  <input
+                    type="file"
+                    accept={ACCEPTED_EXTENSIONS}
+                    onChange={handleEdgeListUpload}
+                    style={{ fontSize: '13px', width: '100%', padding: '8px' }}
+                  />
                 </div>
-              )}
-            </div>
-          )}
+
+                <div style={{ marginBottom: '14px', paddingTop: '14px', borderTop: '1px solid var(--raft-rule)' }}>
+                  <h4 style={{ margin: '0 0 8px 0', fontSize: '15px', color: 'var(--raft-heading)', fontWeight: '600' }}>
+                    Snapshot Series (optional)
+                  </h4>
+                  <p style={{ margin: '0 0 8px 0', fontSize: '13px', color: 'var(--raft-muted)', lineHeight: '1.5' }}>
+                    Select several dated files of the same network to play them back on the Timeline. Each file's date is
+                    read from its name (e.g. "actors-2024-03.csv"); actors are matched by Serial.
+                  </p>
+                  <input
+                    type="file"
+                    multiple
+                    accept={ACCEPTED_EXTENSIONS}
+                    onChange={handleSeriesUpload}
+                    style={{ fontSize: '13px', width: '100%', padding: '8px' }}
+                  />
+                </div>
+
+                <div style={{ marginBottom: '14px', paddingTop: '14px', borderTop: '1px solid var(--raft-rule)' }}>
+                  <h4 style={{ margin: '0 0 8px 0', fontSize: '15px', color: 'var(--raft-heading)', fontWeight: '600' }}>
+                    Compare Versions (optional)
+                  </h4>
+                  <p style={{ margin: '0 0 8px 0', fontSize: '13px', color: 'var(--raft-muted)', lineHeight: '1.5' }}>
+                    Select a revised version of the current file to see what changed: added and removed actors and
+                    relationships, and changes to Category, Description, RelationshipType and Tensions. Actors are
+                    matched by Serial.
+                  </p>
+                  <input
+                    type="file"
+                    accept={ACCEPTED_EXTENSIONS}
+                    onChange={handleCompareUpload}
+                    disabled={!nodesDataSet}
+                    style={{ fontSize: '13px', width: '100%', padding: '8px' }}
+                  />
+                </div>
+
+                {dataset && (!dataset.nodeFile.isDefault || dataset.edgeFile) && (
+                  <div style={{ 
+                    padding: '12px', 
+                    background: 'linear-gradient(135deg, #e8f5e9 0%, #c8e6c9 100%)',
+                    border: '1px solid #81c784',
+                    borderRadius: '6px',
+                    marginBottom: '10px'
+                  }}>
+                    {dataset.series ? (
+                      <div style={{ fontSize: '13px', color: '#1b5e20', marginBottom: '10px', fontWeight: '500' }}>
+                        ✓ Snapshot series: <strong>{dataset.series.length} files</strong> ({dataset.series[0].date} to {dataset.series[dataset.series.length - 1].date})
+                      </div>
+                    ) : dataset.comparison ? (
+                      <div style={{ fontSize: '13px', color: '#1b5e20', marginBottom: '10px', fontWeight: '500' }}>
+                        ✓ Comparing: <strong>{dataset.comparison.before}</strong> with <strong>{dataset.comparison.after}</strong>
+                      </div>
+                    ) : !dataset.nodeFile.isDefault && (
+                      <div style={{ fontSize: '13px', color: '#1b5e20', marginBottom: '10px', fontWeight: '500' }}>
+                        ✓ Current file: <strong>{dataset.nodeFile.name}</strong>
+                      </div>
+                    )}
+                    {dataset.edgeFile && (
+                      <div style={{ fontSize: '13px', color: '#1b5e20', marginBottom: '10px', fontWeight: '500' }}>
+                        ✓ Edge list: <strong>{dataset.edgeFile.name}</strong>
+                      </div>
+                    )}
+                    {dataset.skipRows.size > 0 && (
+                      <div style={{ fontSize: '12px', color: '#e65100', marginBottom: '10px' }}>
+                        {dataset.skipRows.size} {dataset.skipRows.size === 1 ? 'row' : 'rows'} with errors skipped
+                      </div>
+                    )}
+                    <button
+                      onClick={handleResetToDefault}
+                      style={{
+                        width: '100%',
+                        padding: '8px 14px',
+                        fontSize: '13px',
+                        fontWeight: '600',
+                        cursor: 'pointer',
+                        background: 'linear-gradient(135deg, #ff9800 0%, #f57c00 100%)',
+                        color: 'white',
+                        border: 'none',
+                        borderRadius: '6px',
+                        boxShadow: '0 2px 6px rgba(245, 124, 0, 0.3)',
+                      }}
+                    >
+                      Reset to Default Dataset
+                    </button>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
         </div>
       </div>
 
@@ -594,6 +2118,26 @@ const NetworkGraph = () => {
           zIndex: 1,
         }}
       />
+      {largeViews && (
+        <div style={{ position: 'absolute', top: '90px', left: 0, right: 0, bottom: 0, zIndex: 1 }}>
+          <LargeGraphView
+            ref={largeView}
+            nodesView={largeViews.nodes}
+            edgesView={largeViews.edges}
+            adjacency={adjacency.current}
+            selectedId={selectedNode ? selectedNode.id : null}
+            onSelect={(nodeId) => {
+              if (nodeId !== null) {
+                selectNode(nodeId);
+              } else {
+                setSelectedNode(null);
+                setNodeEdges([]);
+              }
+            }}
+            onMove={scheduleSave}
+          />
+        </div>
+      )}
       
       {selectedNode && (
         <>
@@ -602,152 +2146,233 @@ const NetworkGraph = () => {
             position: 'absolute',
             top: '110px',
             left: '20px',
-            backgroundColor: 'white',
-            border: '2px solid #d4af37',
+            backgroundColor: 'var(--raft-panel)',
+            border: '2px solid var(--raft-accent)',
             borderRadius: '10px',
             padding: '18px',
             maxWidth: '450px',
-            maxHeight: 'calc(100vh - 130px)',
+            maxHeight: 'calc(var(--raft-viewport-height, 100vh) - 130px)',
             overflowY: 'auto',
             boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
             zIndex: 1000,
           }}>
-            <div style={{ marginBottom: '12px', borderBottom: '2px solid #1a3a5c', paddingBottom: '8px' }}>
-              <h3 style={{ margin: '0 0 4px 0', fontSize: '18px', color: '#1a3a5c' }}>
+            <div style={{ marginBottom: '12px', borderBottom: '2px solid var(--raft-heading)', paddingBottom: '8px' }}>
+              <h3 style={{ margin: '0 0 4px 0', fontSize: '18px', color: 'var(--raft-heading)' }}>
                 Actor Profile
               </h3>
-              <div style={{ fontSize: '14px', fontWeight: 'bold', color: '#333' }}>
+              <div style={{ fontSize: '14px', fontWeight: 'bold', color: 'var(--raft-text)' }}>
                 #{selectedNode.id} - {selectedNode.name}
               </div>
-              {selectedNode.category && (
-                <div style={{ fontSize: '12px', color: '#666', marginTop: '2px' }}>
+              {!editMode && selectedNode.category && (
+                <div style={{ fontSize: '12px', color: 'var(--raft-muted)', marginTop: '2px' }}>
                   Category: {selectedNode.category}
                 </div>
               )}
+              <div style={{ fontSize: '12px', color: 'var(--raft-muted)', marginTop: '2px' }}>
+                Symbol: {describeSymbol(selectedNode.symbol)}
+              </div>
+              {communities && communities.membership.has(selectedNode.id) && (
+                <div style={{ fontSize: '12px', color: 'var(--raft-muted)', marginTop: '2px', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  <span style={{ width: '10px', height: '10px', borderRadius: '50%', background: groupColor(communities.membership.get(selectedNode.id), config.nodePalette) }} />
+                  Community {communities.membership.get(selectedNode.id) + 1}
+                </div>
+              )}
+              {layoutKey === 'force' && !geoLayout && selectedNode.physics === false && (
+                <div style={{ fontSize: '12px', color: 'var(--raft-muted)', marginTop: '2px', display: 'flex', alignItems: 'center', gap: '6px' }}>
+                  📌 Pinned
+                  <button onClick={() => unpinNodes([selectedNode.id])} style={{ fontSize: '11px', padding: '1px 6px', cursor: 'pointer' }}>
+                    Unpin
+                  </button>
+                </div>
+              )}
             </div>
             
-            <div 
-              style={{ fontSize: '13px', lineHeight: '1.6' }}
-              dangerouslySetInnerHTML={{ __html: formatMarkdown(generateEnhancedDescription(selectedNode)) }}
-            />
+            {editMode ? (
+              <div>
+                <EditableField label="Category" value={selectedNode.category} onCommit={(value) => updateNode('category', 'category', value)} />
+                <EditableField label="Description" value={selectedNode.description} multiline onCommit={(value) => updateNode('description', 'description', value)} />
+                <EditableField label="Relevance" value={selectedNode.relevance} multiline onCommit={(value) => updateNode('relevance', 'relevance', value)} />
+              </div>
+            ) : (
+              <Markdown text={nodeDescription} style={{ fontSize: '13px', lineHeight: '1.6' }} />
+            )}
+
+            <div style={{ marginTop: '12px', borderTop: '1px solid var(--raft-rule)', paddingTop: '8px' }}>
+              <strong style={{ fontSize: '13px', color: 'var(--raft-heading)' }}>Notes</strong>
+              <NotesSection
+                key={selectedNode.id}
+                notes={notesOnNode(annotations, selectedNode.id)}
+                onAdd={(note) => handleAddNote(nodeTarget(selectedNode.id), note)}
+                onDelete={handleDeleteNote}
+              />
+            </div>
           </div>
 
           {/* Relationships Box */}
-          <div style={{
-            position: 'absolute',
-            top: '110px',
-            right: '20px',
-            backgroundColor: 'white',
-            border: '2px solid #333',
-            borderRadius: '10px',
-            padding: '16px',
-            width: '450px',
-            height: 'calc(100vh - 130px)',
-            overflowY: 'auto',
-            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
-            zIndex: 1000,
-          }}>
-            <div style={{ marginBottom: '12px', borderBottom: '2px solid #333', paddingBottom: '8px' }}>
-              <h3 style={{ margin: '0 0 4px 0', fontSize: '18px' }}>
-                Relationships & Tensions
-              </h3>
-              <button 
-                onClick={handleBackgroundClick}
-                style={{
-                  position: 'absolute',
-                  top: '16px',
-                  right: '16px',
-                  background: 'none',
-                  border: 'none',
-                  fontSize: '20px',
-                  cursor: 'pointer',
-                  padding: '0',
-                  width: '24px',
-                  height: '24px',
-                }}
-              >
-                ×
-              </button>
-            </div>
-            
-            <div style={{ fontSize: '14px' }}>
-              <strong>Connections: {nodeEdges.length}</strong>
-              <div style={{ marginTop: '12px' }}>
-                {nodeEdges.map((edge, index) => (
-                  <div 
-                    key={index} 
-                    style={{
-                      marginBottom: '12px',
-                      padding: '8px',
-                      backgroundColor: '#f5f5f5',
-                      borderRadius: '4px',
-                    }}
-                  >
-                    <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>
-                      {edge.direction === 'to' ? '→' : '←'} #{edge.otherNodeId} - {edge.otherNodeName}
-                    </div>
-                    {edge.otherNodeCategory && (
-                      <div style={{ fontSize: '11px', color: '#666', marginBottom: '4px' }}>
-                        {edge.otherNodeCategory}
+          {!showPaths && (
+            <div style={{
+              position: 'absolute',
+              top: '110px',
+              right: '20px',
+              backgroundColor: 'var(--raft-panel)',
+              border: '2px solid var(--raft-text)',
+              borderRadius: '10px',
+              padding: '16px',
+              width: '450px',
+              height: 'calc(var(--raft-viewport-height, 100vh) - 130px)',
+              overflowY: 'auto',
+              boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+              zIndex: 1000,
+            }}>
+              <div style={{ marginBottom: '12px', borderBottom: '2px solid var(--raft-text)', paddingBottom: '8px' }}>
+                <h3 style={{ margin: '0 0 4px 0', fontSize: '18px' }}>
+                  Relationships & Tensions
+                </h3>
+                <button 
+                  onClick={handleBackgroundClick}
+                  style={{
+                    position: 'absolute',
+                    top: '16px',
+                    right: '16px',
+                    background: 'none',
+                    border: 'none',
+                    fontSize: '20px',
+                    cursor: 'pointer',
+                    padding: '0',
+                    width: '24px',
+                    height: '24px',
+                  }}
+                >
+                  ×
+                </button>
+              </div>
+              
+              <div style={{ fontSize: '14px' }}>
+                <strong>Connections: {nodeEdges.length}</strong>
+                <div style={{ marginTop: '12px' }}>
+                  {nodeEdges.map((edge) => (
+                    <div 
+                      key={edge.id} 
+                      style={{
+                        marginBottom: '12px',
+                        padding: '8px',
+                        backgroundColor: 'var(--raft-subtle)',
+                        borderRadius: '4px',
+                      }}
+                    >
+                      <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>
+                        {edge.mutual ? '↔' : edge.direction === 'to' ? '→' : '←'} #{edge.otherNodeId} - {edge.otherNodeName}
                       </div>
-                    )}
-                    <div style={{ fontSize: '12px', marginTop: '4px' }}>
-                      <strong>Relationship:</strong> {edge.relationship || 'N/A'}
+                      {edge.otherNodeCategory && (
+                        <div style={{ fontSize: '11px', color: 'var(--raft-muted)', marginBottom: '4px' }}>
+                          {edge.otherNodeCategory}
+                        </div>
+                      )}
+                      {editMode ? (
+                        <>
+                          <EditableField label="Relationship" value={edge.relationship} onCommit={(value) => updateEdge(edge.id, 'relationship', 'relationship', value)} />
+                          <EditableField label="Tensions" value={edge.tension} multiline onCommit={(value) => updateEdge(edge.id, 'tension', 'tensions', value)} />
+                        </>
+                      ) : (
+                        <>
+                          <div style={{ fontSize: '12px', marginTop: '4px' }}>
+                            <strong>Relationship:</strong> {edge.relationship || 'N/A'}
+                          </div>
+                          <div style={{ fontSize: '12px', marginTop: '4px' }}>
+                            <strong>Tensions:</strong> <Markdown text={edge.tension || 'N/A'} inline />
+                          </div>
+                        </>
+                      )}
+                      {edge.strength !== null && edge.strength !== undefined && (
+                        <div style={{ fontSize: '12px', marginTop: '4px' }}>
+                          <strong>Strength:</strong> {edge.strength}
+                        </div>
+                      )}
+                      {edge.sentiment !== null && edge.sentiment !== undefined && (
+                        <div style={{ fontSize: '12px', marginTop: '4px' }}>
+                          <strong>Sentiment:</strong>{' '}
+                          <span style={{ color: sentimentStyle(edge.sentiment).color }}>
+                            {sentimentStyle(edge.sentiment).label} ({edge.sentiment > 0 ? '+' : ''}{edge.sentiment})
+                          </span>
+                        </div>
+                      )}
+                      <NotesSection
+                        notes={notesOnEdge(annotations, edge, edge.mutual)}
+                        onAdd={(note) => handleAddNote(edgeTarget(edge), note)}
+                        onDelete={handleDeleteNote}
+                      />
                     </div>
-                    <div style={{ fontSize: '12px', marginTop: '4px' }}>
-                      <strong>Tensions:</strong> {edge.tension || 'N/A'}
-                    </div>
-                  </div>
-                ))}
+                  ))}
+                </div>
               </div>
             </div>
-          </div>
+          )}
         </>
       )}
 
       {/* Legend */}
-      <div style={{
-        position: 'absolute',
-        bottom: '20px',
-        left: '20px',
-        backgroundColor: 'white',
-        border: '2px solid #d4af37',
-        borderRadius: '10px',
-        padding: '16px',
-        boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
-        zIndex: 1000,
-        minWidth: '250px',
-      }}>
-        <h4 style={{ margin: '0 0 12px 0', fontSize: '16px', color: '#0f2537', fontWeight: '600', borderBottom: '2px solid #d4af37', paddingBottom: '8px' }}>
-          Legend
-        </h4>
-        
-        {/* Friendly Entities */}
-        <div style={{ marginBottom: '12px' }}>
-          <div style={{ fontSize: '13px', fontWeight: '600', color: '#0f2537', marginBottom: '6px' }}>
-            Friendly Forces (Nodes 1-17, 33)
-          </div>
-          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', paddingLeft: '8px' }}>
-            <svg width="20" height="20" viewBox="-10 -10 20 20">
-              <circle cx="0" cy="0" r="8" fill="hsl(210, 70%, 50%)" stroke="#000" strokeWidth="2"/>
-            </svg>
-            <span style={{ fontSize: '11px', color: '#555' }}>Blue circles (varying shades)</span>
-          </div>
-        </div>
+      <Legend symbols={symbols} links={linkStyles} />
 
-        {/* Adversary Entities */}
-        <div>
-          <div style={{ fontSize: '13px', fontWeight: '600', color: '#0f2537', marginBottom: '6px' }}>
-            Hostile Forces (Nodes 18-32)
-          </div>
-          <div style={{ display: 'flex', alignItems: 'center', gap: '8px', paddingLeft: '8px' }}>
-            <svg width="20" height="20" viewBox="-10 -10 20 20">
-              <circle cx="0" cy="0" r="8" fill="hsl(0, 70%, 50%)" stroke="#000" strokeWidth="2"/>
-            </svg>
-            <span style={{ fontSize: '11px', color: '#555' }}>Red circles (varying shades)</span>
-          </div>
-        </div>
-      </div>
+      {showPaths && nodesDataSet && (
+        <PathPanel
+          nodes={graphItems.nodes}
+          edges={graphItems.edges}
+          selectedNode={selectedNode}
+          onHighlight={setHighlightedPath}
+          onClose={togglePaths}
+        />
+      )}
+
+      {showTimeline && nodesDataSet && (
+        <TimelinePanel
+          nodes={graphItems.nodes}
+          edges={graphItems.edges}
+          date={timelineDate}
+          onDate={setTimelineDate}
+          onClose={closeTimeline}
+        />
+      )}
+
+      {showCompare && nodesDataSet && (
+        <ComparePanel
+          nodes={graphItems.nodes}
+          edges={graphItems.edges}
+          comparison={dataset && dataset.comparison}
+          onSelect={focusNode}
+          onExport={handleCompareExport}
+          onClose={() => setShowCompare(false)}
+        />
+      )}
+
+      {showAnalysis && analysis && (
+        <AnalysisPanel
+          analysis={analysis}
+          nodeNames={nodeNames}
+          sizeBy={sizeBy}
+          colorBy={colorBy}
+          onSizeBy={setSizeBy}
+          onColorBy={setColorBy}
+          weighted={weighted}
+          canWeigh={Boolean(linkStyles && linkStyles.strength)}
+          onWeighted={setWeighted}
+          onSelect={focusNode}
+          communities={communities}
+          palette={config.nodePalette}
+          groupBy={groupBy}
+          onGroupBy={setGroupBy}
+          onCollapseAll={collapseAllGroups}
+          onExpandAll={expandAllGroups}
+          onClose={() => setShowAnalysis(false)}
+        />
+      )}
+
+      {validation && (
+        <ValidationReport
+          report={validation.report}
+          onLoadAnyway={handleLoadAnyway}
+          onCancel={() => setValidation(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,141 @@
+import React, { useState } from 'react';
+import { parseTags } from '../graph/annotations.js';
+import { getAuthorName, setAuthorName } from '../utils/preferences.js';
+
+const inputStyle = {
+  display: 'block',
+  width: '100%',
+  boxSizing: 'border-box',
+  marginTop: '2px',
+  padding: '6px',
+  fontSize: '12px',
+  fontFamily: 'inherit',
+  border: '1px solid var(--raft-rule)',
+  borderRadius: '4px',
+};
+
+const smallButton = (primary) => ({
+  padding: '4px 10px',
+  fontSize: '12px',
+  fontWeight: '600',
+  cursor: 'pointer',
+  background: primary ? 'var(--raft-primary)' : 'transparent',
+  color: primary ? 'white' : 'var(--raft-heading)',
+  border: '1px solid var(--raft-primary)',
+  borderRadius: '4px',
+});
+
+const formatCreated = (created) => {
+  const date = new Date(created);
+  return isNaN(date.getTime()) ? '' : date.toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+};
+
+/**
+ * NotesSection component
+ *
+ * The analyst notes on an actor or a link, oldest first, with a form to
+ * add one. `onAdd({ text, tags, author })` receives the new note and
+ * `onDelete(id)` removes one. The author's name is remembered in this
+ * browser for the next note.
+ */
+const NotesSection = ({ notes, onAdd, onDelete }) => {
+  const [adding, setAdding] = useState(false);
+  const [text, setText] = useState('');
+  const [tags, setTags] = useState('');
+  const [author, setAuthor] = useState(getAuthorName);
+
+  const handleSave = () => {
+    const parsed = parseTags(tags);
+    if (!text.trim() && parsed.length === 0) return;
+    setAuthorName(author.trim());
+    onAdd({ text, tags: parsed, author });
+    setText('');
+    setTags('');
+    setAdding(false);
+  };
+
+  return (
+    <div style={{ marginTop: '8px' }}>
+      {notes.map((note) => (
+        <div
+          key={note.id}
+          style={{
+            position: 'relative',
+            margin: '6px 0',
+            padding: '6px 24px 6px 8px',
+            fontSize: '12px',
+            background: 'var(--raft-highlight)',
+            borderLeft: '3px solid #f9a825',
+            borderRadius: '4px',
+          }}
+        >
+          {note.text && <div style={{ whiteSpace: 'pre-wrap', lineHeight: '1.5' }}>{note.text}</div>}
+          {note.tags.length > 0 && (
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px', marginTop: '4px' }}>
+              {note.tags.map((tag) => (
+                <span key={tag} style={{ padding: '1px 6px', fontSize: '11px', background: '#f0e0a8', borderRadius: '8px', color: '#5d4300' }}>
+                  #{tag}
+                </span>
+              ))}
+            </div>
+          )}
+          <div style={{ fontSize: '11px', color: 'var(--raft-muted)', marginTop: '4px' }}>
+            {[note.author, formatCreated(note.created)].filter(Boolean).join(' · ')}
+          </div>
+          <button
+            onClick={() => {
+              if (window.confirm('Delete this note?')) onDelete(note.id);
+            }}
+            title="Delete note"
+            style={{
+              position: 'absolute',
+              top: '4px',
+              right: '4px',
+              background: 'none',
+              border: 'none',
+              fontSize: '14px',
+              color: 'var(--raft-muted)',
+              cursor: 'pointer',
+              padding: '0 4px',
+            }}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+
+      {adding ? (
+        <div style={{ marginTop: '6px' }}>
+          <label style={{ display: 'block', fontSize: '12px', color: 'var(--raft-muted)' }}>
+            Note
+            <textarea
+              value={text}
+              rows={3}
+              autoFocus
+              onChange={(e) => setText(e.target.value)}
+              style={{ ...inputStyle, resize: 'vertical' }}
+            />
+          </label>
+          <label style={{ display: 'block', fontSize: '12px', color: 'var(--raft-muted)', marginTop: '6px' }}>
+            Tags (separated by commas)
+            <input type="text" value={tags} onChange={(e) => setTags(e.target.value)} style={inputStyle} />
+          </label>
+          <label style={{ display: 'block', fontSize: '12px', color: 'var(--raft-muted)', marginTop: '6px' }}>
+            Author
+            <input type="text" value={author} onChange={(e) => setAuthor(e.target.value)} style={inputStyle} />
+          </label>
+          <div style={{ display: 'flex', gap: '6px', marginTop: '8px' }}>
+            <button onClick={handleSave} style={smallButton(true)}>Add Note</button>
+            <button onClick={() => setAdding(false)} style={smallButton(false)}>Cancel</button>
+          </div>
+        </div>
+      ) : (
+        <button onClick={() => setAdding(true)} style={{ ...smallButton(false), marginTop: '4px' }}>
+          + Note
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default NotesSection;
@@ -0,0 +1,255 @@
+import React, { useMemo, useState } from 'react';
+import Markdown from './Markdown.jsx';
+import { AFFILIATIONS } from '../graph/affiliation.js';
+import { buildRoutes, shortestPaths, simplePaths, MAX_SIMPLE_PATHS } from '../graph/paths.js';
+
+/**
+ * PathPanel component
+ *
+ * Side panel for tracing how one actor reaches another: the shortest paths
+ * and all simple paths up to a number of hops, following link direction.
+ * Links can be restricted to relationship keywords and intermediate actors
+ * to chosen affiliations. The chosen path is passed to `onHighlight(path)`
+ * for highlighting on the canvas and its hops are listed with their
+ * RelationshipType and Tensions.
+ */
+const PathPanel = ({ nodes, edges, selectedNode, onHighlight, onClose }) => {
+  const [source, setSource] = useState('');
+  const [target, setTarget] = useState('');
+  const [maxHops, setMaxHops] = useState(4);
+  const [directed, setDirected] = useState(true);
+  const [keywords, setKeywords] = useState('');
+  const [excluded, setExcluded] = useState(new Set());
+  const [results, setResults] = useState(null);
+  const [chosen, setChosen] = useState(null);
+
+  const byId = useMemo(() => new Map(nodes.map((node) => [node.id, node])), [nodes]);
+  const sortedNodes = useMemo(() => [...nodes].sort((a, b) => String(a.name).localeCompare(String(b.name))), [nodes]);
+  const presentAffiliations = useMemo(
+    () => Object.keys(AFFILIATIONS).filter((key) => nodes.some((node) => node.affiliation === key)),
+    [nodes],
+  );
+  const name = (id) => (byId.has(id) ? byId.get(id).name : `#${id}`);
+
+  const choose = (path) => {
+    setChosen(path);
+    onHighlight(path);
+  };
+
+  const findPaths = () => {
+    const from = parseInt(source, 10);
+    const to = parseInt(target, 10);
+    if (isNaN(from) || isNaN(to) || from === to) {
+      alert('Choose two different actors.');
+      return;
+    }
+    const terms = keywords.split(',').map((term) => term.trim().toLowerCase()).filter(Boolean);
+    const allowEdge = (edge) => terms.length === 0
+      || terms.some((term) => String(edge.relationship || '').toLowerCase().includes(term));
+    const canPass = (id) => byId.has(id) && !excluded.has(byId.get(id).affiliation);
+
+    const routes = buildRoutes(nodes, edges, { directed, allowEdge });
+    const found = {
+      shortest: shortestPaths(routes, from, to, canPass),
+      simple: simplePaths(routes, from, to, maxHops, canPass),
+    };
+    setResults(found);
+    choose(found.shortest[0] || null);
+  };
+
+  const toggleAffiliation = (key) => {
+    const next = new Set(excluded);
+    if (next.has(key)) {
+      next.delete(key);
+    } else {
+      next.add(key);
+    }
+    setExcluded(next);
+  };
+
+  const actorSelect = (value, onChange) => (
+    <select value={value} onChange={(e) => onChange(e.target.value)} style={{ flex: 1, fontSize: '13px', padding: '4px', minWidth: 0 }}>
+      <option value="">Choose an actor…</option>
+      {sortedNodes.map((node) => (
+        <option key={node.id} value={node.id}>#{node.id} - {node.name}</option>
+      ))}
+    </select>
+  );
+
+  const selectedButton = (onChange) => (
+    <button
+      onClick={() => onChange(String(selectedNode.id))}
+      disabled={!selectedNode}
+      title={selectedNode ? `Use ${selectedNode.name}` : 'Select an actor on the graph first'}
+      style={{ fontSize: '12px', padding: '4px 8px', cursor: selectedNode ? 'pointer' : 'default' }}
+    >
+      Selected
+    </button>
+  );
+
+  const pathRow = (path, index) => (
+    <div
+      key={index}
+      onClick={() => choose(path)}
+      style={{
+        padding: '6px 8px',
+        marginBottom: '4px',
+        borderRadius: '4px',
+        cursor: 'pointer',
+        fontSize: '12px',
+        background: chosen === path ? 'var(--raft-highlight)' : '#f5f5f5',
+        border: chosen === path ? '1px solid var(--raft-accent)' : '1px solid transparent',
+      }}
+    >
+      <strong>{path.edges.length} {path.edges.length === 1 ? 'hop' : 'hops'}:</strong> {path.nodes.map(name).join(' → ')}
+    </div>
+  );
+
+  // Arrow for a hop as travelled: forward along the link, or both ways for
+  // mutual and undirected links
+  const hopArrow = (edge, from) => {
+    if (edge.direction === 'mutual' || edge.direction === 'undirected') return '↔';
+    return edge.from === from ? '→' : '←';
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '110px',
+      right: '20px',
+      backgroundColor: 'var(--raft-panel)',
+      border: '2px solid var(--raft-text)',
+      borderRadius: '10px',
+      padding: '16px',
+      width: '450px',
+      maxHeight: 'calc(var(--raft-viewport-height, 100vh) - 130px)',
+      boxSizing: 'border-box',
+      overflowY: 'auto',
+      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+      zIndex: 1000,
+      fontSize: '13px',
+    }}>
+      <div style={{ marginBottom: '12px', borderBottom: '2px solid var(--raft-text)', paddingBottom: '8px', display: 'flex', justifyContent: 'space-between' }}>
+        <h3 style={{ margin: 0, fontSize: '18px' }}>Path Finder</h3>
+        <button
+          onClick={onClose}
+          style={{ background: 'none', border: 'none', fontSize: '20px', cursor: 'pointer', padding: 0, width: '24px', height: '24px' }}
+        >
+          ×
+        </button>
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '6px' }}>
+        <strong style={{ width: '50px' }}>From</strong>
+        {actorSelect(source, setSource)}
+        {selectedButton(setSource)}
+      </div>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '6px', marginBottom: '10px' }}>
+        <strong style={{ width: '50px' }}>To</strong>
+        {actorSelect(target, setTarget)}
+        {selectedButton(setTarget)}
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '12px', marginBottom: '8px' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          Up to
+          <input
+            type="number"
+            min="1"
+            max="8"
+            value={maxHops}
+            onChange={(e) => setMaxHops(Math.max(1, Math.min(8, parseInt(e.target.value, 10) || 1)))}
+            style={{ width: '48px', padding: '4px' }}
+          />
+          hops
+        </label>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+          <input type="checkbox" checked={directed} onChange={(e) => setDirected(e.target.checked)} />
+          Follow link direction
+        </label>
+      </div>
+
+      <label style={{ display: 'block', marginBottom: '8px' }}>
+        Relationship keywords <span style={{ color: 'var(--raft-muted)' }}>(comma-separated, optional)</span>
+        <input
+          type="text"
+          value={keywords}
+          onChange={(e) => setKeywords(e.target.value)}
+          placeholder="e.g. security, trade"
+          style={{ display: 'block', width: '100%', boxSizing: 'border-box', padding: '6px', marginTop: '2px' }}
+        />
+      </label>
+
+      <div style={{ marginBottom: '12px' }}>
+        <div style={{ marginBottom: '4px' }}>Pass through affiliations</div>
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 12px' }}>
+          {presentAffiliations.map((key) => (
+            <label key={key} style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '12px' }}>
+              <input type="checkbox" checked={!excluded.has(key)} onChange={() => toggleAffiliation(key)} />
+              {AFFILIATIONS[key].label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <button
+        onClick={findPaths}
+        style={{
+          width: '100%',
+          padding: '10px 12px',
+          fontSize: '14px',
+          fontWeight: '600',
+          cursor: 'pointer',
+          background: 'linear-gradient(135deg, var(--raft-primary) 0%, var(--raft-primary-dark) 100%)',
+          color: 'white',
+          border: 'none',
+          borderRadius: '6px',
+          marginBottom: '12px',
+        }}
+      >
+        Find Paths
+      </button>
+
+      {results && (
+        <>
+          <div style={{ marginBottom: '10px' }}>
+            <strong>Shortest {results.shortest.length === 1 ? 'path' : 'paths'} ({results.shortest.length})</strong>
+            <div style={{ marginTop: '4px' }}>
+              {results.shortest.length === 0 ? <div style={{ color: 'var(--raft-muted)' }}>No path found.</div> : results.shortest.map(pathRow)}
+            </div>
+          </div>
+
+          <div style={{ marginBottom: '10px' }}>
+            <strong>
+              All paths up to {maxHops} hops ({results.simple.length}{results.simple.length >= MAX_SIMPLE_PATHS ? ', showing the shortest' : ''})
+            </strong>
+            <div style={{ marginTop: '4px', maxHeight: '180px', overflowY: 'auto' }}>
+              {results.simple.length === 0 ? <div style={{ color: 'var(--raft-muted)' }}>No path found.</div> : results.simple.map(pathRow)}
+            </div>
+          </div>
+        </>
+      )}
+
+      {chosen && (
+        <div style={{ borderTop: '1px solid var(--raft-rule)', paddingTop: '10px' }}>
+          <strong>Influence chain</strong>
+          {chosen.edges.map((edge, index) => (
+            <div key={index} style={{ marginTop: '8px', padding: '8px', backgroundColor: 'var(--raft-subtle)', borderRadius: '4px' }}>
+              <div style={{ fontWeight: 'bold', marginBottom: '4px' }}>
+                {index + 1}. #{chosen.nodes[index]} {name(chosen.nodes[index])} {hopArrow(edge, chosen.nodes[index])} #{chosen.nodes[index + 1]} {name(chosen.nodes[index + 1])}
+              </div>
+              <div style={{ fontSize: '12px', marginTop: '4px' }}>
+                <strong>Relationship:</strong> {edge.relationship || 'N/A'}
+              </div>
+              <div style={{ fontSize: '12px', marginTop: '4px' }}>
+                <strong>Tensions:</strong> <Markdown text={edge.tension || 'N/A'} inline />
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PathPanel;
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { searchActors } from '../graph/search.js';
+
+/**
+ * SearchBox component
+ *
+ * Header search over actor names, descriptions and the analyst notes in
+ * `annotations` with autocomplete. Choosing a suggestion (click, or arrow
+ * keys and Enter) calls `onSelect(id)`, which centres on and selects the
+ * actor.
+ */
+const SearchBox = ({ nodes, annotations, onSelect }) => {
+  const [query, setQuery] = useState('');
+  const [active, setActive] = useState(0);
+  const [open, setOpen] = useState(false);
+  const suggestions = open ? searchActors(nodes, query, 8, annotations) : [];
+
+  const choose = (entry) => {
+    setQuery(entry.node.name);
+    setOpen(false);
+    onSelect(entry.node.id);
+  };
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      setActive(Math.min(active + 1, suggestions.length - 1));
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      setActive(Math.max(active - 1, 0));
+    } else if (event.key === 'Enter' && suggestions[active]) {
+      choose(suggestions[active]);
+    } else if (event.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div style={{ position: 'relative', flex: '0 1 280px', minWidth: '180px' }}>
+      <input
+        type="search"
+        value={query}
+        placeholder="🔍 Search actors…"
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActive(0);
+          setOpen(true);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        style={{
+          width: '100%',
+          boxSizing: 'border-box',
+          padding: '11px 14px',
+          fontSize: '14px',
+          border: '2px solid rgba(212, 175, 55, 0.6)',
+          borderRadius: '8px',
+          background: 'var(--raft-panel)',
+          color: 'var(--raft-text)',
+        }}
+      />
+
+      {suggestions.length > 0 && (
+        <div style={{
+          position: 'absolute',
+          top: '48px',
+          left: 0,
+          right: 0,
+          backgroundColor: 'var(--raft-panel)',
+          border: '2px solid var(--raft-accent)',
+          borderRadius: '8px',
+          boxShadow: '0 8px 24px rgba(0, 0, 0, 0.25)',
+          zIndex: 1002,
+          overflow: 'hidden',
+        }}>
+          {suggestions.map((entry, index) => (
+            <div
+              key={entry.node.id}
+              // Keep focus in the input so it does not close before the click
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => choose(entry)}
+              onMouseEnter={() => setActive(index)}
+              style={{
+                padding: '8px 12px',
+                cursor: 'pointer',
+                background: index === active ? 'var(--raft-highlight)' : 'transparent',
+                borderBottom: index < suggestions.length - 1 ? '1px solid var(--raft-rule)' : 'none',
+              }}
+            >
+              <div style={{ fontSize: '13px', fontWeight: '600', color: 'var(--raft-heading)' }}>
+                #{entry.node.id} - {entry.node.name}
+              </div>
+              {entry.snippet && (
+                <div style={{ fontSize: '11px', color: 'var(--raft-muted)', marginTop: '2px' }}>{entry.snippet}</div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+
+/**
+ * ShareMenu component
+ *
+ * Header dropdown that copies a link to the current view: the selected
+ * actor, zoom and pan, filters and which dataset is loaded. The link is
+ * made by `onCreateLink(embed)`, which resolves with the URL; with `embed`
+ * the dataset's files travel inside the link, which `canEmbed` allows for
+ * uploaded datasets.
+ */
+const ShareMenu = ({ onCreateLink, canEmbed }) => {
+  const [open, setOpen] = useState(false);
+  const [embed, setEmbed] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [link, setLink] = useState('');
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = () => {
+    setBusy(true);
+    setCopied(false);
+    Promise.resolve(onCreateLink(embed && canEmbed))
+      .then((url) => {
+        setLink(url);
+        // The clipboard is unavailable outside secure contexts; the link
+        // is still shown for copying by hand
+        return navigator.clipboard ? navigator.clipboard.writeText(url).then(() => setCopied(true)) : null;
+      })
+      .catch((error) => alert(`Could not create the link: ${error.message}`))
+      .finally(() => setBusy(false));
+  };
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button
+        onClick={() => setOpen(!open)}
+        style={{
+          padding: '12px 24px',
+          fontSize: '14px',
+          fontWeight: '600',
+          cursor: 'pointer',
+          background: 'linear-gradient(135deg, var(--raft-accent) 0%, var(--raft-accent-dark) 100%)',
+          color: 'var(--raft-on-accent)',
+          border: 'none',
+          borderRadius: '8px',
+          boxShadow: '0 3px 8px rgba(212, 175, 55, 0.4)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+        }}
+      >
+        <span style={{ fontSize: '16px' }}>🔗</span>
+        <span>Share</span>
+        <span style={{ fontSize: '10px' }}>{open ? '▼' : '▶'}</span>
+      </button>
+
+      {open && (
+        <div style={{
+          position: 'absolute',
+          top: '60px',
+          right: '0',
+          backgroundColor: 'var(--raft-panel)',
+          border: '2px solid var(--raft-accent)',
+          borderRadius: '12px',
+          padding: '20px',
+          boxShadow: '0 8px 24px rgba(0, 0, 0, 0.25)',
+          zIndex: 1002,
+          minWidth: '340px',
+        }}>
+          <h3 style={{ margin: '0 0 12px 0', fontSize: '18px', color: 'var(--raft-heading)', fontWeight: '600' }}>
+            Share This View
+          </h3>
+          <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: 'var(--raft-muted)', lineHeight: '1.5' }}>
+            The link opens the same actor, zoom and filters. The recipient needs the same dataset in one of
+            their workspaces, unless it is embedded in the link. Edits made since loading are not included.
+          </p>
+
+          <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontSize: '13px', color: canEmbed ? 'var(--raft-text)' : 'var(--raft-muted)', marginBottom: '16px' }}>
+            <input
+              type="checkbox"
+              checked={embed && canEmbed}
+              disabled={!canEmbed}
+              onChange={(e) => setEmbed(e.target.checked)}
+            />
+            Embed the dataset in the link (small datasets only)
+          </label>
+
+          <button
+            onClick={handleCopy}
+            disabled={busy}
+            style={{
+              width: '100%',
+              padding: '10px 12px',
+              fontSize: '14px',
+              fontWeight: '600',
+              cursor: busy ? 'wait' : 'pointer',
+              background: 'linear-gradient(135deg, var(--raft-primary) 0%, var(--raft-primary-dark) 100%)',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              boxShadow: '0 2px 6px rgba(15, 37, 55, 0.3)',
+              opacity: busy ? 0.6 : 1,
+            }}
+          >
+            Copy Link
+          </button>
+
+          {link && (
+            <>
+              <input
+                type="text"
+                readOnly
+                value={link}
+                onFocus={(e) => e.target.select()}
+                style={{ width: '100%', boxSizing: 'border-box', padding: '8px', fontSize: '12px', marginTop: '12px' }}
+              />
+              <div style={{ fontSize: '12px', color: copied ? '#2e7d32' : 'var(--raft-muted)', marginTop: '4px' }}>
+                {copied ? 'Copied to the clipboard.' : 'Copy the link above.'} {link.length.toLocaleString()} characters.
+              </div>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShareMenu;
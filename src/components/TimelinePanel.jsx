@@ -0,0 +1,160 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { timelineDates, diffTimeline } from '../graph/timeline.js';
+
+// Time each date is shown for while playing
+const STEP_MS = 1500;
+
+/**
+ * TimelinePanel component
+ *
+ * Slider under the canvas that moves the graph between the dates found in
+ * the dataset (ValidFrom/ValidTo and snapshot dates), with play/pause and
+ * a comparison of the relationships that appeared, disappeared or changed
+ * Tensions between two dates. The date shown is passed to `onDate(date)`.
+ */
+const TimelinePanel = ({ nodes, edges, date, onDate, onClose }) => {
+  const [playing, setPlaying] = useState(false);
+  const [compareFrom, setCompareFrom] = useState('');
+  const [compareTo, setCompareTo] = useState('');
+
+  const dates = useMemo(() => timelineDates(nodes, edges), [nodes, edges]);
+  const index = Math.max(0, dates.indexOf(date));
+  const byId = useMemo(() => new Map(nodes.map((node) => [node.id, node])), [nodes]);
+  const name = (id) => (byId.has(id) ? byId.get(id).name : `#${id}`);
+
+  // Step to the next date while playing, stopping at the last
+  useEffect(() => {
+    if (!playing) return;
+    if (index >= dates.length - 1) {
+      setPlaying(false);
+      return;
+    }
+    const timer = setTimeout(() => onDate(dates[index + 1]), STEP_MS);
+    return () => clearTimeout(timer);
+  }, [playing, index, dates.length]);
+
+  const togglePlaying = () => {
+    if (!playing && index >= dates.length - 1) onDate(dates[0]);
+    setPlaying(!playing);
+  };
+
+  const from = compareFrom || dates[0];
+  const to = compareTo || dates[dates.length - 1];
+  const diff = useMemo(() => (dates.length > 1 ? diffTimeline(nodes, edges, from, to) : null), [nodes, edges, dates, from, to]);
+
+  const linkLabel = (edge) => `${name(edge.from)} → ${name(edge.to)}${edge.relationship ? ` (${edge.relationship})` : ''}`;
+
+  const diffSection = (title, color, entries, render) => (
+    <div style={{ marginTop: '8px' }}>
+      <strong style={{ color }}>{title} ({entries.length})</strong>
+      {entries.length === 0
+        ? <div style={{ color: 'var(--raft-muted)', fontSize: '12px' }}>None</div>
+        : entries.map((entry, i) => (
+          <div key={i} style={{ fontSize: '12px', marginTop: '2px' }}>{render(entry)}</div>
+        ))}
+    </div>
+  );
+
+  const stepButton = (label, target, disabled) => (
+    <button
+      onClick={() => onDate(dates[target])}
+      disabled={disabled}
+      style={{ fontSize: '14px', padding: '4px 10px', cursor: disabled ? 'default' : 'pointer' }}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '20px',
+      left: '50%',
+      transform: 'translateX(-50%)',
+      backgroundColor: 'var(--raft-panel)',
+      border: '2px solid var(--raft-accent)',
+      borderRadius: '10px',
+      padding: '16px',
+      boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15)',
+      zIndex: 1000,
+      width: '620px',
+      maxWidth: 'calc(100vw - 40px)',
+      maxHeight: '45vh',
+      overflowY: 'auto',
+      fontSize: '13px',
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', borderBottom: '2px solid var(--raft-accent)', paddingBottom: '8px', marginBottom: '10px' }}>
+        <h4 style={{ margin: 0, fontSize: '16px', color: 'var(--raft-heading)', fontWeight: '600' }}>
+          Timeline{dates.length > 0 && `: ${dates[index]}`}
+        </h4>
+        <button
+          onClick={onClose}
+          style={{ background: 'none', border: 'none', fontSize: '20px', cursor: 'pointer', padding: 0 }}
+        >
+          ×
+        </button>
+      </div>
+
+      {dates.length === 0 ? (
+        <div style={{ color: 'var(--raft-muted)', lineHeight: '1.5' }}>
+          This dataset has no dates. Add ValidFrom and ValidTo columns to actors or relationships, or upload a
+          snapshot series from the Upload Dataset menu.
+        </div>
+      ) : (
+        <>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            {stepButton('|◀', index - 1, index === 0)}
+            <button
+              onClick={togglePlaying}
+              disabled={dates.length < 2}
+              style={{ fontSize: '14px', padding: '4px 10px', cursor: 'pointer', minWidth: '44px' }}
+            >
+              {playing ? '❚❚' : '▶'}
+            </button>
+            {stepButton('▶|', index + 1, index >= dates.length - 1)}
+            <input
+              type="range"
+              min="0"
+              max={dates.length - 1}
+              value={index}
+              onChange={(e) => {
+                setPlaying(false);
+                onDate(dates[parseInt(e.target.value, 10)]);
+              }}
+              style={{ flex: 1 }}
+            />
+          </div>
+          <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '11px', color: 'var(--raft-muted)', marginTop: '2px' }}>
+            <span>{dates[0]}</span>
+            <span>{dates.length} {dates.length === 1 ? 'date' : 'dates'}</span>
+            <span>{dates[dates.length - 1]}</span>
+          </div>
+
+          {diff && (
+            <div style={{ borderTop: '1px solid var(--raft-rule)', marginTop: '10px', paddingTop: '10px' }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                <strong>Compare</strong>
+                <select value={from} onChange={(e) => setCompareFrom(e.target.value)} style={{ fontSize: '12px' }}>
+                  {dates.map((value) => <option key={value} value={value}>{value}</option>)}
+                </select>
+                with
+                <select value={to} onChange={(e) => setCompareTo(e.target.value)} style={{ fontSize: '12px' }}>
+                  {dates.map((value) => <option key={value} value={value}>{value}</option>)}
+                </select>
+              </div>
+              {diffSection('Appeared', '#2e7d32', diff.appeared, linkLabel)}
+              {diffSection('Disappeared', '#c62828', diff.disappeared, linkLabel)}
+              {diffSection('Tensions changed', '#e65100', diff.changed, ({ before, after }) => (
+                <>
+                  {linkLabel(after)}: <span style={{ textDecoration: 'line-through', color: 'var(--raft-muted)' }}>{before.tension || 'none'}</span> → {after.tension || 'none'}
+                </>
+              ))}
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default TimelinePanel;
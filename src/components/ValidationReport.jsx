@@ -0,0 +1,112 @@
+import React from 'react';
+
+/**
+ * ValidationReport component
+ *
+ * Modal listing the errors and warnings found in an uploaded dataset, each
+ * with its file, line and column. The analyst can go back and fix the file
+ * or load it anyway, in which case rows with errors are skipped.
+ */
+const ValidationReport = ({ report, onLoadAnyway, onCancel }) => {
+  const skipped = report.skipRows.size;
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(15, 37, 55, 0.6)',
+      zIndex: 2000,
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+    }}>
+      <div style={{
+        backgroundColor: 'var(--raft-panel)',
+        border: '2px solid var(--raft-accent)',
+        borderRadius: '12px',
+        padding: '20px',
+        boxShadow: '0 8px 24px rgba(0, 0, 0, 0.25)',
+        width: '760px',
+        maxWidth: 'calc(100vw - 40px)',
+        maxHeight: 'calc(100vh - 80px)',
+        display: 'flex',
+        flexDirection: 'column',
+      }}>
+        <h3 style={{ margin: '0 0 8px 0', fontSize: '18px', color: 'var(--raft-heading)', fontWeight: '600' }}>
+          Dataset Validation Report
+        </h3>
+        <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: 'var(--raft-muted)', lineHeight: '1.5' }}>
+          Found <strong style={{ color: '#c62828' }}>{report.errorCount} {report.errorCount === 1 ? 'error' : 'errors'}</strong> and{' '}
+          <strong style={{ color: '#ef6c00' }}>{report.warningCount} {report.warningCount === 1 ? 'warning' : 'warnings'}</strong>.
+          {skipped > 0 && ` Loading anyway will skip ${skipped} ${skipped === 1 ? 'row' : 'rows'} with errors.`}
+        </p>
+
+        <div style={{ overflowY: 'auto', border: '1px solid var(--raft-rule)', borderRadius: '6px', marginBottom: '16px' }}>
+          <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '12px' }}>
+            <thead>
+              <tr style={{ background: 'var(--raft-subtle)', textAlign: 'left' }}>
+                <th style={{ padding: '6px 8px' }}>Severity</th>
+                <th style={{ padding: '6px 8px' }}>File</th>
+                <th style={{ padding: '6px 8px' }}>Line</th>
+                <th style={{ padding: '6px 8px' }}>Column</th>
+                <th style={{ padding: '6px 8px' }}>Message</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.issues.map((issue, index) => (
+                <tr key={index} style={{ borderTop: '1px solid var(--raft-rule)', verticalAlign: 'top' }}>
+                  <td style={{ padding: '6px 8px', fontWeight: '600', color: issue.severity === 'error' ? '#c62828' : '#ef6c00' }}>
+                    {issue.severity === 'error' ? 'Error' : 'Warning'}
+                  </td>
+                  <td style={{ padding: '6px 8px', color: 'var(--raft-muted)' }}>{issue.file}</td>
+                  <td style={{ padding: '6px 8px' }}>{issue.line}</td>
+                  <td style={{ padding: '6px 8px' }}>{issue.column || '—'}</td>
+                  <td style={{ padding: '6px 8px' }}>{issue.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div style={{ display: 'flex', gap: '10px', justifyContent: 'flex-end' }}>
+          <button
+            onClick={onCancel}
+            style={{
+              padding: '8px 14px',
+              fontSize: '13px',
+              fontWeight: '600',
+              cursor: 'pointer',
+              background: 'var(--raft-panel)',
+              color: 'var(--raft-heading)',
+              border: '1px solid var(--raft-heading)',
+              borderRadius: '6px',
+            }}
+          >
+            Cancel and Fix File
+          </button>
+          <button
+            onClick={onLoadAnyway}
+            style={{
+              padding: '8px 14px',
+              fontSize: '13px',
+              fontWeight: '600',
+              cursor: 'pointer',
+              background: 'linear-gradient(135deg, #ff9800 0%, #f57c00 100%)',
+              color: 'white',
+              border: 'none',
+              borderRadius: '6px',
+              boxShadow: '0 2px 6px rgba(245, 124, 0, 0.3)',
+            }}
+          >
+            {skipped > 0 ? `Load Anyway (skip ${skipped} ${skipped === 1 ? 'row' : 'rows'})` : 'Load Anyway'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ValidationReport;
@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+
+/**
+ * WorkspaceMenu component
+ *
+ * Header dropdown showing the open workspace with the list of saved ones.
+ * Workspaces are saved automatically; the menu switches between them and
+ * creates, duplicates and deletes them through the `onOpen(id)`, `onNew()`,
+ * `onDuplicate()` and `onDelete()` callbacks.
+ */
+const WorkspaceMenu = ({ workspace, workspaces, onOpen, onNew, onDuplicate, onDelete }) => {
+  const [open, setOpen] = useState(false);
+
+  const run = (action) => () => {
+    setOpen(false);
+    action();
+  };
+
+  const actionButton = (label, onClick, danger) => (
+    <button
+      onClick={run(onClick)}
+      style={{
+        flex: 1,
+        padding: '8px 10px',
+        fontSize: '13px',
+        fontWeight: '600',
+        cursor: 'pointer',
+        background: danger ? 'var(--raft-panel)' : 'linear-gradient(135deg, var(--raft-primary) 0%, var(--raft-primary-dark) 100%)',
+        color: danger ? '#c62828' : 'white',
+        border: danger ? '1px solid #c62828' : 'none',
+        borderRadius: '6px',
+      }}
+    >
+      {label}
+    </button>
+  );
+
+  return (
+    <div style={{ position: 'relative' }}>
+      <button
+        onClick={() => setOpen(!open)}
+        title="Workspaces are saved automatically in this browser"
+        style={{
+          padding: '12px 24px',
+          fontSize: '14px',
+          fontWeight: '600',
+          cursor: 'pointer',
+          background: 'linear-gradient(135deg, var(--raft-accent) 0%, var(--raft-accent-dark) 100%)',
+          color: 'var(--raft-on-accent)',
+          border: 'none',
+          borderRadius: '8px',
+          boxShadow: '0 3px 8px rgba(212, 175, 55, 0.4)',
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          maxWidth: '260px',
+        }}
+      >
+        <span style={{ fontSize: '16px' }}>🗂️</span>
+        <span style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+          {workspace ? workspace.name : 'Workspace'}
+        </span>
+        <span style={{ fontSize: '10px' }}>{open ? '▼' : '▶'}</span>
+      </button>
+
+      {open && (
+        <div style={{
+          position: 'absolute',
+          top: '60px',
+          right: '0',
+          backgroundColor: 'var(--raft-panel)',
+          border: '2px solid var(--raft-accent)',
+          borderRadius: '12px',
+          padding: '20px',
+          boxShadow: '0 8px 24px rgba(0, 0, 0, 0.25)',
+          zIndex: 1002,
+          minWidth: '340px',
+        }}>
+          <h3 style={{ margin: '0 0 12px 0', fontSize: '18px', color: 'var(--raft-heading)', fontWeight: '600' }}>
+            Workspaces
+          </h3>
+          <p style={{ margin: '0 0 12px 0', fontSize: '13px', color: 'var(--raft-muted)', lineHeight: '1.5' }}>
+            The dataset, edits, layout and zoom are saved in this browser as you work.
+          </p>
+
+          <div style={{ maxHeight: '240px', overflowY: 'auto', border: '1px solid var(--raft-rule)', borderRadius: '6px', marginBottom: '14px' }}>
+            {workspaces.length === 0 && (
+              <div style={{ padding: '10px', fontSize: '13px', color: 'var(--raft-muted)' }}>No saved workspaces yet.</div>
+            )}
+            {workspaces.map((item) => {
+              const current = workspace && item.id === workspace.id;
+              return (
+                <div
+                  key={item.id}
+                  onClick={current ? undefined : run(() => onOpen(item.id))}
+                  style={{
+                    padding: '8px 10px',
+                    fontSize: '13px',
+                    cursor: current ? 'default' : 'pointer',
+                    background: current ? 'var(--raft-highlight)' : 'transparent',
+                    borderBottom: '1px solid var(--raft-rule)',
+                    display: 'flex',
+                    justifyContent: 'space-between',
+                    gap: '12px',
+                  }}
+                >
+                  <span style={{ fontWeight: current ? '700' : '500', color: 'var(--raft-heading)' }}>
+                    {current ? '✓ ' : ''}{item.name}
+                  </span>
+                  {item.updated && (
+                    <span style={{ color: 'var(--raft-muted)', whiteSpace: 'nowrap' }}>
+                      {new Date(item.updated).toLocaleString()}
+                    </span>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+
+          <div style={{ display: 'flex', gap: '8px' }}>
+            {actionButton('New', onNew)}
+            {actionButton('Duplicate', onDuplicate)}
+            {actionButton('Delete', onDelete, true)}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorkspaceMenu;
@@ -0,0 +1,47 @@
+/**
+ * Adjacency index
+ *
+ * Which links touch each actor, kept up to date as links are added and
+ * removed, so that selecting an actor looks up its relationships directly
+ * instead of scanning every link. The index holds link ids; the links
+ * themselves stay in their DataSet.
+ */
+
+/**
+ * An index of the given links (vis-network style edge items with `id`,
+ * `from` and `to`) with `add(edge)`, `remove(edge)`, `edgeIds(nodeId)`
+ * and `neighbours(nodeId)`. Links are indexed under both ends whatever
+ * their direction.
+ */
+export const createAdjacency = (edges = []) => {
+  // node id -> Map of edge id -> id of the node at the other end
+  const index = new Map();
+
+  const entry = (nodeId) => {
+    if (!index.has(nodeId)) index.set(nodeId, new Map());
+    return index.get(nodeId);
+  };
+
+  const add = (edge) => {
+    entry(edge.from).set(edge.id, edge.to);
+    entry(edge.to).set(edge.id, edge.from);
+  };
+
+  const remove = (edge) => {
+    [edge.from, edge.to].forEach((nodeId) => {
+      const links = index.get(nodeId);
+      if (!links) return;
+      links.delete(edge.id);
+      if (links.size === 0) index.delete(nodeId);
+    });
+  };
+
+  edges.forEach(add);
+
+  return {
+    add,
+    remove,
+    edgeIds: (nodeId) => [...(index.get(nodeId) || new Map()).keys()],
+    neighbours: (nodeId) => new Set((index.get(nodeId) || new Map()).values()),
+  };
+};
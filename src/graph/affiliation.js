@@ -0,0 +1,116 @@
+/**
+ * Affiliation (standard identity) helpers
+ *
+ * Nodes are classified using the APP-6 / MIL-STD-2525 standard identity
+ * set. The value normally comes from the optional `Affiliation` column of
+ * the dataset; datasets without that column fall back to a keyword match
+ * on the actor's Category so that the bundled examples and older files
+ * still render sensibly.
+ */
+
+// Ordered as they should appear in the Legend. `base` is the identity whose
+// frame and colour family the entry is drawn with; `dashed` marks the
+// identities whose frame is drawn with a broken outline.
+export const AFFILIATIONS = {
+  friend: { label: 'Friend', base: 'friend' },
+  assumedFriend: { label: 'Assumed Friend', base: 'friend', dashed: true },
+  neutral: { label: 'Neutral', base: 'neutral' },
+  unknown: { label: 'Unknown', base: 'unknown' },
+  pending: { label: 'Pending', base: 'unknown', dashed: true },
+  suspect: { label: 'Suspect', base: 'hostile', dashed: true },
+  hostile: { label: 'Hostile', base: 'hostile' },
+  joker: { label: 'Joker', base: 'hostile', letter: 'J' },
+  faker: { label: 'Faker', base: 'hostile', letter: 'K' },
+};
+
+// Standard frame fill colours for each base identity.
+const FILLS = {
+  friend: '#80E0FF',
+  hostile: '#FF8080',
+  neutral: '#AAFFAA',
+  unknown: '#FFFF80',
+};
+
+// Accepted spellings in the Affiliation column, including the single
+// letter standard identity codes used in SIDCs.
+const ALIASES = {
+  friend: 'friend', friendly: 'friend', f: 'friend', blue: 'friend', allied: 'friend',
+  'assumed friend': 'assumedFriend', assumedfriend: 'assumedFriend', a: 'assumedFriend',
+  neutral: 'neutral', n: 'neutral', green: 'neutral',
+  unknown: 'unknown', u: 'unknown',
+  pending: 'pending', p: 'pending',
+  suspect: 'suspect', s: 'suspect',
+  hostile: 'hostile', adversary: 'hostile', enemy: 'hostile', h: 'hostile', red: 'hostile',
+  joker: 'joker', j: 'joker',
+  faker: 'faker', k: 'faker',
+};
+
+// Category keywords used when a dataset has no Affiliation column. "U.S."
+// ends in a full stop, after which \b cannot match, so it is matched up to
+// the next non-word character instead.
+const CATEGORY_KEYWORDS = [
+  { affiliation: 'friend', pattern: /\b(allied|ally|partner|us|friendly|coalition)\b|\bu\.s\.(?!\w)/i },
+  { affiliation: 'hostile', pattern: /\b(regime|proxy|backer|tco|cartel|adversary|hostile|enemy|insurgent)\b/i },
+  { affiliation: 'neutral', pattern: /\b(multilateral|neutral|ngo|international)\b/i },
+];
+
+/**
+ * Normalise a free-text affiliation value. Returns null when the value is
+ * empty or not recognised.
+ */
+export const parseAffiliation = (value) => {
+  if (!value) return null;
+  const key = String(value).trim().toLowerCase().replace(/[_-]+/g, ' ');
+  return ALIASES[key] || ALIASES[key.replace(/\s+/g, '')] || null;
+};
+
+// Standard identity digit of a 20-digit MIL-STD-2525D / APP-6(D) SIDC.
+const SIDC_D_IDENTITIES = ['pending', 'unknown', 'assumedFriend', 'friend', 'neutral', 'suspect', 'hostile'];
+
+// Exercise identities of a 15-character MIL-STD-2525C SIDC, mapped onto
+// their real-world counterparts.
+const SIDC_C_EXERCISE = { g: 'pending', w: 'unknown', m: 'assumedFriend', d: 'friend', l: 'neutral' };
+
+/**
+ * Read the standard identity from a SIDC in either the 15-character letter
+ * form (2525C) or the 20-digit numeric form (2525D / APP-6(D)). Returns
+ * null when the code is missing or malformed.
+ */
+export const getSidcAffiliation = (sidc) => {
+  const code = String(sidc || '').trim();
+  if (/^\d{20}$/.test(code)) {
+    const identity = SIDC_D_IDENTITIES[parseInt(code[3], 10)];
+    // Exercise context turns suspect into joker and hostile into faker
+    if (code[2] === '1' && identity === 'suspect') return 'joker';
+    if (code[2] === '1' && identity === 'hostile') return 'faker';
+    return identity || null;
+  }
+  if (/^[a-z*][a-z*-]/i.test(code) && code.length >= 10) {
+    const letter = code[1].toLowerCase();
+    return SIDC_C_EXERCISE[letter] || parseAffiliation(letter);
+  }
+  return null;
+};
+
+/**
+ * Determine the affiliation of a CSV row. The Affiliation column wins,
+ * followed by the standard identity encoded in a SIDC; when both are
+ * missing or unrecognised the Category is matched against a small keyword
+ * list, and anything left over is treated as unknown.
+ */
+export const getNodeType = (row) => {
+  const explicit = parseAffiliation(row['Affiliation']) || getSidcAffiliation(row['SIDC']);
+  if (explicit) return explicit;
+
+  const category = row['Category'] || '';
+  const match = CATEGORY_KEYWORDS.find(({ pattern }) => pattern.test(category));
+  return match ? match.affiliation : 'unknown';
+};
+
+/**
+ * Frame fill colour for an affiliation.
+ */
+export const getNodeColor = (affiliation) => {
+  const { base } = AFFILIATIONS[affiliation] || AFFILIATIONS.unknown;
+  return FILLS[base];
+};
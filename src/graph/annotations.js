@@ -0,0 +1,119 @@
+/**
+ * Analyst annotations
+ *
+ * Notes attached to an actor or a relationship, each with free-form tags,
+ * its author and when it was written:
+ *
+ *   { id, target, text, tags, author, created }
+ *
+ * `target` is `{ node }` (an actor's id) or `{ from, to }` (the link between
+ * two actors), so that notes stay attached when the network is exported and
+ * loaded again, and `created` is an ISO 8601 timestamp. Annotations are
+ * saved with the workspace and travel with the node-link JSON export as a
+ * `notes` list on each node and link.
+ */
+
+export const ANNOTATION_COLUMNS = ['Serial', 'Source', 'Target', 'Note', 'Tags', 'Author', 'Created'];
+
+/**
+ * Split a tag list written as "sanctions, #energy; oil" into distinct tags,
+ * without leading '#'.
+ */
+export const parseTags = (value) => [...new Set(String(value || '')
+  .split(/[,;]/)
+  .map((tag) => tag.trim().replace(/^#+/, '').trim())
+  .filter(Boolean))];
+
+/**
+ * A new annotation on `target`, written now.
+ */
+export const createAnnotation = ({ target, text, tags = [], author = '' }, now = new Date()) => ({
+  id: `note-${now.getTime()}-${Math.random().toString(36).slice(2, 8)}`,
+  target,
+  text: String(text || '').trim(),
+  tags,
+  author: String(author || '').trim(),
+  created: now.toISOString(),
+});
+
+export const nodeTarget = (id) => ({ node: id });
+
+export const edgeTarget = (edge) => ({ from: edge.from, to: edge.to });
+
+/**
+ * The annotations on an actor, oldest first.
+ */
+export const notesOnNode = (annotations, id) => annotations.filter((note) => note.target.node === id);
+
+/**
+ * The annotations on the link from `from` to `to`, oldest first. Notes on a
+ * `twoWay` (mutual or undirected) link may name its actors either way round.
+ */
+export const notesOnEdge = (annotations, { from, to }, twoWay = false) => annotations
+  .filter(({ target }) => (target.from === from && target.to === to)
+    || (twoWay && target.from === to && target.to === from));
+
+/**
+ * Number of annotations per actor id, for the markers on the canvas.
+ */
+export const countNotesByNode = (annotations) => {
+  const counts = new Map();
+  annotations.forEach(({ target }) => {
+    if (target.node !== undefined) counts.set(target.node, (counts.get(target.node) || 0) + 1);
+  });
+  return counts;
+};
+
+/**
+ * Whether an annotation's text, tags or author contain `term` (lower case).
+ * Tags are matched with their '#', so "#energy" finds only the tag.
+ */
+export const noteMatches = (note, term) => [note.text, note.author, ...note.tags.map((tag) => `#${tag}`)]
+  .some((value) => String(value || '').toLowerCase().includes(term));
+
+/**
+ * A note on one line for briefings: its text and tags, then who wrote it
+ * and on which day.
+ */
+export const formatNote = (note) => {
+  const byline = [note.author, note.created.slice(0, 10)].filter(Boolean).join(', ');
+  return `${[note.text, ...note.tags.map((tag) => `#${tag}`)].filter(Boolean).join(' ')} (${byline})`;
+};
+
+/**
+ * One record per annotation keyed by `ANNOTATION_COLUMNS`: actor notes
+ * fill Serial, link notes Source and Target.
+ */
+export const annotationRecords = (annotations) => annotations.map((note) => ({
+  Serial: note.target.node !== undefined ? note.target.node : '',
+  Source: note.target.from !== undefined ? note.target.from : '',
+  Target: note.target.to !== undefined ? note.target.to : '',
+  Note: note.text,
+  Tags: note.tags.join('; '),
+  Author: note.author,
+  Created: note.created,
+}));
+
+/**
+ * The `notes` list written on a node or link in the JSON export.
+ */
+export const exportNotes = (notes) => notes.map(({ text, tags, author, created }) => ({ text, tags, author, created }));
+
+/**
+ * Read a `notes` list from an imported node or link: entries may be plain
+ * strings or `{ text, tags, author, created }` objects. Entries without
+ * text or tags are dropped.
+ */
+export const importNotes = (notes, target) => (Array.isArray(notes) ? notes : [])
+  .map((entry) => (typeof entry === 'string' ? { text: entry } : entry || {}))
+  .map((entry) => {
+    const note = createAnnotation({
+      target,
+      text: entry.text,
+      tags: Array.isArray(entry.tags) ? parseTags(entry.tags.join(',')) : parseTags(entry.tags),
+      author: entry.author,
+    });
+    const created = new Date(entry.created);
+    return isNaN(created.getTime()) ? note : { ...note, created: created.toISOString() };
+  })
+  .filter((note) => note.text || note.tags.length > 0);
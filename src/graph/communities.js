@@ -0,0 +1,219 @@
+/**
+ * Community detection
+ *
+ * Groups actors into communities with the Louvain method: actors are moved
+ * between communities while that raises modularity, then each community is
+ * merged into a single node and the process repeats on the smaller graph
+ * until nothing moves. Links are treated as undirected ties of weight 1,
+ * or of their Strength with the `weighted` option (the stronger link where
+ * two join the same actors; links without a Strength count as 1 and those
+ * of 0 or less are left out). Actors are visited in id order, so the same
+ * network always gives the same communities.
+ */
+
+// Colours for communities and categories, chosen to stay distinct from the
+// affiliation fills of the symbols. The site configuration may give its own.
+export const GROUP_COLORS = [
+  '#4e79a7', '#f28e2b', '#59a14f', '#b07aa1', '#e15759',
+  '#76b7b2', '#edc948', '#9c755f', '#ff9da7', '#bab0ac',
+];
+
+export const groupColor = (index, palette = GROUP_COLORS) => palette[index % palette.length];
+
+/**
+ * Symmetric weight matrix as an array of Maps. The diagonal holds twice the
+ * weight of a node's self-loop so that a node's degree is its row sum.
+ */
+const buildMatrix = (ids, edges, weighted) => {
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const matrix = ids.map(() => new Map());
+  edges.forEach(({ from, to, strength }) => {
+    if (from === to || !index.has(from) || !index.has(to)) return;
+    const weight = weighted && strength !== null && strength !== undefined ? strength : 1;
+    if (!(weight > 0)) return;
+    const a = index.get(from);
+    const b = index.get(to);
+    const stronger = Math.max(matrix[a].get(b) || 0, weight);
+    matrix[a].set(b, stronger);
+    matrix[b].set(a, stronger);
+  });
+  return matrix;
+};
+
+const rowSum = (row) => [...row.values()].reduce((acc, weight) => acc + weight, 0);
+
+/**
+ * One Louvain pass: move nodes to the neighbouring community with the best
+ * modularity gain until no move helps. Returns the community of each node.
+ */
+const moveNodes = (matrix, twoM) => {
+  const n = matrix.length;
+  const degree = matrix.map(rowSum);
+  const community = matrix.map((_, i) => i);
+  const total = [...degree];
+
+  let moved = true;
+  for (let sweep = 0; moved && sweep < 100; sweep++) {
+    moved = false;
+    for (let i = 0; i < n; i++) {
+      const current = community[i];
+      total[current] -= degree[i];
+
+      const links = new Map();
+      matrix[i].forEach((weight, j) => {
+        if (j !== i) links.set(community[j], (links.get(community[j]) || 0) + weight);
+      });
+
+      const gain = (c) => (links.get(c) || 0) - (total[c] * degree[i]) / twoM;
+      let best = current;
+      let bestGain = gain(current);
+      links.forEach((_, c) => {
+        const value = gain(c);
+        if (value > bestGain + 1e-12) {
+          best = c;
+          bestGain = value;
+        }
+      });
+
+      total[best] += degree[i];
+      if (best !== current) {
+        community[i] = best;
+        moved = true;
+      }
+    }
+  }
+  return community;
+};
+
+/**
+ * Number communities 0..k-1 in order of first appearance.
+ */
+const renumber = (community) => {
+  const numbers = new Map();
+  return community.map((c) => {
+    if (!numbers.has(c)) numbers.set(c, numbers.size);
+    return numbers.get(c);
+  });
+};
+
+const aggregate = (matrix, community, count) => {
+  const next = Array.from({ length: count }, () => new Map());
+  matrix.forEach((row, i) => {
+    row.forEach((weight, j) => {
+      const a = community[i];
+      const b = community[j];
+      next[a].set(b, (next[a].get(b) || 0) + weight);
+    });
+  });
+  return next;
+};
+
+const modularity = (matrix, community, twoM) => {
+  if (twoM === 0) return 0;
+  const inside = new Map();
+  const total = new Map();
+  matrix.forEach((row, i) => {
+    const c = community[i];
+    total.set(c, (total.get(c) || 0) + rowSum(row));
+    row.forEach((weight, j) => {
+      if (community[j] === c) inside.set(c, (inside.get(c) || 0) + weight);
+    });
+  });
+  let q = 0;
+  total.forEach((tot, c) => {
+    q += (inside.get(c) || 0) / twoM - (tot / twoM) ** 2;
+  });
+  return q;
+};
+
+/**
+ * Detect communities in a graph given as vis-network style node and edge
+ * items.
+ *
+ * Returns `{ membership, communities, modularity }`: `membership` maps each
+ * node id to a community index, and `communities` lists `{ index, members }`
+ * largest first, so community 0 is the largest.
+ */
+export const detectCommunities = (nodes, edges, { weighted = false } = {}) => {
+  const ids = nodes.map((node) => node.id).sort((a, b) => a - b);
+  const original = buildMatrix(ids, edges, weighted);
+  const twoM = original.reduce((acc, row) => acc + rowSum(row), 0);
+
+  // assignment[i] is the community of original node i in the current level
+  let assignment = ids.map((_, i) => i);
+  let matrix = original;
+  if (twoM > 0) {
+    for (let level = 0; level < 50; level++) {
+      const community = renumber(moveNodes(matrix, twoM));
+      const count = Math.max(...community) + 1;
+      if (count === matrix.length) break;
+      assignment = assignment.map((c) => community[c]);
+      matrix = aggregate(matrix, community, count);
+    }
+  }
+
+  // Order communities by size, then by their lowest member id
+  const groups = new Map();
+  assignment.forEach((c, i) => {
+    if (!groups.has(c)) groups.set(c, []);
+    groups.get(c).push(ids[i]);
+  });
+  const ordered = [...groups.values()].sort((a, b) => b.length - a.length || a[0] - b[0]);
+  const membership = new Map();
+  const communities = ordered.map((members, index) => {
+    members.forEach((id) => membership.set(id, index));
+    return { index, members };
+  });
+
+  return {
+    membership,
+    communities,
+    modularity: modularity(original, assignment, twoM),
+  };
+};
+
+/**
+ * How an actor's ties divide between its own community and the others.
+ * Returns `{ internal, external }` where `external` maps community indexes
+ * to the number of ties into them.
+ */
+export const communityTies = (nodeId, edges, membership) => {
+  const own = membership.get(nodeId);
+  const contacts = new Set();
+  edges.forEach(({ from, to }) => {
+    if (from === nodeId && to !== nodeId) contacts.add(to);
+    if (to === nodeId && from !== nodeId) contacts.add(from);
+  });
+  let internal = 0;
+  const external = new Map();
+  contacts.forEach((id) => {
+    const c = membership.get(id);
+    if (c === undefined) return;
+    if (c === own) {
+      internal += 1;
+    } else {
+      external.set(c, (external.get(c) || 0) + 1);
+    }
+  });
+  return { internal, external };
+};
+
+/**
+ * Convex hull of a list of `{ x, y }` points (Andrew's monotone chain), in
+ * counter-clockwise order. Fewer than three points are returned as given.
+ */
+export const convexHull = (points) => {
+  if (points.length < 3) return points;
+  const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+  const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+  const half = (list) => {
+    const hull = [];
+    list.forEach((point) => {
+      while (hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], point) <= 0) hull.pop();
+      hull.push(point);
+    });
+    hull.pop();
+    return hull;
+  };
+  return [...half(sorted), ...half([...sorted].reverse())];
+};
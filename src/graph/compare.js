@@ -0,0 +1,211 @@
+/**
+ * Comparing versions
+ *
+ * Two versions of a dataset merged into one graph that shows what changed
+ * between them. Actors are matched by Serial, as in a snapshot series (see
+ * timeline.js), and links by the two actors they connect, in either order.
+ * The links between two actors count as one relationship: when its
+ * direction changes, e.g. a mutual link split into two one-way links, the
+ * relationship is changed rather than removed and added again. Every item
+ * of the merged graph is tagged with
+ *
+ *   change     'added', 'removed', 'changed' or 'unchanged'
+ *   changes    [{ field, before, after }] for each compared field that
+ *              differs, e.g. { field: 'Tensions', before: '...', after: '...' }
+ *
+ * Fields are compared as trimmed text, so whitespace differences do not
+ * count as changes.
+ */
+
+/**
+ * The kinds of change with their colours, shared by the canvas, the Legend
+ * and the change report.
+ */
+export const CHANGE_KINDS = {
+  added: { label: 'Added', color: '#2e7d32' },
+  removed: { label: 'Removed', color: '#c62828' },
+  changed: { label: 'Changed', color: '#e65100' },
+  unchanged: { label: 'Unchanged', color: '#848484' },
+};
+
+// Compared fields of actors and links, named by their dataset columns
+const ACTOR_FIELDS = [
+  { key: 'name', field: 'Actor' },
+  { key: 'category', field: 'Category' },
+  { key: 'description', field: 'ActorDescription' },
+];
+const LINK_FIELDS = [
+  { key: 'direction', field: 'Direction' },
+  { key: 'relationship', field: 'RelationshipType' },
+  { key: 'tension', field: 'Tensions' },
+];
+
+/**
+ * Columns of the change report CSV.
+ */
+export const CHANGE_COLUMNS = ['Change', 'Item', 'Serial', 'Source', 'Target', 'Name', 'Field', 'Before', 'After'];
+
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+const twoWay = (edge) => edge.direction === 'mutual' || edge.direction === 'undirected';
+
+// The actors a link connects, in either order
+const pairKey = (edge) => `${Math.min(edge.from, edge.to)}-${Math.max(edge.from, edge.to)}`;
+
+// Group links by the actors they connect, keeping their order
+const groupLinks = (edges) => {
+  const groups = new Map();
+  edges.forEach((edge) => {
+    const key = pairKey(edge);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(edge);
+  });
+  return groups;
+};
+
+// The links between two actors as one relationship with `direction`,
+// `relationship` and `tension` as text, e.g. "Alpha → Bravo, Bravo →
+// Alpha". Values that differ between the two ways of a reciprocal pair are
+// given for each way.
+const describeLinks = (links, name) => {
+  const ordered = [...links].sort((a, b) => a.from - b.from || a.to - b.to);
+  const arrow = (edge) => {
+    if (!twoWay(edge)) return `${name(edge.from)} → ${name(edge.to)}`;
+    const [first, second] = edge.from < edge.to ? [edge.from, edge.to] : [edge.to, edge.from];
+    return `${name(first)} ${edge.direction === 'mutual' ? '↔' : '—'} ${name(second)}`;
+  };
+  const value = (key) => {
+    const values = ordered.map((edge) => text(edge[key]));
+    return new Set(values).size === 1
+      ? values[0]
+      : ordered.map((edge, index) => `${arrow(edge)}: ${values[index] || 'none'}`).join('; ');
+  };
+  return {
+    direction: ordered.map(arrow).join(', '),
+    relationship: value('relationship'),
+    tension: value('tension'),
+  };
+};
+
+const differences = (before, after, fields) => fields
+  .filter(({ key }) => text(before[key]) !== text(after[key]))
+  .map(({ key, field }) => ({ field, before: text(before[key]), after: text(after[key]) }));
+
+// Merge two lists of actors matched by Serial, in the order of `after`
+// with the removed actors at the end
+const mergeNodes = (before, after) => {
+  const earlier = new Map(before.map((node) => [node.id, node]));
+  const merged = after.map((node) => {
+    const previous = earlier.get(node.id);
+    earlier.delete(node.id);
+    if (!previous) return { ...node, change: 'added', changes: [] };
+    const changes = differences(previous, node, ACTOR_FIELDS);
+    return { ...node, change: changes.length > 0 ? 'changed' : 'unchanged', changes };
+  });
+  return [...merged, ...[...earlier.values()].map((node) => ({ ...node, change: 'removed', changes: [] }))];
+};
+
+// Merge two lists of links grouped by the actors they connect. The links
+// of a relationship in both versions are those of `after`, each tagged
+// with the changes to the relationship as a whole.
+const mergeLinks = (before, after, name) => {
+  const earlier = groupLinks(before);
+  const merged = [...groupLinks(after)].flatMap(([key, links]) => {
+    const previous = earlier.get(key);
+    earlier.delete(key);
+    if (!previous) return links.map((edge) => ({ ...edge, change: 'added', changes: [] }));
+    const changes = differences(describeLinks(previous, name), describeLinks(links, name), LINK_FIELDS);
+    return links.map((edge) => ({ ...edge, change: changes.length > 0 ? 'changed' : 'unchanged', changes }));
+  });
+  return [...merged, ...[...earlier.values()].flat().map((edge) => ({ ...edge, change: 'removed', changes: [] }))];
+};
+
+// A graph that is itself a comparison stands for its later version
+const current = (items) => items
+  .filter((item) => item.change !== 'removed')
+  .map(({ change, changes, ...item }) => item);
+
+/**
+ * Merge the earlier and later version of a graph (`{ nodes, edges }` as
+ * built by graph/model.js) into `{ nodes, edges }` tagged with their
+ * changes. Items present in both versions take their attributes from the
+ * later one, removed items keep those of the earlier one. Links come
+ * without ids.
+ */
+export const compareGraphs = (before, after) => {
+  const withoutId = ({ id, ...edge }) => edge;
+  const nodes = mergeNodes(current(before.nodes), current(after.nodes));
+  const names = new Map(nodes.map((node) => [node.id, node.name]));
+  const name = (id) => names.get(id) || `#${id}`;
+  return {
+    nodes,
+    edges: mergeLinks(current(before.edges).map(withoutId), current(after.edges).map(withoutId), name),
+  };
+};
+
+/**
+ * Whether a graph holds a comparison.
+ */
+export const isComparison = (nodes) => nodes.some((node) => node.change !== undefined && node.change !== null);
+
+// The relationships of a compared graph: the links between each two
+// actors, which share their change
+const relationships = (edges) => [...groupLinks(edges).values()]
+  .map((links) => ({ ...links[0], links }));
+
+/**
+ * The rows of the change report for a compared graph: one for each added
+ * or removed actor or relationship and one for each changed field, as
+ * `{ change, item, id, from, to, name, field, before, after }`. `item` is
+ * 'Actor' or 'Relationship'; actors have an `id`, relationships the
+ * `from` and `to` of their first link. Actors come first, then
+ * relationships, each ordered by kind of change.
+ */
+export const changeReport = (nodes, edges) => {
+  const names = new Map(nodes.map((node) => [node.id, node.name]));
+  const name = (id) => names.get(id) || `#${id}`;
+  const order = Object.keys(CHANGE_KINDS);
+  const rows = (items, describe) => items
+    .filter((item) => item.change && item.change !== 'unchanged')
+    .sort((a, b) => order.indexOf(a.change) - order.indexOf(b.change))
+    .flatMap((item) => {
+      const row = { change: item.change, ...describe(item), field: null, before: null, after: null };
+      return item.change === 'changed' ? item.changes.map((change) => ({ ...row, ...change })) : [row];
+    });
+  return [
+    ...rows(nodes, (node) => ({ item: 'Actor', id: node.id, from: null, to: null, name: node.name })),
+    ...rows(relationships(edges), (relationship) => ({
+      item: 'Relationship',
+      id: null,
+      from: relationship.from,
+      to: relationship.to,
+      name: describeLinks(relationship.links, name).direction,
+    })),
+  ];
+};
+
+/**
+ * How many actors and relationships were added, removed and changed, as
+ * `{ actors: { added, removed, changed }, links: { ... } }`. The links
+ * between two actors count as one relationship.
+ */
+export const summarizeChanges = (nodes, edges) => {
+  const count = (items) => Object.fromEntries(['added', 'removed', 'changed']
+    .map((kind) => [kind, items.filter((item) => item.change === kind).length]));
+  return { actors: count(nodes), links: count(relationships(edges)) };
+};
+
+/**
+ * Change report rows as records keyed by CHANGE_COLUMNS.
+ */
+export const changeRecords = (rows) => rows.map((row) => ({
+  Change: CHANGE_KINDS[row.change].label,
+  Item: row.item,
+  Serial: row.id === null ? '' : row.id,
+  Source: row.from === null ? '' : row.from,
+  Target: row.to === null ? '' : row.to,
+  Name: row.name,
+  Field: row.field || '',
+  Before: row.before === null ? '' : row.before,
+  After: row.after === null ? '' : row.after,
+}));
@@ -0,0 +1,59 @@
+/**
+ * CSV parsing
+ *
+ * Thin wrapper around Papa.parse that also records the line on which each
+ * row starts, so that validation messages can point analysts at the exact
+ * line of the file. Quoted cells may span several lines, which is why the
+ * line numbers are tracked from the parser's cursor rather than assumed to
+ * be the row index plus one.
+ */
+import Papa from 'papaparse';
+
+/**
+ * Parse CSV text with a header row.
+ *
+ * Returns `{ name, rows, fields, lines, errors }` where `lines[i]` is the
+ * 1-based line number of `rows[i]` and `errors` holds Papa's parse errors
+ * with the affected row index.
+ */
+export const parseCSV = (content, name = '') => {
+  // Strip a byte order mark ourselves so cursor offsets match `text`
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  const lines = [];
+  const errors = [];
+  let fields = [];
+
+  // Start after the header line
+  const headerEnd = text.indexOf('\n');
+  let position = headerEnd === -1 ? text.length : headerEnd;
+  let line = 1;
+
+  Papa.parse(text, {
+    header: true,
+    skipEmptyLines: true,
+    dynamicTyping: false,
+    step: (results) => {
+      // Skip the line breaks (and blank lines) before this row
+      while (position < text.length && (text[position] === '\n' || text[position] === '\r')) {
+        if (text[position] === '\n') line += 1;
+        position += 1;
+      }
+      const rowLine = line;
+      const end = results.meta.cursor;
+      for (let i = position; i < end; i++) {
+        if (text[i] === '\n') line += 1;
+      }
+      position = Math.max(position, end);
+
+      fields = results.meta.fields || fields;
+      results.errors.forEach((error) => {
+        errors.push({ ...error, row: rows.length });
+      });
+      rows.push(results.data);
+      lines.push(rowLine);
+    },
+  });
+
+  return { name, rows, fields, lines, errors };
+};
@@ -0,0 +1,209 @@
+/**
+ * Edge list helpers
+ *
+ * Besides the node sheet (one row per actor with InteractsWithSerials), a
+ * dataset can carry an edge list with one row per relationship:
+ *
+ *   Source, Target, RelationshipType, Tensions, Strength, Sentiment,
+ *   Direction, ValidFrom, ValidTo
+ *
+ * Source and Target refer to an actor by Serial or by Actor name. Entries
+ * in the edge list override the row-level RelationshipType and Tensions of
+ * the node sheet for that specific link, and add links the node sheet does
+ * not mention. ValidFrom and ValidTo limit a link to a period (see
+ * timeline.js).
+ *
+ * Strength is any positive number (larger is stronger) and Sentiment is
+ * cooperative, neutral, competitive or hostile, or a number from -1
+ * (hostile) to +1 (cooperative).
+ */
+import { readValidity } from './timeline.js';
+
+export const EDGE_LIST_COLUMNS = ['Source', 'Target', 'RelationshipType', 'Tensions', 'Strength', 'Sentiment', 'Direction', 'ValidFrom', 'ValidTo'];
+
+const DIRECTIONS = {
+  directed: 'directed', to: 'directed', forward: 'directed', '->': 'directed', '': 'directed',
+  reverse: 'reverse', from: 'reverse', backward: 'reverse', '<-': 'reverse',
+  mutual: 'mutual', both: 'mutual', bidirectional: 'mutual', '<->': 'mutual',
+  undirected: 'undirected', none: 'undirected', '-': 'undirected',
+};
+
+const SENTIMENTS = {
+  cooperative: 1, cooperation: 1, positive: 1, friendly: 1, allied: 1, supportive: 1,
+  neutral: 0,
+  competitive: -0.5, competition: -0.5, rival: -0.5, rivalry: -0.5,
+  hostile: -1, hostility: -1, negative: -1, adversarial: -1,
+};
+
+// How links are drawn by Sentiment, from the most cooperative down. Links
+// without a Sentiment are drawn as neutral.
+export const SENTIMENT_STYLES = [
+  { key: 'cooperative', label: 'Cooperative', min: 0.25, color: '#2e7d32', dashes: false },
+  { key: 'neutral', label: 'Neutral', min: -0.25, color: '#848484', dashes: false },
+  { key: 'competitive', label: 'Competitive', min: -0.75, color: '#e65100', dashes: [8, 6] },
+  { key: 'hostile', label: 'Hostile', min: -Infinity, color: '#c62828', dashes: [3, 5] },
+];
+
+/**
+ * Whether a parsed CSV is an edge list rather than a node sheet.
+ */
+export const isEdgeList = (fields = []) => fields.includes('Source') && fields.includes('Target');
+
+/**
+ * Normalise a Direction value. Unrecognised values fall back to directed.
+ */
+export const parseDirection = (value) => DIRECTIONS[String(value || '').trim().toLowerCase()] || 'directed';
+
+/**
+ * Whether a Direction value is one of the recognised spellings.
+ */
+export const isKnownDirection = (value) => Object.prototype.hasOwnProperty.call(DIRECTIONS, String(value || '').trim().toLowerCase());
+
+/**
+ * vis-network arrow setting for a direction.
+ */
+export const directionArrows = (direction) => ({
+  directed: 'to',
+  reverse: 'from',
+  mutual: 'to, from',
+  undirected: '',
+}[direction]);
+
+/**
+ * Parse a Strength value, returning null when it is missing or not a number.
+ */
+export const parseStrength = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const strength = parseFloat(value);
+  return isNaN(strength) ? null : strength;
+};
+
+/**
+ * Parse a Sentiment value to a number from -1 to +1, returning null when it
+ * is missing, an unknown word or a number outside that range.
+ */
+export const parseSentiment = (value) => {
+  const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+  if (text === '') return null;
+  if (Object.prototype.hasOwnProperty.call(SENTIMENTS, text)) return SENTIMENTS[text];
+  const number = Number(text);
+  return isNaN(number) || Math.abs(number) > 1 ? null : number;
+};
+
+/**
+ * The entry of `SENTIMENT_STYLES` for a parsed sentiment.
+ */
+export const sentimentStyle = (sentiment) => (
+  SENTIMENT_STYLES.find((style) => (sentiment === null || sentiment === undefined ? 0 : sentiment) >= style.min)
+);
+
+/**
+ * Whether two links between the same actors say the same thing, so they
+ * can be drawn as one two-way link.
+ */
+const sameLink = (a, b) => ['relationship', 'tension', 'strength', 'sentiment', 'validFrom', 'validTo']
+  .every((field) => (a[field] || null) === (b[field] || null));
+
+/**
+ * Combine the links of a graph that run both ways between two actors.
+ * `links` is a Map of link attributes keyed by "from->to", as built from a
+ * node sheet and edge lists.
+ *
+ * A pair whose two links say the same thing becomes a single two-way link
+ * so they are not drawn as two overlapping arrows. Pairs that differ are
+ * both kept and marked `reciprocal` so that they can be drawn apart.
+ * Returns the links in their original order.
+ */
+export const combineReciprocalLinks = (links) => {
+  const result = new Map(links);
+  links.forEach((link, key) => {
+    const reverseKey = `${link.to}->${link.from}`;
+    if (link.from === link.to || !result.has(key) || !result.has(reverseKey)) return;
+    const reverse = result.get(reverseKey);
+    if (sameLink(link, reverse)) {
+      result.set(key, {
+        ...link,
+        direction: link.direction === 'undirected' && reverse.direction === 'undirected' ? 'undirected' : 'mutual',
+      });
+      result.delete(reverseKey);
+    } else {
+      result.set(key, { ...link, reciprocal: true });
+      result.set(reverseKey, { ...reverse, reciprocal: true });
+    }
+  });
+  return [...result.values()];
+};
+
+/**
+ * What the Legend needs to explain the links of a graph: `{ sentiments,
+ * strength, twoWay, reciprocal }`, where `sentiments` are the entries of
+ * `SENTIMENT_STYLES` in use, `strength` is `{ min, max }` or null and the
+ * flags say whether any link is two-way or part of a reciprocal pair.
+ */
+export const summarizeLinks = (edges) => {
+  const strengths = edges.map((edge) => edge.strength).filter((value) => value !== null && value !== undefined);
+  // Links of a compared graph are coloured by their change instead
+  const sentiments = new Set(edges
+    .filter((edge) => !edge.change && edge.sentiment !== null && edge.sentiment !== undefined)
+    .map((edge) => sentimentStyle(edge.sentiment).key));
+  return {
+    sentiments: SENTIMENT_STYLES.filter((style) => sentiments.has(style.key)),
+    strength: strengths.length > 0 ? { min: Math.min(...strengths), max: Math.max(...strengths) } : null,
+    twoWay: edges.some((edge) => edge.direction === 'mutual' || edge.direction === 'undirected'),
+    reciprocal: edges.some((edge) => edge.reciprocal),
+  };
+};
+
+/**
+ * Build a resolver that maps an edge list endpoint to a node id. Serials
+ * are tried first, then actor names (case-insensitive). Unknown endpoints
+ * are passed to `createNode`, which must return the id of a new node.
+ */
+export const createEndpointResolver = (nodes, createNode) => {
+  const bySerial = new Map(nodes.map((node) => [String(node.id), node.id]));
+  const byName = new Map(nodes.map((node) => [String(node.name || '').trim().toLowerCase(), node.id]));
+
+  return (value) => {
+    const key = String(value || '').trim();
+    if (!key) return null;
+    if (bySerial.has(key)) return bySerial.get(key);
+    if (byName.has(key.toLowerCase())) return byName.get(key.toLowerCase());
+
+    const id = createNode(key);
+    bySerial.set(String(id), id);
+    byName.set(key.toLowerCase(), id);
+    return id;
+  };
+};
+
+/**
+ * Turn edge list rows into link attributes keyed by "from->to". A reverse
+ * direction is stored the other way round so that every entry reads as
+ * from -> to.
+ */
+export const readEdgeList = (rows, resolve) => {
+  const links = new Map();
+  rows.forEach((row) => {
+    let from = resolve(row['Source']);
+    let to = resolve(row['Target']);
+    if (from === null || to === null) return;
+
+    let direction = parseDirection(row['Direction']);
+    if (direction === 'reverse') {
+      [from, to] = [to, from];
+      direction = 'directed';
+    }
+
+    links.set(`${from}->${to}`, {
+      from,
+      to,
+      relationship: row['RelationshipType'],
+      tension: row['Tensions'],
+      strength: parseStrength(row['Strength']),
+      sentiment: parseSentiment(row['Sentiment']),
+      direction,
+      ...readValidity(row),
+    });
+  });
+  return links;
+};
@@ -0,0 +1,154 @@
+/**
+ * Data exporters
+ *
+ * Write the loaded network back out in the formats the importers read: a
+ * normalised node sheet and edge list in the documented CSV columns,
+ * node-link JSON and GraphML. Serial ranges are written out in full, every
+ * link carries its own attributes, and node positions (when given) are
+ * stored as X/Y so that a re-import reproduces the layout. Analyst notes go
+ * into the JSON, or a CSV of their own, as does the change report of a
+ * comparison.
+ */
+import Papa from 'papaparse';
+import { AFFILIATIONS } from './affiliation.js';
+import { ANNOTATION_COLUMNS, annotationRecords, exportNotes, notesOnEdge, notesOnNode } from './annotations.js';
+import { CHANGE_COLUMNS, changeRecords } from './compare.js';
+import { EDGE_LIST_COLUMNS } from './edgeList.js';
+import { escapeXml } from './render.js';
+import { symbolColumns } from './symbology.js';
+import { NODE_COLUMNS } from './validate.js';
+
+const text = (value) => (value === undefined || value === null ? '' : String(value));
+
+/**
+ * One record per node keyed by the CSV column names. `positions` maps node
+ * ids to `{ x, y }`.
+ */
+export const nodeRecords = (nodes, edges, positions = {}) => nodes.map((node) => {
+  const position = positions[node.id];
+  return {
+    Serial: node.id,
+    Category: text(node.category),
+    Actor: text(node.name),
+    ActorDescription: text(node.description),
+    InteractsWithSerials: edges.filter((edge) => edge.from === node.id).map((edge) => edge.to).join(';'),
+    RelationshipType: text(node.relationshipType),
+    Tensions: text(node.tensions),
+    Relevance: text(node.relevance),
+    Affiliation: AFFILIATIONS[node.affiliation].label,
+    SIDC: text(node.sidc),
+    ...symbolColumns(node.symbol),
+    X: position ? Math.round(position.x) : '',
+    Y: position ? Math.round(position.y) : '',
+    ValidFrom: text(node.validFrom),
+    ValidTo: text(node.validTo),
+    Latitude: text(node.latitude),
+    Longitude: text(node.longitude),
+    Country: text(node.country),
+  };
+});
+
+/**
+ * One record per edge keyed by the edge list column names.
+ */
+export const edgeRecords = (edges) => edges.map((edge) => ({
+  Source: edge.from,
+  Target: edge.to,
+  RelationshipType: text(edge.relationship),
+  Tensions: text(edge.tension),
+  Strength: edge.strength === null || edge.strength === undefined ? '' : edge.strength,
+  Sentiment: edge.sentiment === null || edge.sentiment === undefined ? '' : edge.sentiment,
+  Direction: edge.direction || 'directed',
+  ValidFrom: text(edge.validFrom),
+  ValidTo: text(edge.validTo),
+}));
+
+/**
+ * Node sheet CSV in the documented column format.
+ */
+export const toNodeCSV = (nodes, edges, positions) => Papa.unparse({
+  fields: NODE_COLUMNS,
+  data: nodeRecords(nodes, edges, positions),
+});
+
+/**
+ * Edge list CSV with one row per link.
+ */
+export const toEdgeListCSV = (edges) => Papa.unparse({
+  fields: EDGE_LIST_COLUMNS,
+  data: edgeRecords(edges),
+});
+
+/**
+ * CSV of the analyst notes, one row per note.
+ */
+export const toNotesCSV = (annotations) => Papa.unparse({
+  fields: ANNOTATION_COLUMNS,
+  data: annotationRecords(annotations),
+});
+
+/**
+ * CSV of a comparison's change report (see compare.js), one row per added
+ * or removed item and per changed field.
+ */
+export const toChangeReportCSV = (rows) => Papa.unparse({
+  fields: CHANGE_COLUMNS,
+  data: changeRecords(rows),
+});
+
+/**
+ * Node-link JSON as read by d3, NetworkX and the JSON importer. Nodes and
+ * links with annotations carry them as a `notes` list.
+ */
+export const toNodeLinkJSON = (nodes, edges, positions, annotations = []) => {
+  const withNotes = (item, notes) => (notes.length > 0 ? { ...item, notes: exportNotes(notes) } : item);
+  return JSON.stringify({
+    directed: true,
+    multigraph: false,
+    graph: { name: 'RAFT' },
+    nodes: nodeRecords(nodes, edges, positions).map(({ Serial, InteractsWithSerials, ...attrs }) => withNotes(
+      { id: Serial, ...attrs },
+      notesOnNode(annotations, Serial),
+    )),
+    links: edgeRecords(edges).map(({ Source, Target, ...attrs }) => withNotes(
+      { source: Source, target: Target, ...attrs },
+      notesOnEdge(annotations, { from: Source, to: Target }, ['mutual', 'undirected'].includes(attrs.Direction)),
+    )),
+  }, null, 2);
+};
+
+/**
+ * GraphML document. Links that are not directed are marked directed="false".
+ */
+export const toGraphML = (nodes, edges, positions) => {
+  const nodeKeys = NODE_COLUMNS.filter((column) => column !== 'Serial' && column !== 'InteractsWithSerials');
+  const edgeKeys = EDGE_LIST_COLUMNS.filter((column) => column !== 'Source' && column !== 'Target');
+  const numeric = ['X', 'Y', 'Strength', 'Sentiment', 'Latitude', 'Longitude'];
+
+  const keyElement = (domain, column) => `  <key id="${domain}_${column}" for="${domain}" attr.name="${column}" attr.type="${numeric.includes(column) ? 'double' : 'string'}"/>`;
+  const dataElements = (domain, record, columns) => columns
+    .filter((column) => text(record[column]) !== '')
+    .map((column) => `      <data key="${domain}_${column}">${escapeXml(record[column])}</data>`)
+    .join('\n');
+
+  const nodeElements = nodeRecords(nodes, edges, positions).map((record) => (
+    `    <node id="${escapeXml(record.Serial)}">\n${dataElements('node', record, nodeKeys)}\n    </node>`
+  ));
+  const edgeElements = edgeRecords(edges).map((record, index) => {
+    const directed = record.Direction === 'directed' ? '' : ' directed="false"';
+    return `    <edge id="e${index}" source="${escapeXml(record.Source)}" target="${escapeXml(record.Target)}"${directed}>\n${dataElements('edge', record, edgeKeys)}\n    </edge>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">',
+    ...nodeKeys.map((column) => keyElement('node', column)),
+    ...edgeKeys.map((column) => keyElement('edge', column)),
+    '  <graph id="RAFT" edgedefault="directed">',
+    ...nodeElements,
+    ...edgeElements,
+    '  </graph>',
+    '</graphml>',
+    '',
+  ].join('\n');
+};
@@ -0,0 +1,137 @@
+/**
+ * Graph filters
+ *
+ * Decide which actors and links are shown. Filters are plain, serialisable
+ * objects so they can be saved with a workspace:
+ *
+ *   {
+ *     hiddenCategories: [],    // Category values to hide ('' for none)
+ *     hiddenAffiliations: [],  // affiliation keys to hide
+ *     relationship: '',        // comma-separated RelationshipType keywords
+ *     hiddenTensions: '',      // hide links whose Tensions mention these
+ *     ego: null,               // { nodeId, hops } to show one neighbourhood
+ *   }
+ *
+ * With relationship keywords only the matching links are shown, along with
+ * the actors they connect. Keyword matching is case-insensitive; a link
+ * matches when its text contains any of the keywords.
+ */
+
+export const EMPTY_FILTERS = {
+  hiddenCategories: [],
+  hiddenAffiliations: [],
+  relationship: '',
+  hiddenTensions: '',
+  ego: null,
+};
+
+export const isFiltering = (filters) => filters.hiddenCategories.length > 0
+  || filters.hiddenAffiliations.length > 0
+  || filters.relationship.trim() !== ''
+  || filters.hiddenTensions.trim() !== ''
+  || filters.ego !== null;
+
+/**
+ * The filters that differ from `EMPTY_FILTERS`, e.g. for a shareable link.
+ */
+export const filterChanges = (filters) => Object.fromEntries(Object.entries(filters)
+  .filter(([key, value]) => JSON.stringify(value) !== JSON.stringify(EMPTY_FILTERS[key])));
+
+// Checks for the value of each filter, e.g. one read from a link
+const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+const FILTER_TYPES = {
+  hiddenCategories: isStringList,
+  hiddenAffiliations: isStringList,
+  relationship: (value) => typeof value === 'string',
+  hiddenTensions: (value) => typeof value === 'string',
+  ego: (value) => value === null || (typeof value === 'object'
+    && Number.isInteger(value.nodeId) && Number.isInteger(value.hops) && value.hops >= 1 && value.hops <= 4),
+};
+
+/**
+ * Check filters from outside the app, such as a shared link, against the
+ * shape above. Returns `{ filters, ignored }`: the known filters whose
+ * values have the right type, and the names of the others. `filters` only
+ * holds the filters given, to be laid over `EMPTY_FILTERS`.
+ */
+export const readFilters = (value) => {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return { filters: {}, ignored: ['filters'] };
+  const entries = Object.entries(value);
+  const valid = ([key, item]) => Object.prototype.hasOwnProperty.call(FILTER_TYPES, key) && FILTER_TYPES[key](item);
+  return {
+    filters: Object.fromEntries(entries.filter(valid)),
+    ignored: entries.filter((entry) => !valid(entry)).map(([key]) => key),
+  };
+};
+
+const keywordMatcher = (text) => {
+  const terms = String(text || '').split(',').map((term) => term.trim().toLowerCase()).filter(Boolean);
+  if (terms.length === 0) return null;
+  return (value) => {
+    const lower = String(value || '').toLowerCase();
+    return terms.some((term) => lower.includes(term));
+  };
+};
+
+/**
+ * Actors within `hops` links of `center`, ignoring link direction.
+ */
+export const egoNetwork = (edges, center, hops) => {
+  const neighbours = new Map();
+  const link = (a, b) => {
+    if (!neighbours.has(a)) neighbours.set(a, []);
+    neighbours.get(a).push(b);
+  };
+  edges.forEach(({ from, to }) => {
+    link(from, to);
+    link(to, from);
+  });
+
+  const members = new Set([center]);
+  let frontier = [center];
+  for (let step = 0; step < hops; step++) {
+    const next = [];
+    frontier.forEach((id) => (neighbours.get(id) || []).forEach((other) => {
+      if (members.has(other)) return;
+      members.add(other);
+      next.push(other);
+    }));
+    frontier = next;
+  }
+  return members;
+};
+
+/**
+ * Work out the visible actors and links for a set of filters.
+ *
+ * Returns `{ nodeVisible(node), edgeVisible(edge), visibleCount }`, the
+ * first two for use as DataView filters.
+ */
+export const createVisibility = (filters, nodes, edges) => {
+  const hiddenCategories = new Set(filters.hiddenCategories);
+  const hiddenAffiliations = new Set(filters.hiddenAffiliations);
+  const relationshipMatches = keywordMatcher(filters.relationship);
+  const tensionHidden = keywordMatcher(filters.hiddenTensions);
+
+  const edgeAllowed = (edge) => (!relationshipMatches || relationshipMatches(edge.relationship))
+    && (!tensionHidden || !tensionHidden(edge.tension));
+
+  // Actors connected by a matching link, when filtering by relationship
+  const related = relationshipMatches
+    ? new Set(edges.filter(edgeAllowed).flatMap((edge) => [edge.from, edge.to]))
+    : null;
+  const ego = filters.ego ? egoNetwork(edges, filters.ego.nodeId, filters.ego.hops) : null;
+
+  const visible = new Set(nodes
+    .filter((node) => !hiddenCategories.has(node.category || '')
+      && !hiddenAffiliations.has(node.affiliation)
+      && (!related || related.has(node.id))
+      && (!ego || ego.has(node.id)))
+    .map((node) => node.id));
+
+  return {
+    nodeVisible: (node) => visible.has(node.id),
+    edgeVisible: (edge) => visible.has(edge.from) && visible.has(edge.to) && edgeAllowed(edge),
+    visibleCount: visible.size,
+  };
+};
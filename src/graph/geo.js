@@ -0,0 +1,128 @@
+/**
+ * Geographic positions
+ *
+ * Actors can be placed on the Americas map (src/data/Americas.svg) by the
+ * optional Latitude and Longitude columns, or by an ISO 3166-1 alpha-2 or
+ * alpha-3 code in the Country column, which stands for the centre of that
+ * country. Explicit coordinates win over a country code.
+ *
+ * The map is an orthographic projection, so places on the far side of the
+ * globe (e.g. Beijing or Moscow) are not on it and are treated as having
+ * no position.
+ */
+
+// Projection of Americas.svg, in the SVG's own units: centred on 80.5°W
+// 13°N, with the globe drawn at (cx, cy) with the given radius. `scale` is
+// the number of canvas units per SVG unit in the geographic layout.
+export const AMERICAS_MAP = {
+  width: 550,
+  height: 550,
+  cx: 275.03,
+  cy: 274.97,
+  radius: 274.17,
+  lon0: -80.5,
+  lat0: 13,
+  scale: 10,
+};
+
+// Approximate centres of the countries and territories of the Americas as
+// [alpha-2, alpha-3, latitude, longitude]
+const COUNTRIES = [
+  ['US', 'USA', 39.8, -98.6], ['CA', 'CAN', 56.1, -106.3], ['MX', 'MEX', 23.6, -102.5],
+  ['GL', 'GRL', 72.0, -40.0], ['BM', 'BMU', 32.3, -64.8],
+  ['GT', 'GTM', 15.8, -90.2], ['BZ', 'BLZ', 17.2, -88.5], ['SV', 'SLV', 13.8, -88.9],
+  ['HN', 'HND', 14.8, -86.6], ['NI', 'NIC', 12.9, -85.2], ['CR', 'CRI', 9.7, -84.0],
+  ['PA', 'PAN', 8.5, -80.8],
+  ['CU', 'CUB', 21.5, -79.5], ['BS', 'BHS', 24.3, -76.0], ['JM', 'JAM', 18.1, -77.3],
+  ['HT', 'HTI', 19.0, -72.3], ['DO', 'DOM', 18.7, -70.2], ['PR', 'PRI', 18.2, -66.5],
+  ['KY', 'CYM', 19.3, -81.3], ['TC', 'TCA', 21.7, -71.8], ['VG', 'VGB', 18.4, -64.6],
+  ['VI', 'VIR', 18.3, -64.9], ['AG', 'ATG', 17.1, -61.8], ['KN', 'KNA', 17.3, -62.7],
+  ['DM', 'DMA', 15.4, -61.4], ['LC', 'LCA', 13.9, -61.0], ['VC', 'VCT', 13.3, -61.2],
+  ['BB', 'BRB', 13.2, -59.5], ['GD', 'GRD', 12.1, -61.7], ['TT', 'TTO', 10.7, -61.2],
+  ['AW', 'ABW', 12.5, -70.0], ['CW', 'CUW', 12.2, -69.0],
+  ['CO', 'COL', 4.0, -73.0], ['VE', 'VEN', 7.1, -66.2], ['GY', 'GUY', 4.9, -58.9],
+  ['SR', 'SUR', 4.0, -56.0], ['GF', 'GUF', 4.0, -53.0], ['EC', 'ECU', -1.8, -78.2],
+  ['PE', 'PER', -9.2, -75.0], ['BO', 'BOL', -16.3, -63.6], ['BR', 'BRA', -10.8, -52.9],
+  ['PY', 'PRY', -23.4, -58.4], ['UY', 'URY', -32.5, -55.8], ['AR', 'ARG', -35.4, -65.2],
+  ['CL', 'CHL', -35.7, -71.5], ['FK', 'FLK', -51.8, -59.5],
+];
+
+const COUNTRY_CENTRES = new Map(COUNTRIES.flatMap(([alpha2, alpha3, lat, lon]) => [
+  [alpha2, { lat, lon }],
+  [alpha3, { lat, lon }],
+]));
+
+/**
+ * Parse a Latitude or Longitude value, returning null when it is missing,
+ * not a number or outside `limit` degrees either way.
+ */
+export const parseCoordinate = (value, limit) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null;
+  const number = Number(String(value).trim());
+  return isNaN(number) || Math.abs(number) > limit ? null : number;
+};
+
+/**
+ * The centre of a country by ISO code, or null when the code is unknown.
+ */
+export const countryCentre = (code) => COUNTRY_CENTRES.get(String(code || '').trim().toUpperCase()) || null;
+
+/**
+ * The Latitude, Longitude and Country of a node sheet row as node
+ * attributes.
+ */
+export const readGeography = (row) => ({
+  latitude: parseCoordinate(row['Latitude'], 90),
+  longitude: parseCoordinate(row['Longitude'], 180),
+  country: String(row['Country'] || '').trim(),
+});
+
+/**
+ * The location of a node as `{ lat, lon }`, or null when it has none.
+ */
+export const locate = (node) => {
+  if (node.latitude !== null && node.latitude !== undefined && node.longitude !== null && node.longitude !== undefined) {
+    return { lat: node.latitude, lon: node.longitude };
+  }
+  return countryCentre(node.country);
+};
+
+/**
+ * Project a location onto the map, in SVG units, or return null when it is
+ * on the far side of the globe.
+ */
+export const projectLocation = ({ lat, lon }, map = AMERICAS_MAP) => {
+  const toRadians = Math.PI / 180;
+  const phi = lat * toRadians;
+  const phi0 = map.lat0 * toRadians;
+  const lambda = (lon - map.lon0) * toRadians;
+  const cosC = Math.sin(phi0) * Math.sin(phi) + Math.cos(phi0) * Math.cos(phi) * Math.cos(lambda);
+  if (cosC < 0) return null;
+  return {
+    x: map.cx + map.radius * Math.cos(phi) * Math.sin(lambda),
+    y: map.cy - map.radius * (Math.cos(phi0) * Math.sin(phi) - Math.sin(phi0) * Math.cos(phi) * Math.cos(lambda)),
+  };
+};
+
+/**
+ * Position of a location in the network's canvas coordinates for the
+ * geographic layout, with the centre of the map at the origin, or null.
+ */
+export const mapPosition = (location, map = AMERICAS_MAP) => {
+  const point = location && projectLocation(location, map);
+  if (!point) return null;
+  return {
+    x: (point.x - map.width / 2) * map.scale,
+    y: (point.y - map.height / 2) * map.scale,
+  };
+};
+
+/**
+ * Where to draw the map image in canvas coordinates: `{ x, y, width, height }`.
+ */
+export const mapBounds = (map = AMERICAS_MAP) => ({
+  x: (-map.width / 2) * map.scale,
+  y: (-map.height / 2) * map.scale,
+  width: map.width * map.scale,
+  height: map.height * map.scale,
+});
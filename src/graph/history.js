@@ -0,0 +1,74 @@
+/**
+ * Edit history
+ *
+ * Undo and redo for edits made to the graph's node and edge DataSets. Each
+ * edit is recorded as a list of changes, one per item, holding the item as
+ * it was before and after the edit (null when it did not exist), so an edit
+ * is undone by writing the "before" side back and redone by writing the
+ * "after" side again.
+ */
+
+/**
+ * Write one side of a list of changes to the sets.
+ */
+const applyChanges = (sets, changes, side) => {
+  changes.forEach((change) => {
+    const set = sets[change.set];
+    const item = change[side];
+    // DataSet.update adds items that do not exist yet
+    if (item) {
+      set.update(item);
+    } else {
+      set.remove(change.id);
+    }
+  });
+};
+
+/**
+ * Create the history for `sets`, an object of DataSets keyed by name (e.g.
+ * `{ nodes, edges }`).
+ *
+ * `record(label, updates)` applies an edit given as `{ set, id, item }`
+ * entries, where `item` is the new version of the item or null to remove it,
+ * and pushes it onto the undo stack. A new edit clears the redo stack.
+ */
+export const createEditHistory = (sets) => {
+  const undoStack = [];
+  const redoStack = [];
+
+  const record = (label, updates) => {
+    const changes = updates.map(({ set, id, item }) => ({
+      set,
+      id,
+      before: sets[set].get(id),
+      after: item,
+    }));
+    applyChanges(sets, changes, 'after');
+    undoStack.push({ label, changes });
+    redoStack.length = 0;
+  };
+
+  const undo = () => {
+    const edit = undoStack.pop();
+    if (!edit) return null;
+    applyChanges(sets, [...edit.changes].reverse(), 'before');
+    redoStack.push(edit);
+    return edit.label;
+  };
+
+  const redo = () => {
+    const edit = redoStack.pop();
+    if (!edit) return null;
+    applyChanges(sets, edit.changes, 'after');
+    undoStack.push(edit);
+    return edit.label;
+  };
+
+  return {
+    record,
+    undo,
+    redo,
+    undoLabel: () => (undoStack.length > 0 ? undoStack[undoStack.length - 1].label : null),
+    redoLabel: () => (redoStack.length > 0 ? redoStack[redoStack.length - 1].label : null),
+  };
+};
@@ -0,0 +1,123 @@
+/**
+ * Column name mapping for non-CSV importers
+ *
+ * Spreadsheets, JSON graphs and GraphML files rarely use RAFT's exact
+ * column names. These helpers map common spellings ("name", "weight",
+ * "Relationship Type") onto the CSV column contract so that every importer
+ * produces rows the validator and graph builder already understand.
+ */
+import { importNotes } from '../annotations.js';
+import { EDGE_LIST_COLUMNS } from '../edgeList.js';
+import { NODE_COLUMNS } from '../validate.js';
+
+const NODE_ALIASES = {
+  id: 'Serial', serial: 'Serial',
+  name: 'Actor', label: 'Actor', actor: 'Actor',
+  type: 'Category', group: 'Category', category: 'Category',
+  description: 'ActorDescription', actordescription: 'ActorDescription',
+  identity: 'Affiliation', standardidentity: 'Affiliation', affiliation: 'Affiliation',
+  start: 'ValidFrom', end: 'ValidTo',
+  lat: 'Latitude', lon: 'Longitude', lng: 'Longitude', long: 'Longitude',
+  iso: 'Country', countrycode: 'Country', iso2: 'Country', iso3: 'Country',
+};
+
+const EDGE_ALIASES = {
+  from: 'Source', source: 'Source',
+  to: 'Target', target: 'Target',
+  relationship: 'RelationshipType', type: 'RelationshipType', label: 'RelationshipType',
+  tension: 'Tensions',
+  weight: 'Strength', value: 'Strength',
+  sign: 'Sentiment', polarity: 'Sentiment',
+  start: 'ValidFrom', end: 'ValidTo',
+};
+
+const squash = (name) => String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const canonical = (name, columns, aliases) => {
+  const key = squash(name);
+  return columns.find((column) => squash(column) === key) || aliases[key] || name;
+};
+
+/**
+ * Canonical node column for a field name, or the name itself when it does
+ * not correspond to a known column.
+ */
+export const nodeColumn = (name) => canonical(name, NODE_COLUMNS, NODE_ALIASES);
+
+/**
+ * Canonical edge list column for a field name, or the name itself when it
+ * does not correspond to a known column.
+ */
+export const edgeColumn = (name) => canonical(name, EDGE_LIST_COLUMNS, EDGE_ALIASES);
+
+/**
+ * Rename the keys of plain objects to canonical columns and stringify the
+ * values, as Papa.parse would have produced them. Returns `{ rows, fields }`.
+ */
+export const canonicalRows = (records, mapColumn) => {
+  const fields = [];
+  const rows = records.map((record) => {
+    const row = {};
+    Object.entries(record).forEach(([key, value]) => {
+      if (value === null || value === undefined || typeof value === 'object') return;
+      const column = mapColumn(key);
+      if (!fields.includes(column)) fields.push(column);
+      row[column] = String(value);
+    });
+    return row;
+  });
+  return { rows, fields };
+};
+
+/**
+ * Build a sheet in the shape returned by `parseCSV`.
+ */
+export const makeSheet = (name, rows, fields, lines = rows.map((_, index) => index + 1)) => ({
+  name,
+  rows,
+  fields,
+  lines,
+  errors: [],
+});
+
+/**
+ * Turn the node and link records of a graph file (node-link JSON, GraphML)
+ * into a node sheet and an edge list.
+ *
+ * Node ids become Serials when they are all distinct whole numbers; other
+ * ids are numbered 1..n in file order and links are rewritten to match.
+ * Links of an undirected graph default to the "undirected" Direction.
+ * `notes` lists on nodes and links become annotations (see
+ * annotations.js).
+ */
+export const graphSheets = (name, nodeRecords, linkRecords, { directed = true } = {}) => {
+  const ids = nodeRecords.map((record) => String(record.id));
+  const numeric = ids.every((id) => /^\d+$/.test(id) && parseInt(id, 10) > 0) && new Set(ids).size === ids.length;
+  const serials = new Map(ids.map((id, index) => [id, numeric ? id : String(index + 1)]));
+
+  const nodes = canonicalRows(nodeRecords.map(({ id, ...attrs }) => ({
+    // An explicit Actor/label attribute wins over the raw id as the name
+    Actor: String(id),
+    ...attrs,
+    Serial: serials.get(String(id)),
+  })), nodeColumn);
+
+  const links = canonicalRows(linkRecords.map(({ source, target, ...attrs }) => ({
+    Direction: directed ? 'directed' : 'undirected',
+    ...attrs,
+    Source: serials.get(String(source)) || String(source),
+    Target: serials.get(String(target)) || String(target),
+  })), edgeColumn);
+
+  const serialOf = (id) => (serials.has(String(id)) ? parseInt(serials.get(String(id)), 10) : String(id));
+  const annotations = [
+    ...nodeRecords.flatMap((record) => importNotes(record.notes, { node: serialOf(record.id) })),
+    ...linkRecords.flatMap((record) => importNotes(record.notes, { from: serialOf(record.source), to: serialOf(record.target) })),
+  ];
+
+  return {
+    nodeSheet: makeSheet(`${name} (nodes)`, nodes.rows, nodes.fields),
+    edgeLists: [makeSheet(`${name} (links)`, links.rows, links.fields)],
+    annotations,
+  };
+};
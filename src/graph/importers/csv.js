@@ -0,0 +1,33 @@
+/**
+ * CSV importer
+ *
+ * The original RAFT format. A file with Source and Target columns is read
+ * as an edge list, anything else as a node sheet.
+ */
+import { parseCSV } from '../csv.js';
+import { isEdgeList } from '../edgeList.js';
+import { fileText, hasExtension, isBinary } from './files.js';
+
+const extensions = ['.csv', '.tsv', '.txt'];
+
+export default {
+  id: 'csv',
+  label: 'CSV',
+  extensions,
+
+  // CSV has no signature, so it only ever makes a weak match: by extension,
+  // or as the fallback for text that is not obviously JSON or XML
+  detect: (file) => {
+    if (isBinary(file)) return 0;
+    if (hasExtension(file, extensions)) return 1;
+    const start = fileText(file).trimStart()[0];
+    return start && !'{[<'.includes(start) ? 1 : 0;
+  },
+
+  read: (file) => {
+    const sheet = parseCSV(fileText(file), file.name);
+    return isEdgeList(sheet.fields)
+      ? { nodeSheet: null, edgeLists: [sheet] }
+      : { nodeSheet: sheet, edgeLists: [] };
+  },
+};
@@ -0,0 +1,41 @@
+/**
+ * Helpers for inspecting uploaded files. Importers receive files as
+ * `{ name, buffer }` where `buffer` is an ArrayBuffer of the raw content.
+ */
+
+const decoded = new WeakMap();
+
+/**
+ * The file content decoded as UTF-8 (a byte order mark is dropped). The
+ * result is cached per buffer because every importer's `detect` asks.
+ */
+export const fileText = (file) => {
+  if (!decoded.has(file.buffer)) {
+    decoded.set(file.buffer, new TextDecoder('utf-8').decode(file.buffer));
+  }
+  return decoded.get(file.buffer);
+};
+
+/**
+ * Whether the file name ends in one of `extensions` (case-insensitive).
+ */
+export const hasExtension = (file, extensions) => {
+  const name = String(file.name || '').toLowerCase();
+  return extensions.some((extension) => name.endsWith(extension));
+};
+
+/**
+ * Whether the file starts with the given byte signature.
+ */
+export const startsWithBytes = (file, bytes) => {
+  const head = new Uint8Array(file.buffer, 0, Math.min(bytes.length, file.buffer.byteLength));
+  return bytes.every((byte, index) => head[index] === byte);
+};
+
+/**
+ * Whether the file looks like binary data rather than text.
+ */
+export const isBinary = (file) => {
+  const head = new Uint8Array(file.buffer, 0, Math.min(512, file.buffer.byteLength));
+  return head.includes(0);
+};
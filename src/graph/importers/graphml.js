@@ -0,0 +1,68 @@
+/**
+ * GraphML importer
+ *
+ * Reads <node> and <edge> elements together with their <data> values,
+ * using the attr.name of each <key> as the attribute name. Edge direction
+ * follows the graph's edgedefault unless an edge sets `directed` itself.
+ */
+import { graphSheets } from './columns.js';
+import { fileText, hasExtension, isBinary } from './files.js';
+
+const extensions = ['.graphml', '.xml'];
+
+// Collect the <data> children of an element as { attrName: value }
+const readData = (element, keys) => {
+  const attrs = {};
+  Array.from(element.children)
+    .filter((child) => child.localName === 'data')
+    .forEach((data) => {
+      const key = data.getAttribute('key');
+      attrs[keys[key] || key] = data.textContent.trim();
+    });
+  return attrs;
+};
+
+export default {
+  id: 'graphml',
+  label: 'GraphML',
+  extensions,
+
+  detect: (file) => {
+    if (isBinary(file)) return 0;
+    if (/<graphml[\s>]/.test(fileText(file).slice(0, 4096))) return 2;
+    return hasExtension(file, ['.graphml']) ? 1 : 0;
+  },
+
+  read: (file) => {
+    const doc = new DOMParser().parseFromString(fileText(file), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error(`${file.name} is not well-formed XML.`);
+    }
+    const graph = doc.getElementsByTagNameNS('*', 'graph')[0];
+    if (!graph) {
+      throw new Error(`${file.name} does not contain a <graph> element.`);
+    }
+
+    const keys = {};
+    Array.from(doc.getElementsByTagNameNS('*', 'key')).forEach((key) => {
+      keys[key.getAttribute('id')] = key.getAttribute('attr.name') || key.getAttribute('id');
+    });
+    const defaultDirected = graph.getAttribute('edgedefault') !== 'undirected';
+
+    const nodes = Array.from(graph.getElementsByTagNameNS('*', 'node')).map((node) => ({
+      ...readData(node, keys),
+      id: node.getAttribute('id'),
+    }));
+    const edges = Array.from(graph.getElementsByTagNameNS('*', 'edge')).map((edge) => {
+      const directed = edge.hasAttribute('directed') ? edge.getAttribute('directed') === 'true' : defaultDirected;
+      return {
+        Direction: directed ? 'directed' : 'undirected',
+        ...readData(edge, keys),
+        source: edge.getAttribute('source'),
+        target: edge.getAttribute('target'),
+      };
+    });
+
+    return graphSheets(file.name, nodes, edges, { directed: defaultDirected });
+  },
+};
@@ -0,0 +1,73 @@
+/**
+ * Importer registry
+ *
+ * Every supported input format is an importer object:
+ *
+ *   {
+ *     id, label, extensions,
+ *     detect(file) -> 0 (no), 1 (weak: extension or plausible text)
+ *                     or 2 (strong: content signature),
+ *     read(file) -> { nodeSheet, edgeLists, annotations? } (or a Promise of it),
+ *   }
+ *
+ * where `file` is `{ name, buffer }` and the sheets have the shape returned
+ * by `parseCSV`, with rows keyed by the CSV column names. Everything after
+ * import (validation, graph building) therefore only knows about the CSV
+ * column contract. To support a new format, add an importer here.
+ */
+import csv from './csv.js';
+import graphml from './graphml.js';
+import json from './json.js';
+import xlsx from './xlsx.js';
+
+// Earlier entries win ties
+export const IMPORTERS = [xlsx, graphml, json, csv];
+
+/**
+ * File extensions accepted by any importer, for <input accept>.
+ */
+export const ACCEPTED_EXTENSIONS = IMPORTERS.flatMap((importer) => importer.extensions).join(',');
+
+/**
+ * The importer best suited to a file, or null when no importer accepts it.
+ */
+export const detectImporter = (file) => {
+  let best = null;
+  let bestScore = 0;
+  IMPORTERS.forEach((importer) => {
+    const score = importer.detect(file);
+    if (score > bestScore) {
+      best = importer;
+      bestScore = score;
+    }
+  });
+  return best;
+};
+
+/**
+ * Import one file into `{ nodeSheet, edgeLists }`. Rejects when the format
+ * is not recognised or the file cannot be read.
+ */
+export const importFile = async (file) => {
+  const importer = detectImporter(file);
+  if (!importer) {
+    throw new Error(`${file.name} is not in a supported format (${IMPORTERS.map((entry) => entry.label).join(', ')}).`);
+  }
+  return importer.read(file);
+};
+
+/**
+ * Import a dataset made of a main file and an optional relationships file.
+ * Every sheet found in the relationships file is treated as an edge list.
+ */
+export const importDataset = async (nodeFile, edgeFile) => {
+  const main = await importFile(nodeFile);
+  if (!edgeFile) return main;
+
+  const extra = await importFile(edgeFile);
+  return {
+    nodeSheet: main.nodeSheet,
+    edgeLists: [...main.edgeLists, ...[extra.nodeSheet, ...extra.edgeLists].filter(Boolean)],
+    annotations: [...(main.annotations || []), ...(extra.annotations || [])],
+  };
+};
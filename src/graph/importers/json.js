@@ -0,0 +1,62 @@
+/**
+ * Node-link JSON importer
+ *
+ * Reads the node-link format used by d3, NetworkX (`node_link_data`) and
+ * most graph tools:
+ *
+ *   { "directed": true, "nodes": [{ "id": 1, "label": "Canada" }],
+ *     "links": [{ "source": 1, "target": 2, "relationship": "..." }] }
+ *
+ * `edges` is accepted in place of `links`, and a top-level `graph` object
+ * wrapping the same structure is unwrapped. `notes` lists on nodes and
+ * links are read as annotations.
+ */
+import { graphSheets } from './columns.js';
+import { fileText, hasExtension, isBinary } from './files.js';
+
+const extensions = ['.json'];
+
+const parse = (file) => {
+  try {
+    const data = JSON.parse(fileText(file));
+    const graph = data && !Array.isArray(data.nodes) && data.graph && typeof data.graph === 'object' ? data.graph : data;
+    return graph && Array.isArray(graph.nodes) ? graph : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+export default {
+  id: 'json',
+  label: 'Node-link JSON',
+  extensions,
+
+  detect: (file) => {
+    if (isBinary(file)) return 0;
+    const start = fileText(file).trimStart()[0];
+    if (start === '{' && parse(file)) return 2;
+    return hasExtension(file, extensions) ? 1 : 0;
+  },
+
+  read: (file) => {
+    const graph = parse(file);
+    if (!graph) {
+      throw new Error(`${file.name} is not node-link JSON: expected an object with a "nodes" array.`);
+    }
+    const links = graph.links || graph.edges || [];
+    // d3 mutates links to point at node objects; accept numeric indexes too
+    const nodeId = (ref) => {
+      if (ref && typeof ref === 'object') return ref.id;
+      if (typeof ref === 'number' && !graph.nodes.some((node) => node.id === ref) && graph.nodes[ref]) {
+        return graph.nodes[ref].id;
+      }
+      return ref;
+    };
+    return graphSheets(
+      file.name,
+      graph.nodes.map((node, index) => ({ ...node, id: node.id === undefined ? index + 1 : node.id })),
+      links.map((link) => ({ ...link, source: nodeId(link.source), target: nodeId(link.target) })),
+      { directed: graph.directed !== false },
+    );
+  },
+};
@@ -0,0 +1,67 @@
+/**
+ * Excel importer
+ *
+ * Reads .xlsx (and legacy .xls) workbooks. A sheet named Nodes (or Actors)
+ * is read as the node sheet and a sheet named Links (or Edges,
+ * Relationships) as the edge list. A workbook without those names is read
+ * sheet by sheet, each one classified by its columns like a CSV file.
+ * SheetJS is loaded on demand so it only costs bandwidth when used.
+ */
+import { isEdgeList } from '../edgeList.js';
+import { canonicalRows, edgeColumn, makeSheet, nodeColumn } from './columns.js';
+import { hasExtension, startsWithBytes } from './files.js';
+
+const extensions = ['.xlsx', '.xlsm', '.xls'];
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+const OLE_SIGNATURE = [0xd0, 0xcf, 0x11, 0xe0];
+const NODE_SHEETS = ['nodes', 'actors'];
+const LINK_SHEETS = ['links', 'edges', 'relationships'];
+
+export default {
+  id: 'xlsx',
+  label: 'Excel workbook',
+  extensions,
+
+  detect: (file) => {
+    if (startsWithBytes(file, ZIP_SIGNATURE) || startsWithBytes(file, OLE_SIGNATURE)) {
+      return hasExtension(file, extensions) ? 2 : 1;
+    }
+    return 0;
+  },
+
+  read: async (file) => {
+    const XLSX = await import('xlsx');
+    const workbook = XLSX.read(file.buffer, { type: 'array' });
+
+    // Read one worksheet as rows keyed by canonical column names. Line
+    // numbers are spreadsheet row numbers.
+    const readSheet = (sheetName, mapColumn) => {
+      const records = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { defval: '', raw: false });
+      const { rows, fields } = canonicalRows(records, mapColumn);
+      const lines = records.map((record) => record.__rowNum__ + 1);
+      return makeSheet(`${file.name} [${sheetName}]`, rows, fields, lines);
+    };
+
+    const named = (names) => workbook.SheetNames.find((sheetName) => names.includes(sheetName.trim().toLowerCase()));
+    const nodeSheetName = named(NODE_SHEETS);
+    const linkSheetName = named(LINK_SHEETS);
+
+    if (nodeSheetName || linkSheetName) {
+      return {
+        nodeSheet: nodeSheetName ? readSheet(nodeSheetName, nodeColumn) : null,
+        edgeLists: linkSheetName ? [readSheet(linkSheetName, edgeColumn)] : [],
+      };
+    }
+
+    const result = { nodeSheet: null, edgeLists: [] };
+    workbook.SheetNames.forEach((sheetName) => {
+      const header = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], { header: 1 })[0] || [];
+      if (isEdgeList(header.map(edgeColumn))) {
+        result.edgeLists.push(readSheet(sheetName, edgeColumn));
+      } else if (!result.nodeSheet && header.length > 0) {
+        result.nodeSheet = readSheet(sheetName, nodeColumn);
+      }
+    });
+    return result;
+  },
+};
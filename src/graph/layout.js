@@ -0,0 +1,301 @@
+/**
+ * Static graph layouts
+ *
+ * Positions for a graph computed in one go rather than animated, shared by
+ * the app's layout selector and the command-line tool. Every layout is
+ * deterministic: the force layout draws its starting positions from a
+ * seeded generator, so the same dataset and seed always come out the same
+ * way, and the others place actors by their attributes alone.
+ *
+ * Each layout returns a Map of node id to `{ x, y }` in the app's canvas
+ * units, where nodes have a radius of 30.
+ */
+import {
+  forceCenter, forceCollide, forceLink, forceManyBody, forceSimulation, forceX, forceY,
+} from 'd3-force';
+import { AFFILIATIONS } from './affiliation.js';
+
+export const DEFAULT_SEED = 1;
+
+export const LAYOUTS = [
+  { key: 'force', label: 'Force-directed', description: 'Linked actors pull together; the seed picks the starting positions' },
+  { key: 'hierarchy-category', label: 'Hierarchy by Category', description: 'One row per Category, friendly categories at the top' },
+  { key: 'hierarchy-affiliation', label: 'Hierarchy by Affiliation', description: 'One row per affiliation, from friend to hostile' },
+  { key: 'concentric', label: 'Concentric', description: 'Friendly actors on the inner ring, neutral and unknown around them, hostile outside' },
+  { key: 'bipartite', label: 'Friendly vs Hostile', description: 'Friendly actors in the left column, hostile in the right, the rest between' },
+];
+
+/**
+ * A pseudo-random number generator (mulberry32) returning numbers in
+ * [0, 1) in the same sequence for the same seed.
+ */
+export const seededRandom = (seed) => {
+  let state = Math.floor(Number(seed) || 0) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const AFFILIATION_ORDER = Object.keys(AFFILIATIONS);
+
+// Which side an actor is on: 0 friendly, 1 neither, 2 hostile
+const sideOf = (node) => {
+  const { base } = AFFILIATIONS[node.affiliation] || AFFILIATIONS.unknown;
+  if (base === 'friend') return 0;
+  return base === 'hostile' ? 2 : 1;
+};
+
+const byName = (a, b) => String(a.name || '').localeCompare(String(b.name || '')) || a.id - b.id;
+
+// Undirected neighbour sets keyed by node id
+const neighbourSets = (nodes, edges) => {
+  const neighbours = new Map(nodes.map((node) => [node.id, new Set()]));
+  edges.forEach(({ from, to }) => {
+    if (from === to || !neighbours.has(from) || !neighbours.has(to)) return;
+    neighbours.get(from).add(to);
+    neighbours.get(to).add(from);
+  });
+  return neighbours;
+};
+
+// Reorder `group` by the mean place (0..1) of each actor's neighbours in
+// `places`, which cuts down crossing links between rows or columns. Actors
+// without placed neighbours keep their own place.
+const orderByNeighbours = (group, neighbours, places) => {
+  const keyed = group.map((node, index) => {
+    const placed = [...neighbours.get(node.id)].filter((id) => places.has(id)).map((id) => places.get(id));
+    const own = group.length > 1 ? index / (group.length - 1) : 0.5;
+    return { node, key: placed.length > 0 ? placed.reduce((acc, value) => acc + value, 0) / placed.length : own, index };
+  });
+  return keyed.sort((a, b) => a.key - b.key || a.index - b.index).map((entry) => entry.node);
+};
+
+const placeAll = (places, group) => group.forEach((node, index) => {
+  places.set(node.id, group.length > 1 ? index / (group.length - 1) : 0.5);
+});
+
+// Simulation steps for up to FORCE_STEPS / FORCE_ITERATIONS actors; larger
+// graphs take fewer steps, but never fewer than FORCE_MIN_ITERATIONS
+const FORCE_ITERATIONS = 300;
+const FORCE_MIN_ITERATIONS = 60;
+const FORCE_STEPS = 300000;
+
+/**
+ * Lay out nodes with a force simulation tuned to resemble the app's
+ * physics (links of about 200 units). The other actors start from random
+ * positions drawn with `seed`. Nodes with a position (`x` and `y`) stay
+ * where they are. The simulation cools down over `iterations` steps, which
+ * by default shrink for graphs of thousands of actors.
+ */
+export const forceLayout = (nodes, edges, {
+  seed = DEFAULT_SEED,
+  iterations = Math.round(Math.max(FORCE_MIN_ITERATIONS, Math.min(FORCE_ITERATIONS, FORCE_STEPS / Math.max(1, nodes.length)))),
+} = {}) => {
+  const random = seededRandom(seed);
+  const spread = 100 * Math.sqrt(nodes.length + 1);
+  const simulationNodes = nodes.map((node) => (
+    Number.isFinite(node.x) && Number.isFinite(node.y)
+      ? { id: node.id, x: node.x, y: node.y, fx: node.x, fy: node.y }
+      : { id: node.id, x: (random() - 0.5) * spread, y: (random() - 0.5) * spread }
+  ));
+  const ids = new Set(nodes.map((node) => node.id));
+  const links = edges
+    .filter((edge) => edge.from !== edge.to && ids.has(edge.from) && ids.has(edge.to))
+    .map((edge) => ({ source: edge.from, target: edge.to }));
+
+  const simulation = forceSimulation(simulationNodes)
+    .force('link', forceLink(links).id((node) => node.id).distance(200).strength(0.3))
+    .force('charge', forceManyBody().strength(-900))
+    .force('collide', forceCollide(45))
+    // Keep unlinked actors and separate components close by
+    .force('x', forceX(0).strength(0.04))
+    .force('y', forceY(0).strength(0.04))
+    .randomSource(random)
+    .alphaDecay(1 - 0.001 ** (1 / iterations))
+    .stop();
+  if (!simulationNodes.some((node) => node.fx !== undefined)) simulation.force('center', forceCenter(0, 0));
+  simulation.tick(iterations);
+
+  return new Map(simulationNodes.map((node) => [node.id, { x: node.x, y: node.y }]));
+};
+
+const ROW_GAP = 200;
+const ROW_WRAP = 12;
+const WRAPPED_ROW_GAP = 110;
+const COLUMN_GAP = 160;
+
+/**
+ * Lay out nodes in rows, one per Category (`by: 'category'`) or per
+ * affiliation (`by: 'affiliation'`), from top to bottom. Categories are
+ * ordered from the most friendly to the most hostile by their actors'
+ * affiliations. Long rows wrap, and actors within a row are ordered to
+ * sit near the actors they link to.
+ */
+export const hierarchicalLayout = (nodes, edges, { by = 'category' } = {}) => {
+  const levelOf = (node) => (by === 'affiliation'
+    ? AFFILIATION_ORDER.indexOf(node.affiliation in AFFILIATIONS ? node.affiliation : 'unknown')
+    : String(node.category || '').trim());
+  const levels = new Map();
+  [...nodes].sort(byName).forEach((node) => {
+    const level = levelOf(node);
+    if (!levels.has(level)) levels.set(level, []);
+    levels.get(level).push(node);
+  });
+
+  const rank = (members) => members.reduce((acc, node) => acc + AFFILIATION_ORDER.indexOf(node.affiliation), 0) / members.length;
+  const ordered = [...levels.entries()]
+    .sort(([a, membersA], [b, membersB]) => (by === 'affiliation'
+      ? a - b
+      : rank(membersA) - rank(membersB) || (a === '') - (b === '') || a.localeCompare(b)))
+    .map(([, members]) => members);
+
+  // Sweep down and back up, ordering each row by its neighbours in the
+  // rows already placed
+  const neighbours = neighbourSets(nodes, edges);
+  let rows = ordered;
+  for (let sweep = 0; sweep < 2; sweep++) {
+    const places = new Map();
+    const sequence = sweep === 0 ? rows : [...rows].reverse();
+    const sorted = sequence.map((row) => {
+      const next = places.size > 0 ? orderByNeighbours(row, neighbours, places) : row;
+      placeAll(places, next);
+      return next;
+    });
+    rows = sweep === 0 ? sorted : sorted.reverse();
+  }
+
+  const positions = new Map();
+  let y = 0;
+  rows.forEach((row, index) => {
+    if (index > 0) y += ROW_GAP;
+    for (let start = 0; start < row.length; start += ROW_WRAP) {
+      if (start > 0) y += WRAPPED_ROW_GAP;
+      const line = row.slice(start, start + ROW_WRAP);
+      line.forEach((node, column) => {
+        positions.set(node.id, { x: (column - (line.length - 1) / 2) * COLUMN_GAP, y });
+      });
+    }
+  });
+  return positions;
+};
+
+const RING_GAP = 260;
+const RING_SPACING = 130;
+
+/**
+ * Lay out nodes on concentric rings: friendly actors inside, neutral,
+ * unknown and pending ones around them and hostile ones outside. Actors
+ * are grouped by Category around each ring. A ring with a single actor in
+ * the middle of the picture puts it at the centre.
+ */
+export const concentricLayout = (nodes) => {
+  const rings = [0, 1, 2]
+    .map((side) => nodes.filter((node) => sideOf(node) === side)
+      .sort((a, b) => String(a.category || '').localeCompare(String(b.category || '')) || byName(a, b)))
+    .filter((ring) => ring.length > 0);
+
+  const positions = new Map();
+  let radius = 0;
+  rings.forEach((ring, index) => {
+    if (index === 0 && ring.length === 1) {
+      positions.set(ring[0].id, { x: 0, y: 0 });
+      return;
+    }
+    radius = Math.max(radius + RING_GAP, (ring.length * RING_SPACING) / (2 * Math.PI));
+    ring.forEach((node, position) => {
+      const angle = -Math.PI / 2 + (2 * Math.PI * position) / ring.length;
+      positions.set(node.id, { x: radius * Math.cos(angle), y: radius * Math.sin(angle) });
+    });
+  });
+  return positions;
+};
+
+const SIDE_GAP = 600;
+const STACK_GAP = 90;
+
+/**
+ * Lay out friendly actors in a column on the left and hostile ones on the
+ * right, with everyone else in a column between them. The columns are
+ * ordered so that linked actors face each other.
+ */
+export const bipartiteLayout = (nodes, edges) => {
+  const neighbours = neighbourSets(nodes, edges);
+  const [friendly, neither, hostile] = [0, 1, 2].map((side) => nodes.filter((node) => sideOf(node) === side)
+    .sort((a, b) => String(a.category || '').localeCompare(String(b.category || '')) || byName(a, b)));
+
+  // Order the hostile column by the friendly one, then the friendly column
+  // by that, and the middle column by both
+  const friendlyPlaces = new Map();
+  placeAll(friendlyPlaces, friendly);
+  const hostileOrder = orderByNeighbours(hostile, neighbours, friendlyPlaces);
+  const hostilePlaces = new Map();
+  placeAll(hostilePlaces, hostileOrder);
+  const friendlyOrder = orderByNeighbours(friendly, neighbours, hostilePlaces);
+  placeAll(friendlyPlaces, friendlyOrder);
+  const neitherOrder = orderByNeighbours(neither, neighbours, new Map([...friendlyPlaces, ...hostilePlaces]));
+
+  const positions = new Map();
+  const columns = [friendlyOrder, neitherOrder, hostileOrder];
+  columns.forEach((column, index) => {
+    column.forEach((node, row) => {
+      positions.set(node.id, { x: (index - 1) * SIDE_GAP, y: (row - (column.length - 1) / 2) * STACK_GAP });
+    });
+  });
+  return positions;
+};
+
+/**
+ * Positions from the layout with the given key (see `LAYOUTS`). Options
+ * are passed on, e.g. `seed` for the force layout.
+ */
+export const computeLayout = (key, nodes, edges, options = {}) => {
+  switch (key) {
+    case 'hierarchy-category':
+      return hierarchicalLayout(nodes, edges, { by: 'category' });
+    case 'hierarchy-affiliation':
+      return hierarchicalLayout(nodes, edges, { by: 'affiliation' });
+    case 'concentric':
+      return concentricLayout(nodes, edges);
+    case 'bipartite':
+      return bipartiteLayout(nodes, edges);
+    case 'force':
+      return forceLayout(nodes, edges, options);
+    default:
+      throw new Error(`Unknown layout "${key}".`);
+  }
+};
+
+/**
+ * Scale and centre layout positions to fill an area of `width` by `height`
+ * page pixels, leaving `padding` around them (node labels hang below the
+ * nodes). The layout is never enlarged.
+ *
+ * Returns `{ positions, scale }` with positions as a Map of node id to
+ * page `{ x, y }`.
+ */
+export const fitLayout = (layout, { width, height, padding = 60 }) => {
+  const points = [...layout.values()];
+  if (points.length === 0) return { positions: new Map(), scale: 1 };
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const spanX = Math.max(...xs) - minX;
+  const spanY = Math.max(...ys) - minY;
+  const scale = Math.min(
+    1,
+    spanX > 0 ? (width - 2 * padding) / spanX : 1,
+    spanY > 0 ? (height - 2 * padding) / spanY : 1,
+  );
+  const offsetX = (width - spanX * scale) / 2;
+  const offsetY = (height - spanY * scale) / 2;
+  const positions = new Map([...layout.entries()].map(([id, point]) => [id, {
+    x: offsetX + (point.x - minX) * scale,
+    y: offsetY + (point.y - minY) * scale,
+  }]));
+  return { positions, scale };
+};
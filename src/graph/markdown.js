@@ -0,0 +1,179 @@
+/**
+ * Markdown
+ *
+ * A small Markdown reader for the free text in datasets (descriptions,
+ * relevance, tensions). Text is parsed into a tree that the Markdown
+ * component renders as React elements, so nothing from a file is ever
+ * inserted as HTML: raw HTML in the text is shown as written.
+ *
+ * Supported: paragraphs (a single line break is kept), `#` headings,
+ * `-`/`*`/`+` and numbered lists, `>` quotes, `---` rules, **bold**,
+ * *italic*, `code`, [links](https://...) and backslash escapes.
+ * Underscores are left alone, as they are common in names and ids. Links
+ * only keep http(s) and mailto addresses; any other link is shown as its
+ * text.
+ *
+ * Blocks are `{ type, ... }` with type 'paragraph' and 'heading' (with a
+ * `level`) holding inline `children`, 'list' with `ordered`, `start` and
+ * `items` (each a list of inline nodes), 'quote' with block `children`
+ * and 'rule'. Inline nodes are 'text' (`text`), 'code' (`text`), 'break',
+ * 'strong', 'em' and 'link' (`href` and `children`).
+ */
+
+const HEADING = /^ {0,3}(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/;
+const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+const QUOTE = /^ {0,3}>\s?(.*)$/;
+const ITEM = /^ {0,3}(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/;
+
+const SAFE_URL = /^(?:https?:\/\/|mailto:)/i;
+
+/**
+ * The address of a link if it is safe to follow, otherwise null.
+ */
+export const safeUrl = (url) => {
+  // Browsers ignore control characters and whitespace inside a scheme
+  const cleaned = String(url || '').replace(/[\u0000-\u0020\u007f]/g, '');
+  return SAFE_URL.test(cleaned) ? cleaned : null;
+};
+
+// Inline rules in order of precedence where two match at the same place
+const INLINE_RULES = [
+  { pattern: /\\([\\`*_[\]()#>+\-.!|{}])/, make: (match) => ({ type: 'text', text: match[1] }) },
+  { pattern: /\n/, make: () => ({ type: 'break' }) },
+  { pattern: /`([^`\n]+)`/, make: (match) => ({ type: 'code', text: match[1] }) },
+  {
+    // Addresses may hold one level of brackets, as in Wikipedia links
+    pattern: /\[([^\]\n]+)\]\(\s*((?:[^()\s]|\([^()\s]*\))+)\s*\)/,
+    make: (match) => {
+      const href = safeUrl(match[2]);
+      return href ? { type: 'link', href, children: parseInline(match[1]) } : { type: 'text', text: match[1] };
+    },
+  },
+  { pattern: /\*\*(?=\S)([^\n]*?\S)\*\*/, make: (match) => ({ type: 'strong', children: parseInline(match[1]) }) },
+  { pattern: /\*(?=[^\s*])([^*\n]*?[^\s*])\*/, make: (match) => ({ type: 'em', children: parseInline(match[1]) }) },
+];
+
+/**
+ * Parse a line (or a paragraph's lines) of inline Markdown.
+ */
+export const parseInline = (text) => {
+  const nodes = [];
+  const pushText = (value) => {
+    if (!value) return;
+    const last = nodes[nodes.length - 1];
+    if (last && last.type === 'text') last.text += value;
+    else nodes.push({ type: 'text', text: value });
+  };
+
+  let rest = String(text);
+  while (rest) {
+    let best = null;
+    INLINE_RULES.forEach((rule) => {
+      const match = rule.pattern.exec(rest);
+      if (match && (!best || match.index < best.match.index)) best = { rule, match };
+    });
+    if (!best) {
+      pushText(rest);
+      break;
+    }
+    pushText(rest.slice(0, best.match.index));
+    const node = best.rule.make(best.match);
+    if (node.type === 'text') pushText(node.text);
+    else nodes.push(node);
+    rest = rest.slice(best.match.index + best.match[0].length);
+  }
+  return nodes;
+};
+
+const isBlank = (line) => line.trim() === '';
+
+const startsBlock = (line) => HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || ITEM.test(line);
+
+/**
+ * Parse Markdown text into a list of blocks.
+ */
+export const parseMarkdown = (text) => {
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      i += 1;
+    } else if (HEADING.test(line)) {
+      const [, hashes, content] = HEADING.exec(line);
+      blocks.push({ type: 'heading', level: hashes.length, children: parseInline(content) });
+      i += 1;
+    } else if (RULE.test(line)) {
+      blocks.push({ type: 'rule' });
+      i += 1;
+    } else if (QUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && QUOTE.test(lines[i])) {
+        quoted.push(QUOTE.exec(lines[i])[1]);
+        i += 1;
+      }
+      blocks.push({ type: 'quote', children: parseMarkdown(quoted.join('\n')) });
+    } else if (ITEM.test(line)) {
+      const ordered = Boolean(ITEM.exec(line)[2]);
+      const items = [];
+      while (i < lines.length) {
+        const match = ITEM.exec(lines[i]);
+        if (match && Boolean(match[2]) === ordered) {
+          items.push([match[3]]);
+          i += 1;
+        } else if (!isBlank(lines[i]) && !startsBlock(lines[i])) {
+          // A continuation line of the item above
+          items[items.length - 1].push(lines[i].trim());
+          i += 1;
+        } else if (isBlank(lines[i]) && i + 1 < lines.length && ITEM.test(lines[i + 1])
+          && Boolean(ITEM.exec(lines[i + 1])[2]) === ordered) {
+          // A blank line between items of the same list
+          i += 1;
+        } else {
+          break;
+        }
+      }
+      blocks.push({
+        type: 'list',
+        ordered,
+        start: ordered ? parseInt(ITEM.exec(line)[2], 10) : 1,
+        items: items.map((itemLines) => parseInline(itemLines.join('\n'))),
+      });
+    } else {
+      const paragraph = [];
+      while (i < lines.length && !isBlank(lines[i]) && !(paragraph.length > 0 && startsBlock(lines[i]))) {
+        paragraph.push(lines[i].trim());
+        i += 1;
+      }
+      blocks.push({ type: 'paragraph', children: parseInline(paragraph.join('\n')) });
+    }
+  }
+  return blocks;
+};
+
+const inlineText = (nodes) => nodes.map((node) => {
+  if (node.type === 'text' || node.type === 'code') return node.text;
+  if (node.type === 'break') return '\n';
+  if (node.type === 'link') {
+    const label = inlineText(node.children);
+    return label === node.href ? label : `${label} (${node.href})`;
+  }
+  return inlineText(node.children);
+}).join('');
+
+const blockText = (block) => {
+  if (block.type === 'list') {
+    return block.items.map((item, index) => `${block.ordered ? `${block.start + index}.` : '•'} ${inlineText(item)}`).join('\n');
+  }
+  if (block.type === 'quote') return block.children.map(blockText).join('\n\n').replace(/^/gm, '> ');
+  if (block.type === 'rule') return '―――';
+  return inlineText(block.children);
+};
+
+/**
+ * Markdown text as plain text for the exported briefings: emphasis is
+ * dropped, list items get bullets and links show their address.
+ */
+export const markdownToText = (text) => parseMarkdown(text).map(blockText).join('\n\n');
@@ -0,0 +1,449 @@
+/**
+ * Network metrics
+ *
+ * Centrality and structural measures over the loaded graph, so that claims
+ * such as "key intermediary" rest on standard measures rather than edge
+ * counts. Unless noted otherwise the measures treat every link as an
+ * undirected tie between two actors; PageRank and the in/out degrees follow
+ * link direction, with mutual and undirected links counting both ways.
+ * Self-links and links to unknown actors are ignored.
+ *
+ * The definitions follow NetworkX so results can be checked against it:
+ * betweenness is normalised by (n-1)(n-2)/2, closeness is harmonic
+ * (which stays meaningful for disconnected graphs) over n-1, eigenvector
+ * centrality has unit Euclidean length and PageRank uses a damping factor
+ * of 0.85.
+ *
+ * With the `weighted` option links count by their Strength (links without
+ * one count as 1 and those with a Strength of 0 or less are left out):
+ * shortest paths for betweenness and closeness take 1 / Strength as the
+ * length of a link, so strong ties are short; eigenvector centrality and
+ * PageRank spread in proportion to Strength. Where two links join the same
+ * actors the stronger one counts. Degree, clustering and the structural
+ * measures always count ties.
+ *
+ * Betweenness and closeness need the shortest paths from every actor,
+ * which takes time in proportion to actors times links: minutes for
+ * thousands of actors. Past `EXACT_PATH_LIMIT` actors they are estimated
+ * from the shortest paths of `PIVOTS` actors picked at random with a fixed
+ * seed (Brandes and Pich's pivot sampling), and the analysis says so.
+ */
+import { seededRandom } from './layout.js';
+
+export const METRICS = [
+  { key: 'degree', label: 'Degree', description: 'Number of actors directly linked' },
+  { key: 'strength', label: 'Strength', description: 'Total Strength of the actor\'s ties, counting 1 for ties without one' },
+  { key: 'inDegree', label: 'In-degree', description: 'Links received' },
+  { key: 'outDegree', label: 'Out-degree', description: 'Links initiated' },
+  { key: 'betweenness', label: 'Betweenness', description: 'Share of shortest paths between other actors that pass through this one' },
+  { key: 'closeness', label: 'Closeness', description: 'Harmonic mean closeness to all other actors' },
+  { key: 'eigenvector', label: 'Eigenvector', description: 'Connected to actors that are themselves well connected' },
+  { key: 'pagerank', label: 'PageRank', description: 'Likelihood of being reached by following links in their direction' },
+  { key: 'clustering', label: 'Clustering', description: 'Share of an actor\'s contacts that are linked to each other' },
+];
+
+// Most actors whose betweenness and closeness are computed exactly, and
+// the number of actors whose shortest paths estimate them beyond that
+export const EXACT_PATH_LIMIT = 1000;
+export const PIVOTS = 200;
+
+const MAX_ITERATIONS = 200;
+const TOLERANCE = 1e-10;
+
+const isTwoWay = (edge) => edge.direction === 'mutual' || edge.direction === 'undirected';
+
+/**
+ * The Strength of a link as a weight, 1 when it has none.
+ */
+const linkWeight = (edge) => (edge.strength === null || edge.strength === undefined ? 1 : edge.strength);
+
+/**
+ * Undirected neighbour and directed successor weights keyed by node id, as
+ * Maps of neighbour id to weight. Without `weighted` every weight is 1.
+ */
+const buildAdjacency = (ids, edges, weighted) => {
+  const neighbours = new Map(ids.map((id) => [id, new Map()]));
+  const successors = new Map(ids.map((id) => [id, new Map()]));
+  const link = (map, a, b, weight) => map.get(a).set(b, Math.max(map.get(a).get(b) || 0, weight));
+  edges.forEach((edge) => {
+    const { from, to } = edge;
+    if (from === to || !neighbours.has(from) || !neighbours.has(to)) return;
+    const weight = weighted ? linkWeight(edge) : 1;
+    if (!(weight > 0)) return;
+    link(neighbours, from, to, weight);
+    link(neighbours, to, from, weight);
+    link(successors, from, to, weight);
+    if (isTwoWay(edge)) link(successors, to, from, weight);
+  });
+  return { neighbours, successors };
+};
+
+const total = (weights) => [...weights.values()].reduce((acc, weight) => acc + weight, 0);
+
+/**
+ * Binary min-heap of `[priority, ...values]` entries, ties broken by
+ * insertion order so results do not depend on the heap's internals.
+ */
+const createHeap = () => {
+  const items = [];
+  let counter = 0;
+  const less = (a, b) => a[0] < b[0] || (a[0] === b[0] && a[1] < b[1]);
+  const swap = (i, j) => { [items[i], items[j]] = [items[j], items[i]]; };
+  return {
+    size: () => items.length,
+    push: (priority, ...values) => {
+      items.push([priority, counter++, ...values]);
+      for (let i = items.length - 1; i > 0 && less(items[i], items[(i - 1) >> 1]); i = (i - 1) >> 1) {
+        swap(i, (i - 1) >> 1);
+      }
+    },
+    pop: () => {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        for (let i = 0; ;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < items.length && less(items[left], items[smallest])) smallest = left;
+          if (right < items.length && less(items[right], items[smallest])) smallest = right;
+          if (smallest === i) break;
+          swap(i, smallest);
+          i = smallest;
+        }
+      }
+      return [top[0], ...top.slice(2)];
+    },
+  };
+};
+
+/**
+ * Single-source shortest paths for Brandes' algorithm. Returns the nodes
+ * reached in order of distance (`stack`), their `distance`, the number of
+ * shortest `paths` to each and their `predecessors`. Hops count 1, or
+ * 1 / weight with `weighted` (Dijkstra's algorithm).
+ */
+const shortestPathTree = (ids, neighbours, source, weighted) => {
+  const stack = [];
+  const predecessors = new Map(ids.map((id) => [id, []]));
+  const paths = new Map(ids.map((id) => [id, 0]));
+  const distance = new Map([[source, 0]]);
+  paths.set(source, 1);
+
+  if (!weighted) {
+    const queue = [source];
+    for (let head = 0; head < queue.length; head++) {
+      const v = queue[head];
+      stack.push(v);
+      neighbours.get(v).forEach((_, w) => {
+        if (!distance.has(w)) {
+          distance.set(w, distance.get(v) + 1);
+          queue.push(w);
+        }
+        if (distance.get(w) === distance.get(v) + 1) {
+          paths.set(w, paths.get(w) + paths.get(v));
+          predecessors.get(w).push(v);
+        }
+      });
+    }
+    return { stack, distance, paths, predecessors };
+  }
+
+  // Tentative distances; `distance` only holds settled nodes
+  const seen = new Map([[source, 0]]);
+  const heap = createHeap();
+  heap.push(0, source, source);
+  distance.delete(source);
+  while (heap.size() > 0) {
+    const [length, from, v] = heap.pop();
+    if (distance.has(v)) continue;
+    if (v !== source) paths.set(v, paths.get(v) + paths.get(from));
+    stack.push(v);
+    distance.set(v, length);
+    neighbours.get(v).forEach((weight, w) => {
+      const through = length + 1 / weight;
+      if (!distance.has(w) && (!seen.has(w) || through < seen.get(w))) {
+        seen.set(w, through);
+        heap.push(through, v, w);
+        paths.set(w, 0);
+        predecessors.set(w, [v]);
+      } else if (through === seen.get(w)) {
+        paths.set(w, paths.get(w) + paths.get(v));
+        predecessors.get(w).push(v);
+      }
+    });
+  }
+  return { stack, distance, paths, predecessors };
+};
+
+/**
+ * `count` of `ids` picked at random with a fixed seed, so an estimate comes
+ * out the same each time.
+ */
+const pickPivots = (ids, count) => {
+  const random = seededRandom(1);
+  const pool = [...ids];
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count);
+};
+
+/**
+ * Betweenness (Brandes' algorithm) and harmonic closeness on the
+ * undirected graph from the shortest paths out of `sources`. With every
+ * actor as a source they are exact; with a sample the dependencies are
+ * scaled up to all sources and closeness averages over the sources, which
+ * is the same as measuring from the actor as distances run both ways.
+ */
+const pathCentralities = (ids, neighbours, weighted, sources) => {
+  const betweenness = new Map(ids.map((id) => [id, 0]));
+  const reach = new Map(ids.map((id) => [id, 0]));
+  sources.forEach((source) => {
+    const { stack, distance, paths, predecessors } = shortestPathTree(ids, neighbours, source, weighted);
+    distance.forEach((length, id) => {
+      if (id !== source) reach.set(id, reach.get(id) + 1 / length);
+    });
+
+    const dependency = new Map(ids.map((id) => [id, 0]));
+    while (stack.length > 0) {
+      const w = stack.pop();
+      predecessors.get(w).forEach((v) => {
+        dependency.set(v, dependency.get(v) + (paths.get(v) / paths.get(w)) * (1 + dependency.get(w)));
+      });
+      if (w !== source) betweenness.set(w, betweenness.get(w) + dependency.get(w));
+    }
+  });
+
+  // Every pair was counted from both ends
+  const n = ids.length;
+  const scale = n > 2 ? n / sources.length / ((n - 1) * (n - 2)) : 0;
+  ids.forEach((id) => betweenness.set(id, betweenness.get(id) * scale));
+
+  const isSource = new Set(sources);
+  const closeness = new Map(ids.map((id) => {
+    const others = sources.length - (isSource.has(id) ? 1 : 0);
+    return [id, others > 0 ? reach.get(id) / others : 0];
+  }));
+  return { betweenness, closeness };
+};
+
+/**
+ * Power iteration on A + I, which has the same leading eigenvector as A but
+ * converges on bipartite graphs too.
+ */
+const eigenvectorCentrality = (ids, neighbours) => {
+  let x = new Map(ids.map((id) => [id, 1 / ids.length]));
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const next = new Map(ids.map((id) => {
+      let sum = x.get(id);
+      neighbours.get(id).forEach((weight, w) => { sum += weight * x.get(w); });
+      return [id, sum];
+    }));
+    const norm = Math.sqrt([...next.values()].reduce((acc, value) => acc + value * value, 0)) || 1;
+    next.forEach((value, id) => next.set(id, value / norm));
+    const change = ids.reduce((acc, id) => acc + Math.abs(next.get(id) - x.get(id)), 0);
+    x = next;
+    if (change < ids.length * TOLERANCE) break;
+  }
+  return x;
+};
+
+const pageRank = (ids, successors, damping = 0.85) => {
+  const n = ids.length;
+  let rank = new Map(ids.map((id) => [id, 1 / n]));
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    // Rank held by actors without outgoing links is spread evenly
+    const dangling = ids.reduce((acc, id) => acc + (successors.get(id).size === 0 ? rank.get(id) : 0), 0);
+    const next = new Map(ids.map((id) => [id, (1 - damping) / n + (damping * dangling) / n]));
+    ids.forEach((id) => {
+      const targets = successors.get(id);
+      const out = total(targets);
+      targets.forEach((weight, target) => {
+        next.set(target, next.get(target) + (damping * rank.get(id) * weight) / out);
+      });
+    });
+    const change = ids.reduce((acc, id) => acc + Math.abs(next.get(id) - rank.get(id)), 0);
+    rank = next;
+    if (change < n * TOLERANCE) break;
+  }
+  return rank;
+};
+
+const clusteringCoefficient = (ids, neighbours) => new Map(ids.map((id) => {
+  const contacts = [...neighbours.get(id).keys()];
+  const k = contacts.length;
+  if (k < 2) return [id, 0];
+  let links = 0;
+  contacts.forEach((a, i) => {
+    for (let j = i + 1; j < k; j++) {
+      if (neighbours.get(a).has(contacts[j])) links += 1;
+    }
+  });
+  return [id, (2 * links) / (k * (k - 1))];
+}));
+
+/**
+ * Articulation points (actors whose removal disconnects the network) and
+ * bridges (links whose removal does), by an iterative Tarjan search so
+ * large networks do not exhaust the call stack.
+ */
+const cutPoints = (ids, neighbours) => {
+  const order = new Map();
+  const low = new Map();
+  const articulationPoints = new Set();
+  const bridges = [];
+  let counter = 0;
+
+  ids.forEach((root) => {
+    if (order.has(root)) return;
+    order.set(root, counter);
+    low.set(root, counter);
+    counter += 1;
+    let rootChildren = 0;
+    const stack = [{ node: root, parent: null, contacts: [...neighbours.get(root).keys()], next: 0 }];
+
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+      if (frame.next < frame.contacts.length) {
+        const w = frame.contacts[frame.next++];
+        if (w === frame.parent) continue;
+        if (order.has(w)) {
+          low.set(frame.node, Math.min(low.get(frame.node), order.get(w)));
+        } else {
+          order.set(w, counter);
+          low.set(w, counter);
+          counter += 1;
+          if (frame.node === root) rootChildren += 1;
+          stack.push({ node: w, parent: frame.node, contacts: [...neighbours.get(w).keys()], next: 0 });
+        }
+        continue;
+      }
+
+      stack.pop();
+      const { node, parent } = frame;
+      if (parent === null) continue;
+      low.set(parent, Math.min(low.get(parent), low.get(node)));
+      if (low.get(node) > order.get(parent)) bridges.push([parent, node]);
+      if (parent !== root && low.get(node) >= order.get(parent)) articulationPoints.add(parent);
+    }
+
+    if (rootChildren > 1) articulationPoints.add(root);
+  });
+
+  return { articulationPoints, bridges };
+};
+
+/**
+ * Connected components of the undirected graph, largest first.
+ */
+const components = (ids, neighbours) => {
+  const seen = new Set();
+  const result = [];
+  ids.forEach((start) => {
+    if (seen.has(start)) return;
+    seen.add(start);
+    const members = [start];
+    for (let head = 0; head < members.length; head++) {
+      neighbours.get(members[head]).forEach((_, w) => {
+        if (seen.has(w)) return;
+        seen.add(w);
+        members.push(w);
+      });
+    }
+    result.push(members);
+  });
+  return result.sort((a, b) => b.length - a.length);
+};
+
+/**
+ * Analyse a graph given as vis-network style node and edge items.
+ *
+ * Returns `{ metrics, articulationPoints, bridges, components, density,
+ * weighted, pivots }` where `metrics` maps each node id to an object with
+ * one value per entry in `METRICS`, `bridges` holds `[from, to]` id pairs
+ * and `density` is the share of possible undirected ties that are present.
+ * With `weighted` the centralities use link Strength (see above).
+ * `pivots` is the number of actors betweenness and closeness were
+ * estimated from, or null when they are exact; the `pivots` option sets
+ * it instead of `EXACT_PATH_LIMIT` and `PIVOTS`.
+ */
+export const analyzeNetwork = (nodes, edges, { weighted = false, pivots: pivotCount } = {}) => {
+  const ids = nodes.map((node) => node.id);
+  const sampled = pivotCount === undefined ? ids.length > EXACT_PATH_LIMIT : pivotCount < ids.length;
+  const pivots = sampled ? pickPivots(ids, pivotCount === undefined ? PIVOTS : pivotCount) : null;
+  const strong = buildAdjacency(ids, edges, true);
+  const { neighbours: ties, successors } = buildAdjacency(ids, edges, false);
+  const { neighbours, successors: flows } = weighted ? strong : { neighbours: ties, successors };
+
+  const inDegree = new Map(ids.map((id) => [id, 0]));
+  successors.forEach((targets) => targets.forEach((_, target) => inDegree.set(target, inDegree.get(target) + 1)));
+
+  const measures = {
+    ...pathCentralities(ids, neighbours, weighted, pivots || ids),
+    eigenvector: eigenvectorCentrality(ids, neighbours),
+    pagerank: pageRank(ids, flows),
+    clustering: clusteringCoefficient(ids, ties),
+  };
+
+  const metrics = new Map(ids.map((id) => [id, {
+    degree: ties.get(id).size,
+    strength: total(strong.neighbours.get(id)),
+    inDegree: inDegree.get(id),
+    outDegree: successors.get(id).size,
+    betweenness: measures.betweenness.get(id),
+    closeness: measures.closeness.get(id),
+    eigenvector: measures.eigenvector.get(id),
+    pagerank: measures.pagerank.get(id),
+    clustering: measures.clustering.get(id),
+  }]));
+
+  const tieCount = [...ties.values()].reduce((acc, contacts) => acc + contacts.size, 0) / 2;
+  const n = ids.length;
+
+  return {
+    metrics,
+    ...cutPoints(ids, ties),
+    components: components(ids, ties),
+    density: n > 1 ? (2 * tieCount) / (n * (n - 1)) : 0,
+    weighted,
+    pivots: pivots ? pivots.length : null,
+  };
+};
+
+/**
+ * Node ids ordered by one metric, highest first, as `{ id, value, rank }`.
+ * Tied values share a rank.
+ */
+export const rankBy = (analysis, key) => {
+  const sorted = [...analysis.metrics.entries()]
+    .map(([id, values]) => ({ id, value: values[key] }))
+    .sort((a, b) => b.value - a.value);
+  let rank = 0;
+  return sorted.map((entry, index) => {
+    if (index === 0 || entry.value !== sorted[index - 1].value) rank = index + 1;
+    return { ...entry, rank };
+  });
+};
+
+/**
+ * Format a metric value for display: counts as integers, scores to three
+ * decimals.
+ */
+export const formatMetric = (key, value) => {
+  if (['degree', 'inDegree', 'outDegree'].includes(key)) return String(value);
+  if (key === 'strength') return String(Math.round(value * 1000) / 1000);
+  return value.toFixed(3);
+};
+
+/**
+ * Colour for a value scaled to 0..1, from pale yellow through orange to red.
+ */
+export const metricColor = (t) => {
+  const clamped = Math.max(0, Math.min(1, t));
+  const hue = Math.round(55 - 55 * clamped);
+  const lightness = Math.round(70 - 25 * clamped);
+  return `hsl(${hue}, 100%, ${lightness}%)`;
+};
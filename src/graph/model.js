@@ -0,0 +1,365 @@
+/**
+ * Graph model
+ *
+ * The data pipeline behind the visualization, free of React and of the
+ * browser so that scripts and other front ends can reuse it:
+ *
+ *   parse     parseDataset(nodeFile, edgeFile) -> sheets
+ *   validate  validateDataset(sheets) -> { issues, skipRows, ... }
+ *   build     buildGraph(sheets, skipRows) -> { rows, nodes, edges }
+ *   describe  describeNode(node, context) -> Markdown narrative
+ *
+ * `loadGraph` runs the first three steps in one go. Files are given as
+ * `{ name, buffer }`; `datasetFile` makes one from text or bytes read in
+ * Node. Nodes and edges are plain objects in vis-network's item format,
+ * carrying the dataset's fields (name, category, affiliation, symbol,
+ * relationship, strength, ...) next to their styling; the symbol images
+ * are SVG data URLs. GraphML needs a DOMParser, so in Node only the CSV,
+ * JSON and Excel formats can be parsed.
+ */
+import { getNodeType, getNodeColor } from './affiliation.js';
+import { communityTies } from './communities.js';
+import { CHANGE_KINDS } from './compare.js';
+import {
+  directionArrows, sentimentStyle, combineReciprocalLinks, createEndpointResolver, readEdgeList,
+} from './edgeList.js';
+import { readGeography } from './geo.js';
+import { importDataset } from './importers/index.js';
+import { markdownToText } from './markdown.js';
+import { formatMetric, rankBy } from './metrics.js';
+import { expandSerials } from './serials.js';
+import { getNodeSymbol, symbolKey, symbolDataUrl } from './symbology.js';
+import { readValidity } from './timeline.js';
+import { validateDataset } from './validate.js';
+
+export { validateDataset };
+
+/**
+ * A file for the importers from its name and content, given as text, an
+ * ArrayBuffer or a byte array such as a Node Buffer.
+ */
+export const datasetFile = (name, content) => {
+  if (typeof content === 'string') return { name, buffer: new TextEncoder().encode(content).buffer };
+  if (content instanceof ArrayBuffer) return { name, buffer: content };
+  return { name, buffer: content.buffer.slice(content.byteOffset, content.byteOffset + content.byteLength) };
+};
+
+/**
+ * Parse a dataset made of a main file and an optional relationships file
+ * into `{ nodeSheet, edgeLists, annotations }` (see importers/index.js).
+ * Rejects when a file is not in a supported format.
+ */
+export const parseDataset = (nodeFile, edgeFile = null) => importDataset(nodeFile, edgeFile);
+
+// Rendered symbol images, shared between nodes with identical symbols
+const symbolImages = {};
+
+/**
+ * Build a node from a node sheet row, drawn as an APP-6 symbol.
+ */
+export const buildNode = (row) => {
+  const nodeId = row['Serial'];
+  const affiliation = getNodeType(row);
+  const symbol = getNodeSymbol(row, affiliation);
+  const key = symbolKey(symbol);
+  if (!symbolImages[key]) {
+    symbolImages[key] = {
+      unselected: symbolDataUrl(symbol),
+      selected: symbolDataUrl(symbol, { selected: true }),
+    };
+  }
+  // Saved layout positions pin the node where it was exported
+  const x = parseFloat(row['X']);
+  const y = parseFloat(row['Y']);
+  const position = isNaN(x) || isNaN(y) ? {} : { x, y, physics: false };
+  return {
+    id: parseInt(nodeId, 10),
+    ...position,
+    label: row['Actor'],
+    title: row['Actor'], // Tooltip
+    shape: 'image',
+    image: symbolImages[key],
+    color: {
+      background: getNodeColor(affiliation),
+      border: '#000000',
+      highlight: {
+        background: getNodeColor(affiliation),
+        border: '#FFD700',
+      }
+    },
+    font: {
+      color: '#ffffff',
+      size: 14,
+      face: 'Arial',
+      strokeWidth: 3,
+      strokeColor: '#000000'
+    },
+    size: 30,
+    // Store original data
+    name: row['Actor'],
+    category: row['Category'],
+    affiliation,
+    symbol,
+    description: row['ActorDescription'],
+    relevance: row['Relevance'],
+    sidc: row['SIDC'],
+    // Row-level relationship fields, the default for this actor's links
+    relationshipType: row['RelationshipType'],
+    tensions: row['Tensions'],
+    ...readValidity(row),
+    ...readGeography(row),
+  };
+};
+
+/**
+ * Build an edge from link attributes. The width follows the link's
+ * `weight` (its Strength scaled to 0..1 across the dataset) and the colour
+ * and dashes its Sentiment. Links that run both ways with different
+ * attributes curve apart instead of overlapping. Links of a compared
+ * graph (see compare.js) are coloured by their change instead, with
+ * removed links dashed.
+ */
+export const buildEdge = (link) => {
+  const weight = link.weight === undefined ? null : link.weight;
+  const sentiment = link.sentiment === undefined ? null : link.sentiment;
+  const style = link.change
+    ? { color: CHANGE_KINDS[link.change].color, dashes: link.change === 'removed' ? [4, 6] : false }
+    : sentimentStyle(sentiment);
+  return {
+    from: link.from,
+    to: link.to,
+    arrows: directionArrows(link.direction),
+    title: [link.relationship, markdownToText(link.tension)].filter(Boolean).join('\n'),
+    relationship: link.relationship,
+    tension: link.tension,
+    strength: link.strength,
+    weight,
+    sentiment,
+    direction: link.direction,
+    reciprocal: Boolean(link.reciprocal),
+    validFrom: link.validFrom || null,
+    validTo: link.validTo || null,
+    versions: link.versions || null,
+    ...(link.change ? { change: link.change, changes: link.changes || [] } : {}),
+    color: { color: style.color, highlight: '#FFD700' },
+    dashes: style.dashes,
+    width: weight === null ? 2 : 1 + 7 * weight,
+    smooth: link.reciprocal
+      ? { enabled: true, type: 'curvedCW', roundness: 0.2 }
+      : { enabled: true, type: 'continuous', roundness: 0.5 },
+  };
+};
+
+// Scale the Strength of every link to a `weight` between 0 and 1 relative
+// to the strongest link. Without any Strength every weight is null.
+const weighLinks = (links) => {
+  const strongest = Math.max(0, ...links.map((link) => link.strength || 0));
+  return links.map((link) => ({
+    ...link,
+    weight: link.strength === null || link.strength === undefined || strongest === 0
+      ? null
+      : Math.max(0, link.strength) / strongest,
+  }));
+};
+
+/**
+ * Build nodes and edges from parsed sheets, leaving out the rows listed in
+ * `skipRows` (the rows validation found unusable). Edge list entries
+ * override the node sheet's row-level fields, and links that run both ways
+ * are combined where they say the same thing.
+ *
+ * Returns `{ rows, nodes, edges }` where `rows` are the node sheet rows
+ * that were used.
+ */
+export const buildGraph = ({ nodeSheet, edgeLists = [] }, skipRows = new Set()) => {
+  const keep = (row) => !skipRows.has(row);
+  const data = nodeSheet ? nodeSheet.rows.filter(keep) : [];
+  const edgeRows = edgeLists.flatMap((sheet) => sheet.rows.filter(keep));
+
+  const nodes = data.map(buildNode);
+  const serials = new Set(nodes.map((node) => node.id));
+
+  // Construct links from the node sheet, keeping the first occurrence of
+  // each from -> to pair and dropping links to serials that do not exist
+  const links = new Map();
+  data.forEach((row) => {
+    const sourceId = parseInt(row['Serial'], 10);
+    expandSerials(row['InteractsWithSerials']).serials.forEach((targetId) => {
+      const key = `${sourceId}->${targetId}`;
+      if (links.has(key) || !serials.has(targetId)) return;
+      links.set(key, {
+        from: sourceId,
+        to: targetId,
+        relationship: row['RelationshipType'],
+        tension: row['Tensions'],
+        strength: null,
+        sentiment: null,
+        direction: 'directed',
+      });
+    });
+  });
+
+  // Apply the edge list. Endpoints that are not in the node sheet become new
+  // actors; blank cells keep the node sheet's row-level values.
+  let nextId = nodes.reduce((max, node) => Math.max(max, node.id), 0) + 1;
+  const resolve = createEndpointResolver(nodes, (name) => {
+    const node = buildNode({ Serial: String(nextId++), Actor: name });
+    nodes.push(node);
+    return node.id;
+  });
+  readEdgeList(edgeRows, resolve).forEach((link, key) => {
+    const fallback = links.get(key) || {};
+    links.set(key, {
+      ...link,
+      relationship: link.relationship || fallback.relationship,
+      tension: link.tension || fallback.tension,
+    });
+  });
+
+  return { rows: data, nodes, edges: weighLinks(combineReciprocalLinks(links)).map(buildEdge) };
+};
+
+/**
+ * Parse, validate and build a dataset in one go. Resolves to
+ * `{ sheets, report, rows, nodes, edges }`; rows with errors are left out
+ * of the graph and listed in `report`.
+ */
+export const loadGraph = async (nodeFile, edgeFile = null) => {
+  const sheets = await parseDataset(nodeFile, edgeFile);
+  const report = validateDataset(sheets);
+  return { sheets, report, ...buildGraph(sheets, report.skipRows) };
+};
+
+/**
+ * An actor's links, each seen from the actor's side: `direction` is 'to'
+ * for links it starts and 'from' for links that end at it, and the other
+ * actor's name and category come along. `mutual` marks links that run both
+ * ways.
+ */
+export const nodeConnections = (nodeId, nodes, edges) => {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  return edges.filter((edge) => edge.from === nodeId || edge.to === nodeId).map((edge) => {
+    const isSource = edge.from === nodeId;
+    const otherNodeId = isSource ? edge.to : edge.from;
+    const otherNode = byId.get(otherNodeId) || {};
+    return {
+      id: edge.id,
+      direction: isSource ? 'to' : 'from',
+      otherNodeId,
+      otherNodeName: otherNode.name,
+      otherNodeCategory: otherNode.category,
+      relationship: edge.relationship,
+      tension: edge.tension,
+      strength: edge.strength,
+      sentiment: edge.sentiment,
+      mutual: edge.direction === 'mutual' || edge.direction === 'undirected',
+      from: edge.from,
+      to: edge.to,
+    };
+  });
+};
+
+// How many links an actor starts and receives, and the categories of the
+// actors at the other end
+const describeNetworkPosition = (node, connections) => {
+  const outgoingEdges = connections.filter((edge) => edge.direction === 'to');
+  const incomingEdges = connections.filter((edge) => edge.direction === 'from');
+  if (outgoingEdges.length === 0 && incomingEdges.length === 0) return '';
+
+  let text = '**Network Position:** ';
+  if (outgoingEdges.length > 0 && incomingEdges.length > 0) {
+    text += `${node.name} actively engages ${outgoingEdges.length} entities while being influenced by ${incomingEdges.length} actors. `;
+  } else if (outgoingEdges.length > 0) {
+    text += `${node.name} projects influence toward ${outgoingEdges.length} entities. `;
+  } else {
+    text += `${node.name} receives influence from ${incomingEdges.length} actors. `;
+  }
+
+  // Categorize connections
+  const categories = {};
+  connections.forEach((edge) => {
+    const cat = edge.otherNodeCategory || 'Other';
+    categories[cat] = (categories[cat] || 0) + 1;
+  });
+  const catSummary = Object.entries(categories)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3)
+    .map(([cat, count]) => `${count} ${cat}`)
+    .join(', ');
+  if (catSummary) {
+    text += `Primary connections include: ${catSummary}.`;
+  }
+  return text;
+};
+
+// Where an actor sits in the network with the figures behind it. An actor
+// is only called a key intermediary when its betweenness is in the top
+// tenth of the network or removing it would split the network.
+const describeStructuralPosition = (node, analysis) => {
+  if (!analysis || !analysis.metrics.has(node.id)) return '';
+  const total = analysis.metrics.size;
+  const values = analysis.metrics.get(node.id);
+  const rankOf = (key) => rankBy(analysis, key).find((entry) => entry.id === node.id).rank;
+  const betweennessRank = rankOf('betweenness');
+
+  let text = `**Structural Position:** Betweenness ${formatMetric('betweenness', values.betweenness)} (rank ${betweennessRank} of ${total}), `
+    + `PageRank ${formatMetric('pagerank', values.pagerank)} (rank ${rankOf('pagerank')} of ${total}), `
+    + `clustering ${formatMetric('clustering', values.clustering)}. `;
+  if (analysis.articulationPoints.has(node.id)) {
+    text += `Removing ${node.name} would split the network, making it a key intermediary node.`;
+  } else if (values.betweenness > 0 && betweennessRank <= Math.max(1, Math.ceil(total / 10))) {
+    text += `Its betweenness places it among the key intermediary nodes in the network.`;
+  }
+  return text;
+};
+
+// Which community an actor is in and how its ties split between that
+// community and the others
+const describeCommunity = (node, communities, edges) => {
+  if (!communities || !communities.membership.has(node.id)) return '';
+  const index = communities.membership.get(node.id);
+  const size = communities.communities[index].members.length;
+  const { internal, external } = communityTies(node.id, edges, communities.membership);
+  const total = internal + [...external.values()].reduce((acc, count) => acc + count, 0);
+
+  let text = `**Community:** ${node.name} belongs to Community ${index + 1} of ${communities.communities.length} (${size} ${size === 1 ? 'actor' : 'actors'}). `;
+  if (total === 0) return `${text}It has no ties.`;
+  text += `${internal} of its ${total} ${total === 1 ? 'tie is' : 'ties are'} within the community`;
+  if (external.size > 0) {
+    const others = [...external.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0] - b[0])
+      .map(([other, count]) => `Community ${other + 1} (${count})`)
+      .join(', ');
+    text += `; the others link to ${others}`;
+  }
+  return `${text}.`;
+};
+
+/**
+ * The narrative shown in an actor's profile, as Markdown: its description
+ * and relevance, followed by paragraphs on its links, its structural
+ * position and its community.
+ *
+ * `context` holds the graph's `nodes` and `edges` (the actor's own links
+ * are enough, e.g. from the adjacency index), and optionally the
+ * results of `analyzeNetwork` (`analysis`) and `detectCommunities`
+ * (`communities`); paragraphs whose figures are missing are left out.
+ * `connections` may pass the actor's links from `nodeConnections` when
+ * they are already at hand.
+ */
+export const describeNode = (node, {
+  nodes = [], edges = [], analysis = null, communities = null, connections = nodeConnections(node.id, nodes, edges),
+} = {}) => {
+  let enhanced = `${node.description || 'No description available.'}`;
+  if (node.relevance) {
+    enhanced += `\n\n**Strategic Relevance:** ${node.relevance}`;
+  }
+  [
+    describeNetworkPosition(node, connections),
+    describeStructuralPosition(node, analysis),
+    describeCommunity(node, communities, edges),
+  ].filter(Boolean).forEach((paragraph) => {
+    enhanced += `\n\n${paragraph}`;
+  });
+  return enhanced;
+};
@@ -0,0 +1,114 @@
+/**
+ * Path finding
+ *
+ * Shortest paths and all simple paths between two actors, following link
+ * direction: a directed link can only be travelled from its source to its
+ * target, while mutual and undirected links work both ways. Links and
+ * intermediate actors can be restricted, e.g. to certain relationship
+ * types or affiliations; the source and target themselves are always
+ * allowed.
+ *
+ * A path is returned as `{ nodes, edges }`: the node ids from source to
+ * target and, for each hop, the edge item that was travelled.
+ */
+
+// Caps that keep the search responsive on dense networks
+export const MAX_SHORTEST_PATHS = 20;
+export const MAX_SIMPLE_PATHS = 200;
+
+/**
+ * Outgoing hops per node id as `{ to, edge }`.
+ *
+ * Options:
+ * - `directed` (default true): when false every link can be travelled
+ *   both ways.
+ * - `allowEdge(edge)`: filter for the links that may be used.
+ */
+export const buildRoutes = (nodes, edges, { directed = true, allowEdge = () => true } = {}) => {
+  const routes = new Map(nodes.map((node) => [node.id, []]));
+  edges.forEach((edge) => {
+    if (edge.from === edge.to || !routes.has(edge.from) || !routes.has(edge.to) || !allowEdge(edge)) return;
+    routes.get(edge.from).push({ to: edge.to, edge });
+    if (!directed || edge.direction === 'mutual' || edge.direction === 'undirected') {
+      routes.get(edge.to).push({ to: edge.from, edge });
+    }
+  });
+  return routes;
+};
+
+/**
+ * All shortest paths from `source` to `target` (up to `limit`), by a
+ * breadth-first search that keeps every predecessor at the shortest
+ * distance. `canPass(id)` decides whether a path may go through an actor.
+ */
+export const shortestPaths = (routes, source, target, canPass = () => true, limit = MAX_SHORTEST_PATHS) => {
+  if (!routes.has(source) || !routes.has(target) || source === target) return [];
+
+  const distance = new Map([[source, 0]]);
+  const predecessors = new Map([[source, []]]);
+  const queue = [source];
+  for (let head = 0; head < queue.length; head++) {
+    const v = queue[head];
+    if (v === target) break;
+    if (v !== source && !canPass(v)) continue;
+    routes.get(v).forEach(({ to, edge }) => {
+      if (!distance.has(to)) {
+        distance.set(to, distance.get(v) + 1);
+        predecessors.set(to, []);
+        queue.push(to);
+      }
+      if (distance.get(to) === distance.get(v) + 1) {
+        predecessors.get(to).push({ from: v, edge });
+      }
+    });
+  }
+  if (!distance.has(target)) return [];
+
+  // Walk back from the target through every predecessor
+  const paths = [];
+  const walk = (id, nodes, hops) => {
+    if (paths.length >= limit) return;
+    if (id === source) {
+      paths.push({ nodes: [source, ...nodes], edges: hops });
+      return;
+    }
+    predecessors.get(id).forEach(({ from, edge }) => walk(from, [id, ...nodes], [edge, ...hops]));
+  };
+  walk(target, [], []);
+  return paths;
+};
+
+/**
+ * All simple paths (no actor visited twice) from `source` to `target` with
+ * at most `maxHops` links, shortest first, up to `limit`. Paths are
+ * collected one length at a time so that the limit cuts off the longest.
+ */
+export const simplePaths = (routes, source, target, maxHops, canPass = () => true, limit = MAX_SIMPLE_PATHS) => {
+  if (!routes.has(source) || !routes.has(target) || source === target) return [];
+
+  const paths = [];
+  const visited = new Set([source]);
+  const nodes = [source];
+  const hops = [];
+  const search = (id, length) => {
+    routes.get(id).forEach(({ to, edge }) => {
+      if (paths.length >= limit || visited.has(to)) return;
+      if (hops.length + 1 === length) {
+        if (to === target) paths.push({ nodes: [...nodes, to], edges: [...hops, edge] });
+        return;
+      }
+      if (to === target || !canPass(to)) return;
+      visited.add(to);
+      nodes.push(to);
+      hops.push(edge);
+      search(to, length);
+      visited.delete(to);
+      nodes.pop();
+      hops.pop();
+    });
+  };
+  for (let length = 1; length <= maxHops && paths.length < limit; length++) {
+    search(source, length);
+  }
+  return paths;
+};
@@ -0,0 +1,327 @@
+/**
+ * SVG rendering of the network
+ *
+ * Produces standalone SVG markup for a laid-out graph and for a complete
+ * briefing page around it (classification banners, title bar, Legend and
+ * optional Actor Profile / Relationships panels). Nothing here touches the
+ * DOM: callers pass node positions already projected to page coordinates,
+ * so the same code serves the in-app export and any headless renderer.
+ */
+import { renderSymbolSVG } from './symbology.js';
+
+// Banner colours for the usual classification markings; anything else is
+// drawn in neutral grey.
+const CLASSIFICATION_COLORS = [
+  { pattern: /^TOP SECRET/i, background: '#FF8C00', color: '#000000' },
+  { pattern: /^SECRET/i, background: '#C8102E', color: '#FFFFFF' },
+  { pattern: /^CONFIDENTIAL/i, background: '#0033A0', color: '#FFFFFF' },
+  { pattern: /^(CUI|CONTROLLED)/i, background: '#502B85', color: '#FFFFFF' },
+  { pattern: /^UNCLASSIFIED/i, background: '#007A33', color: '#FFFFFF' },
+];
+
+export const BANNER_HEIGHT = 24;
+export const HEADER_HEIGHT = 90;
+
+/**
+ * Escape text for use in SVG content and attribute values.
+ */
+export const escapeXml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Banner colours for a classification marking.
+ */
+export const classificationColors = (marking) => (
+  CLASSIFICATION_COLORS.find(({ pattern }) => pattern.test(String(marking || '').trim()))
+  || { background: '#6E6E6E', color: '#FFFFFF' }
+);
+
+/**
+ * Break text into lines no wider than `maxWidth` pixels, estimating glyph
+ * widths from the font size. Explicit newlines are kept.
+ */
+export const wrapText = (text, maxWidth, fontSize) => {
+  const maxChars = Math.max(8, Math.floor(maxWidth / (fontSize * 0.55)));
+  return String(text || '').split('\n').flatMap((paragraph) => {
+    const lines = [];
+    let current = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+      if (current && (current.length + 1 + word.length) > maxChars) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = current ? `${current} ${word}` : word;
+      }
+    });
+    lines.push(current);
+    return lines;
+  });
+};
+
+const colorOf = (color, selected) => {
+  if (!color) return selected ? '#FFD700' : '#848484';
+  if (typeof color === 'string') return color;
+  return selected ? (color.highlight || '#FFD700') : (color.color || '#848484');
+};
+
+/**
+ * Render edges and nodes. `nodes` carry page coordinates (`x`, `y`), a
+ * `radius` in page pixels, a `label`, a `symbol` and a `selected` flag;
+ * `edges` carry `from`, `to`, `color`, `width`, `arrows`, `dashes` and a
+ * `selected` flag. `scale` is the zoom factor applied to line widths and
+ * label sizes so the export matches the on-screen picture.
+ */
+export const renderGraph = ({ nodes, edges, scale = 1 }) => {
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  const parts = [];
+
+  edges.forEach((edge) => {
+    const from = byId.get(edge.from);
+    const to = byId.get(edge.to);
+    if (!from || !to || from.hidden || to.hidden || edge.hidden) return;
+
+    const dx = to.x - from.x;
+    const dy = to.y - from.y;
+    const length = Math.hypot(dx, dy) || 1;
+    // Bend every edge slightly to the right of its direction so that A->B
+    // and B->A stay apart, much like vis-network's continuous smoothing
+    const bend = Math.min(40 * scale, length * 0.15);
+    const cx = (from.x + to.x) / 2 - (dy / length) * bend;
+    const cy = (from.y + to.y) / 2 + (dx / length) * bend;
+
+    // Stop the line at the node's edge so the arrowhead stays visible
+    const trim = (node, px, py) => {
+      const ddx = px - node.x;
+      const ddy = py - node.y;
+      const d = Math.hypot(ddx, ddy) || 1;
+      return { x: node.x + (ddx / d) * node.radius, y: node.y + (ddy / d) * node.radius };
+    };
+    const start = trim(from, cx, cy);
+    const end = trim(to, cx, cy);
+
+    const stroke = colorOf(edge.color, edge.selected);
+    const width = (edge.width || 2) * scale * (edge.selected ? 1.5 : 1);
+    const dash = edge.dashes ? ` stroke-dasharray="${(Array.isArray(edge.dashes) ? edge.dashes : [10, 8]).map((v) => v * scale).join(',')}"` : '';
+    parts.push(`<path d="M ${start.x.toFixed(1)},${start.y.toFixed(1)} Q ${cx.toFixed(1)},${cy.toFixed(1)} ${end.x.toFixed(1)},${end.y.toFixed(1)}" fill="none" stroke="${stroke}" stroke-width="${width.toFixed(2)}"${dash}/>`);
+
+    const arrows = String(edge.arrows || '');
+    const head = (tip, base) => {
+      const ax = tip.x - base.x;
+      const ay = tip.y - base.y;
+      const d = Math.hypot(ax, ay) || 1;
+      const size = Math.max(8, width * 4);
+      const ux = ax / d;
+      const uy = ay / d;
+      const left = `${(tip.x - ux * size - uy * size * 0.5).toFixed(1)},${(tip.y - uy * size + ux * size * 0.5).toFixed(1)}`;
+      const right = `${(tip.x - ux * size + uy * size * 0.5).toFixed(1)},${(tip.y - uy * size - ux * size * 0.5).toFixed(1)}`;
+      return `<polygon points="${tip.x.toFixed(1)},${tip.y.toFixed(1)} ${left} ${right}" fill="${stroke}"/>`;
+    };
+    if (arrows.includes('to')) parts.push(head(end, { x: cx, y: cy }));
+    if (arrows.includes('from')) parts.push(head(start, { x: cx, y: cy }));
+  });
+
+  nodes.forEach((node) => {
+    if (node.hidden) return;
+    const size = node.radius * 2;
+    // The symbol's viewBox is 240 units wide with the frame spanning 200
+    const box = size * 1.2;
+    const symbol = renderSymbolSVG(node.symbol, { selected: node.selected, size: box })
+      .replace('<svg ', `<svg x="${(node.x - box / 2).toFixed(1)}" y="${(node.y - box / 2).toFixed(1)}" `);
+    parts.push(symbol);
+
+    if (node.label) {
+      const fontSize = 14 * scale;
+      parts.push(`<text x="${node.x.toFixed(1)}" y="${(node.y + node.radius + fontSize * 1.1).toFixed(1)}" font-family="Arial, sans-serif" font-size="${fontSize.toFixed(1)}" text-anchor="middle" fill="#ffffff" stroke="#000000" stroke-width="${(3 * scale).toFixed(1)}" paint-order="stroke" stroke-linejoin="round">${escapeXml(node.label)}</text>`);
+    }
+  });
+
+  return parts.join('');
+};
+
+// Panel colours of the default (light) theme, and the title bar and page
+// colours of the briefing
+const BRIEFING_COLORS = {
+  page: '#f0f2f5',
+  panel: '#ffffff',
+  text: '#333333',
+  heading: '#0f2537',
+  muted: '#666666',
+  rule: '#e0e0e0',
+  headerFrom: '#0f2537',
+  headerTo: '#1a4063',
+  headerText: '#ffffff',
+  accent: '#d4af37',
+};
+
+// A short sample of a link as it is drawn on the canvas, 32 pixels wide
+// from x with its middle at y, as in the on-screen Legend
+const linkSample = (x, y, { color = '#848484', width = 2, dashes = false, arrows = '' } = {}) => {
+  const start = arrows.includes('from') ? x + 7 : x + 1;
+  const end = arrows.includes('to') ? x + 25 : x + 31;
+  const dash = dashes ? ` stroke-dasharray="${dashes.join(',')}"` : '';
+  return `<line x1="${start}" y1="${y}" x2="${end}" y2="${y}" stroke="${color}" stroke-width="${width}"${dash}/>`
+    + (arrows.includes('to') ? `<polygon points="${x + 31},${y} ${x + 24},${y - 4} ${x + 24},${y + 4}" fill="${color}"/>` : '')
+    + (arrows.includes('from') ? `<polygon points="${x + 1},${y} ${x + 8},${y - 4} ${x + 8},${y + 4}" fill="${color}"/>` : '');
+};
+
+// The rows explaining how links are drawn, as `{ sample(x, y, color),
+// label }`, for a summary made by summarizeLinks (graph/edgeList.js). Only
+// the encodings the links use are explained.
+const linkRows = (links) => {
+  if (!links || !(links.strength || links.sentiments.length > 0 || links.twoWay || links.reciprocal)) return [];
+  return [
+    links.strength && {
+      sample: (x, y) => linkSample(x, y - 4, { width: 1 }) + linkSample(x, y + 4, { width: 8 }),
+      label: `Width: Strength ${links.strength.min} to ${links.strength.max}`,
+    },
+    ...links.sentiments.map((style) => ({
+      sample: (x, y) => linkSample(x, y, { color: style.color, dashes: style.dashes }),
+      label: style.label,
+    })),
+    { sample: (x, y) => linkSample(x, y, { arrows: 'to' }), label: 'One-way link' },
+    links.twoWay && { sample: (x, y) => linkSample(x, y, { arrows: 'to, from' }), label: 'Mutual link, drawn once' },
+    links.reciprocal && {
+      sample: (x, y, color) => `<text x="${x + 16}" y="${y + 5}" font-family="Arial, sans-serif" font-size="14" text-anchor="middle" fill="${color}">⇄</text>`,
+      label: 'Curved pair: a different link each way',
+    },
+  ].filter(Boolean);
+};
+
+/**
+ * Render the Legend box with its top-left corner at (x, y): the symbols in
+ * use and, given a summary of the links (see summarizeLinks in
+ * graph/edgeList.js), how links are drawn, as in the on-screen Legend.
+ * `colors` is a theme (see utils/theme.js). Returns the markup and the box
+ * height.
+ */
+export const renderLegend = (symbols, x, y, { links = null, colors = {} } = {}) => {
+  const theme = { ...BRIEFING_COLORS, ...colors };
+  const color = (key) => escapeXml(theme[key]);
+  const rowHeight = 40;
+  const linkRowHeight = 24;
+  const width = 300;
+  const rows = symbols.map((entry, index) => {
+    const rowY = y + 48 + index * rowHeight;
+    const icon = renderSymbolSVG(entry.symbol, { size: 32 }).replace('<svg ', `<svg x="${x + 16}" y="${rowY}" `);
+    return `${icon}<text x="${x + 56}" y="${rowY + 14}" font-family="Arial, sans-serif" font-size="13" font-weight="600" fill="${color('heading')}">${escapeXml(entry.label)}</text>`
+      + `<text x="${x + 56}" y="${rowY + 29}" font-family="Arial, sans-serif" font-size="11" fill="${color('muted')}">${entry.count} ${entry.count === 1 ? 'actor' : 'actors'}</text>`;
+  });
+
+  let height = 52 + symbols.length * rowHeight;
+  const linkEntries = linkRows(links);
+  if (linkEntries.length > 0) {
+    const top = y + height;
+    rows.push(`<line x1="${x + 16}" y1="${top}" x2="${x + width - 16}" y2="${top}" stroke="${color('rule')}" stroke-width="1"/>`
+      + `<text x="${x + 16}" y="${top + 20}" font-family="Arial, sans-serif" font-size="13" font-weight="600" fill="${color('heading')}">Relationships</text>`);
+    linkEntries.forEach((entry, index) => {
+      const middle = top + 40 + index * linkRowHeight;
+      rows.push(entry.sample(x + 16, middle, color('text'))
+        + `<text x="${x + 56}" y="${middle + 4}" font-family="Arial, sans-serif" font-size="12" fill="${color('text')}">${escapeXml(entry.label)}</text>`);
+    });
+    height += 32 + linkEntries.length * linkRowHeight;
+  }
+
+  return {
+    height,
+    markup: `<g><rect x="${x}" y="${y}" width="${width}" height="${height}" rx="10" fill="${color('panel')}" stroke="${color('accent')}" stroke-width="2"/>`
+      + `<text x="${x + 16}" y="${y + 28}" font-family="Arial, sans-serif" font-size="16" font-weight="600" fill="${color('heading')}">Legend</text>`
+      + `<line x1="${x + 16}" y1="${y + 38}" x2="${x + width - 16}" y2="${y + 38}" stroke="${color('accent')}" stroke-width="2"/>${rows.join('')}</g>`,
+  };
+};
+
+/**
+ * Render a text panel (Actor Profile, Relationships) as a bordered box.
+ * `blocks` is a list of `{ text, bold, size, color }` paragraphs. The box
+ * and its text take the colours of the theme `colors` where `border` or a
+ * block's `color` is not given.
+ */
+export const renderPanel = ({ x, y, width, maxHeight, title, border, blocks, colors = {} }) => {
+  const theme = { ...BRIEFING_COLORS, ...colors };
+  const color = (key) => escapeXml(theme[key]);
+  const lines = [];
+  blocks.forEach((block) => {
+    const size = block.size || 12;
+    wrapText(block.text, width - 32, size).forEach((line) => {
+      lines.push({ line, size, bold: block.bold, fill: block.color || theme.text });
+    });
+    lines.push({ line: '', size: 6 });
+  });
+
+  let cursor = y + 56;
+  const limit = y + maxHeight - 12;
+  const body = [];
+  for (let i = 0; i < lines.length; i++) {
+    const { line, size, bold, fill } = lines[i];
+    if (cursor + size > limit) {
+      body.push(`<text x="${x + 16}" y="${cursor}" font-family="Arial, sans-serif" font-size="11" fill="${color('muted')}">…</text>`);
+      cursor += 14;
+      break;
+    }
+    cursor += size * 1.35;
+    if (line) {
+      body.push(`<text x="${x + 16}" y="${cursor.toFixed(1)}" font-family="Arial, sans-serif" font-size="${size}"${bold ? ' font-weight="bold"' : ''} fill="${escapeXml(fill)}">${escapeXml(line)}</text>`);
+    }
+  }
+  const height = Math.min(maxHeight, cursor - y + 16);
+  const stroke = escapeXml(border || theme.text);
+
+  return `<g><rect x="${x}" y="${y}" width="${width}" height="${height.toFixed(1)}" rx="10" fill="${color('panel')}" stroke="${stroke}" stroke-width="2"/>`
+    + `<text x="${x + 16}" y="${y + 30}" font-family="Arial, sans-serif" font-size="18" font-weight="bold" fill="${color('heading')}">${escapeXml(title)}</text>`
+    + `<line x1="${x + 16}" y1="${y + 42}" x2="${x + width - 16}" y2="${y + 42}" stroke="${stroke}" stroke-width="2"/>${body.join('')}</g>`;
+};
+
+/**
+ * Compose a full briefing page: classification banners top and bottom, the
+ * title bar, the graph area, the Legend and any panels. `graph` is markup
+ * in graph-area coordinates (origin at the top-left of the graph area).
+ * `links` is the summary of the links the Legend explains (see
+ * summarizeLinks in graph/edgeList.js). `colors` is the theme the page,
+ * title bar, Legend and panels are drawn in (see utils/theme.js). Returns
+ * `{ svg, width, height }`.
+ */
+export const renderBriefing = ({
+  width,
+  graphHeight,
+  title = 'RAFT Visualization',
+  subtitle = 'Relationship Analysis & Force Topology',
+  classification = '',
+  graph,
+  symbols = [],
+  links = null,
+  panels = [],
+  colors: themeColors = {},
+}) => {
+  const theme = { ...BRIEFING_COLORS, ...themeColors };
+  const banner = classification ? BANNER_HEIGHT : 0;
+  const top = banner + HEADER_HEIGHT;
+  const height = top + graphHeight + banner;
+  const colors = classificationColors(classification);
+  const bannerMarkup = (y) => `<rect x="0" y="${y}" width="${width}" height="${BANNER_HEIGHT}" fill="${colors.background}"/>`
+    + `<text x="${width / 2}" y="${y + 17}" font-family="Arial, sans-serif" font-size="14" font-weight="bold" text-anchor="middle" fill="${colors.color}">${escapeXml(classification)}</text>`;
+  const color = (key) => escapeXml(theme[key]);
+
+  const legend = symbols.length > 0 || linkRows(links).length > 0
+    ? renderLegend(symbols, 20, 0, { links, colors: theme })
+    : null;
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<defs><linearGradient id="raft-header" x1="0" y1="0" x2="1" y2="1"><stop offset="0%" stop-color="${color('headerFrom')}"/><stop offset="100%" stop-color="${color('headerTo')}"/></linearGradient>`
+      + `<clipPath id="raft-graph-area"><rect x="0" y="0" width="${width}" height="${graphHeight}"/></clipPath></defs>`,
+    `<rect x="0" y="0" width="${width}" height="${height}" fill="${color('page')}"/>`,
+    `<g transform="translate(0, ${top})"><g clip-path="url(#raft-graph-area)">${graph}</g>`,
+    legend ? `<g transform="translate(0, ${graphHeight - legend.height - 20})">${legend.markup}</g>` : '',
+    panels.map((panel) => renderPanel({ colors: theme, ...panel, maxHeight: Math.min(panel.maxHeight || graphHeight, graphHeight - panel.y - 20) })).join(''),
+    '</g>',
+    `<rect x="0" y="${banner}" width="${width}" height="${HEADER_HEIGHT - 4}" fill="url(#raft-header)"/>`,
+    `<rect x="0" y="${banner + HEADER_HEIGHT - 4}" width="${width}" height="4" fill="${color('accent')}"/>`,
+    `<text x="32" y="${banner + 46}" font-family="Arial, sans-serif" font-size="32" font-weight="700" letter-spacing="1" fill="${color('headerText')}">${escapeXml(title)}</text>`,
+    `<text x="32" y="${banner + 70}" font-family="Arial, sans-serif" font-size="14" letter-spacing="0.5" fill="${color('headerText')}" fill-opacity="0.85">${escapeXml(subtitle)}</text>`,
+    banner ? bannerMarkup(0) + bannerMarkup(height - BANNER_HEIGHT) : '',
+    '</svg>',
+  ];
+
+  return { svg: parts.join(''), width, height };
+};
@@ -0,0 +1,66 @@
+/**
+ * Actor search
+ *
+ * Case-insensitive matching over actor names, descriptions and analyst
+ * notes for the search box's autocomplete.
+ */
+import { noteMatches } from './annotations.js';
+
+/**
+ * Search actors by name, description and the `annotations` on them for
+ * autocomplete. Name matches come first, then matches at the start of a
+ * word, then the rest, then actors found by a note on them or on a link
+ * from them (or to them, when the other end is not in `nodes`).
+ * Returns up to `limit` `{ node, field, snippet }` entries.
+ */
+export const searchActors = (nodes, query, limit = 8, annotations = []) => {
+  const term = query.trim().toLowerCase();
+  if (!term) return [];
+
+  const score = (text) => {
+    const lower = String(text || '').toLowerCase();
+    const index = lower.indexOf(term);
+    if (index === -1) return null;
+    if (index === 0) return 0;
+    return /\W/.test(lower[index - 1]) ? 1 : 2;
+  };
+  const snippet = (text) => {
+    const value = String(text);
+    const index = value.toLowerCase().indexOf(term);
+    const start = Math.max(0, index - 30);
+    const end = Math.min(value.length, index + term.length + 50);
+    return `${start > 0 ? '…' : ''}${value.slice(start, end)}${end < value.length ? '…' : ''}`;
+  };
+
+  const matches = [];
+  const matched = new Set();
+  nodes.forEach((node) => {
+    const byName = score(node.name);
+    if (byName !== null) {
+      matches.push({ node, field: 'name', rank: byName, snippet: null });
+      matched.add(node.id);
+      return;
+    }
+    const byDescription = score(node.description);
+    if (byDescription !== null) {
+      matches.push({ node, field: 'description', rank: 3 + byDescription, snippet: snippet(node.description) });
+      matched.add(node.id);
+    }
+  });
+
+  const byId = new Map(nodes.map((node) => [node.id, node]));
+  annotations.forEach((note) => {
+    if (!noteMatches(note, term)) return;
+    const { node: id, from, to } = note.target;
+    const node = byId.get(id !== undefined ? id : from) || byId.get(to);
+    if (!node || matched.has(node.id)) return;
+    const text = [note.text, ...note.tags.map((tag) => `#${tag}`), note.author].find((value) => score(value) !== null);
+    matches.push({ node, field: 'note', rank: 6, snippet: `📝 ${snippet(text)}` });
+    matched.add(node.id);
+  });
+
+  return matches
+    .sort((a, b) => a.rank - b.rank || String(a.node.name).localeCompare(String(b.node.name)))
+    .slice(0, limit)
+    .map(({ node, field, snippet: text }) => ({ node, field, snippet: text }));
+};
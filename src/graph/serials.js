@@ -0,0 +1,53 @@
+/**
+ * InteractsWithSerials parsing
+ *
+ * The column holds a semicolon-separated list of serials and inclusive
+ * ranges such as "1;5;18-22". Ranges written with an en-dash ("18–22"), as
+ * spreadsheet software likes to autocorrect them, are accepted too.
+ */
+
+// A serial written as a whole number, or NaN
+const toSerial = (text) => (/^\d+$/.test(text) ? parseInt(text, 10) : NaN);
+
+/**
+ * Expand an InteractsWithSerials value.
+ *
+ * Returns `{ serials, problems }`: the serials in order of appearance and a
+ * list of `{ token, message }` for entries that could not be used. Entries
+ * that are not whole numbers, such as "12a", are reported and left out.
+ */
+export const expandSerials = (value) => {
+  const serials = [];
+  const problems = [];
+  if (!value) return { serials, problems };
+
+  String(value).replace(/–/g, '-').split(';').forEach((item) => {
+    const token = item.trim();
+    if (!token) return;
+
+    if (token.includes('-')) {
+      const [startStr, endStr] = token.split('-').map((s) => s.trim());
+      const startNum = toSerial(startStr);
+      const endNum = toSerial(endStr);
+      if (isNaN(startNum) || isNaN(endNum)) {
+        problems.push({ token, message: `"${token}" is not a valid serial range.` });
+      } else if (startNum > endNum) {
+        problems.push({ token, message: `Range "${token}" runs backwards and matches no serials.` });
+      } else {
+        for (let i = startNum; i <= endNum; i++) {
+          serials.push(i);
+        }
+      }
+      return;
+    }
+
+    const serial = toSerial(token);
+    if (isNaN(serial)) {
+      problems.push({ token, message: `"${token}" is not a serial number.` });
+      return;
+    }
+    serials.push(serial);
+  });
+
+  return { serials, problems };
+};
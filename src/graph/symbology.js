@@ -0,0 +1,402 @@
+/**
+ * APP-6 / MIL-STD-2525 symbol rendering
+ *
+ * Builds a frame, function icon and echelon amplifier for each actor and
+ * renders it to a standalone SVG string. Symbols are described either by a
+ * SIDC (15-character 2525C or 20-digit 2525D / APP-6(D)) or by the separate
+ * Dimension, Function and Echelon columns. Geometry follows the usual
+ * 200 x 200 symbol box centred on (100, 100).
+ */
+import { AFFILIATIONS, getNodeColor, getNodeType } from './affiliation.js';
+
+// Frame outlines per base identity and dimension. `box` is the area the
+// function icon is fitted into and `top` is where echelon amplifiers sit.
+const FRAMES = {
+  friend: {
+    ground: { path: 'M 25,50 L 175,50 175,150 25,150 Z', box: [25, 50, 175, 150], top: 50 },
+    sea: { path: 'M 160,100 A 60,60 0 1 1 40,100 A 60,60 0 1 1 160,100 Z', box: [58, 58, 142, 142], top: 40 },
+    air: { path: 'M 155,150 C 155,50 115,30 100,30 85,30 45,50 45,150', box: [60, 60, 140, 140], top: 30 },
+    space: { path: 'M 155,150 C 155,50 115,30 100,30 85,30 45,50 45,150', box: [60, 60, 140, 140], top: 30, band: true },
+    subsurface: { path: 'M 45,50 C 45,150 85,170 100,170 115,170 155,150 155,50', box: [60, 60, 140, 140], top: 50 },
+  },
+  hostile: {
+    ground: { path: 'M 100,28 L 172,100 100,172 28,100 Z', box: [64, 64, 136, 136], top: 28 },
+    sea: { path: 'M 100,28 L 172,100 100,172 28,100 Z', box: [64, 64, 136, 136], top: 28 },
+    air: { path: 'M 45,150 L 45,70 100,20 155,70 155,150', box: [60, 70, 140, 140], top: 20 },
+    space: { path: 'M 45,150 L 45,70 100,20 155,70 155,150', box: [60, 70, 140, 140], top: 20, band: true },
+    subsurface: { path: 'M 45,50 L 45,130 100,180 155,130 155,50', box: [60, 60, 140, 130], top: 50 },
+  },
+  neutral: {
+    ground: { path: 'M 45,45 L 155,45 155,155 45,155 Z', box: [45, 45, 155, 155], top: 45 },
+    sea: { path: 'M 45,45 L 155,45 155,155 45,155 Z', box: [45, 45, 155, 155], top: 45 },
+    air: { path: 'M 45,150 L 45,30 155,30 155,150', box: [55, 55, 145, 145], top: 30 },
+    space: { path: 'M 45,150 L 45,30 155,30 155,150', box: [55, 55, 145, 145], top: 30, band: true },
+    subsurface: { path: 'M 45,50 L 45,170 155,170 155,50', box: [55, 55, 145, 145], top: 50 },
+  },
+  unknown: {
+    ground: { path: 'M 63,63 C 63,20 137,20 137,63 C 180,63 180,137 137,137 C 137,180 63,180 63,137 C 20,137 20,63 63,63 Z', box: [63, 63, 137, 137], top: 30 },
+    sea: { path: 'M 63,63 C 63,20 137,20 137,63 C 180,63 180,137 137,137 C 137,180 63,180 63,137 C 20,137 20,63 63,63 Z', box: [63, 63, 137, 137], top: 30 },
+    air: { path: 'M 65,150 C 10,150 15,60 65,60 C 65,10 135,10 135,60 C 185,60 190,150 135,150', box: [63, 63, 137, 137], top: 22 },
+    space: { path: 'M 65,150 C 10,150 15,60 65,60 C 65,10 135,10 135,60 C 185,60 190,150 135,150', box: [63, 63, 137, 137], top: 22, band: true },
+    subsurface: { path: 'M 65,50 C 10,50 15,140 65,140 C 65,190 135,190 135,140 C 185,140 190,50 135,50', box: [63, 63, 137, 137], top: 50 },
+  },
+};
+
+export const DIMENSIONS = {
+  ground: 'Land',
+  sea: 'Sea Surface',
+  subsurface: 'Subsurface',
+  air: 'Air',
+  space: 'Space',
+};
+
+const DIMENSION_ALIASES = {
+  ground: 'ground', land: 'ground', 'land unit': 'ground', sof: 'ground',
+  sea: 'sea', 'sea surface': 'sea', surface: 'sea', maritime: 'sea', naval: 'sea',
+  subsurface: 'subsurface', undersea: 'subsurface', 'sea subsurface': 'subsurface',
+  air: 'air', aviation: 'air',
+  space: 'space',
+};
+
+// 2525C battle dimension letter (third SIDC character).
+const SIDC_C_DIMENSIONS = { p: 'space', a: 'air', g: 'ground', s: 'sea', u: 'subsurface', f: 'ground', x: 'ground' };
+
+// 2525D symbol set (SIDC digits 5-6).
+const SIDC_D_DIMENSIONS = {
+  '01': 'air', '02': 'air', '05': 'space', '06': 'space',
+  '30': 'sea', '35': 'subsurface', '36': 'subsurface',
+};
+
+/*
+ * Function icons. `draw` receives the icon box [x1, y1, x2, y2] of the
+ * frame and returns SVG markup. `c` lists 2525C function ID prefixes and
+ * `d` lists 2525D land unit entity codes.
+ */
+const line = (x1, y1, x2, y2) => `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"/>`;
+const text = (label, [x1, y1, x2, y2]) => {
+  const size = Math.min((x2 - x1) / (label.length * 0.7), (y2 - y1) * 0.55);
+  return `<text x="${(x1 + x2) / 2}" y="${(y1 + y2) / 2}" font-size="${size.toFixed(1)}" font-family="Arial, sans-serif" font-weight="bold" text-anchor="middle" dominant-baseline="central" stroke="none" fill="#000">${label}</text>`;
+};
+
+export const FUNCTIONS = {
+  infantry: {
+    label: 'Infantry', c: ['UCI'], d: ['121100'],
+    draw: ([x1, y1, x2, y2]) => line(x1, y1, x2, y2) + line(x1, y2, x2, y1),
+  },
+  armor: {
+    label: 'Armor', c: ['UCA'], d: ['120500'],
+    draw: ([x1, y1, x2, y2]) => {
+      const w = x2 - x1;
+      const h = y2 - y1;
+      return `<rect x="${x1 + w * 0.2}" y="${y1 + h * 0.3}" width="${w * 0.6}" height="${h * 0.4}" rx="${h * 0.2}" fill="none"/>`;
+    },
+  },
+  reconnaissance: {
+    label: 'Reconnaissance', c: ['UCR'], d: ['121300'],
+    draw: ([x1, y1, x2, y2]) => line(x1, y2, x2, y1),
+  },
+  fieldArtillery: {
+    label: 'Field Artillery', c: ['UCF'], d: ['130300'],
+    draw: ([x1, y1, x2, y2]) => `<circle cx="${(x1 + x2) / 2}" cy="${(y1 + y2) / 2}" r="${Math.min(x2 - x1, y2 - y1) * 0.12}" fill="#000"/>`,
+  },
+  airDefense: {
+    label: 'Air Defense', c: ['UCD'], d: ['130100'],
+    draw: ([x1, y1, x2, y2]) => {
+      const h = y2 - y1;
+      return `<path d="M ${x1},${y2} C ${x1},${y2 - h * 0.45} ${x2},${y2 - h * 0.45} ${x2},${y2}" fill="none"/>`;
+    },
+  },
+  aviation: {
+    label: 'Aviation', c: ['UCV'], d: ['120600'],
+    draw: ([x1, y1, x2, y2]) => {
+      const w = x2 - x1;
+      const h = y2 - y1;
+      const cx = (x1 + x2) / 2;
+      const cy = (y1 + y2) / 2;
+      return `<path d="M ${cx},${cy} L ${x1 + w * 0.2},${cy - h * 0.2} ${x1 + w * 0.2},${cy + h * 0.2} Z M ${cx},${cy} L ${x2 - w * 0.2},${cy - h * 0.2} ${x2 - w * 0.2},${cy + h * 0.2} Z" fill="none"/>`;
+    },
+  },
+  engineer: {
+    label: 'Engineer', c: ['UCE'], d: ['140700'],
+    draw: ([x1, y1, x2, y2]) => {
+      const w = x2 - x1;
+      const h = y2 - y1;
+      const left = x1 + w * 0.25;
+      const right = x2 - w * 0.25;
+      const top = y1 + h * 0.38;
+      const bottom = y2 - h * 0.38;
+      return `<path d="M ${left},${bottom} L ${left},${top} ${right},${top} ${right},${bottom} M ${(left + right) / 2},${top} L ${(left + right) / 2},${bottom}" fill="none"/>`;
+    },
+  },
+  medical: {
+    label: 'Medical', c: ['USM'], d: ['161300'],
+    draw: ([x1, y1, x2, y2]) => line((x1 + x2) / 2, y1, (x1 + x2) / 2, y2) + line(x1, (y1 + y2) / 2, x2, (y1 + y2) / 2),
+  },
+  signal: {
+    label: 'Signal', c: ['UUS'], d: ['111000'],
+    draw: ([x1, y1, x2, y2]) => {
+      const w = x2 - x1;
+      const h = y2 - y1;
+      return `<path d="M ${x1},${y1} L ${x1 + w * 0.55},${y1 + h * 0.6} ${x1 + w * 0.45},${y1 + h * 0.4} ${x2},${y2}" fill="none"/>`;
+    },
+  },
+  supply: {
+    label: 'Supply', c: ['USS'], d: ['163600'],
+    draw: ([x1, y1, x2, y2]) => line(x1, y2 - (y2 - y1) * 0.2, x2, y2 - (y2 - y1) * 0.2),
+  },
+  specialForces: {
+    label: 'Special Forces', c: [], d: ['121700'],
+    draw: (box) => text('SF', box),
+  },
+  specialOperations: {
+    label: 'Special Operations Forces', c: [], d: ['121800'],
+    draw: (box) => text('SOF', box),
+  },
+  militaryIntelligence: {
+    label: 'Military Intelligence', c: ['UUM'], d: [],
+    draw: (box) => text('MI', box),
+  },
+  militaryPolice: {
+    label: 'Military Police', c: ['UULM'], d: [],
+    draw: (box) => text('MP', box),
+  },
+};
+
+const FUNCTION_ALIASES = {
+  infantry: 'infantry',
+  armor: 'armor', armour: 'armor', armored: 'armor', armoured: 'armor',
+  reconnaissance: 'reconnaissance', recon: 'reconnaissance', cavalry: 'reconnaissance',
+  artillery: 'fieldArtillery', 'field artillery': 'fieldArtillery',
+  'air defense': 'airDefense', 'air defence': 'airDefense',
+  aviation: 'aviation', 'army aviation': 'aviation',
+  engineer: 'engineer', engineers: 'engineer',
+  medical: 'medical',
+  signal: 'signal', signals: 'signal',
+  supply: 'supply', logistics: 'supply',
+  'special forces': 'specialForces', sf: 'specialForces',
+  'special operations': 'specialOperations', 'special operations forces': 'specialOperations', sof: 'specialOperations',
+  'military intelligence': 'militaryIntelligence', intelligence: 'militaryIntelligence', mi: 'militaryIntelligence',
+  'military police': 'militaryPolice', mp: 'militaryPolice',
+};
+
+export const ECHELONS = {
+  team: { label: 'Team/Crew', c: 'A', d: '11' },
+  squad: { label: 'Squad', c: 'B', d: '12' },
+  section: { label: 'Section', c: 'C', d: '13' },
+  platoon: { label: 'Platoon/Detachment', c: 'D', d: '14' },
+  company: { label: 'Company/Battery/Troop', c: 'E', d: '15' },
+  battalion: { label: 'Battalion/Squadron', c: 'F', d: '16' },
+  regiment: { label: 'Regiment/Group', c: 'G', d: '17' },
+  brigade: { label: 'Brigade', c: 'H', d: '18' },
+  division: { label: 'Division', c: 'I', d: '21' },
+  corps: { label: 'Corps', c: 'J', d: '22' },
+  army: { label: 'Army', c: 'K', d: '23' },
+  armyGroup: { label: 'Army Group/Front', c: 'L', d: '24' },
+  region: { label: 'Region/Theater', c: 'M', d: '25' },
+  command: { label: 'Command', c: 'N', d: '26' },
+};
+
+const ECHELON_ALIASES = {
+  team: 'team', crew: 'team',
+  squad: 'squad',
+  section: 'section',
+  platoon: 'platoon', detachment: 'platoon',
+  company: 'company', battery: 'company', troop: 'company',
+  battalion: 'battalion', squadron: 'battalion',
+  regiment: 'regiment', group: 'regiment',
+  brigade: 'brigade',
+  division: 'division',
+  corps: 'corps', 'marine expeditionary force': 'corps',
+  army: 'army',
+  'army group': 'armyGroup', front: 'armyGroup',
+  region: 'region', theater: 'region', theatre: 'region',
+  command: 'command',
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase().replace(/[_-]+/g, ' ');
+
+/**
+ * Normalise Dimension, Function and Echelon column values. Each returns
+ * null when the value is empty or not recognised.
+ */
+export const parseDimension = (value) => DIMENSION_ALIASES[normalize(value)] || null;
+export const parseFunction = (value) => FUNCTION_ALIASES[normalize(value)] || null;
+export const parseEchelon = (value) => ECHELON_ALIASES[normalize(value)] || null;
+
+/**
+ * Decode the symbol-relevant parts of a SIDC. Unknown or missing fields are
+ * returned as null.
+ */
+export const parseSidc = (sidc) => {
+  const code = String(sidc || '').trim().toUpperCase();
+
+  if (/^\d{20}$/.test(code)) {
+    const symbolSet = code.slice(4, 6);
+    const amplifier = code.slice(8, 10);
+    const entity = code.slice(10, 16);
+    const isLand = symbolSet === '10';
+    return {
+      dimension: SIDC_D_DIMENSIONS[symbolSet] || 'ground',
+      function: isLand
+        ? Object.keys(FUNCTIONS).find((key) => FUNCTIONS[key].d.includes(entity)) || null
+        : null,
+      echelon: isLand
+        ? Object.keys(ECHELONS).find((key) => ECHELONS[key].d === amplifier) || null
+        : null,
+    };
+  }
+
+  if (/^[A-Z*][A-Z*-]/.test(code) && code.length >= 10) {
+    const dimensionLetter = code[2].toLowerCase();
+    const functionId = code.slice(4, 10).replace(/-+$/, '');
+    // Longest matching prefix wins so that e.g. UULM beats UUL
+    const functionKey = dimensionLetter === 'f'
+      ? 'specialForces'
+      : Object.keys(FUNCTIONS)
+        .flatMap((key) => FUNCTIONS[key].c.map((prefix) => ({ key, prefix })))
+        .filter(({ prefix }) => functionId.startsWith(prefix))
+        .sort((a, b) => b.prefix.length - a.prefix.length)
+        .map(({ key }) => key)[0] || null;
+    return {
+      dimension: SIDC_C_DIMENSIONS[dimensionLetter] || 'ground',
+      function: functionKey,
+      echelon: code.length >= 12
+        ? Object.keys(ECHELONS).find((key) => ECHELONS[key].c === code[11]) || null
+        : null,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Build the symbol descriptor for a CSV row. Separate Dimension, Function
+ * and Echelon columns override whatever a SIDC says, so a file can use a
+ * SIDC for most actors and patch individual fields.
+ */
+export const getNodeSymbol = (row, affiliation = getNodeType(row)) => {
+  const fromSidc = parseSidc(row['SIDC']) || {};
+  return {
+    affiliation,
+    dimension: parseDimension(row['Dimension']) || fromSidc.dimension || 'ground',
+    function: parseFunction(row['Function']) || fromSidc.function || null,
+    echelon: parseEchelon(row['Echelon']) || fromSidc.echelon || null,
+  };
+};
+
+/**
+ * The Dimension, Function and Echelon column values describing a symbol,
+ * spelt so that `getNodeSymbol` reads them back to the same symbol.
+ */
+export const symbolColumns = (symbol) => ({
+  Dimension: DIMENSIONS[symbol.dimension],
+  Function: symbol.function ? FUNCTIONS[symbol.function].label : '',
+  Echelon: symbol.echelon ? ECHELONS[symbol.echelon].label.split('/')[0] : '',
+});
+
+/**
+ * Stable key identifying a symbol, used to group identical symbols in the
+ * Legend and to cache rendered images.
+ */
+export const symbolKey = (symbol) => [symbol.affiliation, symbol.dimension, symbol.function || '', symbol.echelon || ''].join('|');
+
+/**
+ * Human-readable description of a symbol, e.g. "Hostile Land Infantry
+ * Battalion".
+ */
+export const describeSymbol = (symbol) => [
+  AFFILIATIONS[symbol.affiliation].label,
+  DIMENSIONS[symbol.dimension],
+  symbol.function && FUNCTIONS[symbol.function].label,
+  symbol.echelon && ECHELONS[symbol.echelon].label,
+].filter(Boolean).join(' · ');
+
+const drawEchelon = (echelon, top) => {
+  const y = top - 12;
+  const bars = { company: 1, battalion: 2, regiment: 3 }[echelon];
+  const dots = { squad: 1, section: 2, platoon: 3 }[echelon];
+  const crosses = { brigade: 1, division: 2, corps: 3, army: 4, armyGroup: 5, region: 6 }[echelon];
+
+  if (echelon === 'team') {
+    return `<circle cx="100" cy="${y - 6}" r="7" fill="none"/>${line(90, y + 2, 110, y - 14)}`;
+  }
+  if (bars) {
+    return Array.from({ length: bars }, (_, i) => line(100 + (i - (bars - 1) / 2) * 12, y, 100 + (i - (bars - 1) / 2) * 12, y - 20)).join('');
+  }
+  if (dots) {
+    return Array.from({ length: dots }, (_, i) => `<circle cx="${100 + (i - (dots - 1) / 2) * 16}" cy="${y - 6}" r="6" fill="#000" stroke="none"/>`).join('');
+  }
+  if (crosses) {
+    return Array.from({ length: crosses }, (_, i) => {
+      const cx = 100 + (i - (crosses - 1) / 2) * 20;
+      return line(cx - 8, y, cx + 8, y - 20) + line(cx - 8, y - 20, cx + 8, y);
+    }).join('');
+  }
+  if (echelon === 'command') {
+    return [92, 108].map((cx) => line(cx - 8, y - 10, cx + 8, y - 10) + line(cx, y - 18, cx, y - 2)).join('');
+  }
+  return '';
+};
+
+/**
+ * Render a symbol to a standalone SVG document. When `selected` is set the
+ * frame gets a gold halo so the selection state stays visible.
+ */
+export const renderSymbolSVG = (symbol, { selected = false, size = 120 } = {}) => {
+  const identity = AFFILIATIONS[symbol.affiliation] || AFFILIATIONS.unknown;
+  const frame = FRAMES[identity.base][symbol.dimension] || FRAMES[identity.base].ground;
+  const closed = frame.path.trim().endsWith('Z');
+  const fill = getNodeColor(symbol.affiliation);
+  const dash = identity.dashed ? ' stroke-dasharray="16,10"' : '';
+
+  const parts = [];
+  if (selected) {
+    parts.push(`<path d="${frame.path}" fill="none" stroke="#FFD700" stroke-width="18" stroke-linejoin="round"/>`);
+  }
+  // Open frames (air, space, subsurface) are filled as a closed shape and
+  // then outlined without the closing edge
+  parts.push(`<path d="${frame.path}${closed ? '' : ' Z'}" fill="${fill}" stroke="none"/>`);
+  if (frame.band) {
+    // Space frames carry a solid band across the top of the frame
+    const clipId = `space-band-${identity.base}`;
+    parts.push(`<clipPath id="${clipId}"><path d="${frame.path} Z"/></clipPath>`);
+    parts.push(`<rect x="0" y="${frame.top}" width="200" height="22" fill="#000" clip-path="url(#${clipId})"/>`);
+  }
+  if (symbol.function) {
+    parts.push(`<g fill="none" stroke="#000" stroke-width="4">${FUNCTIONS[symbol.function].draw(frame.box)}</g>`);
+  }
+  parts.push(`<path d="${frame.path}" fill="none" stroke="#000" stroke-width="5" stroke-linejoin="round"${dash}/>`);
+  if (symbol.echelon) {
+    parts.push(`<g fill="none" stroke="#000" stroke-width="4">${drawEchelon(symbol.echelon, frame.top)}</g>`);
+  }
+  if (identity.letter) {
+    parts.push(`<text x="178" y="40" font-size="36" font-family="Arial, sans-serif" font-weight="bold" fill="#000">${identity.letter}</text>`);
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="-20 -20 240 240">${parts.join('')}</svg>`;
+};
+
+/**
+ * Render a symbol as a data URL suitable for an <img> or a vis-network
+ * image node.
+ */
+export const symbolDataUrl = (symbol, options) => `data:image/svg+xml;charset=utf-8,${encodeURIComponent(renderSymbolSVG(symbol, options))}`;
+
+/**
+ * Group nodes by symbol, in Legend order, skipping symbols that do not occur
+ * in the dataset.
+ */
+export const summarizeSymbols = (nodes) => {
+  const groups = new Map();
+  nodes.forEach((node) => {
+    const key = symbolKey(node.symbol);
+    if (!groups.has(key)) {
+      groups.set(key, { key, symbol: node.symbol, label: describeSymbol(node.symbol), count: 0 });
+    }
+    groups.get(key).count += 1;
+  });
+  const order = Object.keys(AFFILIATIONS);
+  return [...groups.values()].sort((a, b) => (
+    order.indexOf(a.symbol.affiliation) - order.indexOf(b.symbol.affiliation) || a.label.localeCompare(b.label)
+  ));
+};
@@ -0,0 +1,81 @@
+/**
+ * Background tasks
+ *
+ * The slow steps of loading and analysing a graph, written as functions of
+ * structured-cloneable arguments so that they can run in a Web Worker (see
+ * utils/graphWorker.js) and keep the page responsive on large datasets:
+ *
+ *   parse    { nodeFile, edgeFile } -> { sheets, report }
+ *   build    { sheets, skipRows, seed } -> { rows, nodes, edges }
+ *   analyze  { nodes, edges, weighted } -> { analysis, communities }
+ *   compare  { before, sheets, skipRows, seed } -> { rows, nodes, edges }
+ *
+ * Rows in `skipRows` are matched by identity, so `sheets` and `skipRows`
+ * must travel in the same message.
+ */
+import { buildEdge, buildGraph, parseDataset, validateDataset } from './model.js';
+import { compareGraphs } from './compare.js';
+import { computeLayout } from './layout.js';
+import { analyzeNetwork } from './metrics.js';
+import { detectCommunities } from './communities.js';
+
+export const TASKS = {
+  parse: async ({ nodeFile, edgeFile = null }) => {
+    const sheets = await parseDataset(nodeFile, edgeFile);
+    return { sheets, report: validateDataset(sheets) };
+  },
+
+  // Nodes without a saved position start from the seeded force layout, so
+  // a dataset settles the same way each time it is loaded
+  build: ({ sheets, skipRows, seed }) => {
+    const { rows, nodes, edges } = buildGraph(sheets, skipRows);
+    const start = computeLayout('force', nodes, edges, { seed });
+    return {
+      rows,
+      nodes: nodes.map((node) => (node.x === undefined ? { ...node, ...start.get(node.id) } : node)),
+      edges,
+    };
+  },
+
+  analyze: ({ nodes, edges, weighted = false }) => ({
+    analysis: analyzeNetwork(nodes, edges, { weighted }),
+    communities: detectCommunities(nodes, edges, { weighted }),
+  }),
+
+  // Merge the graph on screen (`before`, with its positions) with a later
+  // version built from `sheets`. Actors keep their places; new ones are
+  // placed around them by the seeded force layout.
+  compare: ({ before, sheets, skipRows, seed }) => {
+    const after = buildGraph(sheets, skipRows);
+    const merged = compareGraphs(before, after);
+    const placed = new Map(before.nodes.filter((node) => node.x !== undefined).map((node) => [node.id, { x: node.x, y: node.y }]));
+    const nodes = merged.nodes.map(({ x, y, physics, ...node }) => (placed.has(node.id) ? { ...node, ...placed.get(node.id) } : node));
+    const start = computeLayout('force', nodes, merged.edges, { seed });
+    return {
+      rows: after.rows,
+      nodes: nodes.map((node) => (node.x === undefined ? { ...node, ...start.get(node.id) } : node)),
+      edges: merged.edges.map((edge) => ({ ...edge, ...buildEdge(edge) })),
+    };
+  },
+};
+
+/**
+ * Run a task on the current thread. Resolves to its result.
+ */
+export const performTask = (name, args) => Promise.resolve().then(() => {
+  if (!TASKS[name]) throw new Error(`Unknown task "${name}"`);
+  return TASKS[name](args);
+});
+
+// The fields of edges that the analysis reads; edits to the others leave
+// it as it was
+export const ANALYSIS_EDGE_FIELDS = ['id', 'from', 'to', 'direction', 'strength'];
+
+/**
+ * The fields of nodes and edges that the analysis reads, to keep what is
+ * sent to the worker small.
+ */
+export const analysisInput = (nodes, edges) => ({
+  nodes: nodes.map(({ id }) => ({ id })),
+  edges: edges.map((edge) => Object.fromEntries(ANALYSIS_EDGE_FIELDS.map((field) => [field, edge[field]]))),
+});
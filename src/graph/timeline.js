@@ -0,0 +1,190 @@
+/**
+ * Timeline
+ *
+ * Actors and links can be limited to a period with the optional ValidFrom
+ * and ValidTo columns (both inclusive, blank for open-ended), or come from
+ * a series of dated snapshots merged into one graph. Dates are stored as
+ * 'YYYY-MM-DD' strings, which sort and compare as text.
+ *
+ * A merged snapshot series records on each item the dates on which it
+ * changed as `versions`:
+ *
+ *   [{ date, active, relationship, tension }]   // links
+ *   [{ date, active }]                          // actors
+ *
+ * The state of an item on a date is that of its latest version on or
+ * before that date. Items without versions keep their own attributes
+ * throughout their validity.
+ */
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * Parse a date written as YYYY, YYYY-MM or YYYY-MM-DD (with '-', '/' or
+ * '.' between the parts). Returns 'YYYY-MM-DD', or null when the value is
+ * blank or not a valid date. A year or month on its own stands for its
+ * first day, or its last day with `end`, so that "ValidTo 2023" covers the
+ * whole of 2023.
+ */
+export const parseDate = (value, { end = false } = {}) => {
+  const match = String(value === undefined || value === null ? '' : value).trim()
+    .match(/^(\d{4})(?:[-/.](\d{1,2})(?:[-/.](\d{1,2}))?)?$/);
+  if (!match) return null;
+  const year = parseInt(match[1], 10);
+  const month = match[2] ? parseInt(match[2], 10) : end ? 12 : 1;
+  if (month < 1 || month > 12) return null;
+  const day = match[3] ? parseInt(match[3], 10) : end ? daysInMonth(year, month) : 1;
+  if (day < 1 || day > daysInMonth(year, month)) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * The ValidFrom/ValidTo of a node sheet or edge list row.
+ */
+export const readValidity = (row) => ({
+  validFrom: parseDate(row['ValidFrom']),
+  validTo: parseDate(row['ValidTo'], { end: true }),
+});
+
+/**
+ * The date in a snapshot's file name, e.g. "actors-2024-03.csv", or null.
+ */
+export const dateFromName = (name) => {
+  const match = String(name).match(/(\d{4})[-_.]?(\d{2})(?:[-_.]?(\d{2}))?/);
+  return match ? parseDate(match.slice(1).filter(Boolean).join('-')) : null;
+};
+
+/**
+ * The day after a 'YYYY-MM-DD' date.
+ */
+export const nextDay = (date) => {
+  const [year, month, day] = date.split('-').map((part) => parseInt(part, 10));
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+};
+
+const versionAt = (item, date) => {
+  let current = null;
+  (item.versions || []).forEach((version) => {
+    if (version.date <= date) current = version;
+  });
+  return current;
+};
+
+/**
+ * Whether an actor or link exists on a date.
+ */
+export const isActive = (item, date) => {
+  if (item.validFrom && date < item.validFrom) return false;
+  if (item.validTo && date > item.validTo) return false;
+  const version = versionAt(item, date);
+  return !version || version.active;
+};
+
+/**
+ * A link with the RelationshipType and Tensions it had on a date.
+ */
+export const edgeAt = (edge, date) => {
+  const version = versionAt(edge, date);
+  return version && version.active
+    ? { ...edge, relationship: version.relationship, tension: version.tension }
+    : edge;
+};
+
+/**
+ * Every date on which something appears, disappears or changes, in order.
+ * Without any dates in the data the list is empty.
+ */
+export const timelineDates = (nodes, edges) => {
+  const dates = new Set();
+  [...nodes, ...edges].forEach((item) => {
+    if (item.validFrom) dates.add(item.validFrom);
+    if (item.validTo) dates.add(nextDay(item.validTo));
+    (item.versions || []).forEach((version) => dates.add(version.date));
+  });
+  return [...dates].sort();
+};
+
+/**
+ * The actors and links that exist on a date, as sets of ids. A link only
+ * exists while both of its actors do.
+ */
+export const activeAt = (nodes, edges, date) => {
+  const nodeIds = new Set(nodes.filter((node) => isActive(node, date)).map((node) => node.id));
+  const edgeIds = new Set(edges
+    .filter((edge) => nodeIds.has(edge.from) && nodeIds.has(edge.to) && isActive(edge, date))
+    .map((edge) => edge.id));
+  return { nodeIds, edgeIds };
+};
+
+/**
+ * Compare the network on two dates. Returns `{ appeared, disappeared,
+ * changed }`: the links that exist on `to` but not on `from` and the other
+ * way round (each as the link on the date it existed), and the links whose
+ * Tensions differ as `{ before, after }`.
+ */
+export const diffTimeline = (nodes, edges, from, to) => {
+  const before = activeAt(nodes, edges, from).edgeIds;
+  const after = activeAt(nodes, edges, to).edgeIds;
+  const appeared = [];
+  const disappeared = [];
+  const changed = [];
+  edges.forEach((edge) => {
+    if (after.has(edge.id) && !before.has(edge.id)) {
+      appeared.push(edgeAt(edge, to));
+    } else if (before.has(edge.id) && !after.has(edge.id)) {
+      disappeared.push(edgeAt(edge, from));
+    } else if (before.has(edge.id)) {
+      const then = edgeAt(edge, from);
+      const now = edgeAt(edge, to);
+      if ((then.tension || '') !== (now.tension || '')) changed.push({ before: then, after: now });
+    }
+  });
+  return { appeared, disappeared, changed };
+};
+
+/**
+ * Merge dated snapshots (`[{ date, nodes, edges }]`, built from separate
+ * files) into one graph. Actors are matched by Serial and links by their
+ * from -> to pair. Each item keeps its attributes from the latest snapshot
+ * it appears in, starts on the first date it appears, and records a
+ * version for every snapshot in which it appears, disappears or, for
+ * links, changes RelationshipType or Tensions.
+ */
+export const mergeSnapshots = (snapshots) => {
+  const ordered = [...snapshots].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+  const nodes = new Map();
+  const edges = new Map();
+
+  const track = (items, key, entries, date, describe) => {
+    const present = new Set();
+    entries.forEach((entry) => {
+      const id = key(entry);
+      present.add(id);
+      const state = { date, active: true, ...describe(entry) };
+      const item = items.get(id);
+      if (!item) {
+        items.set(id, { ...entry, validFrom: date, validTo: null, versions: [state] });
+        return;
+      }
+      const last = item.versions[item.versions.length - 1];
+      const changed = Object.keys(state).some((field) => field !== 'date' && state[field] !== last[field]);
+      items.set(id, { ...entry, validFrom: item.validFrom, validTo: null, versions: changed ? [...item.versions, state] : item.versions });
+    });
+    items.forEach((item, id) => {
+      const last = item.versions[item.versions.length - 1];
+      if (!present.has(id) && last.active) item.versions.push({ date, active: false });
+    });
+  };
+
+  ordered.forEach(({ date, nodes: snapshotNodes, edges: snapshotEdges }) => {
+    track(nodes, (node) => node.id, snapshotNodes, date, () => ({}));
+    track(edges, (edge) => `${edge.from}->${edge.to}`, snapshotEdges, date, (edge) => ({
+      relationship: edge.relationship || '',
+      tension: edge.tension || '',
+    }));
+  });
+
+  return { nodes: [...nodes.values()], edges: [...edges.values()] };
+};
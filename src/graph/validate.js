@@ -0,0 +1,316 @@
+/**
+ * Dataset validation
+ *
+ * Checks parsed node sheets and edge lists before they are turned into a
+ * graph and reports every problem with the file, line and column it was
+ * found on. Errors mark rows that cannot be loaded (missing or duplicate
+ * serials, malformed rows); warnings mark data that will be loaded but
+ * probably not the way the author intended (dangling links, unrecognised
+ * values, unknown columns).
+ */
+import { parseAffiliation, getSidcAffiliation } from './affiliation.js';
+import { EDGE_LIST_COLUMNS, isKnownDirection, parseDirection, parseSentiment, parseStrength } from './edgeList.js';
+import { countryCentre, parseCoordinate } from './geo.js';
+import { expandSerials } from './serials.js';
+import { parseSidc, parseDimension, parseFunction, parseEchelon } from './symbology.js';
+import { parseDate } from './timeline.js';
+
+export const NODE_COLUMNS = [
+  'Serial', 'Category', 'Actor', 'ActorDescription', 'InteractsWithSerials',
+  'RelationshipType', 'Tensions', 'Relevance', 'Affiliation', 'SIDC',
+  'Dimension', 'Function', 'Echelon', 'X', 'Y', 'ValidFrom', 'ValidTo',
+  'Latitude', 'Longitude', 'Country',
+];
+
+const REQUIRED_NODE_COLUMNS = ['Serial', 'Actor'];
+const REQUIRED_EDGE_COLUMNS = ['Source', 'Target'];
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Suggest the known column a misspelt header was probably meant to be, e.g.
+ * "RelevanceWHEMCOM" -> "Relevance".
+ */
+const suggestColumn = (field, known) => {
+  const lower = field.toLowerCase().replace(/[^a-z]/g, '');
+  return known.find((column) => {
+    const candidate = column.toLowerCase();
+    return lower.startsWith(candidate) || candidate.startsWith(lower) || lower === candidate;
+  });
+};
+
+/**
+ * Collects issues for one parsed sheet.
+ */
+const createReporter = (sheet, issues, skipRows) => {
+  const report = (severity, rowIndex, column, message) => {
+    issues.push({
+      severity,
+      file: sheet.name,
+      line: rowIndex === null ? 1 : sheet.lines[rowIndex],
+      column,
+      message,
+    });
+    if (severity === 'error' && rowIndex !== null) {
+      skipRows.add(sheet.rows[rowIndex]);
+    }
+  };
+  return {
+    error: (rowIndex, column, message) => report('error', rowIndex, column, message),
+    warning: (rowIndex, column, message) => report('warning', rowIndex, column, message),
+  };
+};
+
+/**
+ * Header checks shared by both sheet types. Returns false when the header
+ * is unusable and row checks should be skipped.
+ */
+const checkHeader = (sheet, known, required, reporter) => {
+  const { fields } = sheet;
+
+  // A header that is one big cell containing commas means every line was
+  // wrapped in quotes, typically by a spreadsheet re-export
+  if (fields.length === 1 && fields[0].includes(',')) {
+    reporter.error(null, fields[0].split(',')[0], 'The header is a single quoted cell. Each line of the file appears to be wrapped in quotes, so no columns can be read. Remove the outer quotes from every line and re-save the file.');
+    sheet.rows.forEach((_, rowIndex) => reporter.error(rowIndex, null, 'Row could not be split into columns.'));
+    return false;
+  }
+
+  const missing = required.filter((column) => !fields.includes(column));
+  missing.forEach((column) => {
+    const misspelt = fields.find((field) => suggestColumn(field, [column]));
+    reporter.error(null, column, misspelt
+      ? `Required column "${column}" is missing (found "${misspelt}").`
+      : `Required column "${column}" is missing.`);
+  });
+
+  fields.filter((field) => field && !known.includes(field)).forEach((field) => {
+    const suggestion = suggestColumn(field, known);
+    reporter.warning(null, field, suggestion && !fields.includes(suggestion)
+      ? `Unrecognised column "${field}" will be ignored. Did you mean "${suggestion}"?`
+      : `Unrecognised column "${field}" will be ignored.`);
+  });
+
+  if (missing.length > 0) {
+    sheet.rows.forEach((_, rowIndex) => reporter.error(rowIndex, missing[0], `Row cannot be loaded without "${missing[0]}".`));
+    return false;
+  }
+  return true;
+};
+
+/**
+ * Report Papa.parse errors (wrong number of fields, unbalanced quotes).
+ */
+const checkParseErrors = (sheet, reporter) => {
+  sheet.errors.forEach((error) => {
+    if (error.code === 'TooManyFields' || error.code === 'TooFewFields') {
+      reporter.warning(error.row, null, `${error.message}. Check for unquoted commas.`);
+    } else if (error.row !== undefined && error.row < sheet.rows.length) {
+      reporter.error(error.row, null, error.message);
+    } else {
+      reporter.error(null, null, error.message);
+    }
+  });
+};
+
+const checkSymbolFields = (row, rowIndex, reporter) => {
+  if (!isBlank(row['Affiliation']) && !parseAffiliation(row['Affiliation'])) {
+    reporter.warning(rowIndex, 'Affiliation', `Unrecognised affiliation "${row['Affiliation']}"; it will be derived from the SIDC or Category instead.`);
+  }
+  if (!isBlank(row['SIDC']) && (!parseSidc(row['SIDC']) || !getSidcAffiliation(row['SIDC']))) {
+    reporter.warning(rowIndex, 'SIDC', `"${row['SIDC']}" is not a valid 15-character or 20-digit SIDC.`);
+  }
+  [['Dimension', parseDimension], ['Function', parseFunction], ['Echelon', parseEchelon]].forEach(([column, parse]) => {
+    if (!isBlank(row[column]) && !parse(row[column])) {
+      reporter.warning(rowIndex, column, `Unrecognised ${column.toLowerCase()} "${row[column]}" will be ignored.`);
+    }
+  });
+};
+
+const checkValidity = (row, rowIndex, reporter) => {
+  const dates = {};
+  [['ValidFrom', false], ['ValidTo', true]].forEach(([column, end]) => {
+    if (isBlank(row[column])) return;
+    dates[column] = parseDate(row[column], { end });
+    if (!dates[column]) {
+      reporter.warning(rowIndex, column, `"${row[column]}" is not a date (YYYY, YYYY-MM or YYYY-MM-DD) and will be ignored.`);
+    }
+  });
+  if (dates.ValidFrom && dates.ValidTo && dates.ValidFrom > dates.ValidTo) {
+    reporter.warning(rowIndex, 'ValidTo', `ValidTo ${row['ValidTo']} is before ValidFrom ${row['ValidFrom']}; it will never be shown on the timeline.`);
+  }
+};
+
+const checkLocation = (row, rowIndex, reporter) => {
+  [['Latitude', 90], ['Longitude', 180]].forEach(([column, limit]) => {
+    if (!isBlank(row[column]) && parseCoordinate(row[column], limit) === null) {
+      reporter.warning(rowIndex, column, `${column} "${row[column]}" is not a number between -${limit} and ${limit} and will be ignored.`);
+    }
+  });
+  if (isBlank(row['Latitude']) !== isBlank(row['Longitude'])) {
+    const missing = isBlank(row['Latitude']) ? 'Latitude' : 'Longitude';
+    reporter.warning(rowIndex, missing, `${missing} is missing; Latitude and Longitude are only used together.`);
+  }
+  if (!isBlank(row['Country']) && !countryCentre(row['Country'])) {
+    reporter.warning(rowIndex, 'Country', `"${row['Country']}" is not the ISO code of a country in the Americas; it will not be placed on the map.`);
+  }
+};
+
+/**
+ * Validate a node sheet. Returns the set of serials that will be loaded so
+ * edge lists can be checked against it.
+ */
+const validateNodeSheet = (sheet, issues, skipRows) => {
+  const reporter = createReporter(sheet, issues, skipRows);
+  checkParseErrors(sheet, reporter);
+  if (!checkHeader(sheet, NODE_COLUMNS, REQUIRED_NODE_COLUMNS, reporter)) {
+    return { serials: new Set(), names: new Map() };
+  }
+
+  // First pass: serials, so that links can be checked against all of them
+  const firstLine = new Map();
+  sheet.rows.forEach((row, rowIndex) => {
+    const value = row['Serial'];
+    if (isBlank(value)) {
+      reporter.error(rowIndex, 'Serial', 'Serial is missing; the row will be skipped.');
+      return;
+    }
+    const serial = parseInt(value, 10);
+    if (isNaN(serial) || String(serial) !== String(value).trim()) {
+      reporter.error(rowIndex, 'Serial', `Serial "${value}" is not a whole number; the row will be skipped.`);
+      return;
+    }
+    if (firstLine.has(serial)) {
+      reporter.error(rowIndex, 'Serial', `Duplicate serial ${serial} (first used on line ${firstLine.get(serial)}); the row will be skipped.`);
+      return;
+    }
+    firstLine.set(serial, sheet.lines[rowIndex]);
+  });
+
+  // Second pass: everything else on the rows that will be loaded
+  sheet.rows.forEach((row, rowIndex) => {
+    if (skipRows.has(row)) return;
+
+    if (isBlank(row['Actor'])) {
+      reporter.warning(rowIndex, 'Actor', 'Actor name is missing; the node will have no label.');
+    }
+    checkSymbolFields(row, rowIndex, reporter);
+    checkValidity(row, rowIndex, reporter);
+    checkLocation(row, rowIndex, reporter);
+    ['X', 'Y'].forEach((column) => {
+      if (!isBlank(row[column]) && isNaN(parseFloat(row[column]))) {
+        reporter.warning(rowIndex, column, `Position "${row[column]}" is not a number and will be ignored.`);
+      }
+    });
+
+    const { serials, problems } = expandSerials(row['InteractsWithSerials']);
+    problems.forEach(({ message }) => reporter.warning(rowIndex, 'InteractsWithSerials', message));
+    const self = parseInt(row['Serial'], 10);
+    const listed = new Set();
+    serials.forEach((serial) => {
+      if (listed.has(serial)) {
+        reporter.warning(rowIndex, 'InteractsWithSerials', `Serial ${serial} is listed more than once; it will be linked once.`);
+        return;
+      }
+      listed.add(serial);
+      if (serial === self) {
+        reporter.warning(rowIndex, 'InteractsWithSerials', `Serial ${serial} links to itself.`);
+      } else if (!firstLine.has(serial)) {
+        reporter.warning(rowIndex, 'InteractsWithSerials', `Serial ${serial} does not exist; the link will be skipped.`);
+      }
+    });
+  });
+
+  const names = new Map(sheet.rows
+    .filter((row) => !skipRows.has(row))
+    .map((row) => [String(row['Actor'] || '').trim().toLowerCase(), parseInt(row['Serial'], 10)]));
+  return { serials: new Set(firstLine.keys()), names };
+};
+
+/**
+ * Validate an edge list. `seen` maps each from -> to pair given so far in
+ * any edge list to where it was given, so that repeated links are reported.
+ */
+const validateEdgeList = (sheet, known, issues, skipRows, seen) => {
+  const reporter = createReporter(sheet, issues, skipRows);
+  checkParseErrors(sheet, reporter);
+  if (!checkHeader(sheet, EDGE_LIST_COLUMNS, REQUIRED_EDGE_COLUMNS, reporter)) return;
+
+  const resolves = (value) => {
+    const key = String(value).trim();
+    const serial = parseInt(key, 10);
+    return (known.serials.has(serial) && String(serial) === key) || known.names.has(key.toLowerCase());
+  };
+
+  // The actor an endpoint refers to: its serial, or its name for new actors
+  const endpoint = (value) => {
+    const key = String(value).trim();
+    const serial = parseInt(key, 10);
+    if (known.serials.has(serial) && String(serial) === key) return serial;
+    return known.names.has(key.toLowerCase()) ? known.names.get(key.toLowerCase()) : key.toLowerCase();
+  };
+
+  sheet.rows.forEach((row, rowIndex) => {
+    let usable = true;
+    ['Source', 'Target'].forEach((column) => {
+      if (isBlank(row[column])) {
+        reporter.error(rowIndex, column, `${column} is missing; the link will be skipped.`);
+        usable = false;
+      }
+    });
+    if (!usable) return;
+
+    if (known.serials.size > 0) {
+      ['Source', 'Target'].forEach((column) => {
+        if (!resolves(row[column])) {
+          reporter.warning(rowIndex, column, `"${row[column]}" does not match any Serial or Actor; it will be added as a new actor.`);
+        }
+      });
+    }
+    if (!isBlank(row['Strength']) && parseStrength(row['Strength']) === null) {
+      reporter.warning(rowIndex, 'Strength', `Strength "${row['Strength']}" is not a number and will be ignored.`);
+    }
+    if (!isBlank(row['Sentiment']) && parseSentiment(row['Sentiment']) === null) {
+      reporter.warning(rowIndex, 'Sentiment', `Sentiment "${row['Sentiment']}" is not cooperative, neutral, competitive, hostile or a number from -1 to 1, and will be ignored.`);
+    }
+    if (!isBlank(row['Direction']) && !isKnownDirection(row['Direction'])) {
+      reporter.warning(rowIndex, 'Direction', `Unrecognised direction "${row['Direction']}"; the link will be treated as ${parseDirection(row['Direction'])}.`);
+    }
+    checkValidity(row, rowIndex, reporter);
+
+    const ends = [endpoint(row['Source']), endpoint(row['Target'])];
+    if (parseDirection(row['Direction']) === 'reverse') ends.reverse();
+    const key = ends.join('->');
+    if (seen.has(key)) {
+      const first = seen.get(key);
+      reporter.warning(rowIndex, 'Source', `The link ${row['Source']} -> ${row['Target']} is already given on line ${first.line}${first.file === sheet.name ? '' : ` of ${first.file}`}; this row replaces it.`);
+    }
+    seen.set(key, { file: sheet.name, line: sheet.lines[rowIndex] });
+  });
+};
+
+/**
+ * Validate a dataset made of an optional node sheet and any number of edge
+ * lists (all as returned by `parseCSV`).
+ *
+ * Returns `{ issues, skipRows, errorCount, warningCount }`. `skipRows` holds
+ * the row objects that should be left out when loading the dataset anyway.
+ */
+export const validateDataset = ({ nodeSheet, edgeLists = [] }) => {
+  const issues = [];
+  const skipRows = new Set();
+
+  const known = nodeSheet
+    ? validateNodeSheet(nodeSheet, issues, skipRows)
+    : { serials: new Set(), names: new Map() };
+  const seen = new Map();
+  edgeLists.forEach((sheet) => validateEdgeList(sheet, known, issues, skipRows, seen));
+
+  const errorCount = issues.filter((issue) => issue.severity === 'error').length;
+  return {
+    issues,
+    skipRows,
+    errorCount,
+    warningCount: issues.length - errorCount,
+  };
+};
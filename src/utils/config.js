@@ -0,0 +1,74 @@
+/**
+ * Site configuration
+ *
+ * Branding and defaults are read at startup from `raft.config.json` next to
+ * the app (Vite serves it from `public/`), so a deployment can change them
+ * by replacing that file without a rebuild:
+ *
+ *   {
+ *     "title": "RAFT Visualization",
+ *     "subtitle": "Relationship Analysis & Force Topology",
+ *     "logo": "logo.png",           // URL; null for the bundled logo, "" for none
+ *     "logoAlt": "WHEMCOM",
+ *     "classification": "UNCLASSIFIED",   // banner on screen and in exports; "" for none
+ *     "theme": "light",             // default theme: light, dark, contrast or one below
+ *     "themes": { "light": { "accent": "#c8102e" } },
+ *     "nodePalette": ["#4e79a7", ...]     // community and category colours
+ *   }
+ *
+ * Every key is optional. A missing or unreadable file leaves the defaults.
+ */
+import { GROUP_COLORS } from '../graph/communities.js';
+import { DEFAULT_THEME, buildThemes } from './theme.js';
+
+export const CONFIG_FILE = 'raft.config.json';
+
+export const DEFAULT_CONFIG = {
+  title: 'RAFT Visualization',
+  subtitle: 'Relationship Analysis & Force Topology',
+  logo: null,
+  logoAlt: 'WHEMCOM',
+  classification: '',
+  theme: DEFAULT_THEME,
+  themes: {},
+  nodePalette: GROUP_COLORS,
+};
+
+const isColorList = (value) => Array.isArray(value) && value.length > 0 && value.every((color) => typeof color === 'string');
+
+/**
+ * The configuration with defaults filled in, `themes` built (see theme.js)
+ * and unusable values dropped with a warning.
+ */
+export const resolveConfig = (raw = {}) => {
+  const config = { ...DEFAULT_CONFIG };
+  ['title', 'subtitle', 'logoAlt', 'classification'].forEach((key) => {
+    if (typeof raw[key] === 'string') config[key] = raw[key];
+  });
+  if (typeof raw.logo === 'string' || raw.logo === null) config.logo = raw.logo;
+  if (raw.nodePalette !== undefined) {
+    if (isColorList(raw.nodePalette)) config.nodePalette = raw.nodePalette;
+    else console.warn('Ignoring nodePalette: expected a list of colours');
+  }
+  config.themes = buildThemes(raw.themes && typeof raw.themes === 'object' ? raw.themes : {});
+  if (typeof raw.theme === 'string') {
+    if (config.themes[raw.theme]) config.theme = raw.theme;
+    else console.warn(`Ignoring theme "${raw.theme}": no such theme`);
+  }
+  return config;
+};
+
+/**
+ * Fetch and resolve the configuration. Always resolves.
+ */
+export const loadConfig = () => fetch(`${import.meta.env.BASE_URL}${CONFIG_FILE}`, { cache: 'no-cache' })
+  .then((response) => {
+    if (response.status === 404) return {};
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return response.json();
+  })
+  .catch((error) => {
+    console.warn(`Could not read ${CONFIG_FILE}: ${error.message}`);
+    return {};
+  })
+  .then((raw) => resolveConfig(raw && typeof raw === 'object' ? raw : {}));
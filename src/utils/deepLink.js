@@ -0,0 +1,176 @@
+/**
+ * Shareable links
+ *
+ * The state worth sharing is kept in the URL hash so that a link opens the
+ * same picture on another machine:
+ *
+ *   #dataset=<identity>&node=<id>&view=<x>,<y>,<scale>&filters=<...>&data=<...>
+ *
+ * `dataset` identifies the loaded files by name and content fingerprint
+ * (see `datasetIdentity`), `filters` holds the filters that differ from
+ * the defaults as base64url JSON, and the optional `data` carries the
+ * files themselves, deflate-compressed, for small datasets the recipient
+ * may never have seen. Every part is optional.
+ */
+
+import { readFilters } from '../graph/filters.js';
+
+// Longest `data` value put in a link. Longer links are cut off by mail and
+// chat clients, and some browsers refuse them.
+export const MAX_EMBEDDED_LENGTH = 48000;
+
+// Identity of the bundled dataset, which every copy of the app has
+export const BUNDLED_DATASET = 'bundled';
+
+const fingerprints = new WeakMap();
+
+/**
+ * 32-bit FNV-1a hash of a buffer as eight hex digits, cached per buffer.
+ */
+const fingerprint = (buffer) => {
+  if (!fingerprints.has(buffer)) {
+    let hash = 0x811c9dc5;
+    new Uint8Array(buffer).forEach((byte) => {
+      hash = Math.imul(hash ^ byte, 0x01000193);
+    });
+    fingerprints.set(buffer, (hash >>> 0).toString(16).padStart(8, '0'));
+  }
+  return fingerprints.get(buffer);
+};
+
+const fileIdentity = (file) => `${file.name}~${fingerprint(file.buffer)}`;
+
+/**
+ * A string that identifies a dataset by its files, e.g.
+ * "actors.csv~1a2b3c4d+links.csv~5e6f7a8b", or `BUNDLED_DATASET` for the
+ * bundled one. Edits made after loading do not change it.
+ */
+export const datasetIdentity = ({ nodeFile, edgeFile }) => {
+  if (!nodeFile || nodeFile.isDefault) return BUNDLED_DATASET;
+  return [nodeFile, edgeFile].filter(Boolean).map(fileIdentity).join('+');
+};
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return window.btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = window.atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+const encodeJSON = (value) => toBase64Url(new TextEncoder().encode(JSON.stringify(value)));
+
+const decodeJSON = (text) => JSON.parse(new TextDecoder().decode(fromBase64Url(text)));
+
+/**
+ * Build a URL hash (with the leading '#') from `{ dataset, node, view,
+ * filters, data }`. `view` is `{ position: { x, y }, scale }` and
+ * `filters` should only hold the filters that differ from the defaults.
+ */
+export const writeLinkState = ({ dataset, node, view, filters, data }) => {
+  const params = new URLSearchParams();
+  if (dataset) params.set('dataset', dataset);
+  if (node !== null && node !== undefined) params.set('node', String(node));
+  if (view) {
+    params.set('view', [view.position.x.toFixed(0), view.position.y.toFixed(0), view.scale.toFixed(3)].join(','));
+  }
+  if (filters && Object.keys(filters).length > 0) params.set('filters', encodeJSON(filters));
+  if (data) params.set('data', data);
+  return `#${params.toString()}`;
+};
+
+/**
+ * Read the state from a URL hash. Returns null when the hash holds none.
+ * Parts that cannot be read, and filters that are unknown or of the wrong
+ * type (see `readFilters`), are left out and described in `ignored`, e.g.
+ * 'the filter "ego"', for the user to be told. Without a `dataset` the
+ * state applies to whatever dataset is loaded.
+ */
+export const readLinkState = (hash = window.location.hash) => {
+  const params = new URLSearchParams(String(hash).replace(/^#/, ''));
+  if (!['dataset', 'node', 'view', 'filters', 'data'].some((key) => params.has(key))) return null;
+
+  const state = {
+    dataset: params.get('dataset'), node: null, view: null, filters: null, data: params.get('data'), ignored: [],
+  };
+  if (params.has('node')) {
+    const node = parseInt(params.get('node'), 10);
+    if (isNaN(node)) state.ignored.push(`the actor "${params.get('node')}"`);
+    else state.node = node;
+  }
+  if (params.has('view')) {
+    const [x, y, scale] = params.get('view').split(',').map(Number);
+    if ([x, y, scale].some(isNaN) || scale <= 0) state.ignored.push(`the view "${params.get('view')}"`);
+    else state.view = { position: { x, y }, scale };
+  }
+  if (params.has('filters')) {
+    let decoded;
+    try {
+      decoded = decodeJSON(params.get('filters'));
+    } catch (error) {
+      state.ignored.push('the filters');
+    }
+    if (decoded !== undefined) {
+      const { filters, ignored } = readFilters(decoded);
+      state.filters = Object.keys(filters).length > 0 ? filters : null;
+      state.ignored.push(...ignored.map((key) => (key === 'filters' ? 'the filters' : `the filter "${key}"`)));
+    }
+  }
+  return state;
+};
+
+const transform = (bytes, stream) => new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+
+/**
+ * Compress a dataset's files into a `data` value for a link. Resolves with
+ * the text, which may be longer than `MAX_EMBEDDED_LENGTH`.
+ *
+ * The payload is a 4-byte header length, a JSON header listing the files
+ * as `{ name, size }` and then the files' bytes, deflated as a whole.
+ */
+export const packDataset = ({ nodeFile, edgeFile }) => {
+  if (typeof window.CompressionStream !== 'function') {
+    return Promise.reject(new Error('This browser cannot compress data for links.'));
+  }
+  const files = [nodeFile, edgeFile].filter(Boolean);
+  const header = new TextEncoder().encode(JSON.stringify(files.map((file) => ({ name: file.name, size: file.buffer.byteLength }))));
+  const payload = new Uint8Array(4 + header.length + files.reduce((acc, file) => acc + file.buffer.byteLength, 0));
+  new DataView(payload.buffer).setUint32(0, header.length);
+  payload.set(header, 4);
+  let offset = 4 + header.length;
+  files.forEach((file) => {
+    payload.set(new Uint8Array(file.buffer), offset);
+    offset += file.buffer.byteLength;
+  });
+  return transform(payload, new window.CompressionStream('deflate-raw'))
+    .then((compressed) => toBase64Url(new Uint8Array(compressed)));
+};
+
+/**
+ * Unpack a `data` value made by `packDataset`. Resolves with
+ * `{ nodeFile, edgeFile }` as `{ name, buffer }` files (edgeFile may be
+ * null).
+ */
+export const unpackDataset = (data) => {
+  if (typeof window.DecompressionStream !== 'function') {
+    return Promise.reject(new Error('This browser cannot read datasets embedded in links.'));
+  }
+  return Promise.resolve()
+    .then(() => transform(fromBase64Url(data), new window.DecompressionStream('deflate-raw')))
+    .then((buffer) => {
+      const length = new DataView(buffer).getUint32(0);
+      const files = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 4, length)));
+      let offset = 4 + length;
+      const [nodeFile, edgeFile = null] = files.map(({ name, size }) => {
+        const file = { name, buffer: buffer.slice(offset, offset + size) };
+        offset += size;
+        return file;
+      });
+      return { nodeFile, edgeFile };
+    });
+};
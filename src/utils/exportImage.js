@@ -0,0 +1,64 @@
+/**
+ * Browser-side export helpers: saving blobs as downloads and turning SVG
+ * markup into PNG and PDF files.
+ */
+
+/**
+ * Save a Blob under the given file name.
+ */
+export const downloadBlob = (blob, filename) => {
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
+};
+
+/**
+ * Rasterise SVG markup onto a canvas `scale` times its nominal size.
+ */
+const svgToCanvas = (svg, width, height, scale) => new Promise((resolve, reject) => {
+  const url = window.URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    window.URL.revokeObjectURL(url);
+    resolve(canvas);
+  };
+  image.onerror = () => {
+    window.URL.revokeObjectURL(url);
+    reject(new Error('The exported SVG could not be rendered.'));
+  };
+  image.src = url;
+});
+
+/**
+ * Render SVG markup to a PNG Blob at `scale` times its nominal size.
+ */
+export const svgToPng = (svg, width, height, scale = 3) => svgToCanvas(svg, width, height, scale)
+  .then((canvas) => new Promise((resolve) => canvas.toBlob(resolve, 'image/png')));
+
+/**
+ * Render SVG markup to a single-page PDF Blob sized to the SVG. jsPDF is
+ * loaded on demand.
+ */
+export const svgToPdf = async (svg, width, height, scale = 2) => {
+  const [{ jsPDF }, canvas] = await Promise.all([import('jspdf'), svgToCanvas(svg, width, height, scale)]);
+  // 96 CSS pixels per inch, 72 points per inch
+  const pageWidth = width * 0.75;
+  const pageHeight = height * 0.75;
+  const pdf = new jsPDF({
+    orientation: pageWidth >= pageHeight ? 'landscape' : 'portrait',
+    unit: 'pt',
+    format: [pageWidth, pageHeight],
+  });
+  pdf.addImage(canvas.toDataURL('image/png'), 'PNG', 0, 0, pageWidth, pageHeight);
+  return pdf.output('blob');
+};
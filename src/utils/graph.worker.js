@@ -0,0 +1,12 @@
+/**
+ * Web Worker running the tasks of graph/tasks.js off the page's thread.
+ * Messages are `{ id, name, args }`; replies are `{ id, result }` or
+ * `{ id, error: { name, message } }`.
+ */
+import { performTask } from '../graph/tasks.js';
+
+self.onmessage = ({ data: { id, name, args } }) => {
+  performTask(name, args)
+    .then((result) => self.postMessage({ id, result }))
+    .catch((error) => self.postMessage({ id, error: { name: error.name, message: error.message } }));
+};
@@ -0,0 +1,102 @@
+/**
+ * Background graph tasks
+ *
+ * Runs the tasks of graph/tasks.js in Web Workers: one shared worker that
+ * runs tasks in turn, and a worker of its own for each task run with
+ * `runLatestTask`, whose runs replace each other. When the browser cannot
+ * start a worker, or a task needs something only the page has (GraphML
+ * files are parsed with DOMParser, which workers lack), the task runs on
+ * the page instead.
+ */
+import { performTask } from '../graph/tasks.js';
+
+let nextId = 1;
+// The shared worker, false when it could not start
+let shared = null;
+// Task name -> worker of the tasks run with runLatestTask
+const latest = new Map();
+
+const runOnPage = ({ name, args, resolve, reject }) => performTask(name, args).then(resolve, reject);
+
+/**
+ * Start a worker. Returns `{ worker, pending }`, where `pending` maps the
+ * ids of the tasks sent to it to `{ name, args, resolve, reject }`, or
+ * null when the browser cannot start it. A worker that fails to load
+ * hands its tasks back to the page and calls `onFail`.
+ */
+const startWorker = (onFail) => {
+  let worker;
+  try {
+    worker = new Worker(new URL('./graph.worker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    console.warn(`Graph tasks will run on the page: ${error.message}`);
+    return null;
+  }
+  const pending = new Map();
+  worker.onmessage = ({ data }) => {
+    const task = pending.get(data.id);
+    if (!task) return;
+    pending.delete(data.id);
+    if (!data.error) {
+      task.resolve(data.result);
+    } else if (data.error.name === 'ReferenceError') {
+      runOnPage(task);
+    } else {
+      task.reject(Object.assign(new Error(data.error.message), { name: data.error.name }));
+    }
+  };
+  worker.onerror = (event) => {
+    console.warn(`Graph tasks will run on the page: ${event.message || 'the worker could not start'}`);
+    worker.terminate();
+    onFail();
+    const tasks = [...pending.values()];
+    pending.clear();
+    tasks.forEach(runOnPage);
+  };
+  return { worker, pending };
+};
+
+const send = (handle, task) => {
+  if (!handle) {
+    runOnPage(task);
+    return;
+  }
+  const id = nextId++;
+  handle.pending.set(id, task);
+  try {
+    handle.worker.postMessage({ id, name: task.name, args: task.args });
+  } catch (error) {
+    handle.pending.delete(id);
+    runOnPage(task);
+  }
+};
+
+/**
+ * Run a task of graph/tasks.js in the background. Resolves to its result.
+ */
+export const runTask = (name, args) => new Promise((resolve, reject) => {
+  if (shared === null) {
+    shared = startWorker(() => { shared = false; }) || false;
+  }
+  send(shared, { name, args, resolve, reject });
+});
+
+/**
+ * Run a task of graph/tasks.js in a worker of its own, so that slow runs,
+ * such as analysing a large network, hold up nothing else. A run still
+ * going when the same task is asked for again is stopped, and its promise
+ * rejects with an AbortError.
+ */
+export const runLatestTask = (name, args) => new Promise((resolve, reject) => {
+  let handle = latest.get(name);
+  if (handle && handle.pending.size > 0) {
+    handle.worker.terminate();
+    handle.pending.forEach((task) => task.reject(Object.assign(new Error(`${name} was replaced by a newer run`), { name: 'AbortError' })));
+    handle = undefined;
+  }
+  if (handle === undefined) {
+    handle = startWorker(() => latest.set(name, null));
+    latest.set(name, handle);
+  }
+  send(handle, { name, args, resolve, reject });
+});
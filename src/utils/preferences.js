@@ -0,0 +1,24 @@
+/**
+ * User preferences
+ *
+ * Settings that belong to the person at this browser rather than to a
+ * workspace, kept in localStorage.
+ */
+
+const AUTHOR_KEY = 'raft.author';
+
+/**
+ * The name notes are signed with, or '' when none has been given.
+ */
+export const getAuthorName = () => window.localStorage.getItem(AUTHOR_KEY) || '';
+
+export const setAuthorName = (name) => window.localStorage.setItem(AUTHOR_KEY, name);
+
+const THEME_KEY = 'raft.theme';
+
+/**
+ * The theme chosen in this browser, or null to use the configured one.
+ */
+export const getThemeName = () => window.localStorage.getItem(THEME_KEY);
+
+export const setThemeName = (name) => window.localStorage.setItem(THEME_KEY, name);
@@ -0,0 +1,106 @@
+/**
+ * Themes
+ *
+ * The colours of the interface as named palettes. Components do not use
+ * the colours directly: the app's root element carries each colour as a
+ * CSS custom property (`accent` becomes `--raft-accent`) and inline styles
+ * refer to them with `var(--raft-accent)`, so switching theme restyles
+ * every panel at once. Exports read the same palette for their header.
+ *
+ * The site configuration (see config.js) can change any colour of the
+ * built-in themes and add themes of its own, which start from `light`.
+ */
+
+export const THEMES = {
+  light: {
+    label: 'Light',
+    colorScheme: 'light',
+    page: '#f0f2f5',
+    panel: '#ffffff',
+    subtle: '#f5f5f5',
+    highlight: '#fdf6e3',
+    text: '#333333',
+    heading: '#0f2537',
+    muted: '#666666',
+    rule: '#e0e0e0',
+    headerFrom: '#0f2537',
+    headerTo: '#1a4063',
+    headerText: '#ffffff',
+    accent: '#d4af37',
+    accentDark: '#c4a137',
+    onAccent: '#0f2537',
+    primary: '#1a4063',
+    primaryDark: '#0f2537',
+  },
+  dark: {
+    label: 'Dark',
+    colorScheme: 'dark',
+    page: '#10161d',
+    panel: '#1b252f',
+    subtle: '#24303c',
+    highlight: '#3a3524',
+    text: '#e3e7eb',
+    heading: '#a9c8e8',
+    muted: '#9aa6b2',
+    rule: '#35424f',
+    headerFrom: '#070d13',
+    headerTo: '#13263a',
+    headerText: '#ffffff',
+    accent: '#d4af37',
+    accentDark: '#b8962c',
+    onAccent: '#0f2537',
+    primary: '#2b5d8c',
+    primaryDark: '#1a4063',
+  },
+  contrast: {
+    label: 'High Contrast / Print',
+    colorScheme: 'light',
+    page: '#ffffff',
+    panel: '#ffffff',
+    subtle: '#ffffff',
+    highlight: '#ffff66',
+    text: '#000000',
+    heading: '#000000',
+    muted: '#1a1a1a',
+    rule: '#000000',
+    headerFrom: '#000000',
+    headerTo: '#000000',
+    headerText: '#ffffff',
+    accent: '#000000',
+    accentDark: '#000000',
+    onAccent: '#ffffff',
+    primary: '#000000',
+    primaryDark: '#000000',
+  },
+};
+
+export const DEFAULT_THEME = 'light';
+
+/**
+ * The built-in themes with the configured changes and additions applied.
+ */
+export const buildThemes = (overrides = {}) => {
+  const themes = { ...THEMES };
+  Object.entries(overrides).forEach(([name, colors]) => {
+    if (!colors || typeof colors !== 'object') {
+      console.warn(`Ignoring theme "${name}": expected an object of colours`);
+      return;
+    }
+    themes[name] = { ...THEMES[DEFAULT_THEME], label: name, ...THEMES[name], ...colors };
+  });
+  return themes;
+};
+
+/**
+ * A theme as CSS custom properties for a style object: `headerFrom`
+ * becomes `--raft-header-from`. `colorScheme` is applied as the
+ * color-scheme property so that form controls and scroll bars follow.
+ */
+export const themeVariables = (theme) => {
+  const variables = { colorScheme: theme.colorScheme || 'light' };
+  Object.entries(theme).forEach(([key, value]) => {
+    if (key === 'label' || key === 'colorScheme') return;
+    variables[`--raft-${key.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`)}`] = value;
+  });
+  return variables;
+};
@@ -0,0 +1,86 @@
+/**
+ * Workspace storage
+ *
+ * Named workspaces are kept in IndexedDB so that an uploaded dataset, its
+ * edits and the picture on screen survive a page reload. A workspace record
+ * looks like:
+ *
+ *   {
+ *     id, name, updated,           // updated is a millisecond timestamp
+ *     nodeFile, edgeFile,          // { name, buffer, isDefault } or null
+ *     nodes, edges,                // the graph's DataSet items, edits included
+ *     positions,                   // node id -> { x, y }
+ *     view,                        // { scale, position } of the viewport
+ *     layout,                      // 'geographic' or a layout key, see graph/layout.js
+ *     seed, frozen,                // seed of the force layout, and whether physics is off
+ *     filters,
+ *     annotations,                 // analyst notes, see graph/annotations.js
+ *     comparison,                  // { before, after } file names of a compared graph, or null
+ *   }
+ *
+ * A record without `nodes` has not been saved from a loaded graph yet and
+ * opens with the bundled dataset.
+ */
+
+const DB_NAME = 'raft';
+const DB_VERSION = 1;
+const STORE = 'workspaces';
+const LAST_WORKSPACE_KEY = 'raft.workspace';
+
+let database = null;
+
+const openDatabase = () => {
+  if (database) return database;
+  database = new Promise((resolve, reject) => {
+    if (!window.indexedDB) {
+      reject(new Error('This browser does not support IndexedDB.'));
+      return;
+    }
+    const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return database;
+};
+
+/**
+ * Run one request against the workspace store and resolve with its result.
+ */
+const withStore = (mode, makeRequest) => openDatabase().then((db) => new Promise((resolve, reject) => {
+  const request = makeRequest(db.transaction(STORE, mode).objectStore(STORE));
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+}));
+
+/**
+ * Create an unsaved workspace record.
+ */
+export const createWorkspace = (name) => ({
+  id: `ws-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  name,
+});
+
+/**
+ * List the stored workspaces as `{ id, name, updated }`, most recently
+ * updated first.
+ */
+export const listWorkspaces = () => withStore('readonly', (store) => store.getAll())
+  .then((records) => records
+    .map(({ id, name, updated }) => ({ id, name, updated }))
+    .sort((a, b) => (b.updated || 0) - (a.updated || 0)));
+
+export const loadWorkspace = (id) => withStore('readonly', (store) => store.get(id));
+
+export const saveWorkspace = (record) => withStore('readwrite', (store) => store.put({ ...record, updated: Date.now() }));
+
+export const deleteWorkspace = (id) => withStore('readwrite', (store) => store.delete(id));
+
+/**
+ * The id of the workspace that was open last, so a reload reopens it.
+ */
+export const getLastWorkspaceId = () => window.localStorage.getItem(LAST_WORKSPACE_KEY);
+
+export const setLastWorkspaceId = (id) => window.localStorage.setItem(LAST_WORKSPACE_KEY, id);
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAdjacency } from '../src/graph/adjacency.js';
+
+const edges = [
+  { id: 'a', from: 1, to: 2 },
+  { id: 'b', from: 3, to: 1 },
+  { id: 'c', from: 2, to: 3 },
+];
+
+test('indexes each link under both of its ends', () => {
+  const adjacency = createAdjacency(edges);
+  assert.deepEqual(adjacency.edgeIds(1), ['a', 'b']);
+  assert.deepEqual(adjacency.neighbours(1), new Set([2, 3]));
+  assert.deepEqual(adjacency.edgeIds(9), []);
+  assert.deepEqual(adjacency.neighbours(9), new Set());
+});
+
+test('follows links as they are added and removed', () => {
+  const adjacency = createAdjacency(edges);
+  adjacency.remove(edges[0]);
+  adjacency.add({ id: 'd', from: 1, to: 4 });
+  assert.deepEqual(adjacency.edgeIds(1), ['b', 'd']);
+  assert.deepEqual(adjacency.edgeIds(2), ['c']);
+  assert.deepEqual(adjacency.neighbours(4), new Set([1]));
+});
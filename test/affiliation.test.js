@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getNodeColor, getNodeType, getSidcAffiliation, parseAffiliation } from '../src/graph/affiliation.js';
+
+test('reads the Affiliation column in its accepted spellings', () => {
+  assert.equal(parseAffiliation('Friendly'), 'friend');
+  assert.equal(parseAffiliation('assumed-friend'), 'assumedFriend');
+  assert.equal(parseAffiliation('H'), 'hostile');
+  assert.equal(parseAffiliation('sideways'), null);
+});
+
+test('reads the standard identity of both SIDC forms', () => {
+  assert.equal(getSidcAffiliation('SHGPUCI----D---'), 'hostile');
+  assert.equal(getSidcAffiliation('10031000001211000000'), 'friend');
+  assert.equal(getSidcAffiliation('10161000001211000000'), 'faker');
+  assert.equal(getSidcAffiliation('nonsense'), null);
+});
+
+test('prefers the Affiliation column, then the SIDC, then the Category', () => {
+  assert.equal(getNodeType({ Affiliation: 'neutral', SIDC: 'SHGPUCI----D---', Category: 'Allied' }), 'neutral');
+  assert.equal(getNodeType({ SIDC: 'SHGPUCI----D---', Category: 'Allied' }), 'hostile');
+  assert.equal(getNodeType({ Category: 'Regional Cartel' }), 'hostile');
+  assert.equal(getNodeType({ Category: 'Multilateral Body' }), 'neutral');
+  assert.equal(getNodeType({ Category: 'Something else' }), 'unknown');
+  assert.equal(getNodeType({ Category: 'U.S.' }), 'friend');
+  assert.equal(getNodeType({ Category: 'U.S. Agency' }), 'friend');
+});
+
+test('colours an affiliation with the fill of its base identity', () => {
+  assert.equal(getNodeColor('friend'), '#80E0FF');
+  assert.equal(getNodeColor('suspect'), getNodeColor('hostile'));
+  assert.equal(getNodeColor('made up'), getNodeColor('unknown'));
+});
@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CHANGE_COLUMNS, changeRecords, changeReport, compareGraphs, isComparison, summarizeChanges,
+} from '../src/graph/compare.js';
+import { buildEdge, buildGraph, datasetFile, parseDataset } from '../src/graph/model.js';
+import { toChangeReportCSV } from '../src/graph/exporters.js';
+import { performTask } from '../src/graph/tasks.js';
+
+const BEFORE = `Serial,Category,Actor,ActorDescription,InteractsWithSerials,RelationshipType,Tensions
+1,State,Alpha,First actor,2;3,Trade,None
+2,State,Bravo,Second actor,1,Trade,None
+3,Group,Charlie,Third actor,,,
+`;
+
+const AFTER = `Serial,Category,Actor,ActorDescription,InteractsWithSerials,RelationshipType,Tensions
+1,State,Alpha,First actor ,2;4,Trade,Sanctions
+2,Proxy,Bravo,Second actor,1,Trade,None
+4,Group,Delta,New actor,,,
+`;
+
+const graphOf = async (text) => buildGraph(await parseDataset(datasetFile('data.csv', text)));
+
+test('tags added, removed, changed and unchanged actors and links', async () => {
+  const { nodes, edges } = compareGraphs(await graphOf(BEFORE), await graphOf(AFTER));
+  const changeOf = (items, key) => Object.fromEntries(items.map((item) => [key(item), item.change]));
+
+  assert.deepEqual(changeOf(nodes, (node) => node.name), {
+    Alpha: 'unchanged', Bravo: 'changed', Delta: 'added', Charlie: 'removed',
+  });
+  assert.deepEqual(nodes.find((node) => node.name === 'Bravo').changes, [{ field: 'Category', before: 'State', after: 'Proxy' }]);
+
+  // Alpha and Bravo's links to each other are one mutual link in the
+  // earlier version and two one-way links that differ in Tensions in the
+  // later one: one changed relationship
+  assert.deepEqual(edges.map(({ from, to, direction, change }) => [from, to, direction, change]), [
+    [1, 2, 'directed', 'changed'],
+    [2, 1, 'directed', 'changed'],
+    [1, 4, 'directed', 'added'],
+    [1, 3, 'directed', 'removed'],
+  ]);
+  assert.deepEqual(edges[0].changes, [
+    { field: 'Direction', before: 'Alpha ↔ Bravo', after: 'Alpha → Bravo, Bravo → Alpha' },
+    { field: 'Tensions', before: 'None', after: 'Alpha → Bravo: Sanctions; Bravo → Alpha: None' },
+  ]);
+  edges.forEach((edge) => assert.equal(edge.id, undefined));
+});
+
+test('matches two-way links whichever way round they are listed', () => {
+  const link = (from, to, tension) => ({ id: `${from}-${to}`, from, to, direction: 'mutual', relationship: 'Trade', tension });
+  const nodes = [{ id: 1, name: 'A' }, { id: 2, name: 'B' }];
+  const { edges } = compareGraphs({ nodes, edges: [link(1, 2, 'Low')] }, { nodes, edges: [link(2, 1, 'High')] });
+  assert.equal(edges.length, 1);
+  assert.equal(edges[0].change, 'changed');
+  assert.deepEqual(edges[0].changes, [{ field: 'Tensions', before: 'Low', after: 'High' }]);
+});
+
+test('reports a change of direction between the same actors as one changed relationship', () => {
+  const nodes = [{ id: 1, name: 'A' }, { id: 2, name: 'B' }];
+  const link = (from, to, direction) => ({ from, to, direction, relationship: 'Trade', tension: 'Low' });
+  const { edges } = compareGraphs(
+    { nodes, edges: [link(1, 2, 'directed'), link(2, 1, 'directed')] },
+    { nodes, edges: [link(2, 1, 'mutual')] },
+  );
+  assert.deepEqual(edges.map((edge) => edge.change), ['changed']);
+  assert.deepEqual(changeReport(nodes, edges).map(({ change, name, field, before, after }) => [change, name, field, before, after]), [
+    ['changed', 'A ↔ B', 'Direction', 'A → B, B → A', 'A ↔ B'],
+  ]);
+  assert.deepEqual(summarizeChanges(nodes, edges).links, { added: 0, removed: 0, changed: 1 });
+
+  const flipped = compareGraphs({ nodes, edges: [link(1, 2, 'directed')] }, { nodes, edges: [link(2, 1, 'directed')] });
+  assert.deepEqual(flipped.edges[0].changes, [{ field: 'Direction', before: 'A → B', after: 'B → A' }]);
+});
+
+test('a compared graph stands for its later version', async () => {
+  const first = compareGraphs(await graphOf(BEFORE), await graphOf(AFTER));
+  assert.ok(isComparison(first.nodes));
+  const again = compareGraphs(first, await graphOf(AFTER));
+  assert.ok(again.nodes.every((node) => node.change === 'unchanged'));
+  assert.ok(again.edges.every((edge) => edge.change === 'unchanged'));
+  assert.equal(again.nodes.length, 3);
+});
+
+test('reports each change as a row and counts them', async () => {
+  const { nodes, edges } = compareGraphs(await graphOf(BEFORE), await graphOf(AFTER));
+  const rows = changeReport(nodes, edges);
+  assert.deepEqual(rows.filter((row) => row.item === 'Actor').map(({ change, name, field }) => [change, name, field]), [
+    ['added', 'Delta', null],
+    ['removed', 'Charlie', null],
+    ['changed', 'Bravo', 'Category'],
+  ]);
+  assert.ok(rows.some((row) => row.change === 'removed' && row.name === 'Alpha → Charlie'));
+  assert.deepEqual(summarizeChanges(nodes, edges).actors, { added: 1, removed: 1, changed: 1 });
+
+  const records = changeRecords(rows);
+  assert.deepEqual(Object.keys(records[0]), CHANGE_COLUMNS);
+  assert.deepEqual(records[2], {
+    Change: 'Changed', Item: 'Actor', Serial: 2, Source: '', Target: '', Name: 'Bravo', Field: 'Category', Before: 'State', After: 'Proxy',
+  });
+  assert.match(toChangeReportCSV(rows).split('\r\n')[0], /^Change,Item,Serial,Source,Target,Name,Field,Before,After$/);
+});
+
+test('colours compared links by their change', () => {
+  const link = { from: 1, to: 2, direction: 'directed', sentiment: 0.9 };
+  assert.equal(buildEdge(link).color.color, '#2e7d32');
+  assert.equal(buildEdge(link).change, undefined);
+  const removed = buildEdge({ ...link, change: 'removed', changes: [] });
+  assert.equal(removed.color.color, '#c62828');
+  assert.ok(removed.dashes);
+  assert.equal(buildEdge({ ...link, change: 'unchanged' }).color.color, '#848484');
+});
+
+test('the compare task keeps actors where they were and places new ones', async () => {
+  const before = await graphOf(BEFORE);
+  before.nodes = before.nodes.map((node, index) => ({ ...node, x: index * 100, y: 0 }));
+  const sheets = await parseDataset(datasetFile('data.csv', AFTER));
+  const { nodes, edges } = await performTask('compare', { before, sheets, skipRows: new Set(), seed: 1 });
+  const byName = new Map(nodes.map((node) => [node.name, node]));
+  assert.deepEqual([byName.get('Bravo').x, byName.get('Charlie').x], [100, 200]);
+  assert.ok(Number.isFinite(byName.get('Delta').x));
+  assert.ok(edges.every((edge) => edge.color.color && edge.change));
+});
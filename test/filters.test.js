@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EMPTY_FILTERS, createVisibility, isFiltering, readFilters } from '../src/graph/filters.js';
+
+test('keeps the filters from outside the app that have the right type', () => {
+  const { filters, ignored } = readFilters({
+    hiddenCategories: ['Cartel'],
+    relationship: 'trade',
+    ego: { nodeId: 3, hops: 2 },
+    layout: 'circle',
+  });
+  assert.deepEqual(filters, { hiddenCategories: ['Cartel'], relationship: 'trade', ego: { nodeId: 3, hops: 2 } });
+  assert.deepEqual(ignored, ['layout']);
+});
+
+test('drops filters of the wrong type so they can be applied safely', () => {
+  const { filters, ignored } = readFilters({
+    relationship: 1,
+    hiddenCategories: 5,
+    hiddenAffiliations: ['friend', 2],
+    ego: { nodeId: '3', hops: 50 },
+  });
+  assert.deepEqual(filters, {});
+  assert.deepEqual(ignored, ['relationship', 'hiddenCategories', 'hiddenAffiliations', 'ego']);
+  assert.deepEqual(readFilters([1, 2]), { filters: {}, ignored: ['filters'] });
+  assert.deepEqual(readFilters(null), { filters: {}, ignored: ['filters'] });
+
+  const applied = { ...EMPTY_FILTERS, ...filters };
+  assert.equal(isFiltering(applied), false);
+  assert.equal(createVisibility(applied, [{ id: 1 }], []).visibleCount, 1);
+});
@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  LAYOUTS, bipartiteLayout, computeLayout, concentricLayout, fitLayout, forceLayout, hierarchicalLayout,
+} from '../src/graph/layout.js';
+
+const nodes = [1, 2, 3, 4, 5].map((id) => ({ id }));
+const edges = [
+  { from: 1, to: 2 }, { from: 2, to: 3 }, { from: 3, to: 1 }, { from: 3, to: 4 }, { from: 4, to: 99 },
+];
+
+test('the force layout comes out the same every time', () => {
+  const first = forceLayout(nodes, edges);
+  const second = forceLayout(nodes, edges);
+  assert.deepEqual([...first.keys()], [1, 2, 3, 4, 5]);
+  assert.deepEqual(first, second);
+  first.forEach(({ x, y }) => assert.ok(Number.isFinite(x) && Number.isFinite(y)));
+});
+
+test('linked actors end up closer than unlinked ones', () => {
+  const layout = forceLayout(nodes, edges);
+  const distance = (a, b) => Math.hypot(layout.get(a).x - layout.get(b).x, layout.get(a).y - layout.get(b).y);
+  assert.ok(distance(1, 2) < distance(1, 5));
+  assert.ok(distance(1, 2) > 60);
+});
+
+test('a different seed gives a different force layout', () => {
+  assert.deepEqual(forceLayout(nodes, edges, { seed: 7 }), forceLayout(nodes, edges, { seed: 7 }));
+  assert.notDeepEqual(forceLayout(nodes, edges, { seed: 7 }), forceLayout(nodes, edges, { seed: 8 }));
+});
+
+test('nodes with a saved position stay there', () => {
+  const layout = forceLayout([{ id: 1, x: 500, y: -40 }, { id: 2 }], [{ from: 1, to: 2 }]);
+  assert.deepEqual(layout.get(1), { x: 500, y: -40 });
+});
+
+test('fitLayout centres the layout in the area without enlarging it', () => {
+  const small = fitLayout(new Map([[1, { x: -10, y: 0 }], [2, { x: 10, y: 20 }]]), { width: 400, height: 300 });
+  assert.equal(small.scale, 1);
+  assert.deepEqual(small.positions.get(1), { x: 190, y: 140 });
+  assert.deepEqual(small.positions.get(2), { x: 210, y: 160 });
+
+  const large = fitLayout(new Map([[1, { x: 0, y: 0 }], [2, { x: 2000, y: 100 }]]), { width: 1100, height: 600, padding: 50 });
+  assert.equal(large.scale, 0.5);
+  assert.deepEqual(large.positions.get(2), { x: 1050, y: 325 });
+  assert.deepEqual(fitLayout(new Map(), { width: 10, height: 10 }), { positions: new Map(), scale: 1 });
+});
+
+const actors = [
+  { id: 1, name: 'Ally', category: 'Government', affiliation: 'friend' },
+  { id: 2, name: 'Partner', category: 'Government', affiliation: 'assumedFriend' },
+  { id: 3, name: 'Observer', category: 'Agency', affiliation: 'neutral' },
+  { id: 4, name: 'Cartel', category: 'Cartel', affiliation: 'hostile' },
+  { id: 5, name: 'Smuggler', category: 'Cartel', affiliation: 'suspect' },
+];
+const ties = [{ from: 1, to: 4 }, { from: 2, to: 5 }, { from: 3, to: 4 }];
+
+test('the hierarchy puts each Category on its own row, friendly ones first', () => {
+  const layout = hierarchicalLayout(actors, ties);
+  assert.equal(layout.get(1).y, layout.get(2).y);
+  assert.equal(layout.get(4).y, layout.get(5).y);
+  assert.ok(layout.get(1).y < layout.get(3).y && layout.get(3).y < layout.get(4).y);
+
+  const byAffiliation = hierarchicalLayout(actors, ties, { by: 'affiliation' });
+  assert.equal(new Set([...byAffiliation.values()].map(({ y }) => y)).size, 5);
+  assert.ok(byAffiliation.get(1).y < byAffiliation.get(4).y);
+});
+
+test('the concentric layout rings friendly actors inside hostile ones', () => {
+  const layout = concentricLayout(actors);
+  const radius = (id) => Math.hypot(layout.get(id).x, layout.get(id).y);
+  assert.ok(Math.abs(radius(1) - radius(2)) < 1e-9);
+  assert.ok(radius(1) < radius(3) && radius(3) < radius(4));
+  assert.ok(Math.abs(radius(4) - radius(5)) < 1e-9);
+});
+
+test('the bipartite layout puts friendly and hostile actors in opposite columns', () => {
+  const layout = bipartiteLayout(actors, ties);
+  assert.equal(layout.get(1).x, layout.get(2).x);
+  assert.equal(layout.get(4).x, layout.get(5).x);
+  assert.ok(layout.get(1).x < layout.get(3).x && layout.get(3).x < layout.get(4).x);
+  // Hostile actors line up with the friendly actors they are linked to
+  assert.ok(layout.get(4).y < layout.get(5).y);
+});
+
+test('computeLayout places every actor with each layout and rejects unknown ones', () => {
+  LAYOUTS.forEach(({ key }) => {
+    const layout = computeLayout(key, actors, ties, { seed: 3 });
+    assert.deepEqual([...layout.keys()].sort(), [1, 2, 3, 4, 5]);
+  });
+  assert.throws(() => computeLayout('spiral', actors, ties), /spiral/);
+});
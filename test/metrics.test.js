@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EXACT_PATH_LIMIT, PIVOTS, analyzeNetwork } from '../src/graph/metrics.js';
+
+// A hub linked to every other actor, plus a chain through the others
+const graph = (size) => {
+  const nodes = Array.from({ length: size }, (_, index) => ({ id: index + 1 }));
+  const edges = [
+    ...nodes.slice(1).map((node) => ({ from: 1, to: node.id, direction: 'directed' })),
+    ...nodes.slice(2).map((node) => ({ from: node.id - 1, to: node.id, direction: 'directed', strength: 2 })),
+  ];
+  return { nodes, edges };
+};
+
+test('betweenness and closeness are exact up to the size limit', () => {
+  const { nodes, edges } = graph(30);
+  const analysis = analyzeNetwork(nodes, edges);
+  assert.equal(analysis.pivots, null);
+  // Sampling every actor is the exact computation
+  const everyone = analyzeNetwork(nodes, edges, { pivots: nodes.length });
+  assert.equal(everyone.pivots, null);
+  everyone.metrics.forEach((values, id) => {
+    assert.ok(Math.abs(values.betweenness - analysis.metrics.get(id).betweenness) < 1e-12);
+    assert.ok(Math.abs(values.closeness - analysis.metrics.get(id).closeness) < 1e-12);
+  });
+  assert.ok(EXACT_PATH_LIMIT >= PIVOTS);
+});
+
+test('larger networks estimate betweenness and closeness from pivots', () => {
+  const { nodes, edges } = graph(60);
+  const exact = analyzeNetwork(nodes, edges, { weighted: true });
+  const estimate = analyzeNetwork(nodes, edges, { weighted: true, pivots: 20 });
+  assert.equal(estimate.pivots, 20);
+  assert.deepEqual(analyzeNetwork(nodes, edges, { weighted: true, pivots: 20 }).metrics, estimate.metrics);
+
+  const top = (analysis) => [...analysis.metrics.entries()].sort((a, b) => b[1].betweenness - a[1].betweenness)[0][0];
+  assert.equal(top(estimate), top(exact));
+  exact.metrics.forEach((values, id) => {
+    assert.ok(Math.abs(values.closeness - estimate.metrics.get(id).closeness) < 0.15);
+    // The other measures are not sampled
+    assert.equal(values.pagerank, estimate.metrics.get(id).pagerank);
+  });
+});
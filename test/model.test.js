@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildGraph, datasetFile, describeNode, loadGraph, nodeConnections, parseDataset, validateDataset,
+} from '../src/graph/model.js';
+import { analyzeNetwork } from '../src/graph/metrics.js';
+import { detectCommunities } from '../src/graph/communities.js';
+
+const NODES = `Serial,Category,Actor,ActorDescription,InteractsWithSerials,RelationshipType,Tensions,Relevance
+1,Allied Government,Alpha,The **first** actor,2;3–4,Cooperation,,Key partner
+2,Regional Cartel,Bravo,,1;3;3;9,Trafficking,Turf wars,
+3,Multilateral Body,Charlie,,,Mediation,,
+4,Allied Government,Delta,,1,Cooperation,,
+`;
+
+const EDGES = `Source,Target,RelationshipType,Strength,Sentiment,Direction
+Alpha,Bravo,Pressure,4,-0.5,
+Charlie,Echo,Funding,2,1,
+`;
+
+const parse = (nodes, edges) => parseDataset(
+  datasetFile('nodes.csv', nodes),
+  edges ? datasetFile('links.csv', edges) : null,
+);
+
+const edgeKeys = (edges) => edges.map((edge) => `${edge.from}->${edge.to}`);
+
+test('datasetFile accepts text, ArrayBuffers and Node Buffers', () => {
+  const text = datasetFile('a.csv', 'Serial\n1\n');
+  const bytes = datasetFile('a.csv', Buffer.from('xxSerial\n1\n').subarray(2));
+  assert.equal(new TextDecoder().decode(text.buffer), 'Serial\n1\n');
+  assert.equal(new TextDecoder().decode(bytes.buffer), 'Serial\n1\n');
+  assert.equal(datasetFile('a.csv', text.buffer).buffer, text.buffer);
+});
+
+test('parses a node sheet and classifies a second file as an edge list', async () => {
+  const sheets = await parse(NODES, EDGES);
+  assert.equal(sheets.nodeSheet.rows.length, 4);
+  assert.equal(sheets.nodeSheet.rows[0].Actor, 'Alpha');
+  assert.equal(sheets.edgeLists.length, 1);
+  assert.deepEqual(sheets.edgeLists[0].lines, [2, 3]);
+});
+
+test('reads the Nodes and Links sheets of an Excel workbook', async () => {
+  const XLSX = await import('xlsx');
+  const workbook = XLSX.utils.book_new();
+  const sheetOf = (text) => XLSX.utils.aoa_to_sheet(text.trim().split('\n').map((line) => line.split(',')));
+  XLSX.utils.book_append_sheet(workbook, sheetOf(NODES.replace(/"|\*\*/g, '')), 'Nodes');
+  XLSX.utils.book_append_sheet(workbook, sheetOf(EDGES), 'Links');
+  const bytes = XLSX.write(workbook, { type: 'array', bookType: 'xlsx' });
+  const sheets = await parseDataset(datasetFile('network.xlsx', new Uint8Array(bytes)), null);
+  assert.deepEqual(sheets.nodeSheet.rows.map((row) => row.Actor), ['Alpha', 'Bravo', 'Charlie', 'Delta']);
+  assert.deepEqual(sheets.edgeLists[0].rows.map((row) => row.Target), ['Bravo', 'Echo']);
+  assert.deepEqual(sheets.edgeLists[0].lines, [2, 3]);
+});
+
+test('rejects files in an unsupported format', async () => {
+  await assert.rejects(parseDataset(datasetFile('logo.png', new Uint8Array([0x89, 0x50, 0, 0])), null), /not in a supported format/);
+});
+
+test('validation reports dangling links and skips rows without a serial', async () => {
+  const sheets = await parse(`${NODES}x,Other,Nobody,,,,,\n`);
+  const report = validateDataset(sheets);
+  assert.equal(report.errorCount, 1);
+  assert.equal(report.skipRows.size, 1);
+  assert.ok(report.issues.some((issue) => issue.severity === 'warning' && /9/.test(issue.message)));
+  const { nodes } = buildGraph(sheets, report.skipRows);
+  assert.deepEqual(nodes.map((node) => node.name), ['Alpha', 'Bravo', 'Charlie', 'Delta']);
+});
+
+test('builds links from serial ranges, dropping duplicates and unknown serials', async () => {
+  const { nodes, edges } = buildGraph(await parse(NODES));
+  assert.equal(nodes.length, 4);
+  assert.deepEqual(edgeKeys(edges), ['1->2', '1->3', '1->4', '2->1', '2->3']);
+});
+
+test('combines links that run both ways and say the same thing', async () => {
+  const { edges } = buildGraph(await parse(NODES));
+  const alphaDelta = edges.find((edge) => edge.from === 1 && edge.to === 4);
+  assert.equal(alphaDelta.direction, 'mutual');
+  assert.equal(alphaDelta.arrows, 'to, from');
+  assert.equal(edges.some((edge) => edge.from === 4), false);
+
+  // Alpha and Bravo link to each other with different relationships
+  const alphaBravo = edges.find((edge) => edge.from === 1 && edge.to === 2);
+  assert.equal(alphaBravo.reciprocal, true);
+  assert.equal(alphaBravo.relationship, 'Cooperation');
+  assert.equal(edges.find((edge) => edge.from === 2 && edge.to === 1).relationship, 'Trafficking');
+});
+
+test('edge lists override node sheet links and add unknown actors', async () => {
+  const { nodes, edges } = buildGraph(await parse(NODES, EDGES));
+  const echo = nodes.find((node) => node.name === 'Echo');
+  assert.equal(echo.id, 5);
+  assert.equal(echo.affiliation, 'unknown');
+
+  const alphaBravo = edges.find((edge) => edge.from === 1 && edge.to === 2);
+  assert.equal(alphaBravo.relationship, 'Pressure');
+  assert.equal(alphaBravo.strength, 4);
+  assert.equal(alphaBravo.sentiment, -0.5);
+  assert.equal(alphaBravo.weight, 1);
+  assert.equal(alphaBravo.reciprocal, true);
+  assert.equal(edges.find((edge) => edge.from === 3 && edge.to === 5).weight, 0.5);
+  // Links without a Strength keep the default width
+  assert.equal(edges.find((edge) => edge.from === 1 && edge.to === 3).weight, null);
+});
+
+test('nodes carry their dataset fields and affiliation styling', async () => {
+  const { nodes } = buildGraph(await parse(NODES));
+  const [alpha, bravo] = nodes;
+  assert.equal(alpha.id, 1);
+  assert.equal(alpha.category, 'Allied Government');
+  assert.equal(alpha.affiliation, 'friend');
+  assert.equal(alpha.color.background, '#80E0FF');
+  assert.equal(bravo.affiliation, 'hostile');
+  assert.match(alpha.image.unselected, /^data:image\/svg\+xml/);
+});
+
+test('loadGraph runs parse, validate and build together', async () => {
+  const { sheets, report, rows, nodes, edges } = await loadGraph(datasetFile('nodes.csv', NODES));
+  assert.equal(sheets.nodeSheet.rows.length, 4);
+  assert.equal(report.errorCount, 0);
+  assert.equal(rows.length, 4);
+  assert.equal(nodes.length, 4);
+  assert.equal(edges.length, 5);
+});
+
+test('nodeConnections sees each link from the actor\'s side', async () => {
+  const { nodes, edges } = buildGraph(await parse(NODES));
+  const connections = nodeConnections(3, nodes, edges);
+  assert.deepEqual(connections.map((edge) => [edge.direction, edge.otherNodeName]), [['from', 'Alpha'], ['from', 'Bravo']]);
+  assert.equal(nodeConnections(4, nodes, edges)[0].mutual, true);
+});
+
+test('describeNode writes the profile narrative', async () => {
+  const { nodes, edges } = buildGraph(await parse(NODES));
+  const text = describeNode(nodes[0], { nodes, edges });
+  assert.match(text, /^The \*\*first\*\* actor\n\n\*\*Strategic Relevance:\*\* Key partner/);
+  assert.match(text, /Alpha actively engages 3 entities while being influenced by 1 actors\./);
+  assert.match(text, /Primary connections include: 2 Regional Cartel, 1 Multilateral Body, 1 Allied Government\./);
+  assert.doesNotMatch(text, /Structural Position|Community/);
+
+  assert.equal(describeNode(nodes[2], { nodes, edges }).split('\n\n')[0], 'No description available.');
+  assert.match(describeNode(nodes[2], { nodes, edges }), /Charlie receives influence from 2 actors\./);
+});
+
+test('describeNode adds the structural position and community when given', async () => {
+  const { nodes, edges } = buildGraph(await parse(NODES));
+  const analysis = analyzeNetwork(nodes, edges);
+  const communities = detectCommunities(nodes, edges);
+  const text = describeNode(nodes[0], { nodes, edges, analysis, communities });
+  assert.match(text, /\*\*Structural Position:\*\* Betweenness [\d.]+ \(rank 1 of 4\)/);
+  assert.match(text, /Removing Alpha would split the network/);
+  assert.match(text, /\*\*Community:\*\* Alpha belongs to Community \d of \d/);
+});
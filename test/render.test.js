@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderBriefing, renderLegend } from '../src/graph/render.js';
+import { SENTIMENT_STYLES } from '../src/graph/edgeList.js';
+import { THEMES } from '../src/utils/theme.js';
+
+const LINKS = {
+  sentiments: SENTIMENT_STYLES.filter((style) => style.key === 'hostile'),
+  strength: { min: 1, max: 4 },
+  twoWay: true,
+  reciprocal: false,
+};
+
+test('the Legend explains the link encodings in use', () => {
+  const withLinks = renderLegend([], 0, 0, { links: LINKS });
+  assert.match(withLinks.markup, /Width: Strength 1 to 4/);
+  assert.match(withLinks.markup, /Hostile/);
+  assert.match(withLinks.markup, /Mutual link, drawn once/);
+  assert.doesNotMatch(withLinks.markup, /Curved pair/);
+  assert.ok(withLinks.height > renderLegend([], 0, 0).height);
+});
+
+test('the briefing Legend and panels take the colours of the theme', () => {
+  const { svg } = renderBriefing({
+    width: 800,
+    graphHeight: 600,
+    graph: '',
+    links: LINKS,
+    panels: [{ x: 20, y: 20, width: 300, title: 'Actor Profile', blocks: [{ text: 'Alpha' }] }],
+    colors: THEMES.dark,
+  });
+  assert.match(svg, new RegExp(`fill="${THEMES.dark.panel}" stroke="${THEMES.dark.accent}"`));
+  assert.match(svg, new RegExp(`fill="${THEMES.dark.text}">Alpha<`));
+  assert.doesNotMatch(svg, /#ffffff" stroke="#d4af37/);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { expandSerials } from '../src/graph/serials.js';
+
+test('expands single serials and inclusive ranges in order', () => {
+  assert.deepEqual(expandSerials('1;5;18-22').serials, [1, 5, 18, 19, 20, 21, 22]);
+});
+
+test('accepts en-dash ranges and stray spaces', () => {
+  assert.deepEqual(expandSerials(' 3 ; 7 – 9 ;').serials, [3, 7, 8, 9]);
+});
+
+test('reports unusable entries without dropping the rest', () => {
+  const { serials, problems } = expandSerials('2;x;9-4;a-b');
+  assert.deepEqual(serials, [2]);
+  assert.deepEqual(problems.map((problem) => problem.token), ['x', '9-4', 'a-b']);
+});
+
+test('leaves out the entries it reports, such as numbers with trailing text', () => {
+  const { serials, problems } = expandSerials('12a;3;4-6b;007');
+  assert.deepEqual(serials, [3, 7]);
+  assert.deepEqual(problems.map((problem) => problem.token), ['12a', '4-6b']);
+});
+
+test('treats an empty value as no serials', () => {
+  assert.deepEqual(expandSerials(''), { serials: [], problems: [] });
+  assert.deepEqual(expandSerials(undefined), { serials: [], problems: [] });
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analysisInput, performTask } from '../src/graph/tasks.js';
+import { datasetFile } from '../src/graph/model.js';
+
+const NODES = `Serial,Actor,InteractsWithSerials,X,Y
+1,Alpha,2;3,,
+2,Bravo,3,,
+3,Charlie,,100,-50
+,Nobody,1,,
+`;
+
+// What arrives on the other side of postMessage
+const send = (value) => structuredClone(value);
+
+test('parsed datasets survive the trip to and from a worker', async () => {
+  const { sheets, report } = send(await performTask('parse', { nodeFile: datasetFile('nodes.csv', NODES) }));
+  assert.equal(report.skipRows.size, 1);
+  assert.ok(report.skipRows.has(sheets.nodeSheet.rows[3]));
+
+  const { nodes, edges } = send(await performTask('build', send({ sheets, skipRows: report.skipRows, seed: 1 })));
+  assert.deepEqual(nodes.map((node) => node.name), ['Alpha', 'Bravo', 'Charlie']);
+  assert.equal(edges.length, 3);
+  nodes.forEach((node) => assert.ok(Number.isFinite(node.x) && Number.isFinite(node.y)));
+  assert.deepEqual([nodes[2].x, nodes[2].y], [100, -50]);
+});
+
+test('the build starts from the seeded layout', async () => {
+  const { sheets, report } = await performTask('parse', { nodeFile: datasetFile('nodes.csv', NODES) });
+  const build = (seed) => performTask('build', { sheets, skipRows: report.skipRows, seed })
+    .then(({ nodes }) => nodes.map(({ x, y }) => [x, y]));
+  assert.deepEqual(await build(4), await build(4));
+  assert.notDeepEqual(await build(4), await build(5));
+});
+
+test('analyses the graph from the fields the worker is sent', async () => {
+  const nodes = [1, 2, 3].map((id) => ({ id, label: `#${id}`, image: 'data:...' }));
+  const edges = [{ id: 'a', from: 1, to: 2, strength: 3, title: 'x' }, { id: 'b', from: 2, to: 3, strength: null }];
+  const input = analysisInput(nodes, edges);
+  assert.deepEqual(input.nodes, [{ id: 1 }, { id: 2 }, { id: 3 }]);
+  assert.deepEqual(Object.keys(input.edges[0]).sort(), ['direction', 'from', 'id', 'strength', 'to']);
+
+  const { analysis, communities } = send(await performTask('analyze', { ...input, weighted: true }));
+  assert.equal(analysis.metrics.get(2).degree, 2);
+  assert.ok(analysis.articulationPoints.has(2));
+  assert.equal(communities.membership.size, 3);
+});
+
+test('rejects unknown tasks', async () => {
+  await assert.rejects(performTask('render', {}), /Unknown task "render"/);
+});
@@ -4,6 +4,16 @@ import react from '@vitejs/plugin-react';
 // Vite configuration for the React network visualization project.
 export default defineConfig({
   plugins: [react()],
+  // The graph worker loads the Excel importer on demand, which needs ES
+  // module workers, and its chunks are named apart from the page's
+  worker: {
+    format: 'es',
+    rollupOptions: {
+      output: {
+        chunkFileNames: 'assets/worker-[name]-[hash].js',
+      },
+    },
+  },
   server: {
     port: 5173,
     host: '0.0.0.0',